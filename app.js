@@ -2,10 +2,42 @@ import { IndexedDBRepo } from './src/repo/IndexedDBRepo.js';
 import { VaultRepo } from './src/repo/VaultRepo.js';
 import { SemanticSearch } from './src/core/SemanticSearch.js';
 import * as PromptService from './src/core/PromptService.js';
+import * as WorkflowService from './src/core/WorkflowService.js';
+import * as MessageService from './src/core/MessageService.js';
 import * as TemplateService from './src/core/TemplateService.js';
 import * as CollectionService from './src/core/CollectionService.js';
+import * as PresetService from './src/core/PresetService.js';
+import * as BatchService from './src/core/BatchService.js';
+import * as DiffService from './src/core/DiffService.js';
+import * as ChainService from './src/core/ChainService.js';
+import * as TrashService from './src/core/TrashService.js';
+import * as BulkService from './src/core/BulkService.js';
+import * as TagService from './src/core/TagService.js';
+import * as TokenService from './src/core/TokenService.js';
+import * as LintService from './src/core/LintService.js';
+import * as TemplateLinkService from './src/core/TemplateLinkService.js';
+import * as LineageService from './src/core/LineageService.js';
+import * as FieldService from './src/core/FieldService.js';
+import * as UsageService from './src/core/UsageService.js';
+import * as EvalService from './src/core/EvalService.js';
+import * as LlmService from './src/core/LlmService.js';
+import * as RunService from './src/core/RunService.js';
+import * as CompareService from './src/core/CompareService.js';
+import * as HistoryService from './src/core/HistoryService.js';
+import { createZip } from './src/core/ZipWriter.js';
 import * as SidebarRenderer from './src/ui/SidebarRenderer.js';
 import * as TemplatePickerUI from './src/ui/TemplatePickerUI.js';
+import * as BatchUI from './src/ui/BatchUI.js';
+import * as DiffUI from './src/ui/DiffUI.js';
+import * as MessageEditorUI from './src/ui/MessageEditorUI.js';
+import * as ChainUI from './src/ui/ChainUI.js';
+import * as BulkUI from './src/ui/BulkUI.js';
+import * as TagUI from './src/ui/TagUI.js';
+import * as LintUI from './src/ui/LintUI.js';
+import * as FieldUI from './src/ui/FieldUI.js';
+import * as EvalUI from './src/ui/EvalUI.js';
+import * as RunUI from './src/ui/RunUI.js';
+import * as CompareUI from './src/ui/CompareUI.js';
 
 /**
  * PROMPT MANAGER v3 - Modular Architecture
@@ -15,7 +47,8 @@ import * as TemplatePickerUI from './src/ui/TemplatePickerUI.js';
 // Storage & Theme Constants
 const STORAGE_MODE = { LOCAL: 'local', VAULT: 'vault' };
 const THEME = { DARK: 'dark', LIGHT: 'light' };
-const STORAGE_KEYS = { MODE: 'storageMode', THEME: 'theme' };
+const DEFAULT_FILTER = { search: '', category: '', client: '', status: '', label: '', tag: '', field: '', fieldValue: '', usage: '', sort: 'date-desc' };
+const STORAGE_KEYS = { MODE: 'storageMode', THEME: 'theme', COLLAPSED_FOLDERS: 'collapsedTemplateFolders', WORKFLOW: 'workflow', TRASH_DAYS: 'trashRetentionDays', TAG_COLORS: 'tagColors', MODELS: 'modelPrices', TOKEN_MODEL: 'tokenModel', LINT: 'lintConfig', FIELDS: 'customFields', EVAL: 'evalEndpoint', ENDPOINTS: 'llmEndpoints', ENDPOINT: 'llmEndpoint', EXECUTE: 'executeMode' };
 
 const Utils = {
     generateId: () => '_' + Math.random().toString(36).substr(2, 9),
@@ -34,15 +67,12 @@ const Utils = {
             .replaceAll("'", '&#039;');
     },
 
-    diffWords: (oldText, newText) => {
-        const oldWords = (oldText || "").split(/(\s+)/);
-        const newWords = (newText || "").split(/(\s+)/);
-        if (oldText === newText) return Utils.escapeHtml(oldText);
-        return `<del>${Utils.escapeHtml(oldText)}</del><hr><ins>${Utils.escapeHtml(newText)}</ins>`;
-    },
-
     downloadJSON: (data, filename) => {
         const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+        Utils.downloadBlob(blob, filename);
+    },
+
+    downloadBlob: (blob, filename) => {
         const url = URL.createObjectURL(blob);
         const a = document.createElement('a');
         a.href = url;
@@ -50,10 +80,18 @@ const Utils = {
         document.body.appendChild(a);
         a.click();
         document.body.removeChild(a);
+        setTimeout(() => URL.revokeObjectURL(url), 0);
     }
 };
 
 // --- 2. DATA ADAPTER ---
+// Keys of imported prompt records that map to regular prompt fields
+const IMPORT_KEYS = [
+    'id', 'prompt_id', 'title', 'prompt_title', 'description', 'prompt_desc', 'prompt_text', 'messages',
+    'tags', 'status', 'prompt_status', 'status_history', 'notes', 'category', 'client', 'date_created',
+    'versions', 'labels', 'template_links', 'derived_from', 'import_source', 'test_cases', 'eval_runs', 'embedding'
+];
+
 const DataMapper = {
     promptToExport: (p) => {
         return {
@@ -62,32 +100,52 @@ const DataMapper = {
             prompt_title: p.title,
             prompt_desc: p.description,
             prompt_text: p.prompt_text,
-            tags: p.tags,
+            messages: MessageService.getMessages(p),
+            tags: TagService.normalizeTags(p.tags),
             prompt_status: p.status,
+            status_history: p.status_history || [],
             notes: p.notes,
             category: p.category || "",
             client: p.client || "",
             date_created: p.date_created,
             versions: p.versions,
+            labels: p.labels || {},
+            template_links: p.template_links || [],
+            derived_from: p.derived_from || null,
+            import_source: p.import_source || null,
+            test_cases: p.test_cases || [],
+            eval_runs: p.eval_runs || [],
+            custom: { ...(p.custom || {}) },
             embedding: p.embedding // Persist embedding if exists
         };
     },
 
     promptFromImport: (p) => {
-        return {
+        const prompt = {
             id: p.id || p.prompt_id || Utils.generateId(),
             title: p.title || p.prompt_title || "Untitled",
             description: p.description || p.prompt_desc || "",
             prompt_text: p.prompt_text || "",
-            tags: p.tags || "",
+            tags: TagService.normalizeTags(p.tags),
             status: p.status || p.prompt_status || "draft",
+            status_history: p.status_history || [],
             notes: p.notes || "",
             category: p.category || "",
             client: p.client || "",
             date_created: p.date_created || new Date().toISOString(),
             versions: p.versions || [],
+            labels: p.labels || {},
+            template_links: p.template_links || [],
+            derived_from: p.derived_from || null,
+            import_source: p.import_source || null,
+            test_cases: p.test_cases || [],
+            eval_runs: p.eval_runs || [],
+            // Unknown keys are kept as custom values rather than dropped
+            custom: FieldService.collectCustomValues(p, IMPORT_KEYS),
             embedding: p.embedding || null
         };
+        // Single-text prompts migrate to one user message
+        return MessageService.setMessages(prompt, MessageService.getMessages(p));
     },
 
     templateToExport: (t) => {
@@ -96,8 +154,13 @@ const DataMapper = {
             template_desc: t.description,
             template_text: t.template_text,
             template_notes: t.notes || "",
+            folder: t.folder || "",
             isFavorite: t.is_favourite,
-            order: t.order
+            order: t.order,
+            presets: t.presets || [],
+            client_defaults: t.client_defaults || {},
+            last_values: t.last_values || {},
+            versions: t.versions || []
         };
     },
 
@@ -107,8 +170,35 @@ const DataMapper = {
             description: t.template_desc || t.description || "No Description",
             template_text: t.template_text || "",
             notes: t.template_notes || t.notes || "",
+            folder: t.folder || "",
             is_favourite: t.isFavorite || false,
-            order: t.order || 0
+            order: t.order || 0,
+            presets: t.presets || [],
+            client_defaults: t.client_defaults || {},
+            last_values: t.last_values || {},
+            versions: t.versions || []
+        };
+    },
+
+    chainToExport: (c) => {
+        return {
+            chain_id: c.id,
+            chain_name: c.name,
+            chain_desc: c.description || "",
+            steps: c.steps,
+            date_created: c.date_created,
+            date_updated: c.date_updated
+        };
+    },
+
+    chainFromImport: (c) => {
+        return {
+            id: c.chain_id || c.id || Utils.generateId(),
+            name: c.chain_name || c.name || "Untitled Chain",
+            description: c.chain_desc || c.description || "",
+            steps: (c.steps || []).map(s => ({ id: s.id || Utils.generateId(), prompt_id: s.prompt_id, inputs: s.inputs || {} })),
+            date_created: c.date_created || new Date().toISOString(),
+            date_updated: c.date_updated || new Date().toISOString()
         };
     }
 };
@@ -127,12 +217,24 @@ class App {
             prompts: [],
             templates: [],
             collections: [],
+            chains: [],
+            trash: [], // Soft-deleted records (TrashService entries)
+            showTrash: false, // Sidebar shows the trash instead of prompts
+            selection: new Set(), // Prompt ids selected for bulk actions
+            tagColors: {}, // Tag name -> CSS colour
+            models: TokenService.DEFAULT_MODELS, // Model table for cost estimates
+            lintConfig: LintService.DEFAULT_LINT_CONFIG, // Enabled lint rules and options
+            fieldSchema: [], // User-defined prompt fields (FieldService)
+            usage: new Map(), // Prompt/template id -> usage record, kept in IndexedDB in every storage mode
+            endpoints: LlmService.DEFAULT_ENDPOINTS, // LLM endpoints for execute mode and evals (settings only, never exported)
             currentPrompt: null,
             currentPromptId: null,
             activeCollectionId: null,
             isDirty: false,
             semanticMode: true, // Default to Semantic Mode
-            filter: { search: '', category: '', client: '', status: '', sort: 'date-desc' }
+            workflow: WorkflowService.DEFAULT_WORKFLOW,
+            statusNote: '', // Note for the pending status change in the editor
+            filter: { ...DEFAULT_FILTER }
         };
 
         this.dom = {
@@ -142,13 +244,13 @@ class App {
             empty: document.getElementById('empty-state'),
             dirty: document.getElementById('dirty-indicator'),
             toggleSemantic: document.getElementById('toggle-semantic-mode'),
+            messages: document.getElementById('message-list'),
             inputs: {
                 title: document.getElementById('edit-title'),
                 desc: document.getElementById('edit-description'),
                 cat: document.getElementById('edit-category'),
                 client: document.getElementById('edit-client'),
                 status: document.getElementById('edit-status'),
-                text: document.getElementById('edit-prompt-text'),
                 tags: document.getElementById('edit-tags'),
                 notes: document.getElementById('edit-notes'),
             },
@@ -157,19 +259,55 @@ class App {
                 cat: document.getElementById('filter-category'),
                 client: document.getElementById('filter-client'),
                 status: document.getElementById('filter-status'),
+                label: document.getElementById('filter-label'),
+                tag: document.getElementById('filter-tag'),
+                usage: document.getElementById('filter-usage'),
+                field: document.getElementById('filter-field'),
+                fieldValue: document.getElementById('filter-field-value'),
                 sort: document.getElementById('filter-sort'),
             }
         };
+
+        this.batch = null; // Active batch render session
+        this.activeMessageIndex = 0; // Message that receives inserted templates
+        this.chainDraft = null; // Chain open in the chain manager
+        this.selectionAnchor = null; // Last plain or ctrl-clicked prompt (start of shift ranges)
+        this.visiblePromptIds = []; // Prompt ids in sidebar order
+        this.runValues = new Map(); // Prompt id -> variable values last used with Run & Copy
+        this.diffAction = null; // Replaces the diff modal's restore button while set
+        this.runAbort = null; // AbortController of the streaming execute run
+        this.promptRuns = []; // Run history of the open prompt, newest first
+        this.compareVariants = []; // Variants listed in the compare workspace
+        this.compareResults = {}; // 'a' / 'b' -> token counts and latency of the last comparison run
+        this.compareAbort = null; // AbortController of the running comparison
+        this.histories = new Map(); // Prompt id -> undo/redo history of the editor (HistoryService)
+        this.savedSnapshot = null; // Editor content as last loaded or saved
+        this.draft = null; // {promptId, snapshot} last written to the drafts store
+        this.sidebarCache = new WeakMap(); // Prompt -> {issues, severity, outdated} shown in the sidebar
     }
 
     async init() {
         try {
             await this.store.init();
+            this.state.workflow = this.loadWorkflow();
+            this.state.tagColors = this.loadTagColors();
+            this.state.models = this.loadModels();
+            this.state.lintConfig = this.loadLintConfig();
+            this.state.fieldSchema = this.loadFieldSchema();
+            this.state.endpoints = this.loadEndpoints();
             await this.loadData();
             this.renderSidebar();
             this.renderCollections();
             this.setupEventListeners();
+            this.renderEndpointOptions();
+            const executeToggle = document.getElementById('run-execute');
+            if (executeToggle) {
+                executeToggle.checked = localStorage.getItem(STORAGE_KEYS.EXECUTE) === 'true';
+                this.renderExecuteMode();
+            }
             this.populateFilterDropdowns();
+            await this.recoverDraft();
+            setInterval(() => this.autosaveDraft(), HistoryService.AUTOSAVE_INTERVAL_MS);
 
             // --- Semantic Init ---
             // Don't await this, let it load in background
@@ -204,17 +342,41 @@ class App {
                 const data = await this.vault.loadAll();
                 this.state.prompts = data.prompts;
                 this.state.templates = data.templates;
+                this.state.chains = data.chains;
                 this.state.collections = await this.store.getAll('collections');
+                // Collections live in IndexedDB in both modes, and so does their trash
+                const localTrash = await this.store.getAll('trash');
+                this.state.trash = [
+                    ...await this.vault.loadTrash(),
+                    ...localTrash.filter(e => !this.isVaultKind(e.kind))
+                ];
             } else if (this.state.storageMode === STORAGE_MODE.LOCAL) {
                 this.state.prompts = await this.store.getAll('prompts');
                 this.state.templates = await this.store.getAll('templates');
                 this.state.collections = await this.store.getAll('collections');
+                this.state.chains = await this.store.getAll('chains');
+                this.state.trash = await this.store.getAll('trash');
             } else {
                 this.state.prompts = [];
                 this.state.templates = [];
+                this.state.chains = [];
+                this.state.trash = [];
             }
             this.state.templates.sort((a, b) => (a.order || 0) - (b.order || 0));
+            this.resetSidebarCache();
+            // Usage stays local so a copy or run never rewrites vault files
+            this.state.usage = UsageService.buildUsageMap(await this.store.getAll('usage'));
+            // Map legacy statuses (e.g. "testing") onto the workflow and
+            // single-text prompts onto one user message
+            this.state.prompts.forEach(p => {
+                p.status = WorkflowService.resolveStatus(this.state.workflow, p.status);
+                if (!Array.isArray(p.messages) || !p.messages.length) {
+                    MessageService.setMessages(p, MessageService.getMessages(p));
+                }
+            });
 
+            await this.migrateTags();
+            await this.purgeExpiredTrash();
             this.reindexStalePrompts();
 
         } finally {
@@ -222,6 +384,19 @@ class App {
         }
     }
 
+    /**
+     * Convert comma separated tag strings (and un-normalised arrays) into
+     * normalised tag arrays and save the affected prompts in one batch
+     */
+    async migrateTags() {
+        const legacy = this.state.prompts.filter(p => TagService.needsTagMigration(p));
+        if (!legacy.length) return;
+
+        legacy.forEach(p => { p.tags = TagService.normalizeTags(p.tags); });
+        await this.persistPrompts(legacy);
+        console.log(`[Tags] Migrated tags of ${legacy.length} prompt(s).`);
+    }
+
     async reindexStalePrompts() {
         if (!this.semantic || !this.semantic.isLoaded) return;
 
@@ -256,8 +431,10 @@ class App {
 
     // --- STORAGE HELPERS (Unified Interface) ---
     async persistPrompt(prompt) {
-        // Generate embedding from all text fields (not just prompt_text)
-        const textToEmbed = `${prompt.title || ''} ${prompt.description || ''} ${prompt.notes || ''} ${prompt.prompt_text || ''}`.trim();
+        this.sidebarCache.delete(prompt);
+
+        // Generate embedding from all text fields and every message
+        const textToEmbed = this.semantic.buildEmbeddingText(prompt).trim();
 
         if (this.semantic.isLoaded && textToEmbed) {
             prompt.embedding = await this.semantic.embed(textToEmbed);
@@ -270,7 +447,25 @@ class App {
         }
     }
 
+    /**
+     * Save many prompts in one transaction (local) or parallel batches (vault).
+     * Embeddings are kept as they are, so only use this for changes that do
+     * not touch the embedded text.
+     * @param {Array} prompts
+     * @param {Function} onProgress - Called with (done, total)
+     */
+    async persistPrompts(prompts, onProgress = () => {}) {
+        prompts.forEach(p => this.sidebarCache.delete(p));
+        if (this.state.storageMode === STORAGE_MODE.VAULT) {
+            await this.vault.savePrompts(prompts, onProgress);
+        } else {
+            await this.store.putMany('prompts', prompts);
+            onProgress(prompts.length, prompts.length);
+        }
+    }
+
     async persistTemplate(template) {
+        this.resetSidebarCache();
         if (this.state.storageMode === STORAGE_MODE.VAULT) {
             await this.vault.saveTemplate(template);
         } else {
@@ -278,20 +473,115 @@ class App {
         }
     }
 
-    async removePrompt(id) {
+    async persistChain(chain) {
         if (this.state.storageMode === STORAGE_MODE.VAULT) {
-            await this.vault.deletePrompt(id);
+            await this.vault.saveChain(chain);
         } else {
-            await this.store.delete('prompts', id);
+            await this.store.put('chains', chain);
         }
     }
 
-    async removeTemplate(id) {
-        if (this.state.storageMode === STORAGE_MODE.VAULT) {
-            await this.vault.deleteTemplate(id);
+    /**
+     * Whether records of a kind are stored in the vault (collections never are)
+     * @param {string} kind - Trash entry kind
+     */
+    isVaultKind(kind) {
+        return this.state.storageMode === STORAGE_MODE.VAULT && kind !== 'collection';
+    }
+
+    /**
+     * Soft delete: move a record into the trash and drop it from state
+     * @param {string} kind - 'prompt', 'template', 'collection' or 'chain'
+     * @param {object} item - Record to delete
+     */
+    async trashRecord(kind, item) {
+        await this.trashRecords(kind, [item]);
+    }
+
+    /**
+     * Soft delete many records of one kind in one transaction or batch
+     * @param {string} kind - See trashRecord
+     * @param {Array} items
+     * @param {Function} onProgress - Called with (done, total)
+     */
+    async trashRecords(kind, items, onProgress = () => {}) {
+        const entries = items.map(item => TrashService.createTrashEntry(kind, item));
+        const storeName = TrashService.TRASH_KINDS[kind];
+
+        if (this.isVaultKind(kind)) {
+            await this.vault.moveManyToTrash(entries, onProgress);
+        } else {
+            await this.store.moveToTrash(storeName, entries);
+            onProgress(entries.length, entries.length);
+        }
+
+        const ids = new Set(entries.map(e => e.id));
+        if (kind === 'template') this.resetSidebarCache();
+        this.state[storeName] = this.state[storeName].filter(x => !ids.has(x.id));
+        this.state.trash = [...this.state.trash.filter(e => !ids.has(e.id)), ...entries];
+        this.renderTrashCount();
+    }
+
+    async restoreTrashEntry(id) {
+        const entry = this.state.trash.find(e => e.id === id);
+        if (!entry) return;
+        const storeName = TrashService.TRASH_KINDS[entry.kind];
+        const records = this.state[storeName];
+        if (records.some(x => x.id === id) && !confirm(`"${TrashService.describeTrashEntry(entry)}" exists again. Overwrite it?`)) return;
+
+        if (this.isVaultKind(entry.kind)) {
+            await this.vault.restoreFromTrash(entry);
+        } else {
+            await this.store.put(storeName, entry.item);
+            await this.store.delete('trash', id);
+        }
+
+        if (entry.kind === 'template') this.resetSidebarCache();
+        this.state[storeName] = [...records.filter(x => x.id !== id), entry.item];
+        this.state.trash = this.state.trash.filter(e => e.id !== id);
+        this.renderSidebar();
+        this.renderCollections();
+        this.populateFilterDropdowns();
+    }
+
+    /**
+     * Permanently delete a trash entry
+     * @param {object} entry
+     */
+    async purgeTrashEntry(entry) {
+        if (this.isVaultKind(entry.kind)) {
+            await this.vault.deleteFromTrash(entry.id);
         } else {
-            await this.store.delete('templates', id);
+            await this.store.delete('trash', entry.id);
+        }
+        this.state.trash = this.state.trash.filter(e => e.id !== entry.id);
+    }
+
+    async purgeExpiredTrash() {
+        const expired = TrashService.getExpiredEntries(this.state.trash, this.getTrashRetentionDays());
+        for (const entry of expired) {
+            await this.purgeTrashEntry(entry);
         }
+        if (expired.length) console.log(`[Trash] Purged ${expired.length} expired item(s).`);
+        this.renderTrashCount();
+    }
+
+    async emptyTrash() {
+        if (!confirm(`Permanently delete all ${this.state.trash.length} item(s) in the Trash?`)) return;
+        for (const entry of [...this.state.trash]) {
+            await this.purgeTrashEntry(entry);
+        }
+        this.renderSidebar();
+    }
+
+    getTrashRetentionDays() {
+        return TrashService.parseRetentionDays(localStorage.getItem(STORAGE_KEYS.TRASH_DAYS));
+    }
+
+    async setTrashRetentionDays(value) {
+        localStorage.setItem(STORAGE_KEYS.TRASH_DAYS, TrashService.parseRetentionDays(value));
+        await this.purgeExpiredTrash();
+        this.renderSidebar();
     }
 
     // --- RENDER LOGIC ---
@@ -301,6 +591,17 @@ class App {
         const listEl = this.dom.list;
         listEl.innerHTML = '';
 
+        this.renderTrashCount();
+        if (this.state.showTrash) {
+            this.renderTrash();
+            this.renderBulkBar();
+            return;
+        }
+
+        // Manual collections only show the prompts added to them
+        const active = this.state.collections.find(c => c.id === this.state.activeCollectionId);
+        const listFilter = { ...filter, ids: active && CollectionService.isManualCollection(active) ? active.prompt_ids : undefined };
+
         let filtered = [];
 
         // Dual Search Mode: Semantic vs Keyword
@@ -312,12 +613,7 @@ class App {
             const scoreMap = new Map(semanticResults.map(r => [r.id, r.score]));
 
             // Filter by normal filters first
-            filtered = prompts.filter(p => {
-                const matchesCat = filter.category ? p.category === filter.category : true;
-                const matchesClient = filter.client ? p.client === filter.client : true;
-                const matchesStatus = filter.status ? p.status === filter.status : true;
-                return matchesCat && matchesClient && matchesStatus;
-            });
+            filtered = PromptService.filterPrompts(prompts, listFilter, WorkflowService.getHiddenStatuses(this.state.workflow), this.state.usage);
 
             // Filter out items with very low score if they don't contain keywords?
             // Actually, for pure semantic mode, we trust the score, BUT we usually want some threshold.
@@ -342,60 +638,444 @@ class App {
 
         } else {
             // STANDARD KEYWORD MODE
-            filtered = prompts.filter(p => {
-                const searchSource = (p.title + p.description + p.prompt_text + (p.tags || "")).toLowerCase();
-                const matchesSearch = searchSource.includes(filter.search.toLowerCase());
-
-                const matchesCat = filter.category ? p.category === filter.category : true;
-                const matchesClient = filter.client ? p.client === filter.client : true;
-                const matchesStatus = filter.status ? p.status === filter.status : true;
-
-                return matchesSearch && matchesCat && matchesClient && matchesStatus;
+            filtered = PromptService.filterPrompts(prompts, listFilter, WorkflowService.getHiddenStatuses(this.state.workflow), this.state.usage).filter(p => {
+                const searchSource = (p.title + p.description + p.prompt_text + TagService.formatTags(p.tags)).toLowerCase();
+                return searchSource.includes(filter.search.toLowerCase());
             });
 
             // Apply Sort (Only in Standard Mode)
-            const sortMode = filter.sort || 'date-desc';
-            filtered.sort((a, b) => {
-                switch (sortMode) {
-                    case 'date-asc':
-                        return new Date(a.date_created || 0) - new Date(b.date_created || 0);
-                    case 'date-desc':
-                        return new Date(b.date_created || 0) - new Date(a.date_created || 0);
-                    case 'name-asc':
-                        return (a.title || '').localeCompare(b.title || '');
-                    case 'cat-asc':
-                        return (a.category || '').localeCompare(b.category || '');
-                    case 'client-asc':
-                        return (a.client || '').localeCompare(b.client || '');
-                    default:
-                        return 0;
-                }
-            });
+            filtered = PromptService.sortPrompts(filtered, filter.sort || 'date-desc', this.state.usage);
         }
 
-        filtered.forEach(p => {
+        // Selection only ever covers prompts that are listed
+        this.visiblePromptIds = filtered.map(p => p.id);
+        const visible = new Set(this.visiblePromptIds);
+        this.state.selection = new Set([...this.state.selection].filter(id => visible.has(id)));
+
+        const renderItem = (p) => {
             const el = document.createElement('div');
-            el.className = `prompt-item ${this.state.currentPromptId === p.id ? 'active' : ''}`;
+            el.className = `prompt-item ${this.state.currentPromptId === p.id ? 'active' : ''} ${this.state.selection.has(p.id) ? 'selected' : ''}`;
+            el.dataset.id = p.id;
 
-            const tags = p.tags ? p.tags.split(',').map(t => `<span class="tag-pill">${t.trim()}</span>`).join('') : '';
+            const tags = (p.tags || []).map(t => SidebarRenderer.renderTagPill(t, this.state.tagColors[t])).join('');
+            const { issues, severity, outdated } = this.getSidebarInfo(p);
+            const lintBadge = LintUI.renderLintBadge(issues, severity);
+            const linkBadge = outdated.length
+                ? `<span class="link-badge" title="Template updated: ${Utils.escapeHtml(outdated.map(o => o.template.description).join(', '))}">&#10227;</span>`
+                : '';
+
+            const pin = this.state.usage.get(p.id)?.pinned ? '<span class="pin-badge" title="Pinned">&#128204;</span>' : '';
 
             el.innerHTML = `
-                <h4>${Utils.escapeHtml(p.title) || 'Untitled'}</h4>
+                <h4>${pin}${Utils.escapeHtml(p.title) || 'Untitled'}${lintBadge}${linkBadge}</h4>
                 <div class="tags-row">
-                    ${p.status === 'live' ? '<span class="tag-pill" style="background:#dcfce7; color:#166534; border-color:#86efac;">LIVE</span>' : ''}
+                    ${this.renderStatusPill(p.status)}
                     ${p.category ? `<span class="meta-label">${Utils.escapeHtml(p.category)}</span>` : ''}
                     ${p.client ? `<span class="meta-label">[${Utils.escapeHtml(p.client)}]</span>` : ''}
                 </div>
                 <p>${Utils.escapeHtml(p.description)}</p>
                 <div class="tags-row">${tags}</div>
             `;
-            el.onclick = () => this.handlePromptSelect(p.id);
+            el.onclick = (e) => this.handlePromptClick(e, p.id);
             listEl.appendChild(el);
+        };
+
+        // Quick-access sections above the full list, unless the list is already narrowed to them
+        const sections = filter.search || filter.usage ? [] : [
+            ['Pinned', UsageService.getPinned(filtered, this.state.usage)],
+            ['Recently used', UsageService.getRecentlyUsed(filtered, this.state.usage)]
+        ].filter(([, items]) => items.length);
+        const renderHeading = (title) => {
+            const heading = document.createElement('div');
+            heading.className = 'list-section-title';
+            heading.textContent = title;
+            listEl.appendChild(heading);
+        };
+        sections.forEach(([title, items]) => {
+            renderHeading(title);
+            items.forEach(renderItem);
         });
+        if (sections.length) renderHeading('All prompts');
+        filtered.forEach(renderItem);
 
+        this.renderBulkBar();
         this.updateDatalists();
     }
 
+    /**
+     * Lint results and outdated template links of a listed prompt, kept until
+     * the prompt is saved or the templates or lint settings change, so
+     * re-rendering the list is cheap
+     * @param {object} p - Saved prompt
+     * @returns {{issues: Array, severity: string|null, outdated: Array}}
+     */
+    getSidebarInfo(p) {
+        let info = this.sidebarCache.get(p);
+        if (!info) {
+            const issues = LintService.lintPrompt(p, this.state.lintConfig, this.state.templates);
+            info = {
+                issues,
+                severity: LintService.getWorstSeverity(issues),
+                outdated: TemplateLinkService.getOutdatedLinks(p, this.state.templates)
+            };
+            this.sidebarCache.set(p, info);
+        }
+        return info;
+    }
+
+    resetSidebarCache() {
+        this.sidebarCache = new WeakMap();
+    }
+
+    // --- TAGS ---
+
+    loadTagColors() {
+        try {
+            return JSON.parse(localStorage.getItem(STORAGE_KEYS.TAG_COLORS)) || {};
+        } catch (err) {
+            console.warn('Stored tag colours are invalid, ignoring them.', err);
+            return {};
+        }
+    }
+
+    saveTagColors(colors) {
+        this.state.tagColors = colors;
+        localStorage.setItem(STORAGE_KEYS.TAG_COLORS, JSON.stringify(colors));
+    }
+
+    openTagManager() {
+        this.tagsToMerge = new Set();
+        this.renderTagManager();
+        document.getElementById('modal-tags').showModal();
+        document.getElementById('btn-merge-tags').onclick = () => this.mergeSelectedTags();
+    }
+
+    renderTagManager() {
+        const list = document.getElementById('tag-manager-list');
+        const counts = TagService.countTags(this.state.prompts);
+        this.tagsToMerge = new Set([...this.tagsToMerge].filter(t => counts.some(c => c.tag === t)));
+        list.innerHTML = TagUI.renderTagList(counts, this.state.tagColors, this.tagsToMerge);
+
+        const merge = document.getElementById('btn-merge-tags');
+        merge.disabled = this.tagsToMerge.size < 2;
+        document.getElementById('tag-merge-summary').textContent = `${counts.length} tag(s)` +
+            (this.tagsToMerge.size ? `, ${this.tagsToMerge.size} selected` : '');
+
+        list.querySelectorAll('.tag-row').forEach(row => {
+            const tag = row.dataset.tag;
+            row.querySelector('.tag-merge-check').onchange = (e) => {
+                if (e.target.checked) this.tagsToMerge.add(tag);
+                else this.tagsToMerge.delete(tag);
+                this.renderTagManager();
+            };
+            row.querySelector('.tag-color').onchange = (e) => {
+                this.saveTagColors({ ...this.state.tagColors, [tag]: e.target.value });
+                this.renderTagManager();
+                this.renderSidebar();
+            };
+            row.querySelector('.tag-color-clear').onclick = () => {
+                this.saveTagColors(TagService.moveTagColors(this.state.tagColors, [tag], null));
+                this.renderTagManager();
+                this.renderSidebar();
+            };
+            row.querySelector('.tag-rename').onclick = () => {
+                const to = prompt(`Rename "${tag}" to (an existing tag merges them):`, tag);
+                if (to === null || TagService.normalizeTag(to) === tag) return;
+                this.replaceTagEverywhere([tag], to);
+            };
+            row.querySelector('.tag-delete').onclick = () => {
+                if (!confirm(`Remove the tag "${tag}" from every prompt?`)) return;
+                this.replaceTagEverywhere([tag], null);
+            };
+        });
+    }
+
+    mergeSelectedTags() {
+        const sources = [...this.tagsToMerge];
+        const target = prompt(`Merge ${sources.join(', ')} into:`, sources[0]);
+        if (target === null) return;
+        this.replaceTagEverywhere(sources, target);
+    }
+
+    /**
+     * Rename, merge or delete tags across the library and save the changed
+     * prompts in one batch (tags are not embedded, so nothing is re-indexed)
+     * @param {string[]} sources - Tags to replace
+     * @param {string|null} target - New tag, or null to delete
+     */
+    async replaceTagEverywhere(sources, target) {
+        let updated;
+        try {
+            if (target === null) updated = TagService.deleteTag(this.state.prompts, sources[0]);
+            else if (sources.length === 1) updated = TagService.renameTag(this.state.prompts, sources[0], target);
+            else updated = TagService.mergeTags(this.state.prompts, sources, target);
+        } catch (err) {
+            alert(err.message);
+            return;
+        }
+
+        await this.persistPrompts(updated);
+        const byId = new Map(updated.map(p => [p.id, p]));
+        this.state.prompts = this.state.prompts.map(p => byId.get(p.id) || p);
+        if (this.state.currentPrompt && byId.has(this.state.currentPrompt.id)) {
+            // Keep unsaved edits elsewhere in the form; only the tags field follows the change
+            this.state.currentPrompt = byId.get(this.state.currentPrompt.id);
+            this.dom.inputs.tags.value = TagService.formatTags(this.state.currentPrompt.tags);
+        }
+
+        this.saveTagColors(TagService.moveTagColors(this.state.tagColors, sources, target));
+        const filterTag = this.state.filter.tag;
+        if (filterTag && sources.includes(filterTag)) this.state.filter.tag = target === null ? '' : TagService.normalizeTag(target);
+
+        this.tagsToMerge = new Set();
+        this.renderTagManager();
+        this.populateFilterDropdowns();
+        if (this.dom.filters.tag) this.dom.filters.tag.value = this.state.filter.tag;
+        this.renderSidebar();
+    }
+
+    // --- MULTI-SELECT & BULK ACTIONS ---
+
+    /**
+     * Shift-click selects a range, ctrl/cmd-click toggles, a plain click opens
+     * the prompt (and clears the selection)
+     */
+    handlePromptClick(e, id) {
+        const shift = e.shiftKey;
+        const toggle = e.ctrlKey || e.metaKey;
+        if (!shift && !toggle) {
+            this.clearSelection();
+            this.selectionAnchor = id;
+            this.handlePromptSelect(id);
+            return;
+        }
+
+        e.preventDefault();
+        const anchor = this.selectionAnchor || this.state.currentPromptId;
+        const result = BulkService.updateSelection(this.state.selection, this.visiblePromptIds, id, { shift, toggle }, anchor);
+        this.state.selection = result.selection;
+        this.selectionAnchor = result.anchor;
+        this.renderSelection();
+    }
+
+    selectAllFiltered() {
+        this.state.selection = new Set(this.visiblePromptIds);
+        this.renderSelection();
+    }
+
+    clearSelection() {
+        if (!this.state.selection.size) return;
+        this.state.selection = new Set();
+        this.renderSelection();
+    }
+
+    renderSelection() {
+        this.dom.list.querySelectorAll('.prompt-item').forEach(el => {
+            el.classList.toggle('selected', this.state.selection.has(el.dataset.id));
+        });
+        this.renderBulkBar();
+    }
+
+    getSelectedPrompts() {
+        return this.state.prompts.filter(p => this.state.selection.has(p.id));
+    }
+
+    renderBulkBar() {
+        const bar = document.getElementById('bulk-bar');
+        if (!bar) return;
+        const count = this.state.showTrash ? 0 : this.state.selection.size;
+        bar.classList.toggle('hidden', !count);
+        if (!count) {
+            bar.innerHTML = '';
+            return;
+        }
+
+        const collections = this.state.collections.filter(c => CollectionService.isManualCollection(c));
+        bar.innerHTML = BulkUI.renderBulkBar(count, this.visiblePromptIds.length, this.state.workflow.states, collections);
+
+        const on = (action, event, handler) => {
+            const el = bar.querySelector(`[data-action="${action}"]`);
+            if (el) el[event] = handler;
+        };
+        on('select-all', 'onclick', () => this.selectAllFiltered());
+        on('clear', 'onclick', () => this.clearSelection());
+        on('status', 'onchange', (e) => this.bulkSetStatus(e.target.value));
+        on('category', 'onclick', () => this.bulkSetField('category', 'Category'));
+        on('client', 'onclick', () => this.bulkSetField('client', 'Client'));
+        on('add-tags', 'onclick', () => this.bulkEditTags('addTags', 'Tags to add (comma separated):'));
+        on('remove-tags', 'onclick', () => this.bulkEditTags('removeTags', 'Tags to remove (comma separated):'));
+        on('collection', 'onchange', (e) => this.bulkAddToCollection(e.target.value));
+        on('duplicate', 'onclick', () => this.bulkDuplicate());
+        on('compare', 'onclick', () => this.bulkCompare());
+        on('export', 'onclick', () => this.bulkExport());
+        on('delete', 'onclick', () => this.bulkDelete());
+    }
+
+    setBulkProgress(done, total) {
+        const el = document.querySelector('#bulk-bar .bulk-progress');
+        if (!el) return;
+        el.classList.toggle('hidden', done >= total);
+        el.textContent = `Saving ${done} / ${total}...`;
+    }
+
+    /**
+     * Apply a change to every selected prompt and save the changed ones in one go
+     * @param {object} change - See BulkService.applyBulkChange
+     */
+    async applyBulkChange(change) {
+        const { updated, skipped } = BulkService.applyToSelection(this.getSelectedPrompts(), change, this.state.workflow);
+
+        if (updated.length) {
+            this.setBulkProgress(0, updated.length);
+            await this.persistPrompts(updated, (done, total) => this.setBulkProgress(done, total));
+
+            const byId = new Map(updated.map(p => [p.id, p]));
+            this.state.prompts = this.state.prompts.map(p => byId.get(p.id) || p);
+            // Refresh the editor unless it holds unsaved edits
+            if (byId.has(this.state.currentPromptId) && !this.state.isDirty) this.loadEditor(this.state.currentPromptId);
+        }
+
+        this.populateFilterDropdowns();
+        this.renderSidebar();
+        if (skipped.length) {
+            alert(`Updated ${updated.length} prompt(s). Skipped ${skipped.length}:\n` +
+                skipped.map(s => `${s.prompt.title}: ${s.reason}`).join('\n'));
+        }
+    }
+
+    async bulkSetStatus(status) {
+        if (!status) return;
+        let note = '';
+        if (BulkService.bulkStatusNeedsNote(this.getSelectedPrompts(), status, this.state.workflow)) {
+            note = prompt(`Note for moving to ${WorkflowService.getState(this.state.workflow, status).label}:`, '');
+            if (note === null) {
+                this.renderBulkBar();
+                return;
+            }
+        }
+        await this.applyBulkChange({ type: 'status', status, note });
+    }
+
+    async bulkSetField(field, label) {
+        const value = prompt(`${label} for ${this.state.selection.size} prompt(s) (leave empty to clear):`, '');
+        if (value === null) return;
+        await this.applyBulkChange({ type: field, value });
+    }
+
+    async bulkEditTags(type, message) {
+        const tags = TagService.normalizeTags(prompt(message, ''));
+        if (!tags.length) return;
+        await this.applyBulkChange({ type, tags });
+    }
+
+    async bulkDuplicate() {
+        const copies = this.getSelectedPrompts().map(p => ({
+            ...PromptService.duplicatePrompt(p, Utils.generateId),
+            status: this.state.workflow.initial,
+            // Same content, so the original's embedding stays valid
+            embedding: p.embedding || null
+        }));
+
+        this.setBulkProgress(0, copies.length);
+        await this.persistPrompts(copies, (done, total) => this.setBulkProgress(done, total));
+
+        this.state.prompts.push(...copies);
+        this.state.selection = new Set(copies.map(p => p.id));
+        this.renderSidebar();
+    }
+
+    async bulkDelete() {
+        const prompts = this.getSelectedPrompts();
+        if (!confirm(`Move ${prompts.length} prompt(s) to the Trash?`)) return;
+
+        this.setBulkProgress(0, prompts.length);
+        await this.trashRecords('prompt', prompts, (done, total) => this.setBulkProgress(done, total));
+
+        this.state.selection = new Set();
+        this.populateFilterDropdowns();
+        await this.closeDeletedPrompts(new Set(prompts.map(p => p.id)));
+    }
+
+    bulkCompare() {
+        const [a, b] = this.getSelectedPrompts();
+        if (a && b) this.openCompare(a.id, b.id);
+    }
+
+    bulkExport() {
+        const data = { prompts: this.getSelectedPrompts().map(p => DataMapper.promptToExport(p)) };
+        const date = new Date().toISOString().split('T')[0];
+        Utils.downloadJSON(data, `prompt-selection-${date}.json`);
+    }
+
+    async bulkAddToCollection(collectionId) {
+        if (!collectionId) return;
+        const ids = [...this.state.selection];
+        let collection;
+
+        if (collectionId === 'new') {
+            const name = prompt("Name the new collection:");
+            if (!name) {
+                this.renderBulkBar();
+                return;
+            }
+            collection = { ...CollectionService.createCollection(Utils.generateId, name, DEFAULT_FILTER), prompt_ids: ids };
+        } else {
+            const existing = this.state.collections.find(c => c.id === collectionId);
+            collection = CollectionService.addPromptsToCollection(existing, ids);
+        }
+
+        // Collections always live in IndexedDB, as in saveSmartCollection
+        await this.store.put('collections', collection);
+        this.state.collections = [...this.state.collections.filter(c => c.id !== collection.id), collection];
+        this.renderCollections();
+        this.renderBulkBar();
+        alert(`Added ${ids.length} prompt(s) to "${collection.name}".`);
+    }
+
+    renderTrash() {
+        const listEl = this.dom.list;
+        const days = this.getTrashRetentionDays();
+        const entries = TrashService.sortTrash(this.state.trash);
+
+        listEl.innerHTML = SidebarRenderer.renderTrashHeader(entries.length, days) + entries.map(e =>
+            SidebarRenderer.renderTrashItem(e, TrashService.describeTrashEntry(e), TrashService.daysUntilPurge(e, days), Utils.formatDate)
+        ).join('');
+
+        listEl.querySelector('.trash-back').onclick = () => this.toggleTrash(false);
+        listEl.querySelector('.trash-empty').onclick = () => this.emptyTrash();
+        listEl.querySelector('.trash-days').onchange = (e) => this.setTrashRetentionDays(e.target.value);
+        listEl.querySelectorAll('.trash-restore').forEach(btn => {
+            btn.onclick = () => this.restoreTrashEntry(btn.dataset.id);
+        });
+        listEl.querySelectorAll('.trash-purge').forEach(btn => {
+            btn.onclick = async () => {
+                const entry = this.state.trash.find(e => e.id === btn.dataset.id);
+                if (!entry || !confirm(`Permanently delete "${TrashService.describeTrashEntry(entry)}"?`)) return;
+                await this.purgeTrashEntry(entry);
+                this.renderSidebar();
+            };
+        });
+    }
+
+    renderTrashCount() {
+        const count = document.getElementById('trash-count');
+        if (count) count.textContent = this.state.trash.length ? `(${this.state.trash.length})` : '';
+        const btn = document.getElementById('btn-trash');
+        if (btn) btn.classList.toggle('active', this.state.showTrash);
+    }
+
+    toggleTrash(show = !this.state.showTrash) {
+        this.state.showTrash = show;
+        this.renderSidebar();
+    }
+
+    renderStatusPill(status) {
+        const wf = this.state.workflow;
+        const state = WorkflowService.getState(wf, status);
+        if (!state || status === wf.initial) return '';
+        return `<span class="tag-pill status-pill status-${Utils.escapeHtml(status)}">${Utils.escapeHtml(state.label)}</span>`;
+    }
+
     renderCollections() {
         const list = this.dom.collectionList;
         if (!list) return; // Safety check if HTML is outdated
@@ -405,7 +1085,7 @@ class App {
             const el = document.createElement('div');
             el.className = `collection-item ${this.state.activeCollectionId === c.id ? 'active' : ''}`;
             el.innerHTML = `
-                <span>★ ${Utils.escapeHtml(c.name)}</span>
+                <span>★ ${Utils.escapeHtml(c.name)}${CollectionService.isManualCollection(c) ? ` (${c.prompt_ids.length})` : ''}</span>
                 <button class="delete-btn" title="Delete Collection">&times;</button>
             `;
 
@@ -441,6 +1121,50 @@ class App {
 
         if (cats.has(currCat)) catSelect.value = currCat;
         if (clients.has(currClient)) clientSelect.value = currClient;
+
+        const statusSelect = this.dom.filters.status;
+        if (statusSelect) {
+            const currStatus = statusSelect.value;
+            while (statusSelect.options.length > 1) statusSelect.remove(1);
+            this.state.workflow.states.forEach(st => {
+                statusSelect.add(new Option(st.hidden ? `${st.label} (hidden)` : st.label, st.id));
+            });
+            if (WorkflowService.getState(this.state.workflow, currStatus)) statusSelect.value = currStatus;
+        }
+
+        const labelSelect = this.dom.filters.label;
+        if (labelSelect) {
+            const currLabel = labelSelect.value;
+            const labels = PromptService.extractLabels(this.state.prompts);
+            while (labelSelect.options.length > 1) labelSelect.remove(1);
+            labels.forEach(l => labelSelect.add(new Option(`Has ${l} version`, l)));
+            if (labels.includes(currLabel)) labelSelect.value = currLabel;
+        }
+
+        const tagSelect = this.dom.filters.tag;
+        if (tagSelect) {
+            const currTag = tagSelect.value;
+            const counts = TagService.countTags(this.state.prompts);
+            while (tagSelect.options.length > 1) tagSelect.remove(1);
+            counts.forEach(c => tagSelect.add(new Option(`${c.tag} (${c.count})`, c.tag)));
+            if (counts.some(c => c.tag === currTag)) tagSelect.value = currTag;
+        }
+
+        const fieldSelect = this.dom.filters.field;
+        const sortSelect = this.dom.filters.sort;
+        if (fieldSelect && sortSelect) {
+            const schema = this.state.fieldSchema;
+            const currField = fieldSelect.value;
+            const currSort = sortSelect.value;
+            while (fieldSelect.options.length > 1) fieldSelect.remove(1);
+            [...sortSelect.options].filter(o => o.value.startsWith('field:')).forEach(o => o.remove());
+            schema.forEach(f => {
+                fieldSelect.add(new Option(f.label, f.id));
+                sortSelect.add(new Option(`Field: ${f.label}`, `field:${f.id}`));
+            });
+            if (schema.some(f => f.id === currField)) fieldSelect.value = currField;
+            if ([...sortSelect.options].some(o => o.value === currSort)) sortSelect.value = currSort;
+        }
     }
 
     updateDatalists() {
@@ -456,6 +1180,12 @@ class App {
 
         cats.forEach(c => { const op = document.createElement('option'); op.value = c; catList.appendChild(op); });
         clients.forEach(c => { const op = document.createElement('option'); op.value = c; clientList.appendChild(op); });
+
+        const tagList = document.getElementById('tag-list');
+        if (tagList) {
+            tagList.innerHTML = TagService.countTags(this.state.prompts)
+                .map(c => `<option value="${Utils.escapeHtml(c.tag)}">`).join('');
+        }
     }
 
     loadEditor(id) {
@@ -471,81 +1201,1203 @@ class App {
         i.desc.value = prompt.description || '';
         i.cat.value = prompt.category || '';
         i.client.value = prompt.client || '';
-        i.status.value = prompt.status || 'draft';
-        i.text.value = prompt.prompt_text || '';
-        i.tags.value = prompt.tags || '';
+        this.renderStatusOptions(prompt.status);
+        this.activeMessageIndex = 0;
+        this.renderMessageEditor(MessageService.getMessages(prompt));
+        i.tags.value = TagService.formatTags(prompt.tags);
         i.notes.value = prompt.notes || '';
+        this.renderCustomFields(prompt.custom);
+        this.resetEditorHistory();
 
         this.renderVersionHistory();
+        this.renderEvalHistory();
+        this.renderStatusHistory();
+        this.renderTemplateLinkBanner();
+        this.renderLineage();
+        this.renderPinButton();
+        this.resetRunPanel();
+        this.loadRunHistory(id);
 
         this.dom.empty.classList.add('hidden');
         this.dom.editor.classList.remove('hidden');
         this.renderSidebar();
     }
 
-    renderVersionHistory() {
-        const tbody = document.getElementById('version-list-body');
-        if (!tbody) return;
-        tbody.innerHTML = '';
-        const versions = this.state.currentPrompt.versions || [];
-
-        [...versions].reverse().forEach(v => {
-            const tr = document.createElement('tr');
-            tr.innerHTML = `
-                <td>${v.version_no}</td>
-                <td>${Utils.formatDate(v.date_created)}</td>
-                <td>${Utils.escapeHtml(v.notes)}</td>
-                <td align="right">
-                    <button class="tiny secondary btn-view-diff" data-ver="${v.version_no}">Diff</button>
-                    <button class="tiny secondary btn-restore-ver" data-ver="${v.version_no}">Restore</button>
-                </td>
-            `;
-            tbody.appendChild(tr);
-        });
-
-        tbody.querySelectorAll('.btn-view-diff').forEach(b => {
-            b.onclick = (e) => this.showDiff(parseInt(e.target.dataset.ver));
-        });
-        tbody.querySelectorAll('.btn-restore-ver').forEach(b => {
-            b.onclick = (e) => this.restoreVersion(parseInt(e.target.dataset.ver));
+    /**
+     * Fill the status select with the current status and the states it may move to
+     * @param {string} current - Saved status of the prompt
+     */
+    renderStatusOptions(current) {
+        const select = this.dom.inputs.status;
+        const wf = this.state.workflow;
+        const status = WorkflowService.resolveStatus(wf, current);
+        const allowed = WorkflowService.getAllowedTransitions(wf, status);
+
+        select.innerHTML = '';
+        wf.states.forEach(st => {
+            const option = new Option(st.label, st.id);
+            option.disabled = st.id !== status && !allowed.includes(st.id);
+            select.add(option);
         });
+        select.value = status;
+        select.dataset.saved = status;
+        this.state.statusNote = '';
     }
 
-    // --- EVENT HANDLING ---
-
-    setupEventListeners() {
-        window.onbeforeunload = (e) => {
-            if (this.state.isDirty) e.preventDefault();
-        };
+    handleStatusChange() {
+        const select = this.dom.inputs.status;
+        const wf = this.state.workflow;
+        const from = select.dataset.saved;
+        const to = select.value;
+        this.state.statusNote = '';
+        if (from === to) {
+            this.recordEditorChange();
+            return;
+        }
 
-        // Safety check helper
-        const safeBind = (id, event, handler) => {
-            const el = document.getElementById(id);
-            if (el) el[event] = handler;
-            else console.warn(`Element ${id} missing - Listener not attached.`);
-        };
+        const label = WorkflowService.getState(wf, to).label;
+        const required = WorkflowService.requiresNote(wf, from, to);
+        const note = prompt(required ? `A note is required to move to ${label}:` : `Note for moving to ${label} (optional):`, '');
 
-        Object.values(this.dom.inputs).forEach(input => {
-            if (input) input.addEventListener('input', () => this.setDirty(true));
-        });
+        if (note === null || (required && !note.trim())) {
+            select.value = from;
+            return;
+        }
+        this.state.statusNote = note;
+        this.recordEditorChange();
+    }
 
-        document.querySelectorAll('.close-btn').forEach(btn => {
-            btn.onclick = (e) => {
-                e.preventDefault();
-                const dialog = btn.closest('dialog');
-                if (dialog) dialog.close();
-            };
-        });
+    renderStatusHistory() {
+        const container = document.getElementById('status-history');
+        if (!container) return;
+        const history = this.state.currentPrompt.status_history || [];
+        const label = (id) => (WorkflowService.getState(this.state.workflow, id) || { label: id }).label;
+
+        container.classList.toggle('hidden', history.length === 0);
+        container.querySelector('summary').textContent = `Status history (${history.length})`;
+        container.querySelector('ul').innerHTML = [...history].reverse().map(h => `
+            <li>
+                <span class="status-history-date">${Utils.formatDate(h.date)}</span>
+                ${Utils.escapeHtml(label(h.from))} → <strong>${Utils.escapeHtml(label(h.to))}</strong>
+                ${h.note ? `<span class="status-history-note">${Utils.escapeHtml(h.note)}</span>` : ''}
+            </li>
+        `).join('');
+    }
 
-        safeBind('btn-new-prompt', 'onclick', () => this.handleNewPrompt());
-        safeBind('btn-save-changes', 'onclick', () => this.saveCurrent(false));
-        safeBind('btn-save-version', 'onclick', () => this.saveCurrent(true));
-        safeBind('btn-duplicate-prompt', 'onclick', () => this.handleDuplicatePrompt());
-        safeBind('btn-delete-prompt', 'onclick', () => this.deleteCurrentPrompt());
+    // --- WORKFLOW SETTINGS ---
 
-        // --- NEW: Copy to Clipboard Binding ---
+    loadWorkflow() {
+        const saved = localStorage.getItem(STORAGE_KEYS.WORKFLOW);
+        if (!saved) return WorkflowService.DEFAULT_WORKFLOW;
+        try {
+            return WorkflowService.parseWorkflow(JSON.parse(saved));
+        } catch (err) {
+            console.warn('Invalid workflow settings, using the default workflow', err);
+            return WorkflowService.DEFAULT_WORKFLOW;
+        }
+    }
+
+    openWorkflowEditor() {
+        const modal = document.getElementById('modal-workflow');
+        const input = document.getElementById('workflow-json');
+        const error = document.getElementById('workflow-error');
+        input.value = JSON.stringify(this.state.workflow, null, 2);
+        error.textContent = '';
+
+        document.getElementById('btn-workflow-reset').onclick = () => {
+            input.value = JSON.stringify(WorkflowService.DEFAULT_WORKFLOW, null, 2);
+        };
+        document.getElementById('btn-workflow-save').onclick = () => {
+            let workflow;
+            try {
+                workflow = WorkflowService.parseWorkflow(JSON.parse(input.value));
+            } catch (err) {
+                error.textContent = err.message;
+                return;
+            }
+            localStorage.setItem(STORAGE_KEYS.WORKFLOW, JSON.stringify(workflow));
+            this.state.workflow = workflow;
+            this.state.prompts.forEach(p => {
+                p.status = WorkflowService.resolveStatus(workflow, p.status);
+            });
+            if (this.state.currentPrompt) {
+                this.renderStatusOptions(this.state.prompts.find(p => p.id === this.state.currentPromptId)?.status);
+                this.renderStatusHistory();
+            }
+            this.populateFilterDropdowns();
+            this.renderSidebar();
+            modal.close();
+        };
+
+        modal.showModal();
+    }
+
+    // --- CUSTOM FIELDS ---
+
+    loadFieldSchema() {
+        try {
+            return FieldService.parseFieldSchema(JSON.parse(localStorage.getItem(STORAGE_KEYS.FIELDS)) || []);
+        } catch (err) {
+            console.warn('Invalid custom field settings, ignoring them', err);
+            return [];
+        }
+    }
+
+    openFieldEditor() {
+        const modal = document.getElementById('modal-fields');
+        const input = document.getElementById('fields-json');
+        const error = document.getElementById('fields-error');
+        input.value = JSON.stringify(this.state.fieldSchema, null, 2);
+        error.textContent = '';
+
+        document.getElementById('btn-fields-reset').onclick = () => {
+            input.value = '[]';
+        };
+        document.getElementById('btn-fields-save').onclick = () => {
+            let schema;
+            try {
+                schema = FieldService.parseFieldSchema(JSON.parse(input.value));
+            } catch (err) {
+                error.textContent = err.message;
+                return;
+            }
+            localStorage.setItem(STORAGE_KEYS.FIELDS, JSON.stringify(schema));
+            this.state.fieldSchema = schema;
+            // Keep unsaved field input when the editor is re-rendered
+            if (this.state.currentPrompt) this.renderCustomFields({ ...this.state.currentPrompt.custom, ...this.readCustomFields() });
+            this.populateFilterDropdowns();
+            this.renderSidebar();
+            modal.close();
+        };
+
+        modal.showModal();
+    }
+
+    /**
+     * Render the schema's fields into the editor
+     * @param {object} values - Custom values of the prompt
+     */
+    renderCustomFields(values) {
+        const container = document.getElementById('custom-fields');
+        if (!container) return;
+        container.innerHTML = FieldUI.renderCustomFields(this.state.fieldSchema, values || {});
+    }
+
+    /**
+     * Read the custom field inputs of the editor
+     * @returns {object} Map of field id to coerced value
+     */
+    readCustomFields() {
+        const values = {};
+        document.querySelectorAll('#custom-fields .custom-field-input').forEach(input => {
+            const field = this.state.fieldSchema.find(f => f.id === input.dataset.field);
+            if (!field) return;
+            values[field.id] = FieldService.coerceFieldValue(field, input.type === 'checkbox' ? input.checked : input.value);
+        });
+        return values;
+    }
+
+    // --- TOKENS & COST ---
+
+    loadModels() {
+        const saved = localStorage.getItem(STORAGE_KEYS.MODELS);
+        if (!saved) return TokenService.DEFAULT_MODELS;
+        try {
+            return TokenService.parseModelTable(JSON.parse(saved));
+        } catch (err) {
+            console.warn('Invalid model settings, using the default models', err);
+            return TokenService.DEFAULT_MODELS;
+        }
+    }
+
+    renderModelOptions() {
+        const select = document.getElementById('token-model');
+        if (!select) return;
+        const model = TokenService.findModel(this.state.models, localStorage.getItem(STORAGE_KEYS.TOKEN_MODEL));
+        select.innerHTML = '';
+        this.state.models.forEach(m => select.add(new Option(m.name, m.id)));
+        select.value = model.id;
+        select.onchange = () => {
+            localStorage.setItem(STORAGE_KEYS.TOKEN_MODEL, select.value);
+            this.renderTokenStats();
+        };
+    }
+
+    openModelEditor() {
+        const modal = document.getElementById('modal-models');
+        const input = document.getElementById('models-json');
+        const error = document.getElementById('models-error');
+        input.value = JSON.stringify(this.state.models, null, 2);
+        error.textContent = '';
+
+        document.getElementById('btn-models-reset').onclick = () => {
+            input.value = JSON.stringify(TokenService.DEFAULT_MODELS, null, 2);
+        };
+        document.getElementById('btn-models-save').onclick = () => {
+            let models;
+            try {
+                models = TokenService.parseModelTable(JSON.parse(input.value));
+            } catch (err) {
+                error.textContent = err.message;
+                return;
+            }
+            localStorage.setItem(STORAGE_KEYS.MODELS, JSON.stringify(models));
+            this.state.models = models;
+            this.renderModelOptions();
+            this.renderTokenStats();
+            modal.close();
+        };
+
+        modal.showModal();
+    }
+
+    /**
+     * Values known for the editor's variables: declared defaults, overridden
+     * by the values last used with Run & Copy on this prompt
+     * @param {Array} messages - Editor messages
+     * @returns {object} Map of variable name to value (only non-empty values)
+     */
+    getKnownVariableValues(messages) {
+        let descriptors;
+        try {
+            descriptors = MessageService.extractMessageVariables(messages, this.state.templates);
+        } catch (err) {
+            return {}; // Syntax errors are reported when the prompt is run
+        }
+        const values = {
+            ...TemplateService.getDefaultValues(descriptors),
+            ...(this.runValues.get(this.state.currentPromptId) || {})
+        };
+        const names = descriptors.map(d => d.name);
+        return Object.fromEntries(Object.entries(values).filter(([k, v]) => names.includes(k) && v !== '' && v !== undefined));
+    }
+
+    /**
+     * Live token, character and cost estimate for the messages in the editor
+     */
+    renderTokenStats() {
+        const countEl = document.getElementById('token-count');
+        const costEl = document.getElementById('token-cost');
+        if (!countEl || !costEl) return;
+
+        const raw = this.readMessages();
+        const values = this.getKnownVariableValues(raw);
+        const substituted = Object.keys(values).length > 0;
+        const messages = substituted
+            ? raw.map(m => ({ ...m, content: TemplateService.substituteVariables(m.content, values) }))
+            : raw;
+
+        const tokens = TokenService.countMessageTokens(messages);
+        const chars = MessageService.flattenMessages(messages).length;
+        const model = TokenService.findModel(this.state.models, document.getElementById('token-model')?.value);
+        const overLimit = model.context !== null && tokens > model.context;
+
+        countEl.textContent = `~${tokens.toLocaleString()} tokens · ${chars.toLocaleString()} chars` +
+            (substituted ? ' (with variable values)' : '');
+        countEl.classList.toggle('over-limit', overLimit);
+        countEl.title = overLimit ? `Exceeds the ${model.context.toLocaleString()} token context of ${model.name}` : '';
+        costEl.textContent = `${TokenService.formatCost(TokenService.estimateCost(tokens, model))} input`;
+    }
+
+    /**
+     * Token count of a version with its change from the previous version
+     * @param {{tokens: number, delta: number|null}} entry
+     * @returns {string} HTML string
+     */
+    renderTokenDelta(entry) {
+        if (!entry) return '';
+        const { tokens, delta } = entry;
+        if (!delta) return `${tokens}`;
+        const cls = delta > 0 ? 'up' : 'down';
+        return `${tokens}<span class="token-delta ${cls}">${delta > 0 ? '+' : ''}${delta}</span>`;
+    }
+
+    // --- LINT ---
+
+    loadLintConfig() {
+        try {
+            return LintService.parseLintConfig(JSON.parse(localStorage.getItem(STORAGE_KEYS.LINT)));
+        } catch (err) {
+            console.warn('Invalid lint settings, using the default rules', err);
+            return LintService.DEFAULT_LINT_CONFIG;
+        }
+    }
+
+    openLintSettings() {
+        const modal = document.getElementById('modal-lint');
+        const container = document.getElementById('lint-settings');
+        const render = (config) => {
+            container.innerHTML = LintUI.renderLintSettings(LintService.LINT_RULES, config);
+        };
+        render(this.state.lintConfig);
+
+        document.getElementById('btn-lint-reset').onclick = () => render(LintService.DEFAULT_LINT_CONFIG);
+        document.getElementById('btn-lint-save').onclick = () => {
+            const rules = {};
+            container.querySelectorAll('.lint-rule-toggle').forEach(box => { rules[box.dataset.rule] = box.checked; });
+            const config = LintService.parseLintConfig({
+                rules,
+                maxLineLength: document.getElementById('lint-max-line').value
+            });
+            localStorage.setItem(STORAGE_KEYS.LINT, JSON.stringify(config));
+            this.state.lintConfig = config;
+            this.resetSidebarCache();
+            this.renderLintPanel();
+            this.renderSidebar();
+            modal.close();
+        };
+
+        modal.showModal();
+    }
+
+    /**
+     * Show lint results for the messages in the editor
+     */
+    renderLintPanel() {
+        const list = document.getElementById('lint-list');
+        if (!list) return;
+        const messages = this.readMessages();
+        const issues = LintService.lintPrompt({ messages }, this.state.lintConfig, this.state.templates);
+
+        document.getElementById('lint-summary').textContent = LintUI.summarizeIssues(issues);
+        list.innerHTML = LintUI.renderLintList(issues, messages.length > 1);
+        list.querySelectorAll('.lint-issue').forEach(item => {
+            const issue = issues[parseInt(item.dataset.index)];
+            item.onclick = () => {
+                const inputs = this.dom.messages.querySelectorAll('.message-content');
+                this.focusLine(inputs[issue.message_index], issue.line);
+            };
+        });
+    }
+
+    /**
+     * Show lint results for the template open in the template manager
+     */
+    renderTemplateLint() {
+        const list = document.getElementById('tmpl-lint-list');
+        if (!list) return;
+        const textIn = document.getElementById('tmpl-text');
+        const saved = this.state.templates.find(t => t.id === document.getElementById('tmpl-id').value);
+        const template = { ...(saved || {}), template_text: textIn.value };
+        const issues = LintService.lintTemplate(template, this.state.lintConfig, this.state.templates);
+
+        document.getElementById('tmpl-lint-summary').textContent = LintUI.summarizeIssues(issues);
+        list.innerHTML = LintUI.renderLintList(issues);
+        list.querySelectorAll('.lint-issue').forEach(item => {
+            item.onclick = () => this.focusLine(textIn, issues[parseInt(item.dataset.index)].line);
+        });
+    }
+
+    /**
+     * Focus a textarea and select one of its lines
+     * @param {HTMLTextAreaElement} textarea
+     * @param {number|null} line - 1-based line (null just focuses)
+     */
+    focusLine(textarea, line) {
+        if (!textarea) return;
+        textarea.focus();
+        if (!line) return;
+        const lines = textarea.value.split('\n');
+        const start = lines.slice(0, line - 1).reduce((sum, l) => sum + l.length + 1, 0);
+        textarea.setSelectionRange(start, start + (lines[line - 1] || '').length);
+    }
+
+    // --- UNDO / REDO & DRAFTS ---
+
+    /**
+     * Every editor field as one snapshot (undo history and drafts)
+     */
+    readEditorSnapshot() {
+        const i = this.dom.inputs;
+        return {
+            title: i.title.value,
+            description: i.desc.value,
+            category: i.cat.value,
+            client: i.client.value,
+            status: i.status.value,
+            tags: i.tags.value,
+            notes: i.notes.value,
+            messages: this.readMessages(),
+            custom: this.readCustomFields()
+        };
+    }
+
+    applyEditorSnapshot(snapshot) {
+        const i = this.dom.inputs;
+        i.title.value = snapshot.title;
+        i.desc.value = snapshot.description;
+        i.cat.value = snapshot.category;
+        i.client.value = snapshot.client;
+        i.status.value = snapshot.status;
+        if (snapshot.status === i.status.dataset.saved) this.state.statusNote = '';
+        i.tags.value = snapshot.tags;
+        i.notes.value = snapshot.notes;
+        this.renderMessageEditor(snapshot.messages);
+        this.renderCustomFields(snapshot.custom);
+    }
+
+    /**
+     * Start the undo history of the prompt just loaded, or continue the one
+     * kept from an earlier visit so reloading or discarding can be undone
+     */
+    resetEditorHistory() {
+        const id = this.state.currentPromptId;
+        const history = this.histories.get(id);
+        this.savedSnapshot = this.readEditorSnapshot();
+        this.histories.set(id, history
+            ? HistoryService.recordChange(history, this.savedSnapshot)
+            : HistoryService.createHistory(this.savedSnapshot));
+        this.renderUndoButtons();
+    }
+
+    /**
+     * @param {string|null} group - Field being typed in, so keystrokes form one undo step
+     */
+    recordEditorChange(group = null) {
+        const id = this.state.currentPromptId;
+        const history = this.histories.get(id);
+        if (!history) return;
+        this.histories.set(id, HistoryService.recordChange(history, this.readEditorSnapshot(), group));
+        this.renderUndoButtons();
+    }
+
+    /**
+     * Undo (-1) or redo (1) the last change in the editor
+     * @param {number} direction
+     */
+    stepEditorHistory(direction) {
+        const id = this.state.currentPromptId;
+        const history = this.histories.get(id);
+        if (!history) return;
+        const next = direction < 0 ? HistoryService.undo(history) : HistoryService.redo(history);
+        if (next === history) return;
+
+        this.histories.set(id, next);
+        this.applyEditorSnapshot(next.present);
+        this.setDirty(!HistoryService.isSameSnapshot(next.present, this.savedSnapshot));
+        this.renderUndoButtons();
+    }
+
+    renderUndoButtons() {
+        const history = this.histories.get(this.state.currentPromptId);
+        const undoBtn = document.getElementById('btn-undo');
+        const redoBtn = document.getElementById('btn-redo');
+        if (undoBtn) undoBtn.disabled = !HistoryService.canUndo(history);
+        if (redoBtn) redoBtn.disabled = !HistoryService.canRedo(history);
+    }
+
+    /**
+     * Write unsaved editor content to the drafts store (every storage mode
+     * keeps drafts locally), or remove the draft once nothing is unsaved
+     */
+    async autosaveDraft() {
+        const id = this.state.isDirty ? this.state.currentPromptId : null;
+        if (this.draft && this.draft.promptId !== id) await this.discardDraft();
+        if (!id) return;
+
+        const snapshot = this.readEditorSnapshot();
+        if (this.draft && HistoryService.isSameSnapshot(this.draft.snapshot, snapshot)) return;
+        this.draft = { promptId: id, snapshot };
+        await this.store.put('drafts', HistoryService.createDraft(id, snapshot));
+    }
+
+    async discardDraft() {
+        if (!this.draft) return;
+        const { promptId } = this.draft;
+        this.draft = null;
+        await this.store.delete('drafts', promptId);
+    }
+
+    /**
+     * Offer to restore a draft left by a crash or a closed tab
+     */
+    async recoverDraft() {
+        if (this.state.isDirty) return;
+        const [draft] = HistoryService.getRecoverableDrafts(await this.store.getAll('drafts'), this.state.prompts);
+        if (!draft) return;
+
+        const prompt = this.state.prompts.find(p => p.id === draft.id);
+        if (!confirm(`Recover unsaved changes to "${prompt.title || 'Untitled'}" from ${Utils.formatDate(draft.saved_at)}?`)) {
+            await this.store.delete('drafts', draft.id);
+            return;
+        }
+
+        this.loadEditor(draft.id);
+        this.applyEditorSnapshot(draft.snapshot);
+        this.setDirty(true);
+        this.recordEditorChange();
+        this.draft = { promptId: draft.id, snapshot: draft.snapshot };
+    }
+
+    // --- MESSAGE EDITOR ---
+
+    renderMessageEditor(messages) {
+        const list = this.dom.messages;
+        list.innerHTML = MessageEditorUI.renderMessageList(messages, MessageService.MESSAGE_ROLES);
+        this.activeMessageIndex = Math.min(this.activeMessageIndex, messages.length - 1);
+
+        list.querySelectorAll('.message-card').forEach(card => {
+            const index = parseInt(card.dataset.index);
+            const content = card.querySelector('.message-content');
+
+            card.querySelector('.message-role').onchange = (e) => {
+                card.className = `message-card role-${e.target.value}`;
+            };
+            card.querySelector('.btn-msg-up').onclick = () => {
+                this.updateMessages(MessageService.moveMessage(this.readMessages(), index, -1), index - 1);
+            };
+            card.querySelector('.btn-msg-down').onclick = () => {
+                this.updateMessages(MessageService.moveMessage(this.readMessages(), index, 1), index + 1);
+            };
+            card.querySelector('.btn-msg-remove').onclick = () => {
+                if (content.value.trim() && !confirm('Remove this message?')) return;
+                this.updateMessages(MessageService.removeMessage(this.readMessages(), index), Math.max(0, index - 1));
+            };
+            content.onfocus = () => { this.activeMessageIndex = index; };
+        });
+        this.renderTokenStats();
+        this.renderLintPanel();
+    }
+
+    updateMessages(messages, focusIndex) {
+        this.activeMessageIndex = focusIndex;
+        this.renderMessageEditor(messages);
+        this.setDirty(true);
+        this.recordEditorChange();
+        const input = this.getActiveMessageInput();
+        if (input) input.focus();
+    }
+
+    addMessage() {
+        const messages = this.readMessages();
+        const message = MessageService.createMessage(MessageService.nextRole(messages));
+        this.updateMessages([...messages, message], messages.length);
+    }
+
+    readMessages() {
+        return Array.from(this.dom.messages.querySelectorAll('.message-card')).map(card =>
+            MessageService.createMessage(card.querySelector('.message-role').value, card.querySelector('.message-content').value));
+    }
+
+    /**
+     * Flattened text of the messages in the editor (what Copy and Run use)
+     */
+    getEditorText() {
+        return MessageService.flattenMessages(this.readMessages());
+    }
+
+    getActiveMessageInput() {
+        const inputs = this.dom.messages.querySelectorAll('.message-content');
+        return inputs[this.activeMessageIndex] || inputs[inputs.length - 1];
+    }
+
+    renderVersionHistory() {
+        const tbody = document.getElementById('version-list-body');
+        if (!tbody) return;
+        tbody.innerHTML = '';
+        const p = this.state.currentPrompt;
+        const versions = p.versions || [];
+        const tokens = TokenService.getVersionTokenDeltas(versions);
+
+        [...versions].reverse().forEach(v => {
+            const badges = PromptService.getVersionLabels(p, v.version_no).map(l => `
+                <span class="version-label label-${Utils.escapeHtml(l)}">${Utils.escapeHtml(l)}<button class="btn-remove-label" data-label="${Utils.escapeHtml(l)}" title="Remove label">&times;</button></span>
+            `).join('');
+            const tr = document.createElement('tr');
+            tr.innerHTML = `
+                <td>${v.version_no}${badges}</td>
+                <td>${Utils.formatDate(v.date_created)}</td>
+                <td>${this.renderTokenDelta(tokens.get(v.version_no))}</td>
+                <td>${Utils.escapeHtml(v.notes)}</td>
+                <td align="right">
+                    <button class="tiny secondary btn-label-ver" data-ver="${v.version_no}" title="Mark as production, staging or a custom label">Label</button>
+                    <button class="tiny secondary btn-view-diff" data-ver="${v.version_no}">Diff</button>
+                    <button class="tiny secondary btn-restore-ver" data-ver="${v.version_no}">Restore</button>
+                </td>
+            `;
+            tbody.appendChild(tr);
+        });
+
+        tbody.querySelectorAll('.btn-label-ver').forEach(b => {
+            b.onclick = (e) => this.labelVersion(parseInt(e.target.dataset.ver));
+        });
+        tbody.querySelectorAll('.btn-remove-label').forEach(b => {
+            b.onclick = (e) => this.removeLabel(e.target.dataset.label);
+        });
+        tbody.querySelectorAll('.btn-view-diff').forEach(b => {
+            b.onclick = (e) => this.showDiff(parseInt(e.target.dataset.ver));
+        });
+        tbody.querySelectorAll('.btn-restore-ver').forEach(b => {
+            b.onclick = (e) => this.restoreVersion(parseInt(e.target.dataset.ver));
+        });
+    }
+
+    // --- LLM ENDPOINTS ---
+
+    loadEndpoints() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(STORAGE_KEYS.ENDPOINTS));
+            if (saved) return LlmService.parseEndpoints(saved);
+            // Earlier versions kept a single eval endpoint
+            const legacy = JSON.parse(localStorage.getItem(STORAGE_KEYS.EVAL));
+            return legacy ? LlmService.parseEndpoints([legacy]) : LlmService.DEFAULT_ENDPOINTS;
+        } catch (err) {
+            console.warn('Invalid endpoint settings, using the default endpoint', err);
+            return LlmService.DEFAULT_ENDPOINTS;
+        }
+    }
+
+    getActiveEndpoint() {
+        return LlmService.findEndpoint(this.state.endpoints, localStorage.getItem(STORAGE_KEYS.ENDPOINT));
+    }
+
+    renderEndpointOptions() {
+        const select = document.getElementById('run-endpoint');
+        if (!select) return;
+        select.innerHTML = RunUI.renderEndpointOptions(this.state.endpoints, this.getActiveEndpoint().id);
+        select.onchange = () => localStorage.setItem(STORAGE_KEYS.ENDPOINT, select.value);
+    }
+
+    openEndpointSettings() {
+        const modal = document.getElementById('modal-endpoints');
+        const input = document.getElementById('endpoints-json');
+        const error = document.getElementById('endpoints-error');
+        input.value = JSON.stringify(this.state.endpoints, null, 2);
+        error.textContent = '';
+
+        document.getElementById('btn-endpoints-reset').onclick = () => {
+            input.value = JSON.stringify(LlmService.DEFAULT_ENDPOINTS, null, 2);
+        };
+        document.getElementById('btn-endpoints-save').onclick = () => {
+            let endpoints;
+            try {
+                endpoints = LlmService.parseEndpoints(JSON.parse(input.value));
+            } catch (err) {
+                error.textContent = err.message;
+                return;
+            }
+            localStorage.setItem(STORAGE_KEYS.ENDPOINTS, JSON.stringify(endpoints));
+            localStorage.removeItem(STORAGE_KEYS.EVAL);
+            this.state.endpoints = endpoints;
+            this.renderEndpointOptions();
+            modal.close();
+        };
+
+        modal.showModal();
+    }
+
+    // --- EXECUTE MODE ---
+
+    isExecuteMode() {
+        return !!document.getElementById('run-execute')?.checked;
+    }
+
+    renderExecuteMode() {
+        const execute = this.isExecuteMode();
+        document.getElementById('btn-run-prompt').textContent = execute ? 'Run' : 'Run & Copy';
+        document.getElementById('run-panel').classList.toggle('hidden', !execute);
+    }
+
+    /**
+     * Send the rendered messages to the active endpoint, stream the reply
+     * into the output pane and save the run
+     * @param {object} values - Variable values
+     */
+    async executePrompt(values) {
+        const messages = this.readMessages();
+        let input;
+        try {
+            input = MessageService.renderMessages(messages, values, this.state.templates);
+        } catch (err) {
+            if (!(err instanceof TemplateService.TemplateSyntaxError)) throw err;
+            alert(`Template error: ${err.message}`);
+            return;
+        }
+
+        // Taken now: another prompt may be open by the time the reply is complete
+        const promptId = this.state.currentPromptId;
+        const versionNo = EvalService.getEvaluatedVersion({ messages, versions: this.state.currentPrompt.versions });
+        const endpoint = this.getActiveEndpoint();
+        const output = document.getElementById('run-output');
+        const status = document.getElementById('run-status');
+        const stopBtn = document.getElementById('btn-run-stop');
+        if (this.runAbort) this.runAbort.abort();
+        const abort = new AbortController();
+        this.runAbort = abort;
+
+        output.textContent = '';
+        output.classList.remove('hidden');
+        status.textContent = `Running on ${endpoint.name} · ${endpoint.model}…`;
+        stopBtn.classList.remove('hidden');
+
+        try {
+            const result = await LlmService.streamCompletion(input, endpoint, (url, options) => fetch(url, options), {
+                signal: abort.signal,
+                onText: (piece) => { if (this.runAbort === abort) output.textContent += piece; }
+            });
+            const run = RunService.createRun(Utils.generateId, {
+                prompt_id: promptId,
+                version_no: versionNo,
+                input,
+                output: result.text,
+                model: endpoint.model,
+                latency_ms: result.latency_ms,
+                stopped: result.stopped
+            });
+            await this.saveRun(run);
+            if (this.runAbort === abort) status.textContent = RunUI.describeRun(run);
+        } catch (err) {
+            if (!(err instanceof LlmService.LlmError)) throw err;
+            if (this.runAbort === abort) status.textContent = `Error: ${err.message}`;
+        } finally {
+            if (this.runAbort === abort) {
+                this.runAbort = null;
+                stopBtn.classList.add('hidden');
+            }
+        }
+    }
+
+    /**
+     * Clear the output pane for another prompt, stopping a run in progress
+     * (it is still saved to its own prompt)
+     */
+    resetRunPanel() {
+        if (this.runAbort) this.runAbort.abort();
+        this.runAbort = null;
+        this.promptRuns = [];
+        document.getElementById('run-output')?.classList.add('hidden');
+        document.getElementById('btn-run-stop')?.classList.add('hidden');
+        const status = document.getElementById('run-status');
+        if (status) status.textContent = '';
+        this.renderRunHistory();
+    }
+
+    /**
+     * Store a run locally and drop the oldest runs of its prompt
+     * @param {object} run
+     */
+    async saveRun(run) {
+        await this.store.put('runs', run);
+        const runs = await this.store.getAllByIndex('runs', 'prompt_id', run.prompt_id);
+        const stale = RunService.getRunsToPrune(runs, run.prompt_id);
+        if (stale.length) await this.store.deleteMany('runs', stale);
+        if (run.prompt_id === this.state.currentPromptId) {
+            this.promptRuns = RunService.getPromptRuns(runs.filter(r => !stale.includes(r.id)), run.prompt_id);
+            this.renderRunHistory();
+        }
+    }
+
+    async loadRunHistory(promptId) {
+        const runs = await this.store.getAllByIndex('runs', 'prompt_id', promptId);
+        if (promptId !== this.state.currentPromptId) return;
+        this.promptRuns = RunService.getPromptRuns(runs, promptId);
+        this.renderRunHistory();
+    }
+
+    renderRunHistory() {
+        const details = document.getElementById('run-history');
+        if (!details) return;
+        details.querySelector('summary').textContent = `Run history (${this.promptRuns.length})`;
+        const list = details.querySelector('ul');
+        list.innerHTML = RunUI.renderRunHistory(this.promptRuns, Utils.formatDate);
+        list.querySelectorAll('.run-item').forEach(item => {
+            item.onclick = () => {
+                const run = this.promptRuns.find(r => r.id === item.dataset.id);
+                const output = document.getElementById('run-output');
+                output.textContent = run.output;
+                output.classList.remove('hidden');
+                document.getElementById('run-status').textContent = `${Utils.formatDate(run.date)} · ${RunUI.describeRun(run)}`;
+            };
+        });
+    }
+
+    // --- A/B COMPARE ---
+
+    /**
+     * Open the compare workspace
+     * @param {string} promptIdA
+     * @param {string} [promptIdB] - Second prompt; without it versions of the first are compared
+     */
+    openCompare(promptIdA, promptIdB = promptIdA) {
+        if (!this.state.prompts.some(p => p.id === promptIdA)) {
+            alert("Save the prompt before comparing it.");
+            return;
+        }
+        const modal = document.getElementById('modal-compare');
+        const variants = CompareService.listVariants(this.state.prompts);
+        const pair = CompareService.getDefaultPair(variants, promptIdA, promptIdB);
+        this.compareVariants = variants;
+
+        document.getElementById('compare-a').innerHTML = CompareUI.renderVariantOptions(variants, pair.a);
+        document.getElementById('compare-b').innerHTML = CompareUI.renderVariantOptions(variants, pair.b);
+        document.getElementById('compare-vars').innerHTML = '';
+        ['compare-a', 'compare-b'].forEach(id => {
+            document.getElementById(id).onchange = () => this.renderComparison(true);
+        });
+        document.getElementById('compare-granularity').onchange = () => this.renderComparison(false);
+        document.getElementById('btn-compare-run').onclick = () => this.runComparison();
+        document.getElementById('btn-compare-stop').onclick = () => this.compareAbort?.abort();
+        document.getElementById('btn-compare-win-a').onclick = () => this.recordCompareWinner('a');
+        document.getElementById('btn-compare-win-b').onclick = () => this.recordCompareWinner('b');
+        modal.onclose = () => this.compareAbort?.abort();
+
+        this.renderComparison(true);
+        modal.showModal();
+    }
+
+    getComparedVariants() {
+        const find = (id) => this.compareVariants.find(v => v.key === document.getElementById(id).value);
+        return { a: find('compare-a'), b: find('compare-b') };
+    }
+
+    readCompareValues() {
+        const values = {};
+        document.querySelectorAll('#compare-vars .var-input').forEach(inp => {
+            values[inp.dataset.var] = inp.value;
+        });
+        return values;
+    }
+
+    /**
+     * Render the diff and, when the selection changed, reset the variable
+     * inputs (keeping typed values) and the outputs
+     * @param {boolean} selectionChanged
+     */
+    renderComparison(selectionChanged) {
+        const { a, b } = this.getComparedVariants();
+        // Unrelated prompts can be long and far apart: large texts are diffed by line
+        const requested = document.getElementById('compare-granularity').value;
+        const granularity = DiffService.resolveGranularity(a.text, b.text, requested);
+        const rows = DiffService.sideBySide(a.text, b.text, granularity);
+        document.getElementById('compare-diff').innerHTML = DiffUI.renderSideBySideDiff(rows);
+        document.getElementById('compare-diff-stats').innerHTML = DiffUI.renderDiffStats(DiffService.sideBySideStats(rows)) +
+            (granularity === requested ? '' : '<span class="diff-stat-same">(too large, diffed by line)</span>');
+        if (!selectionChanged) return;
+
+        if (this.compareAbort) this.compareAbort.abort();
+        const values = { ...(this.runValues.get(a.promptId) || {}), ...this.readCompareValues() };
+        document.getElementById('compare-vars').innerHTML =
+            TemplatePickerUI.renderVariableInputs(CompareService.getSharedVariables(a, b, this.state.templates), values);
+        document.getElementById('compare-status').textContent = '';
+        this.compareResults = {};
+        ['a', 'b'].forEach(side => {
+            document.getElementById(`compare-${side}-output`).textContent = '';
+            this.renderCompareSide(side);
+        });
+    }
+
+    renderCompareSide(side) {
+        const variant = this.getComparedVariants()[side];
+        const stats = this.compareResults[side] || { inputTokens: TokenService.countMessageTokens(variant.messages) };
+        document.getElementById(`compare-${side}-stats`).innerHTML = CompareUI.renderCompareStats(stats);
+
+        const winBtn = document.getElementById(`btn-compare-win-${side}`);
+        winBtn.disabled = variant.noteVersion === null;
+        winBtn.title = variant.noteVersion === null
+            ? 'Save a version of this text to record results on it'
+            : `Note the result on ${variant.title} v${variant.noteVersion}`;
+    }
+
+    /**
+     * Run A, then B, with the same variable values on the active endpoint.
+     * Each run is also saved to its prompt's run history.
+     */
+    async runComparison() {
+        const { a, b } = this.getComparedVariants();
+        const container = document.getElementById('compare-vars');
+        const values = this.readCompareValues();
+        const errors = TemplateService.validateVariableValues(CompareService.getSharedVariables(a, b, this.state.templates), values);
+        this.showVariableErrors(container, errors);
+        if (errors.length) return;
+
+        const endpoint = this.getActiveEndpoint();
+        const status = document.getElementById('compare-status');
+        const runBtn = document.getElementById('btn-compare-run');
+        const stopBtn = document.getElementById('btn-compare-stop');
+        if (this.compareAbort) this.compareAbort.abort();
+        const abort = new AbortController();
+        this.compareAbort = abort;
+        runBtn.disabled = true;
+        stopBtn.classList.remove('hidden');
+
+        try {
+            for (const [side, variant] of [['a', a], ['b', b]]) {
+                if (abort.signal.aborted) break;
+                status.textContent = `Running ${side.toUpperCase()} on ${endpoint.name} · ${endpoint.model}…`;
+                await this.runCompareSide(side, variant, values, endpoint, abort);
+            }
+            if (this.compareAbort === abort) status.textContent = abort.signal.aborted ? 'Stopped.' : 'Done.';
+        } finally {
+            if (this.compareAbort === abort) {
+                this.compareAbort = null;
+                runBtn.disabled = false;
+                stopBtn.classList.add('hidden');
+            }
+        }
+    }
+
+    async runCompareSide(side, variant, values, endpoint, abort) {
+        const output = document.getElementById(`compare-${side}-output`);
+        const current = () => this.compareAbort === abort;
+        output.textContent = '';
+
+        let input;
+        try {
+            input = MessageService.renderMessages(variant.messages, values, this.state.templates);
+        } catch (err) {
+            if (!(err instanceof TemplateService.TemplateSyntaxError)) throw err;
+            output.textContent = `Template error: ${err.message}`;
+            return;
+        }
+
+        try {
+            const result = await LlmService.streamCompletion(input, endpoint, (url, options) => fetch(url, options), {
+                signal: abort.signal,
+                onText: (piece) => { if (current()) output.textContent += piece; }
+            });
+            await this.saveRun(RunService.createRun(Utils.generateId, {
+                prompt_id: variant.promptId,
+                version_no: variant.noteVersion,
+                input,
+                output: result.text,
+                model: endpoint.model,
+                latency_ms: result.latency_ms,
+                stopped: result.stopped
+            }));
+            if (!current()) return;
+            this.compareResults[side] = {
+                inputTokens: TokenService.countMessageTokens(input),
+                outputTokens: TokenService.countTokens(result.text),
+                latency_ms: result.latency_ms,
+                model: endpoint.model,
+                stopped: result.stopped
+            };
+            this.renderCompareSide(side);
+        } catch (err) {
+            if (!(err instanceof LlmService.LlmError)) throw err;
+            if (current()) output.textContent = `Error: ${err.message}`;
+        }
+    }
+
+    /**
+     * Note on the winning version which variant it was preferred over
+     * @param {'a'|'b'} side - The winner
+     */
+    async recordCompareWinner(side) {
+        const { a, b } = this.getComparedVariants();
+        const [winner, loser] = side === 'a' ? [a, b] : [b, a];
+        if (winner.noteVersion === null) return;
+        const stored = this.state.prompts.find(p => p.id === winner.promptId);
+        if (!stored) return;
+
+        const comment = prompt(`Why did ${side.toUpperCase()} win? (optional)`, '');
+        if (comment === null) return;
+        CompareService.recordWinner(stored, winner.noteVersion, CompareService.formatWinnerNote(loser, new Date().toISOString(), comment));
+        await this.persistPrompt(stored);
+
+        if (stored.id === this.state.currentPromptId) {
+            this.state.currentPrompt.versions = stored.versions.map(v => ({ ...v }));
+            this.renderVersionHistory();
+        }
+        document.getElementById('compare-status').textContent = `Noted on ${winner.title} v${winner.noteVersion}.`;
+    }
+
+    // --- EVALUATIONS ---
+
+    /**
+     * Saved copy of the open prompt; test cases and runs are written to it
+     * directly, like labels, so unsaved editor changes are left alone
+     * @returns {object|null}
+     */
+    getStoredCurrentPrompt() {
+        return this.state.prompts.find(x => x.id === this.state.currentPromptId) || null;
+    }
+
+    openTestCaseEditor() {
+        const stored = this.getStoredCurrentPrompt();
+        if (!stored) return;
+        const modal = document.getElementById('modal-tests');
+        const input = document.getElementById('tests-json');
+        const error = document.getElementById('tests-error');
+        const cases = stored.test_cases || [];
+        // Start from an example so the format is discoverable
+        const variables = MessageService.extractMessageVariables(MessageService.getMessages(stored), this.state.templates);
+        const example = [{
+            name: 'Example',
+            values: Object.fromEntries(variables.map(v => [v.name, v.defaultValue])),
+            assertions: [{ type: 'contains', value: 'expected text' }, { type: 'max-length', value: 2000 }]
+        }];
+        input.value = JSON.stringify(cases.length ? cases : example, null, 2);
+        error.textContent = '';
+
+        document.getElementById('btn-tests-save').onclick = async () => {
+            let parsed;
+            try {
+                parsed = EvalService.parseTestCases(JSON.parse(input.value), Utils.generateId);
+            } catch (err) {
+                error.textContent = err.message;
+                return;
+            }
+            stored.test_cases = parsed;
+            this.state.currentPrompt.test_cases = JSON.parse(JSON.stringify(parsed));
+            await this.persistPrompt(stored);
+            this.renderEvalHistory();
+            modal.close();
+        };
+
+        modal.showModal();
+    }
+
+    async runEvaluations() {
+        const stored = this.getStoredCurrentPrompt();
+        if (!stored) return;
+        const cases = stored.test_cases || [];
+        if (!cases.length) {
+            this.openTestCaseEditor();
+            return;
+        }
+        if (this.state.isDirty && !confirm('Evaluations run on the saved prompt. Run without your unsaved changes?')) return;
+
+        const btn = document.getElementById('btn-run-evals');
+        const endpoint = this.getActiveEndpoint();
+        const versionNo = EvalService.getEvaluatedVersion(stored);
+        btn.disabled = true;
+        try {
+            const results = await EvalService.runTestCases(MessageService.getMessages(stored), cases, endpoint, {
+                fetchFn: (url, options) => fetch(url, options),
+                templates: this.state.templates,
+                onProgress: (done, total) => { btn.textContent = `Running ${done}/${total}…`; }
+            });
+            // The prompt may have been saved, deleted or left while the run was in flight
+            const latest = this.state.prompts.find(p => p.id === stored.id);
+            if (!latest) return;
+            const run = EvalService.createEvalRun(Utils.generateId, versionNo, endpoint.model, results);
+            EvalService.addEvalRun(latest, run);
+            await this.persistPrompt(latest);
+            if (this.state.currentPromptId !== latest.id) return;
+            this.state.currentPrompt.eval_runs = [...latest.eval_runs];
+            this.renderEvalHistory();
+            this.showEvalResults(run);
+        } finally {
+            btn.disabled = false;
+            btn.textContent = 'Run Evals';
+        }
+    }
+
+    renderEvalHistory() {
+        const tbody = document.getElementById('eval-list-body');
+        if (!tbody) return;
+        const p = this.state.currentPrompt;
+        const runs = p.eval_runs || [];
+        const count = (p.test_cases || []).length;
+
+        document.getElementById('btn-edit-tests').textContent = `Test Cases (${count})`;
+        tbody.innerHTML = EvalUI.renderEvalHistory(runs, Utils.formatDate);
+        tbody.querySelectorAll('.btn-eval-details').forEach(b => {
+            b.onclick = () => this.showEvalResults(runs.find(r => r.id === b.dataset.id));
+        });
+    }
+
+    showEvalResults(run) {
+        if (!run) return;
+        const version = run.version_no === null ? 'unversioned text' : `Version ${run.version_no}`;
+        document.getElementById('eval-results-title').textContent =
+            `${run.passed}/${run.total} passed · ${version} · ${run.model} · ${Utils.formatDate(run.date)}`;
+        document.getElementById('eval-results').innerHTML = EvalUI.renderEvalResults(run);
+        document.getElementById('modal-eval-results').showModal();
+    }
+
+    // --- EVENT HANDLING ---
+
+    setupEventListeners() {
+        window.onbeforeunload = (e) => {
+            if (!this.state.isDirty) return;
+            this.autosaveDraft();
+            e.preventDefault();
+        };
+
+        // Safety check helper
+        const safeBind = (id, event, handler) => {
+            const el = document.getElementById(id);
+            if (el) el[event] = handler;
+            else console.warn(`Element ${id} missing - Listener not attached.`);
+        };
+
+        Object.values(this.dom.inputs).forEach(input => {
+            if (!input) return;
+            input.addEventListener('input', () => {
+                this.setDirty(true);
+                // Status changes are recorded once handleStatusChange has asked for the note
+                if (input !== this.dom.inputs.status) this.recordEditorChange(input.id);
+            });
+        });
+        if (this.dom.messages) this.dom.messages.addEventListener('input', (e) => {
+            this.setDirty(true);
+            const card = e.target.closest('.message-card');
+            this.recordEditorChange(card ? `${e.target.className}-${card.dataset.index}` : null);
+            this.renderTokenStats();
+            this.renderLintPanel();
+        });
+        // App-level undo replaces the fields' own, which is lost whenever loadEditor fills them
+        if (this.dom.editor) this.dom.editor.addEventListener('keydown', (e) => {
+            if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+            const key = e.key.toLowerCase();
+            if (key !== 'z' && key !== 'y') return;
+            e.preventDefault();
+            this.stepEditorHistory(key === 'y' || e.shiftKey ? 1 : -1);
+        });
+        this.renderModelOptions();
+        safeBind('btn-edit-models', 'onclick', () => this.openModelEditor());
+        safeBind('btn-lint-settings', 'onclick', () => this.openLintSettings());
+        safeBind('btn-edit-fields', 'onclick', () => this.openFieldEditor());
+        safeBind('custom-fields', 'oninput', (e) => {
+            this.setDirty(true);
+            this.recordEditorChange(e.target.dataset.field || null);
+        });
+        safeBind('btn-undo', 'onclick', () => this.stepEditorHistory(-1));
+        safeBind('btn-redo', 'onclick', () => this.stepEditorHistory(1));
+        safeBind('tmpl-text', 'oninput', () => this.renderTemplateLint());
+        safeBind('btn-add-message', 'onclick', () => this.addMessage());
+
+        document.querySelectorAll('.close-btn').forEach(btn => {
+            btn.onclick = (e) => {
+                e.preventDefault();
+                const dialog = btn.closest('dialog');
+                if (dialog) dialog.close();
+            };
+        });
+
+        safeBind('btn-new-prompt', 'onclick', () => this.handleNewPrompt());
+        safeBind('btn-save-changes', 'onclick', () => this.saveCurrent(false));
+        safeBind('btn-save-version', 'onclick', () => this.saveCurrent(true));
+        safeBind('btn-duplicate-prompt', 'onclick', () => this.handleDuplicatePrompt());
+        safeBind('btn-pin-prompt', 'onclick', () => this.togglePin(this.state.currentPromptId));
+        safeBind('btn-compare', 'onclick', () => this.openCompare(this.state.currentPromptId));
+        safeBind('btn-edit-tests', 'onclick', () => this.openTestCaseEditor());
+        safeBind('btn-run-evals', 'onclick', () => this.runEvaluations());
+        safeBind('btn-eval-settings', 'onclick', () => this.openEndpointSettings());
+        safeBind('btn-edit-endpoints', 'onclick', () => this.openEndpointSettings());
+        safeBind('btn-run-stop', 'onclick', () => this.runAbort?.abort());
+        safeBind('btn-run-copy', 'onclick', () => this.copyTextToClipboard(document.getElementById('run-output').textContent, 'btn-run-copy'));
+        safeBind('run-execute', 'onchange', (e) => {
+            localStorage.setItem(STORAGE_KEYS.EXECUTE, e.target.checked);
+            this.renderExecuteMode();
+        });
+        safeBind('btn-delete-prompt', 'onclick', () => this.deleteCurrentPrompt());
+        safeBind('edit-status', 'onchange', () => this.handleStatusChange());
+        safeBind('btn-edit-workflow', 'onclick', () => this.openWorkflowEditor());
+
+        // --- NEW: Copy to Clipboard Binding ---
         safeBind('btn-copy-clipboard', 'onclick', () => this.handleCopyToClipboard());
         safeBind('btn-run-prompt', 'onclick', () => this.handleRunPrompt());
+        safeBind('btn-batch-run', 'onclick', () => this.handleRunPrompt(true));
+
+        // Batch Render Events
+        safeBind('file-batch-data', 'onchange', (e) => this.handleBatchFile(e));
+        safeBind('btn-batch-parse', 'onclick', () => this.loadBatchData(document.getElementById('batch-data-text').value, ''));
+        safeBind('btn-batch-export-jsonl', 'onclick', () => this.exportBatch('jsonl'));
+        safeBind('btn-batch-export-csv', 'onclick', () => this.exportBatch('csv'));
+        safeBind('btn-batch-export-zip', 'onclick', () => this.exportBatch('zip'));
 
         // Filter Events
         if (this.dom.filters.search) this.dom.filters.search.oninput = (e) => {
@@ -576,6 +2428,36 @@ class App {
             this.renderSidebar();
             this.renderCollections();
         };
+        if (this.dom.filters.label) this.dom.filters.label.onchange = (e) => {
+            this.state.filter.label = e.target.value;
+            this.state.activeCollectionId = null;
+            this.renderSidebar();
+            this.renderCollections();
+        };
+        if (this.dom.filters.tag) this.dom.filters.tag.onchange = (e) => {
+            this.state.filter.tag = e.target.value;
+            this.state.activeCollectionId = null;
+            this.renderSidebar();
+            this.renderCollections();
+        };
+        if (this.dom.filters.usage) this.dom.filters.usage.onchange = (e) => {
+            this.state.filter.usage = e.target.value;
+            this.state.activeCollectionId = null;
+            this.renderSidebar();
+            this.renderCollections();
+        };
+        if (this.dom.filters.field) this.dom.filters.field.onchange = (e) => {
+            this.state.filter.field = e.target.value;
+            this.state.activeCollectionId = null;
+            this.renderSidebar();
+            this.renderCollections();
+        };
+        if (this.dom.filters.fieldValue) this.dom.filters.fieldValue.oninput = (e) => {
+            this.state.filter.fieldValue = e.target.value;
+            this.state.activeCollectionId = null;
+            this.renderSidebar();
+            this.renderCollections();
+        };
         if (this.dom.filters.sort) this.dom.filters.sort.onchange = (e) => {
             this.state.filter.sort = e.target.value;
             // We want to keep the current filters, just re-order.
@@ -596,6 +2478,10 @@ class App {
         }
 
         safeBind('btn-manage-templates', 'onclick', () => this.openTemplateManager());
+        safeBind('btn-manage-chains', 'onclick', () => this.openChainManager());
+        safeBind('btn-trash', 'onclick', () => this.toggleTrash());
+        safeBind('btn-select-all', 'onclick', () => this.selectAllFiltered());
+        safeBind('btn-manage-tags', 'onclick', () => this.openTagManager());
         safeBind('btn-theme-toggle', 'onclick', () => this.toggleTheme());
         safeBind('btn-vault-toggle', 'onclick', () => this.toggleStorageMode());
         safeBind('btn-vault-connect', 'onclick', () => this.connectVault());
@@ -637,23 +2523,91 @@ class App {
 
     // --- Clipboard Logic ---
     handleCopyToClipboard() {
-        this.copyTextToClipboard(this.dom.inputs.text.value, 'btn-copy-clipboard');
+        const text = this.getEditorText();
+        if (!text) return;
+        this.copyTextToClipboard(text, 'btn-copy-clipboard');
+        this.trackUsage(this.state.currentPromptId, 'copy');
     }
 
-    handleRunPrompt() {
-        const text = this.dom.inputs.text.value;
+    handleRunPrompt(isBatch = false) {
+        const text = this.getEditorText();
         if (!text) return;
 
-        const regex = /\$\{([^}]+)\}/g;
-        const vars = [...text.matchAll(regex)].map(m => m[1]);
-        const uniqueVars = [...new Set(vars)];
+        const rendered = this.renderTemplateText(text, {});
+        if (rendered === null) return;
 
-        if (uniqueVars.length > 0) {
-            this.openVariableModal(text, uniqueVars, (finalText) => {
-                this.copyTextToClipboard(finalText, 'btn-run-prompt');
-            }, 'Copy Result');
+        if (isBatch) {
+            this.openBatchModal(text, this.dom.inputs.title.value || 'Untitled');
+            return;
+        }
+
+        const variables = MessageService.extractMessageVariables(this.readMessages(), this.state.templates);
+
+        const execute = this.isExecuteMode();
+        if (variables.length > 0) {
+            this.openVariableModal(text, variables, (finalText, values) => {
+                if (this.state.currentPromptId) this.runValues.set(this.state.currentPromptId, values);
+                this.renderTokenStats();
+                if (execute) this.executePrompt(values);
+                else this.copyTextToClipboard(finalText, 'btn-run-prompt');
+                this.trackUsage(this.state.currentPromptId, 'run');
+            }, execute ? 'Run' : 'Copy Result');
         } else {
-            this.copyTextToClipboard(text, 'btn-run-prompt');
+            if (execute) this.executePrompt({});
+            else this.copyTextToClipboard(rendered, 'btn-run-prompt');
+            this.trackUsage(this.state.currentPromptId, 'run');
+        }
+    }
+
+    // --- USAGE ---
+
+    /**
+     * Record a usage event. Usage lives in IndexedDB only, so the prompt
+     * itself (and its vault file) is left untouched.
+     * @param {string} id - Prompt or template id
+     * @param {string} type - One of UsageService.USAGE_TYPES
+     */
+    async trackUsage(id, type) {
+        if (!id) return;
+        const usage = UsageService.recordUsage(this.state.usage.get(id), id, type);
+        this.state.usage.set(id, usage);
+        try {
+            await this.store.put('usage', usage);
+        } catch (err) {
+            console.warn('Could not record usage', err);
+        }
+        if (type !== 'insert') this.renderSidebar();
+    }
+
+    async togglePin(id) {
+        if (!id) return;
+        const current = this.state.usage.get(id);
+        const usage = UsageService.setPinned(current, id, !current?.pinned);
+        this.state.usage.set(id, usage);
+        await this.store.put('usage', usage);
+        this.renderPinButton();
+        this.renderSidebar();
+    }
+
+    renderPinButton() {
+        const btn = document.getElementById('btn-pin-prompt');
+        if (!btn) return;
+        const pinned = !!this.state.usage.get(this.state.currentPromptId)?.pinned;
+        btn.textContent = pinned ? 'Unpin' : 'Pin';
+        btn.classList.toggle('active', pinned);
+    }
+
+    /**
+     * Render template text, reporting syntax errors to the user
+     * @returns {string|null} Rendered text, or null if the template is invalid
+     */
+    renderTemplateText(text, values) {
+        try {
+            return TemplateService.renderTemplate(text, values, this.state.templates);
+        } catch (err) {
+            if (!(err instanceof TemplateService.TemplateSyntaxError)) throw err;
+            alert(`Template error: ${err.message}`);
+            return null;
         }
     }
 
@@ -737,6 +2691,8 @@ class App {
             this.state.prompts = [];
             this.state.templates = [];
             this.state.collections = [];
+            this.state.chains = [];
+            this.state.trash = [];
             this.renderSidebar();
             this.renderCollections();
         }
@@ -749,6 +2705,7 @@ class App {
             await this.loadData();
             this.renderSidebar();
             this.updateVaultUI();
+            await this.recoverDraft();
         }
     }
 
@@ -789,9 +2746,8 @@ class App {
         const name = prompt("Name this Smart Collection (e.g., 'Active Clients'):");
         if (!name) return;
 
-        const f = this.state.filter;
-        if (!f.search && !f.category && !f.client && !f.status) {
-            alert("Please set some filters (Search, Status, Category, or Client) before saving.");
+        if (!CollectionService.validateFilters(this.state.filter)) {
+            alert("Please set some filters (Search, Status, Release, Category, Client, Tag, Usage, or Field) before saving.");
             return;
         }
 
@@ -811,9 +2767,9 @@ class App {
     }
 
     async deleteCollection(id) {
-        if (!confirm("Delete this smart collection?")) return;
-        await this.store.delete('collections', id);
-        this.state.collections = this.state.collections.filter(c => c.id !== id);
+        const collection = this.state.collections.find(c => c.id === id);
+        if (!collection || !confirm("Move this smart collection to the Trash?")) return;
+        await this.trashRecord('collection', collection);
 
         if (this.state.activeCollectionId === id) {
             this.state.activeCollectionId = null;
@@ -823,12 +2779,18 @@ class App {
 
     applyCollection(collection) {
         this.state.activeCollectionId = collection.id;
+        this.state.showTrash = false;
         this.state.filter = { ...collection.filters };
 
         if (this.dom.filters.search) this.dom.filters.search.value = this.state.filter.search || '';
         if (this.dom.filters.cat) this.dom.filters.cat.value = this.state.filter.category || '';
         if (this.dom.filters.client) this.dom.filters.client.value = this.state.filter.client || '';
         if (this.dom.filters.status) this.dom.filters.status.value = this.state.filter.status || '';
+        if (this.dom.filters.label) this.dom.filters.label.value = this.state.filter.label || '';
+        if (this.dom.filters.tag) this.dom.filters.tag.value = this.state.filter.tag || '';
+        if (this.dom.filters.usage) this.dom.filters.usage.value = this.state.filter.usage || '';
+        if (this.dom.filters.field) this.dom.filters.field.value = this.state.filter.field || '';
+        if (this.dom.filters.fieldValue) this.dom.filters.fieldValue.value = this.state.filter.fieldValue || '';
 
         this.renderSidebar();
         this.renderCollections();
@@ -853,6 +2815,7 @@ class App {
         if (action === 'save-new') this.saveCurrent(true).then(() => this.navigatePending());
         if (action === 'discard') {
             this.setDirty(false);
+            this.discardDraft();
             this.navigatePending();
         }
     }
@@ -878,6 +2841,7 @@ class App {
 
     async createNewPrompt() {
         const newPrompt = PromptService.createPrompt(Utils.generateId);
+        newPrompt.status = this.state.workflow.initial;
 
         await this.persistPrompt(newPrompt);
 
@@ -890,6 +2854,7 @@ class App {
         if (!this.state.currentPrompt) return;
 
         const newPrompt = PromptService.duplicatePrompt(this.state.currentPrompt, Utils.generateId);
+        newPrompt.status = this.state.workflow.initial;
 
         await this.persistPrompt(newPrompt);
 
@@ -921,182 +2886,798 @@ class App {
         const i = this.dom.inputs;
         const p = this.state.currentPrompt;
 
+        const custom = this.readCustomFields();
+        const fieldErrors = FieldService.validateCustomValues(this.state.fieldSchema, custom);
+        if (fieldErrors.length) {
+            alert(fieldErrors.map(e => e.message).join('\n'));
+            return;
+        }
+
+        try {
+            PromptService.changeStatus(p, i.status.value, this.state.statusNote, this.state.workflow);
+        } catch (err) {
+            if (!(err instanceof WorkflowService.WorkflowError)) throw err;
+            alert(err.message);
+            return;
+        }
+
         p.title = i.title.value;
         p.description = i.desc.value;
         p.category = i.cat.value;
         p.client = i.client.value;
-        p.status = i.status.value;
-        p.prompt_text = i.text.value;
-        p.tags = i.tags.value;
+        MessageService.setMessages(p, this.readMessages());
+        p.template_links = TemplateLinkService.pruneTemplateLinks(p.template_links, p.messages);
+        p.tags = TagService.normalizeTags(i.tags.value);
         p.notes = i.notes.value;
+        p.custom = { ...(p.custom || {}), ...custom };
 
         if (isVersion) {
             const lastVer = p.versions.length > 0 ? p.versions[p.versions.length - 1].version_no : 0;
             p.versions.push({
                 version_no: lastVer + 1,
                 prompt_text: p.prompt_text,
+                messages: MessageService.getMessages(p),
                 notes: p.notes,
                 date_created: new Date().toISOString()
             });
         }
 
-        await this.persistPrompt(p);
-
-        const idx = this.state.prompts.findIndex(x => x.id === p.id);
-        if (idx >= 0) this.state.prompts[idx] = p;
-        else this.state.prompts.push(p);
+        await this.persistPrompt(p);
+
+        const idx = this.state.prompts.findIndex(x => x.id === p.id);
+        if (idx >= 0) this.state.prompts[idx] = p;
+        else this.state.prompts.push(p);
+
+        this.setDirty(false);
+        this.renderStatusOptions(p.status);
+        this.savedSnapshot = this.readEditorSnapshot();
+        this.discardDraft();
+        this.renderStatusHistory();
+        this.renderSidebar();
+        this.renderVersionHistory();
+        this.populateFilterDropdowns();
+    }
+
+    async deleteCurrentPrompt() {
+        const id = this.state.currentPromptId;
+        const chains = ChainService.findChainsUsingPrompt(this.state.chains, id);
+        const usage = chains.length
+            ? `\n\nIt is a step in ${chains.length} chain(s): ${chains.map(c => c.name).join(', ')}. Those steps will break.`
+            : '';
+        if (!confirm(`Move this prompt to the Trash?${usage}`)) return;
+
+        await this.trashRecord('prompt', this.state.prompts.find(p => p.id === id));
+        await this.closeDeletedPrompts(new Set([id]));
+    }
+
+    /**
+     * After prompts moved to the Trash: close the editor if it held one of
+     * them, drop its unsaved changes and warn about chain steps now broken
+     * @param {Set<string>} ids - Deleted prompt ids
+     */
+    async closeDeletedPrompts(ids) {
+        if (ids.has(this.state.currentPromptId)) {
+            this.state.currentPrompt = null;
+            this.state.currentPromptId = null;
+            this.setDirty(false);
+            this.dom.editor.classList.add('hidden');
+            this.dom.empty.classList.remove('hidden');
+        }
+        if (this.draft && ids.has(this.draft.promptId)) await this.discardDraft();
+        this.renderSidebar();
+
+        // Chains keep the dangling step so it can be repointed or removed
+        const broken = this.state.chains.filter(c =>
+            ChainService.findBrokenReferences(c, this.state.prompts).some(p => ids.has(p.promptId)));
+        if (broken.length) {
+            alert(`Broken chain step(s) in: ${broken.map(c => c.name).join(', ')}.\nRestore from the Trash or open Chains to fix them.`);
+        }
+    }
+
+    // --- VERSIONING ---
+    /**
+     * Apply a label change to the saved prompt only, so unsaved editor
+     * changes are neither persisted nor lost
+     * @param {Function} change - Mutates the prompt via PromptService
+     */
+    async updateLabels(change) {
+        const p = this.state.currentPrompt;
+        const stored = this.state.prompts.find(x => x.id === p.id);
+        if (!stored) {
+            alert("Save the prompt before labelling versions.");
+            return;
+        }
+
+        try {
+            change(stored);
+        } catch (err) {
+            alert(err.message);
+            return;
+        }
+        p.labels = { ...stored.labels };
+
+        await this.persistPrompt(stored);
+        this.renderVersionHistory();
+        this.populateFilterDropdowns();
+        this.renderSidebar();
+    }
+
+    labelVersion(versionNo) {
+        const input = prompt(`Label for Version ${versionNo} (e.g. ${PromptService.RELEASE_LABELS.join(', ')}):`, 'production');
+        if (input === null) return;
+
+        const label = PromptService.normalizeLabel(input);
+        const current = PromptService.getLabelledVersion(this.state.currentPrompt, label);
+        if (current && current.version_no !== versionNo &&
+            !confirm(`Move "${label}" from Version ${current.version_no} to Version ${versionNo}?`)) return;
+
+        this.updateLabels(p => PromptService.setVersionLabel(p, label, versionNo));
+    }
+
+    removeLabel(label) {
+        if (!confirm(`Remove the "${label}" label?`)) return;
+        this.updateLabels(p => PromptService.removeVersionLabel(p, label));
+    }
+
+    showDiff(versionNo) {
+        const p = this.state.currentPrompt;
+        const versionText = (v) => MessageService.flattenMessages(MessageService.getMessages(v));
+        const sources = this.buildDiffSources(p.versions, versionText, this.getEditorText(),
+            (no) => PromptService.getVersionLabels(p, no));
+        this.openDiffModal(sources, `v${versionNo}`, 'current', (no) => this.restoreVersion(no));
+    }
+
+    /**
+     * List the texts that can be compared: the editor plus every version
+     * @param {Array} versions - Version objects
+     * @param {Function} getText - Returns the text of a version
+     * @param {string} currentText - Unsaved editor content
+     * @param {Function} labelsFor - Returns the labels of a version number
+     */
+    buildDiffSources(versions, getText, currentText, labelsFor = () => []) {
+        return [
+            { key: 'current', label: 'Current editor', text: currentText },
+            ...[...(versions || [])].reverse().map(v => ({
+                key: `v${v.version_no}`,
+                versionNo: v.version_no,
+                label: [`Version ${v.version_no}`, ...labelsFor(v.version_no).map(l => `[${l}]`),
+                    `· ${Utils.formatDate(v.date_created)}`, v.notes ? `· ${v.notes}` : ''].join(' ').trim(),
+                text: getText(v)
+            }))
+        ];
+    }
+
+    /**
+     * @param {Array} sources - From buildDiffSources
+     * @param {string} fromKey
+     * @param {string} toKey
+     * @param {Function|null} onRestore - Called with the version number of the "from" source
+     * @param {{label: string, run: Function}|null} action - Replaces the restore button (e.g. applying a re-sync)
+     */
+    openDiffModal(sources, fromKey, toKey, onRestore, action = null) {
+        const modal = document.getElementById('modal-diff');
+        this.diffAction = action;
+        document.getElementById('diff-from').innerHTML = DiffUI.renderSourceOptions(sources, fromKey);
+        document.getElementById('diff-to').innerHTML = DiffUI.renderSourceOptions(sources, toKey);
+
+        ['diff-from', 'diff-to', 'diff-granularity', 'diff-view'].forEach(id => {
+            document.getElementById(id).onchange = () => this.renderDiff(sources);
+        });
+
+        document.getElementById('btn-restore-version').onclick = () => {
+            if (action) {
+                modal.close();
+                action.run();
+                return;
+            }
+            const from = sources.find(s => s.key === document.getElementById('diff-from').value);
+            if (!from || !from.versionNo) return;
+            onRestore(from.versionNo);
+            modal.close();
+        };
+
+        this.renderDiff(sources);
+        modal.showModal();
+    }
+
+    renderDiff(sources) {
+        const from = sources.find(s => s.key === document.getElementById('diff-from').value);
+        const to = sources.find(s => s.key === document.getElementById('diff-to').value);
+        const requested = document.getElementById('diff-granularity').value;
+        const granularity = DiffService.resolveGranularity(from.text, to.text, requested);
+        const view = document.getElementById('diff-view').value;
+
+        // Stats are counted in words from the diff on display where it allows
+        let stats;
+        if (view === 'side') {
+            const rows = DiffService.sideBySide(from.text, to.text, granularity);
+            document.getElementById('diff-output').innerHTML = DiffUI.renderSideBySideDiff(rows);
+            stats = DiffService.sideBySideStats(rows);
+        } else {
+            const ops = DiffService.diffText(from.text, to.text, granularity);
+            document.getElementById('diff-output').innerHTML = DiffUI.renderInlineDiff(ops);
+            stats = DiffService.diffStats(granularity === 'word' ? ops : DiffService.diffText(from.text, to.text, 'word'));
+        }
+        document.getElementById('diff-stats').innerHTML = DiffUI.renderDiffStats(stats) +
+            (granularity === requested ? '' : '<span class="diff-stat-same">(too large, diffed by line)</span>');
+
+        const restoreBtn = document.getElementById('btn-restore-version');
+        if (this.diffAction) {
+            restoreBtn.disabled = false;
+            restoreBtn.textContent = this.diffAction.label;
+            return;
+        }
+        restoreBtn.disabled = !from.versionNo;
+        restoreBtn.textContent = from.versionNo ? `Restore Version ${from.versionNo}` : 'Restore This Version';
+    }
+
+    restoreVersion(versionNo) {
+        const ver = this.state.currentPrompt.versions.find(v => v.version_no === versionNo);
+        if (!ver) return;
+
+        this.renderMessageEditor(MessageService.getMessages(ver));
+        this.dom.inputs.notes.value = `Restored from V${versionNo}: ${ver.notes}`;
+        this.setDirty(true);
+        this.recordEditorChange();
+        this.saveCurrent(true);
+        alert(`Restored Version ${versionNo}`);
+    }
+
+    // --- LINEAGE ---
+
+    renderLineage() {
+        const bar = document.getElementById('lineage-bar');
+        if (!bar) return;
+        const p = this.state.prompts.find(x => x.id === this.state.currentPromptId);
+        if (!p) return;
+
+        const link = (prompt) => `<button type="button" class="link-btn" data-id="${Utils.escapeHtml(prompt.id)}">${Utils.escapeHtml(prompt.title) || 'Untitled'}</button>`;
+        const rows = [];
+
+        if (p.derived_from) {
+            const parent = LineageService.getParent(p, this.state.prompts);
+            const version = p.derived_from.version_no ? ` v${p.derived_from.version_no}` : '';
+            const ancestors = LineageService.getAncestors(p, this.state.prompts).slice(1);
+            const trail = ancestors.length ? ` · traces back to ${ancestors.map(link).join(' → ')}` : '';
+            rows.push(parent
+                ? `<span>Derived from ${link(parent)}${version}${trail} · <button type="button" class="link-btn" id="btn-compare-parent">Compare</button></span>`
+                : `<span>Derived from <span class="lineage-missing">${Utils.escapeHtml(p.derived_from.title)}${version} (not in this library)</span></span>`);
+        }
+        if (p.import_source) {
+            rows.push(`<span>Imported from ${Utils.escapeHtml(p.import_source.filename)} · ${Utils.formatDate(p.import_source.imported_at)}</span>`);
+        }
+        const derivatives = LineageService.getDerivatives(p, this.state.prompts);
+        if (derivatives.length) {
+            rows.push(`<span>Derivatives: ${derivatives.map(link).join(', ')}</span>`);
+        }
+
+        bar.innerHTML = rows.join('');
+        bar.classList.toggle('hidden', !rows.length);
+        bar.querySelectorAll('.link-btn[data-id]').forEach(btn => {
+            btn.onclick = () => this.handlePromptSelect(btn.dataset.id);
+        });
+        const compare = document.getElementById('btn-compare-parent');
+        if (compare) compare.onclick = () => this.compareWithParent();
+    }
 
-        this.setDirty(false);
-        this.renderSidebar();
-        this.renderVersionHistory();
-        this.populateFilterDropdowns();
+    compareWithParent() {
+        const p = this.state.prompts.find(x => x.id === this.state.currentPromptId);
+        const parent = p && LineageService.getParent(p, this.state.prompts);
+        if (!parent) return;
+
+        const sources = [
+            { key: 'current', label: 'Current editor', text: this.getEditorText() },
+            { key: 'parent', label: `Parent: ${parent.title} (now)`, text: parent.prompt_text || '' }
+        ];
+        const forkText = LineageService.getForkPointText(p, parent);
+        if (forkText !== null) {
+            sources.push({ key: 'fork', label: `Parent at fork (v${p.derived_from.version_no})`, text: forkText });
+        }
+        this.openDiffModal(sources, 'parent', 'current', null);
     }
 
-    async deleteCurrentPrompt() {
-        if (!confirm("Are you sure you want to delete this prompt?")) return;
+    // --- LINKED TEMPLATES ---
 
-        await this.removePrompt(this.state.currentPromptId);
+    renderTemplateLinkBanner() {
+        const banner = document.getElementById('template-link-banner');
+        if (!banner) return;
+        const stored = this.state.prompts.find(p => p.id === this.state.currentPromptId);
+        const outdated = stored ? TemplateLinkService.getOutdatedLinks(stored, this.state.templates) : [];
+        banner.classList.toggle('hidden', !outdated.length);
+        if (!outdated.length) return;
 
-        this.state.prompts = this.state.prompts.filter(p => p.id !== this.state.currentPromptId);
-        this.dom.editor.classList.add('hidden');
-        this.dom.empty.classList.remove('hidden');
-        this.renderSidebar();
+        const names = [...new Set(outdated.map(o => o.template.description))];
+        banner.innerHTML = `
+            <span>Template updated: <strong>${Utils.escapeHtml(names.join(', '))}</strong></span>
+            <button type="button" class="tiny secondary">Review &amp; Re-sync…</button>
+        `;
+        banner.querySelector('button').onclick = () => this.reviewTemplateResync(stored.id);
     }
 
-    // --- VERSIONING ---
-    showDiff(versionNo) {
-        const ver = this.state.currentPrompt.versions.find(v => v.version_no === versionNo);
-        const currentText = this.dom.inputs.text.value;
-
-        const html = Utils.diffWords(ver.prompt_text, currentText);
+    renderTemplateUsage(template) {
+        const panel = document.getElementById('tmpl-usage');
+        if (!panel) return;
+        if (!template) {
+            panel.innerHTML = '';
+            return;
+        }
+        panel.innerHTML = TemplatePickerUI.renderTemplateUsage(
+            TemplateLinkService.findPromptsUsingTemplate(this.state.prompts, template.id, this.state.templates),
+            this.state.usage.get(template.id), Utils.formatDate);
+        panel.querySelectorAll('.btn-usage-resync').forEach(btn => {
+            btn.onclick = () => this.reviewTemplateResync(btn.closest('li').dataset.id);
+        });
+    }
 
-        const container = document.getElementById('diff-output');
-        container.innerHTML = `
-            <p><strong>Comparing Version ${versionNo} (Red) vs Current Editor (Green)</strong></p>
-            <hr>
-            <div>${html}</div>
-        `;
+    /**
+     * Preview re-syncing a prompt's outdated linked inserts in the diff view
+     * @param {string} promptId
+     */
+    reviewTemplateResync(promptId) {
+        const prompt = this.state.prompts.find(p => p.id === promptId);
+        if (!prompt) return;
+        if (promptId === this.state.currentPromptId && this.state.isDirty) {
+            alert('Save or discard your changes to this prompt before re-syncing it.');
+            return;
+        }
 
-        document.getElementById('btn-restore-version').onclick = () => {
-            this.restoreVersion(versionNo);
-            document.getElementById('modal-diff').close();
-        };
+        const result = TemplateLinkService.resyncTemplateLinks(prompt, this.state.templates);
+        if (!result.synced.length) {
+            alert('The linked text was edited in this prompt, so it cannot be re-synced automatically.');
+            return;
+        }
 
-        document.getElementById('modal-diff').showModal();
+        const sources = [
+            { key: 'current', label: 'Saved prompt', text: prompt.prompt_text },
+            { key: 'synced', label: 'After re-sync', text: result.prompt.prompt_text }
+        ];
+        this.openDiffModal(sources, 'current', 'synced', null, {
+            label: 'Apply Re-sync',
+            run: () => this.applyTemplateResync(result)
+        });
     }
 
-    restoreVersion(versionNo) {
-        const ver = this.state.currentPrompt.versions.find(v => v.version_no === versionNo);
-        if (!ver) return;
+    /**
+     * Save a re-synced prompt as a new version
+     * @param {{prompt: object, synced: object[], conflicts: object[]}} result - From resyncTemplateLinks
+     */
+    async applyTemplateResync(result) {
+        const p = result.prompt;
+        const names = [...new Set(result.synced.map(l =>
+            (this.state.templates.find(t => t.id === l.template_id) || {}).description))].filter(Boolean);
+        p.versions = [...p.versions, { ...PromptService.createVersion(p), notes: `Re-synced with template ${names.join(', ')}` }];
 
-        this.dom.inputs.text.value = ver.prompt_text;
-        this.dom.inputs.notes.value = `Restored from V${versionNo}: ${ver.notes}`;
-        this.setDirty(true);
-        this.saveCurrent(true);
-        alert(`Restored Version ${versionNo}`);
+        await this.persistPrompt(p);
+        this.state.prompts = this.state.prompts.map(x => (x.id === p.id ? p : x));
+
+        if (p.id === this.state.currentPromptId) this.loadEditor(p.id);
+        else this.renderSidebar();
+        const current = this.state.templates.find(t => t.id === document.getElementById('tmpl-id')?.value);
+        this.renderTemplateUsage(current);
+
+        if (result.conflicts.length) {
+            alert(`${result.conflicts.length} linked insert(s) were edited in the prompt and were left unchanged.`);
+        }
     }
 
     // --- TEMPLATES SYSTEM ---
 
     openTemplatePicker() {
+        const modal = document.getElementById('modal-template-picker');
+        const search = document.getElementById('template-search');
+        if (search) {
+            search.oninput = () => this.filterTemplatePicker(search.value);
+            search.value = '';
+        }
+
+        this.renderTemplatePickerList();
+        modal.showModal();
+    }
+
+    renderTemplatePickerList() {
         const modal = document.getElementById('modal-template-picker');
         const list = document.getElementById('template-picker-list');
-        list.innerHTML = '';
 
-        const sorted = [...this.state.templates].sort((a, b) => {
-            if (a.is_favourite === b.is_favourite) return (a.order || 0) - (b.order || 0);
-            return a.is_favourite ? -1 : 1;
-        });
+        list.innerHTML = this.renderTemplateGroups(t =>
+            TemplatePickerUI.renderTemplatePickerItem(t, TemplateService.getTemplateDependencies(t, this.state.templates)));
 
-        sorted.forEach(t => {
-            const div = document.createElement('div');
-            div.className = 'list-item';
-            div.innerHTML = `
-                <span class="tmpl-name">${t.is_favourite ? '★ ' : ''}${Utils.escapeHtml(t.description)}</span>
-                <span class="tmpl-note">${Utils.escapeHtml(t.notes || "No additional notes")}</span>
-            `;
-            div.onclick = () => this.handleTemplateSelection(t);
-            list.appendChild(div);
+        list.querySelectorAll('.template-picker-item').forEach(item => {
+            const t = this.state.templates.find(x => x.id === item.dataset.id);
+            item.onclick = () => this.handleTemplateSelection(t);
+            item.querySelector('.tmpl-batch-btn').onclick = (e) => {
+                e.stopPropagation();
+                modal.close();
+                if (this.renderTemplateText(t.template_text, {}) !== null) {
+                    this.openBatchModal(t.template_text, t.description);
+                }
+            };
         });
 
+        this.bindTemplateGroups(list, () => this.renderTemplatePickerList());
         const search = document.getElementById('template-search');
-        if (search) {
-            search.oninput = () => {
-                const term = search.value.toLowerCase();
-                Array.from(list.children).forEach(child => {
-                    child.style.display = child.textContent.toLowerCase().includes(term) ? 'flex' : 'none';
-                });
-            };
-            search.value = '';
+        if (search && search.value) this.filterTemplatePicker(search.value);
+    }
+
+    filterTemplatePicker(term) {
+        const q = term.toLowerCase();
+        document.querySelectorAll('#template-picker-list .tmpl-group').forEach(group => {
+            let visible = 0;
+            group.querySelectorAll('.template-picker-item').forEach(child => {
+                const match = child.textContent.toLowerCase().includes(q);
+                child.style.display = match ? '' : 'none';
+                if (match) visible++;
+            });
+            group.style.display = visible ? '' : 'none';
+            // Matches inside collapsed folders should still be visible while searching
+            group.classList.toggle('searching', !!q);
+        });
+    }
+
+    // --- TEMPLATE FOLDERS & ORDERING ---
+
+    /**
+     * Render templates as collapsible folder groups
+     * @param {Function} renderItem - Renders one template item
+     */
+    renderTemplateGroups(renderItem) {
+        const collapsed = this.getCollapsedFolders();
+        return TemplateService.groupTemplates(this.state.templates)
+            .map(g => TemplatePickerUI.renderTemplateGroup(
+                g.folder, g.templates.length, g.templates.map(renderItem).join(''), collapsed.includes(g.folder)))
+            .join('');
+    }
+
+    getCollapsedFolders() {
+        try {
+            return JSON.parse(localStorage.getItem(STORAGE_KEYS.COLLAPSED_FOLDERS)) || [];
+        } catch (err) {
+            return [];
         }
+    }
 
-        modal.showModal();
+    toggleFolderCollapsed(folder) {
+        const collapsed = this.getCollapsedFolders();
+        const next = collapsed.includes(folder) ? collapsed.filter(f => f !== folder) : [...collapsed, folder];
+        localStorage.setItem(STORAGE_KEYS.COLLAPSED_FOLDERS, JSON.stringify(next));
+    }
+
+    /**
+     * Wire collapsing and drag-and-drop reordering for a grouped template list
+     * @param {HTMLElement} list - Container holding .tmpl-group elements
+     * @param {Function} rerender - Re-renders the list after a change
+     */
+    bindTemplateGroups(list, rerender) {
+        list.querySelectorAll('.tmpl-group').forEach(group => {
+            const folder = group.dataset.folder;
+            const header = group.querySelector('.tmpl-group-header');
+            header.onclick = () => {
+                this.toggleFolderCollapsed(folder);
+                rerender();
+            };
+            header.ondragover = (e) => {
+                e.preventDefault();
+                header.classList.add('drop-target');
+            };
+            header.ondragleave = () => header.classList.remove('drop-target');
+            header.ondrop = async (e) => {
+                e.preventDefault();
+                await this.moveTemplate(e.dataTransfer.getData('text/plain'), null, { folder });
+                rerender();
+            };
+        });
+
+        list.querySelectorAll('[draggable="true"][data-id]').forEach(item => {
+            const isAfter = (e) => {
+                const rect = item.getBoundingClientRect();
+                return e.clientY > rect.top + rect.height / 2;
+            };
+            item.ondragstart = (e) => {
+                e.dataTransfer.setData('text/plain', item.dataset.id);
+                e.dataTransfer.effectAllowed = 'move';
+                item.classList.add('dragging');
+            };
+            item.ondragend = () => item.classList.remove('dragging');
+            item.ondragover = (e) => {
+                e.preventDefault();
+                const after = isAfter(e);
+                item.classList.toggle('drop-before', !after);
+                item.classList.toggle('drop-after', after);
+            };
+            item.ondragleave = () => item.classList.remove('drop-before', 'drop-after');
+            item.ondrop = async (e) => {
+                e.preventDefault();
+                e.stopPropagation();
+                item.classList.remove('drop-before', 'drop-after');
+                await this.moveTemplate(e.dataTransfer.getData('text/plain'), item.dataset.id, { after: isAfter(e) });
+                rerender();
+            };
+        });
+    }
+
+    async moveTemplate(draggedId, targetId, options) {
+        if (!draggedId) return;
+        const { templates, changed } = TemplateService.reorderTemplates(this.state.templates, draggedId, targetId, options);
+        if (!changed.length) return;
+
+        this.state.templates = templates;
+        await Promise.all(changed.map(t => this.persistTemplate(t)));
+
+        // Keep the manager editor in step if the open template changed folder
+        const idIn = document.getElementById('tmpl-id');
+        const moved = templates.find(t => t.id === draggedId);
+        if (idIn && idIn.value === draggedId) {
+            document.getElementById('tmpl-folder').value = moved.folder || '';
+        }
     }
 
     handleTemplateSelection(template) {
         document.getElementById('modal-template-picker').close();
-        const regex = /\$\{([^}]+)\}/g;
-        const vars = [...template.template_text.matchAll(regex)].map(m => m[1]);
-        const uniqueVars = [...new Set(vars)];
+        const rendered = this.renderTemplateText(template.template_text, {});
+        if (rendered === null) return;
 
-        if (uniqueVars.length > 0) {
-            this.openVariableModal(template.template_text, uniqueVars, (text) => {
-                this.insertAtCursor(text);
-            });
+        const variables = TemplateService.extractVariableDescriptors(template.template_text, this.state.templates);
+        const linked = document.getElementById('template-link-insert')?.checked;
+
+        if (variables.length > 0) {
+            this.openVariableModal(template.template_text, variables, (text, values) => {
+                this.insertTemplateText(template, text, values, linked);
+            }, 'Insert', template);
         } else {
-            this.insertAtCursor(template.template_text);
+            this.insertTemplateText(template, rendered, {}, linked);
         }
     }
 
-    openVariableModal(templateText, variables, onConfirm, actionLabel = "Insert") {
+    /**
+     * Insert rendered template text, recording a link to the template when asked
+     * @param {object} template
+     * @param {string} text - Rendered text
+     * @param {object} values - Variable values it was rendered with
+     * @param {boolean} linked
+     */
+    insertTemplateText(template, text, values, linked) {
+        this.insertAtCursor(text);
+        this.trackUsage(template.id, 'insert');
+        if (!linked || !text || !this.state.currentPrompt) return;
+        TemplateLinkService.addTemplateLink(this.state.currentPrompt, TemplateLinkService.createTemplateLink(template, text, values));
+    }
+
+    openVariableModal(templateText, variables, onConfirm, actionLabel = "Insert", template = null) {
         const modal = document.getElementById('modal-template-vars');
         const container = document.getElementById('template-vars-container');
-        container.innerHTML = '';
+        const client = this.dom.inputs.client.value.trim();
+        const prefill = template ? PresetService.resolvePrefill(template, variables, client) : {};
+        container.innerHTML = TemplatePickerUI.renderVariableInputs(variables, prefill);
 
-        variables.forEach(v => {
-            const wrapper = document.createElement('div');
-            wrapper.className = 'field-group';
-            wrapper.innerHTML = `<label>${Utils.escapeHtml(v)}</label><input type="text" data-var="${Utils.escapeHtml(v)}" class="var-input">`;
-            container.appendChild(wrapper);
-        });
+        this.setupPresetBar(template, client);
 
         const confirmBtn = document.getElementById('btn-confirm-vars');
         confirmBtn.textContent = actionLabel;
 
-        // Remove old listeners to prevent stacking if this was just addingListener (it was assigning .onclick, so it's fine)
         confirmBtn.onclick = () => {
-            let text = templateText;
-            container.querySelectorAll('.var-input').forEach(inp => {
-                const key = inp.dataset.var;
-                const val = inp.value;
-                // Escape regex special chars in key if necessary? 
-                // key comes from match, so it might contain chars.
-                // Simplified replacement:
-                text = text.split(`\$\{${key}\}`).join(val);
-            });
-            onConfirm(text);
+            const values = this.readVariableInputs();
+
+            const errors = TemplateService.validateVariableValues(variables, values);
+            this.showVariableErrors(container, errors);
+            if (errors.length > 0) return;
+
+            const rendered = this.renderTemplateText(templateText, values);
+            if (rendered === null) return;
+
+            if (template) {
+                PresetService.rememberLastValues(template, client, values);
+                this.persistTemplate(template).catch(err => console.warn('Could not remember template values', err));
+            }
+
+            onConfirm(rendered, values);
             modal.close();
         };
 
         modal.showModal();
 
         // Auto-focus first input
-        const firstInput = container.querySelector('input');
+        const firstInput = container.querySelector('.var-input');
         if (firstInput) firstInput.focus();
     }
 
+    readVariableInputs() {
+        const values = {};
+        document.querySelectorAll('#template-vars-container .var-input').forEach(inp => {
+            values[inp.dataset.var] = inp.value;
+        });
+        return values;
+    }
+
+    fillVariableInputs(values) {
+        document.querySelectorAll('#template-vars-container .var-input').forEach(inp => {
+            if (values[inp.dataset.var] !== undefined) inp.value = values[inp.dataset.var];
+        });
+    }
+
+    setupPresetBar(template, client) {
+        const bar = document.getElementById('template-vars-presets');
+        if (!bar) return;
+        bar.classList.toggle('hidden', !template);
+        if (!template) return;
+
+        const select = document.getElementById('preset-select');
+        const clientBtn = document.getElementById('btn-client-defaults');
+        const renderOptions = () => {
+            select.innerHTML = TemplatePickerUI.renderPresetOptions(template, client, PresetService.getLastValues(template, client));
+        };
+        renderOptions();
+
+        clientBtn.disabled = !client;
+        clientBtn.title = client
+            ? `Use the current values as defaults for ${client}`
+            : 'Set a client on this prompt to store client defaults';
+
+        select.onchange = () => {
+            const choice = select.value;
+            let values = null;
+            if (choice === 'last') values = PresetService.getLastValues(template, client);
+            else if (choice === 'client') values = template.client_defaults[client];
+            else if (choice.startsWith('preset:')) values = PresetService.findPreset(template, choice.slice(7))?.values;
+            if (values) this.fillVariableInputs(values);
+        };
+
+        document.getElementById('btn-save-preset').onclick = async () => {
+            const name = prompt('Name this preset (an existing preset with the same name is replaced):');
+            if (!name || !name.trim()) return;
+            const preset = PresetService.createPreset(Utils.generateId, name, this.readVariableInputs());
+            PresetService.savePreset(template, preset);
+            await this.persistTemplate(template);
+            renderOptions();
+            select.value = `preset:${preset.id}`;
+        };
+
+        document.getElementById('btn-delete-preset').onclick = async () => {
+            const choice = select.value;
+            if (choice.startsWith('preset:')) {
+                if (!confirm('Delete this preset?')) return;
+                PresetService.deletePreset(template, choice.slice(7));
+            } else if (choice === 'client') {
+                if (!confirm(`Clear the defaults stored for ${client}?`)) return;
+                PresetService.clearClientDefaults(template, client);
+            } else {
+                return;
+            }
+            await this.persistTemplate(template);
+            renderOptions();
+        };
+
+        clientBtn.onclick = async () => {
+            if (!client) return;
+            PresetService.setClientDefaults(template, client, this.readVariableInputs());
+            await this.persistTemplate(template);
+            renderOptions();
+            select.value = 'client';
+        };
+    }
+
+    showVariableErrors(container, errors) {
+        container.querySelectorAll('.var-field').forEach(field => {
+            const error = errors.find(e => e.name === field.dataset.var);
+            const msg = field.querySelector('.var-error');
+            field.classList.toggle('invalid', !!error);
+            msg.textContent = error ? error.message : '';
+            msg.classList.toggle('hidden', !error);
+        });
+
+        const firstInvalid = container.querySelector('.var-field.invalid .var-input');
+        if (firstInvalid) firstInvalid.focus();
+    }
+
     insertAtCursor(text) {
-        const textarea = this.dom.inputs.text;
+        const textarea = this.getActiveMessageInput();
         const start = textarea.selectionStart;
         const end = textarea.selectionEnd;
         const oldVal = textarea.value;
 
         textarea.value = oldVal.substring(0, start) + text + oldVal.substring(end);
         this.setDirty(true);
+        this.recordEditorChange();
         textarea.focus();
         textarea.selectionStart = textarea.selectionEnd = start + text.length;
     }
 
+    // --- BATCH RENDERING ---
+
+    openBatchModal(sourceText, sourceLabel) {
+        const variables = TemplateService.extractVariableDescriptors(sourceText, this.state.templates);
+        if (!variables.length) {
+            alert('This text has no variables, so there is nothing to fill from a data set.');
+            return;
+        }
+
+        this.batch = { sourceText, sourceLabel, variables, columns: [], rows: [], mapping: {}, results: [] };
+
+        document.getElementById('batch-source').textContent =
+            `${sourceLabel} — variables: ${variables.map(v => v.name).join(', ')}`;
+        document.getElementById('batch-data-text').value = '';
+        document.getElementById('file-batch-data').value = '';
+        this.renderBatchMapping();
+        this.updateBatchPreview();
+        document.getElementById('modal-batch').showModal();
+    }
+
+    handleBatchFile(event) {
+        const file = event.target.files[0];
+        if (!file) return;
+
+        const reader = new FileReader();
+        reader.onload = (e) => this.loadBatchData(e.target.result, file.name);
+        reader.readAsText(file);
+    }
+
+    loadBatchData(text, fileName) {
+        if (!this.batch || !text.trim()) return;
+
+        try {
+            const { columns, rows } = BatchService.parseDataSet(text, fileName);
+            if (!rows.length) throw new Error('No data rows found.');
+            this.batch.columns = columns;
+            this.batch.rows = rows;
+            this.batch.mapping = BatchService.suggestMapping(this.batch.variables, columns);
+        } catch (err) {
+            console.error(err);
+            alert('Could not read data set: ' + err.message);
+            return;
+        }
+
+        this.renderBatchMapping();
+        this.updateBatchPreview();
+    }
+
+    renderBatchMapping() {
+        const { variables, columns, mapping } = this.batch;
+        const container = document.getElementById('batch-mapping');
+        container.innerHTML = BatchUI.renderMappingRows(variables, columns, mapping);
+        container.querySelectorAll('.batch-map-select').forEach(select => {
+            select.onchange = () => {
+                this.batch.mapping[select.dataset.var] = select.value;
+                this.updateBatchPreview();
+            };
+        });
+    }
+
+    updateBatchPreview() {
+        const { sourceText, variables, rows, mapping } = this.batch;
+        try {
+            this.batch.results = BatchService.renderBatch(sourceText, variables, rows, mapping, this.state.templates);
+        } catch (err) {
+            if (!(err instanceof TemplateService.TemplateSyntaxError)) throw err;
+            this.batch.results = [];
+            alert(`Template error: ${err.message}`);
+        }
+
+        const results = this.batch.results;
+        document.getElementById('batch-summary').innerHTML = rows.length ? BatchUI.renderBatchSummary(results) : '';
+        document.getElementById('batch-preview').innerHTML = BatchUI.renderBatchPreview(results, BatchService.describeIssues);
+    }
+
+    exportBatch(format) {
+        const results = this.batch ? this.batch.results : [];
+        if (!results.length) {
+            alert('Load a data set first.');
+            return;
+        }
+
+        const failing = results.filter(r => !r.ok).length;
+        if (failing && !confirm(`${failing} rows have missing values. Export anyway?`)) return;
+
+        const date = new Date().toISOString().split('T')[0];
+        const base = `${this.batch.sourceLabel.replace(/[^a-z0-9]/gi, '_').toLowerCase()}-batch-${date}`;
+
+        if (format === 'jsonl') {
+            Utils.downloadBlob(new Blob([BatchService.toJsonl(results)], { type: 'application/x-ndjson' }), `${base}.jsonl`);
+        } else if (format === 'csv') {
+            Utils.downloadBlob(new Blob([BatchService.toCsv(results, this.batch.variables)], { type: 'text/csv' }), `${base}.csv`);
+        } else {
+            const files = BatchService.toTextFiles(results, this.batch.sourceLabel);
+            Utils.downloadBlob(new Blob([createZip(files)], { type: 'application/zip' }), `${base}.zip`);
+        }
+    }
+
     // --- TEMPLATE MANAGER ---
     openTemplateManager() {
         this.renderTemplateManagerList();
@@ -1108,26 +3689,33 @@ class App {
         };
 
         safeBind('btn-create-template', () => this.editTemplate(null));
-        safeBind('btn-save-template', () => this.saveTemplate());
+        safeBind('btn-save-template', () => this.saveTemplate(false));
+        safeBind('btn-save-template-version', () => this.saveTemplate(true));
         safeBind('btn-delete-template', () => this.deleteTemplate());
         safeBind('btn-dup-template', () => this.duplicateTemplate());
     }
 
     renderTemplateManagerList() {
         const list = document.getElementById('manage-template-list');
-        list.innerHTML = '';
-        this.state.templates.forEach(t => {
-            const div = document.createElement('div');
-            div.className = 'list-item';
-            div.innerHTML = `<span class="tmpl-name">${t.is_favourite ? '★ ' : ''}${Utils.escapeHtml(t.description)}</span>`;
-            div.onclick = () => this.editTemplate(t);
-            list.appendChild(div);
+        const currentId = document.getElementById('tmpl-id').value;
+        list.innerHTML = this.renderTemplateGroups(t => TemplatePickerUI.renderTemplateManagerItem(t, t.id === currentId));
+
+        list.querySelectorAll('.template-manager-item').forEach(item => {
+            item.onclick = () => this.editTemplate(this.state.templates.find(t => t.id === item.dataset.id));
         });
+        this.bindTemplateGroups(list, () => this.renderTemplateManagerList());
+
+        const folderList = document.getElementById('template-folder-list');
+        if (folderList) {
+            folderList.innerHTML = TemplateService.listFolders(this.state.templates)
+                .map(f => `<option value="${Utils.escapeHtml(f)}">`).join('');
+        }
     }
 
     editTemplate(t) {
         const idIn = document.getElementById('tmpl-id');
         const descIn = document.getElementById('tmpl-desc');
+        const folderIn = document.getElementById('tmpl-folder');
         const notesIn = document.getElementById('tmpl-notes');
         const textIn = document.getElementById('tmpl-text');
         const favIn = document.getElementById('tmpl-fav');
@@ -1135,47 +3723,104 @@ class App {
         if (t) {
             idIn.value = t.id;
             descIn.value = t.description;
+            folderIn.value = t.folder || "";
             notesIn.value = t.notes || "";
             textIn.value = t.template_text;
             favIn.checked = t.is_favourite;
         } else {
             idIn.value = '';
             descIn.value = '';
+            folderIn.value = '';
             notesIn.value = '';
             textIn.value = '';
             favIn.checked = false;
         }
+
+        document.querySelectorAll('#manage-template-list .template-manager-item').forEach(el => {
+            el.classList.toggle('active', !!t && el.dataset.id === t.id);
+        });
+        this.renderTemplateVersions(t);
+        this.renderTemplateLint();
+        this.renderTemplateUsage(t);
+    }
+
+    renderTemplateVersions(t) {
+        const tbody = document.getElementById('tmpl-version-body');
+        if (!tbody) return;
+        const versions = (t && t.versions) || [];
+
+        tbody.innerHTML = [...versions].reverse()
+            .map(v => TemplatePickerUI.renderTemplateVersionRow(v, Utils.formatDate))
+            .join('');
+
+        tbody.querySelectorAll('.btn-tmpl-diff').forEach(b => {
+            b.onclick = (e) => this.showTemplateDiff(t, parseInt(e.target.dataset.ver));
+        });
+        tbody.querySelectorAll('.btn-tmpl-restore').forEach(b => {
+            b.onclick = (e) => this.restoreTemplateVersion(t, parseInt(e.target.dataset.ver));
+        });
+    }
+
+    showTemplateDiff(t, versionNo) {
+        const ver = TemplateService.findTemplateVersion(t, versionNo);
+        if (!ver) return;
+
+        const sources = this.buildDiffSources(t.versions, v => v.template_text, document.getElementById('tmpl-text').value);
+        this.openDiffModal(sources, `v${versionNo}`, 'current', (no) => this.restoreTemplateVersion(t, no));
+    }
+
+    async restoreTemplateVersion(t, versionNo) {
+        const ver = TemplateService.findTemplateVersion(t, versionNo);
+        if (!ver) return;
+
+        document.getElementById('tmpl-desc').value = ver.description;
+        document.getElementById('tmpl-text').value = ver.template_text;
+        await this.saveTemplate(true, `Restored from V${versionNo}${ver.notes ? `: ${ver.notes}` : ''}`);
     }
 
-    async saveTemplate() {
+    async saveTemplate(isVersion, versionNote = null) {
         const id = document.getElementById('tmpl-id').value || Utils.generateId();
+        const existing = this.state.templates.find(x => x.id === id);
         const tmpl = {
+            ...(existing || TemplateService.createTemplate(() => id)),
             id: id,
             description: document.getElementById('tmpl-desc').value,
+            folder: document.getElementById('tmpl-folder').value.trim(),
             notes: document.getElementById('tmpl-notes').value,
             template_text: document.getElementById('tmpl-text').value,
             is_favourite: document.getElementById('tmpl-fav').checked,
-            order: 0
+            order: existing ? existing.order : TemplateService.getNextOrder(this.state.templates)
         };
 
+        if (isVersion) {
+            const note = versionNote ?? prompt('Version note (optional):', '');
+            if (note === null) return;
+            tmpl.versions = [...(tmpl.versions || []), TemplateService.createTemplateVersion(tmpl, note)];
+        }
+
         await this.persistTemplate(tmpl);
 
         const idx = this.state.templates.findIndex(x => x.id === id);
         if (idx >= 0) this.state.templates[idx] = tmpl;
         else this.state.templates.push(tmpl);
 
+        document.getElementById('tmpl-id').value = id;
         this.renderTemplateManagerList();
-        alert('Template Saved');
+        this.renderTemplateVersions(tmpl);
+        this.renderTemplateUsage(tmpl);
+        this.renderTemplateLinkBanner();
+        this.renderSidebar();
+        alert(isVersion ? `Saved Version ${tmpl.versions[tmpl.versions.length - 1].version_no}` : 'Template Saved');
     }
 
     async deleteTemplate() {
         const id = document.getElementById('tmpl-id').value;
         if (!id) return;
-        if (!confirm('Delete template?')) return;
+        const template = this.state.templates.find(t => t.id === id);
+        if (!template || !confirm('Move template to the Trash?')) return;
 
-        await this.removeTemplate(id);
+        await this.trashRecord('template', template);
 
-        this.state.templates = this.state.templates.filter(t => t.id !== id);
         this.editTemplate(null);
         this.renderTemplateManagerList();
     }
@@ -1185,19 +3830,195 @@ class App {
         const original = this.state.templates.find(t => t.id === id);
         if (!original) return;
 
-        const copy = { ...original, id: Utils.generateId(), description: original.description + ' [COPY]' };
+        const copy = {
+            ...original,
+            id: Utils.generateId(),
+            description: original.description + ' [COPY]',
+            versions: [],
+            order: TemplateService.getNextOrder(this.state.templates)
+        };
         await this.persistTemplate(copy);
 
         this.state.templates.push(copy);
         this.renderTemplateManagerList();
     }
 
+    // --- CHAINS ---
+
+    openChainManager() {
+        const first = this.state.chains[0] || null;
+        this.editChain(first);
+        document.getElementById('modal-manage-chains').showModal();
+
+        const safeBind = (id, handler) => {
+            const el = document.getElementById(id);
+            if (el) el.onclick = handler;
+        };
+
+        safeBind('btn-create-chain', () => this.editChain(null));
+        safeBind('btn-save-chain', () => this.saveChain());
+        safeBind('btn-delete-chain', () => this.deleteChain());
+        safeBind('btn-export-chain', () => this.exportChain());
+
+        document.getElementById('chain-add-step').onchange = (e) => {
+            if (!e.target.value) return;
+            const step = ChainService.createStep(Utils.generateId, e.target.value);
+            this.updateChainSteps([...this.chainDraft.steps, step]);
+        };
+    }
+
+    renderChainManagerList() {
+        const list = document.getElementById('manage-chain-list');
+        const currentId = this.chainDraft && this.chainDraft.id;
+        list.innerHTML = this.state.chains.map(c => ChainUI.renderChainListItem(
+            c, ChainService.findBrokenReferences(c, this.state.prompts).length, c.id === currentId
+        )).join('') || '<p class="chain-empty">No chains yet.</p>';
+
+        list.querySelectorAll('.chain-item').forEach(item => {
+            item.onclick = () => this.editChain(this.state.chains.find(c => c.id === item.dataset.id));
+        });
+    }
+
+    /**
+     * Open a chain in the editor. Edits go to a draft until "Save Chain".
+     * @param {object|null} chain - Saved chain, or null for a new one
+     */
+    editChain(chain) {
+        this.chainDraft = chain ? { ...chain } : ChainService.createChain(Utils.generateId);
+        document.getElementById('chain-name').value = chain ? chain.name : '';
+        document.getElementById('chain-desc').value = chain ? chain.description || '' : '';
+        this.renderChainManagerList();
+        this.renderChainEditor();
+    }
+
+    renderChainEditor() {
+        const chain = this.chainDraft;
+        const container = document.getElementById('chain-steps');
+        const problems = ChainService.findBrokenReferences(chain, this.state.prompts);
+        const byId = new Map(this.state.prompts.map(p => [p.id, p]));
+        const stepLabel = (s, i) => `step ${i + 1} (${(byId.get(s.prompt_id) || { title: 'missing prompt' }).title})`;
+
+        container.innerHTML = chain.steps.map((step, index) => ChainUI.renderChainStep(step, index, chain.steps.length, {
+            prompt: byId.get(step.prompt_id),
+            variables: ChainService.getStepVariables(byId.get(step.prompt_id), this.state.templates),
+            getInput: (variable) => ChainService.getStepInput(step, variable),
+            earlierSteps: chain.steps.slice(0, index).map((s, i) => ({ id: s.id, label: stepLabel(s, i) })),
+            problems: problems.filter(p => p.stepId === step.id)
+        })).join('') || '<p class="chain-empty">Add a prompt to start the chain.</p>';
+
+        const summary = document.getElementById('chain-problems');
+        summary.textContent = problems.length
+            ? `${problems.length} broken reference(s): a step's prompt was deleted or its input comes from a missing or later step.`
+            : '';
+        summary.classList.toggle('hidden', !problems.length);
+
+        document.getElementById('chain-add-step').innerHTML = ChainUI.renderPromptOptions(this.state.prompts);
+
+        container.querySelectorAll('.chain-step').forEach(el => {
+            const index = parseInt(el.dataset.index);
+            el.querySelector('.btn-step-up').onclick = () => this.updateChainSteps(ChainService.moveStep(chain.steps, index, -1));
+            el.querySelector('.btn-step-down').onclick = () => this.updateChainSteps(ChainService.moveStep(chain.steps, index, 1));
+            el.querySelector('.btn-step-remove').onclick = () => this.updateChainSteps(ChainService.removeStep(chain.steps, index));
+
+            el.querySelectorAll('.chain-input-source').forEach(select => {
+                select.onchange = () => {
+                    const [source, stepId] = select.value.split(':');
+                    const input = source === 'step' ? { source, step: stepId } : { source, value: '' };
+                    this.setChainInput(index, select.dataset.var, input);
+                };
+            });
+            el.querySelectorAll('.chain-input-value').forEach(input => {
+                input.onchange = () => this.setChainInput(index, input.dataset.var, { source: 'value', value: input.value });
+            });
+        });
+    }
+
+    setChainInput(index, variable, input) {
+        const steps = [...this.chainDraft.steps];
+        steps[index] = ChainService.setStepInput(steps[index], variable, input);
+        this.updateChainSteps(steps);
+    }
+
+    updateChainSteps(steps) {
+        this.chainDraft = { ...this.chainDraft, steps };
+        this.renderChainEditor();
+    }
+
+    readChainDraft() {
+        return {
+            ...this.chainDraft,
+            name: document.getElementById('chain-name').value.trim() || 'Untitled Chain',
+            description: document.getElementById('chain-desc').value
+        };
+    }
+
+    async saveChain() {
+        const chain = { ...this.readChainDraft(), date_updated: new Date().toISOString() };
+        await this.persistChain(chain);
+
+        const idx = this.state.chains.findIndex(c => c.id === chain.id);
+        if (idx >= 0) this.state.chains[idx] = chain;
+        else this.state.chains.push(chain);
+
+        this.editChain(chain);
+    }
+
+    async deleteChain() {
+        const id = this.chainDraft && this.chainDraft.id;
+        if (!this.state.chains.some(c => c.id === id)) return;
+        if (!confirm('Move chain to the Trash? The prompts it uses are kept.')) return;
+
+        await this.trashRecord('chain', this.state.chains.find(c => c.id === id));
+
+        this.editChain(this.state.chains[0] || null);
+    }
+
+    exportChain() {
+        const chain = this.readChainDraft();
+        if (!chain.steps.length) return;
+
+        const doc = ChainService.buildChainExport(chain, this.state.prompts);
+        const data = {
+            chain: DataMapper.chainToExport(doc.chain),
+            prompts: doc.prompts.map(p => DataMapper.promptToExport(p))
+        };
+        const date = new Date().toISOString().split('T')[0];
+        const safeName = chain.name.replace(/[^a-z0-9]/gi, '_').toLowerCase();
+        Utils.downloadJSON(data, `chain-${safeName}-${date}.json`);
+    }
+
+    /**
+     * Import an exported chain: its prompts are added as copies and the
+     * steps are pointed at those copies
+     * @param {{chain: object, prompts: Array}} data - Chain document
+     * @returns {Promise<object>} Imported chain
+     */
+    async importChain(data) {
+        const idMap = new Map();
+        const prompts = (data.prompts || []).map(raw => {
+            const p = DataMapper.promptFromImport(raw);
+            PromptService.applyImportedStatus(p, undefined, this.state.workflow);
+            const newId = Utils.generateId();
+            idMap.set(p.id, newId);
+            return { ...p, id: newId };
+        });
+
+        const chain = ChainService.remapPromptIds(
+            { ...DataMapper.chainFromImport(data.chain), id: Utils.generateId() }, idMap);
+        chain.name = `${chain.name} (Imported)`;
+
+        await Promise.all(prompts.map(p => this.persistPrompt(p)));
+        await this.persistChain(chain);
+        return chain;
+    }
+
     // --- IMPORT / EXPORT ---
 
     exportAll() {
         const exportData = {
             prompts: this.state.prompts.map(p => DataMapper.promptToExport(p)),
-            templates: this.state.templates.map(t => DataMapper.templateToExport(t))
+            templates: this.state.templates.map(t => DataMapper.templateToExport(t)),
+            chains: this.state.chains.map(c => DataMapper.chainToExport(c))
         };
         const date = new Date().toISOString().split('T')[0];
         Utils.downloadJSON(exportData, `prompt-manager-backup-${date}.json`);
@@ -1229,19 +4050,30 @@ class App {
                     return;
                 }
 
+                // Imported statuses follow the same workflow rules as edits
+                const existing = new Map(this.state.prompts.map(p => [p.id, p]));
+                const prompts = (data.prompts || []).map(p => DataMapper.promptFromImport(p));
+                const warnings = prompts
+                    .map(p => PromptService.applyImportedStatus(p, existing.get(p.id), this.state.workflow))
+                    .filter(Boolean);
+
                 // If Local, clear first (legacy behavior). If Vault, just add/overwrite.
                 if (this.state.storageMode === STORAGE_MODE.LOCAL) {
                     await this.store.clearAll();
+                    this.draft = null;
                 }
 
-                const prompts = (data.prompts || []).map(p => DataMapper.promptFromImport(p));
                 const templates = (data.templates || []).map(t => DataMapper.templateFromImport(t));
+                const chains = (data.chains || []).map(c => DataMapper.chainFromImport(c));
 
                 // Use helper methods for consistency
                 await Promise.all(prompts.map(p => this.persistPrompt(p)));
                 await Promise.all(templates.map(t => this.persistTemplate(t)));
+                await Promise.all(chains.map(c => this.persistChain(c)));
 
-                alert("Backup Restored Successfully.");
+                alert(warnings.length
+                    ? `Backup Restored. Kept the current status of ${warnings.length} prompt(s):\n${warnings.join('\n')}`
+                    : "Backup Restored Successfully.");
                 await this.loadData();
                 this.renderSidebar();
                 this.updateVaultUI();
@@ -1265,12 +4097,25 @@ class App {
             try {
                 const data = JSON.parse(e.target.result);
 
+                if (data.chain) {
+                    const chain = await this.importChain(data);
+                    alert(`Chain "${chain.name}" Imported with ${(data.prompts || []).length} prompt(s).`);
+                    document.getElementById('modal-import-export').close();
+                    await this.loadData();
+                    this.renderSidebar();
+                    this.populateFilterDropdowns();
+                    return;
+                }
+
                 let pRaw = null;
                 if (data.prompt) pRaw = data.prompt;
                 else if (data.prompt_title || data.title) pRaw = data;
                 else throw new Error("File does not appear to contain a valid prompt.");
 
                 const pInternal = DataMapper.promptFromImport(pRaw);
+                PromptService.applyImportedStatus(pInternal, undefined, this.state.workflow);
+                if (pRaw.id || pRaw.prompt_id) pInternal.derived_from = LineageService.createLineage(pInternal);
+                pInternal.import_source = LineageService.createImportSource(file.name);
                 pInternal.id = Utils.generateId();
                 pInternal.title = pInternal.title + " (Imported)";
 
@@ -0,0 +1,260 @@
+/**
+ * Batch Service Module
+ * Business logic for rendering one template against many data rows
+ * (CSV or JSON data sets) and serialising the results.
+ */
+
+import { renderTemplate } from './TemplateService.js';
+
+/**
+ * Detect the delimiter of a CSV header line
+ * @param {string} line - First line of the file
+ * @returns {string} ',', ';' or '\t'
+ */
+function detectDelimiter(line) {
+    const counts = [',', ';', '\t'].map(d => [d, line.split(d).length - 1]);
+    counts.sort((a, b) => b[1] - a[1]);
+    return counts[0][1] > 0 ? counts[0][0] : ',';
+}
+
+/**
+ * Parse CSV text (RFC 4180: quoted fields, escaped quotes, embedded newlines)
+ * @param {string} text - CSV source; the first row holds the column names
+ * @returns {{columns: string[], rows: object[]}} Column names and row objects
+ */
+function parseCsv(text) {
+    const source = text.replace(/^\uFEFF/, '');
+    const delimiter = detectDelimiter(source.split(/\r?\n/, 1)[0]);
+    const records = [];
+    let record = [];
+    let field = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < source.length; i++) {
+        const ch = source[i];
+        if (inQuotes) {
+            if (ch === '"' && source[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (ch === '"') {
+                inQuotes = false;
+            } else {
+                field += ch;
+            }
+        } else if (ch === '"' && field === '') {
+            inQuotes = true;
+        } else if (ch === delimiter) {
+            record.push(field);
+            field = '';
+        } else if (ch === '\n' || ch === '\r') {
+            if (ch === '\r' && source[i + 1] === '\n') i++;
+            record.push(field);
+            records.push(record);
+            record = [];
+            field = '';
+        } else {
+            field += ch;
+        }
+    }
+    if (field !== '' || record.length > 0) {
+        record.push(field);
+        records.push(record);
+    }
+
+    const nonEmpty = records.filter(r => r.some(v => v.trim() !== ''));
+    if (!nonEmpty.length) return { columns: [], rows: [] };
+
+    const columns = nonEmpty[0].map(c => c.trim());
+    const rows = nonEmpty.slice(1).map(r => {
+        const row = {};
+        columns.forEach((c, idx) => { row[c] = r[idx] ?? ''; });
+        // Keep values past the header as numbered columns so they can be reported
+        r.slice(columns.length).forEach((v, idx) => { row[`column_${columns.length + idx + 1}`] = v; });
+        return row;
+    });
+    return { columns, rows };
+}
+
+/**
+ * Convert a JSON value into the string form used for template variables.
+ * Arrays become comma-separated lists so {{#each}} can expand them.
+ * @param {*} value
+ * @returns {string}
+ */
+function toVariableValue(value) {
+    if (value === null || value === undefined) return '';
+    if (Array.isArray(value)) return value.map(toVariableValue).join(', ');
+    if (typeof value === 'object') return JSON.stringify(value);
+    return String(value);
+}
+
+/**
+ * Parse a JSON array of objects
+ * @param {string} text - JSON source
+ * @returns {{columns: string[], rows: object[]}} Column names (union of keys) and row objects
+ * @throws {Error} If the JSON is not an array of objects
+ */
+function parseJsonRows(text) {
+    const data = JSON.parse(text);
+    if (!Array.isArray(data)) throw new Error('JSON data set must be an array of objects.');
+
+    const columns = [];
+    const rows = data.map((item, idx) => {
+        if (!item || typeof item !== 'object' || Array.isArray(item)) {
+            throw new Error(`Row ${idx + 1} is not an object.`);
+        }
+        const row = {};
+        Object.entries(item).forEach(([key, value]) => {
+            if (!columns.includes(key)) columns.push(key);
+            row[key] = toVariableValue(value);
+        });
+        return row;
+    });
+    return { columns, rows };
+}
+
+/**
+ * Parse a CSV or JSON data set, choosing the format from the file name or content
+ * @param {string} text - File content
+ * @param {string} fileName - Original file name (may be empty for pasted data)
+ * @returns {{columns: string[], rows: object[]}}
+ */
+function parseDataSet(text, fileName = '') {
+    const isJson = /\.json$/i.test(fileName) || (!/\.csv$/i.test(fileName) && text.trim().startsWith('['));
+    return isJson ? parseJsonRows(text) : parseCsv(text);
+}
+
+/**
+ * Normalise a name for loose column matching ("Product Name" ~ "product_name")
+ * @param {string} name
+ * @returns {string}
+ */
+function normaliseName(name) {
+    return name.toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * Suggest a column for each variable by exact, then loose name match
+ * @param {object[]} descriptors - Variable descriptors from TemplateService
+ * @param {string[]} columns - Data set column names
+ * @returns {object} Map of variable name to column name ('' when unmapped)
+ */
+function suggestMapping(descriptors, columns) {
+    return Object.fromEntries(descriptors.map(d => {
+        const exact = columns.find(c => c === d.name);
+        const loose = columns.find(c => normaliseName(c) === normaliseName(d.name));
+        return [d.name, exact || loose || ''];
+    }));
+}
+
+/**
+ * Render every row of a data set
+ * @param {string} templateText - Template source
+ * @param {object[]} descriptors - Variable descriptors for the template
+ * @param {object[]} rows - Row objects from parseDataSet
+ * @param {object} mapping - Map of variable name to column name
+ * @param {Array} templates - Templates available for includes
+ * @returns {Array<{row: number, values: object, output: string, missing: string[], extra: string[], ok: boolean}>}
+ * @throws {TemplateSyntaxError} If the template cannot be parsed
+ */
+function renderBatch(templateText, descriptors, rows, mapping, templates = []) {
+    const mappedColumns = new Set(Object.values(mapping).filter(Boolean));
+
+    return rows.map((row, idx) => {
+        const values = {};
+        const missing = [];
+
+        descriptors.forEach(d => {
+            const column = mapping[d.name];
+            const raw = column ? (row[column] ?? '') : '';
+            const value = raw.trim() !== '' ? raw : d.defaultValue;
+            if (value !== '') values[d.name] = value;
+            else if (d.required) missing.push(d.name);
+            else values[d.name] = '';
+        });
+
+        const extra = Object.keys(row).filter(c => !mappedColumns.has(c) && String(row[c]).trim() !== '');
+        const output = renderTemplate(templateText, values, templates);
+
+        return { row: idx + 1, values, output, missing, extra, ok: missing.length === 0 };
+    });
+}
+
+/**
+ * Describe the problems of a batch result row
+ * @param {object} result - Row from renderBatch
+ * @returns {string} Human-readable issue summary (empty when fine)
+ */
+function describeIssues(result) {
+    const issues = [];
+    if (result.missing.length) issues.push(`Missing: ${result.missing.join(', ')}`);
+    if (result.extra.length) issues.push(`Unused columns: ${result.extra.join(', ')}`);
+    return issues.join('; ');
+}
+
+/**
+ * Serialise results as JSON Lines
+ * @param {object[]} results - Rows from renderBatch
+ * @returns {string}
+ */
+function toJsonl(results) {
+    return results.map(r => JSON.stringify({
+        row: r.row,
+        ok: r.ok,
+        issues: describeIssues(r),
+        values: r.values,
+        output: r.output
+    })).join('\n') + '\n';
+}
+
+/**
+ * Quote a CSV field when needed
+ * @param {*} value
+ * @returns {string}
+ */
+function csvField(value) {
+    const str = String(value ?? '');
+    return /[",\r\n]/.test(str) ? `"${str.replaceAll('"', '""')}"` : str;
+}
+
+/**
+ * Serialise results as CSV (one column per variable plus the output)
+ * @param {object[]} results - Rows from renderBatch
+ * @param {object[]} descriptors - Variable descriptors for the template
+ * @returns {string}
+ */
+function toCsv(results, descriptors) {
+    const names = descriptors.map(d => d.name);
+    const header = ['row', 'ok', 'issues', ...names, 'output'];
+    const lines = results.map(r => [
+        r.row, r.ok, describeIssues(r), ...names.map(n => r.values[n] ?? ''), r.output
+    ].map(csvField).join(','));
+    return [header.map(csvField).join(','), ...lines].join('\r\n') + '\r\n';
+}
+
+/**
+ * Build text file entries for a zip export
+ * @param {object[]} results - Rows from renderBatch
+ * @param {string} baseName - File name prefix
+ * @returns {Array<{name: string, content: string}>}
+ */
+function toTextFiles(results, baseName) {
+    const safeBase = (baseName || 'prompt').replace(/[^a-z0-9]/gi, '_').toLowerCase();
+    const width = String(results.length).length;
+    return results.map(r => ({
+        name: `${safeBase}-${String(r.row).padStart(width, '0')}.txt`,
+        content: r.output
+    }));
+}
+
+export {
+    parseCsv,
+    parseJsonRows,
+    parseDataSet,
+    suggestMapping,
+    renderBatch,
+    describeIssues,
+    toJsonl,
+    toCsv,
+    toTextFiles
+};
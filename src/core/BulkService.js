@@ -0,0 +1,131 @@
+/**
+ * Bulk Service Module
+ * Business logic for multi-selection in the prompt list and for applying
+ * one change to many prompts at once.
+ */
+
+import { changeStatus } from './PromptService.js';
+import { DEFAULT_WORKFLOW, WorkflowError, resolveStatus, requiresNote } from './WorkflowService.js';
+import { addTags, removeTags } from './TagService.js';
+
+/**
+ * Ids between two items of the visible list, inclusive, in list order
+ * @param {string[]} orderedIds - Ids in display order
+ * @param {string} fromId - Anchor of the range
+ * @param {string} toId - Clicked item
+ * @returns {string[]}
+ */
+function selectRange(orderedIds, fromId, toId) {
+    const to = orderedIds.indexOf(toId);
+    if (to < 0) return [];
+    const from = orderedIds.indexOf(fromId);
+    if (from < 0) return [toId];
+    return orderedIds.slice(Math.min(from, to), Math.max(from, to) + 1);
+}
+
+/**
+ * Apply a click to the selection
+ * - shift: select the range from the anchor (added to the selection with toggle)
+ * - toggle (ctrl/cmd): add or remove the item and make it the anchor
+ * - plain: select only the item
+ * @param {Set<string>} selection - Current selection
+ * @param {string[]} orderedIds - Ids in display order
+ * @param {string} id - Clicked item
+ * @param {{shift?: boolean, toggle?: boolean}} modifiers
+ * @param {string|null} anchor - Item of the last non-shift click
+ * @returns {{selection: Set<string>, anchor: string|null}} New selection and anchor
+ */
+function updateSelection(selection, orderedIds, id, { shift = false, toggle = false } = {}, anchor = null) {
+    if (shift) {
+        const range = selectRange(orderedIds, anchor || id, id);
+        const base = toggle ? [...selection] : [];
+        return { selection: new Set([...base, ...range]), anchor: anchor || id };
+    }
+    if (toggle) {
+        const next = new Set(selection);
+        if (next.has(id)) next.delete(id);
+        else next.add(id);
+        return { selection: next, anchor: id };
+    }
+    return { selection: new Set([id]), anchor: id };
+}
+
+/**
+ * Whether moving any of the prompts to a status needs a note
+ * @param {Array} prompts
+ * @param {string} status
+ * @param {object} workflow
+ * @returns {boolean}
+ */
+function bulkStatusNeedsNote(prompts, status, workflow = DEFAULT_WORKFLOW) {
+    return prompts.some(p => {
+        const from = resolveStatus(workflow, p.status);
+        return from !== status && requiresNote(workflow, from, status);
+    });
+}
+
+/**
+ * Apply one change to a copy of a prompt
+ * @param {object} prompt
+ * @param {object} change - One of
+ *   {type: 'status', status, note} | {type: 'category', value} | {type: 'client', value} |
+ *   {type: 'addTags', tags} | {type: 'removeTags', tags}
+ * @param {object} workflow - Workflow for status changes
+ * @returns {object} Updated copy
+ * @throws {WorkflowError} If the status change is not allowed
+ * @throws {Error} If the change type is unknown
+ */
+function applyBulkChange(prompt, change, workflow = DEFAULT_WORKFLOW) {
+    const copy = { ...prompt };
+    switch (change.type) {
+        case 'status':
+            return changeStatus(copy, change.status, change.note, workflow);
+        case 'category':
+            copy.category = change.value.trim();
+            return copy;
+        case 'client':
+            copy.client = change.value.trim();
+            return copy;
+        case 'addTags':
+            copy.tags = addTags(copy.tags, change.tags);
+            return copy;
+        case 'removeTags':
+            copy.tags = removeTags(copy.tags, change.tags);
+            return copy;
+        default:
+            throw new Error(`Unknown bulk change "${change.type}".`);
+    }
+}
+
+/**
+ * Apply one change to several prompts
+ * @param {Array} prompts - Selected prompts
+ * @param {object} change - See applyBulkChange
+ * @param {object} workflow
+ * @returns {{updated: Array, skipped: Array<{prompt: object, reason: string}>}}
+ *   Updated copies of the prompts that changed, and prompts the change was refused for
+ */
+function applyToSelection(prompts, change, workflow = DEFAULT_WORKFLOW) {
+    const updated = [];
+    const skipped = [];
+    prompts.forEach(prompt => {
+        try {
+            const result = applyBulkChange(prompt, change, workflow);
+            const changed = ['status', 'status_history', 'category', 'client', 'tags']
+                .some(k => JSON.stringify(result[k]) !== JSON.stringify(prompt[k]));
+            if (changed) updated.push(result);
+        } catch (err) {
+            if (!(err instanceof WorkflowError)) throw err;
+            skipped.push({ prompt, reason: err.message });
+        }
+    });
+    return { updated, skipped };
+}
+
+export {
+    selectRange,
+    updateSelection,
+    bulkStatusNeedsNote,
+    applyBulkChange,
+    applyToSelection
+};
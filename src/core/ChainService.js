@@ -0,0 +1,199 @@
+/**
+ * Chain Service Module
+ * Business logic for prompt chains: ordered steps that reference prompts by
+ * id, where each step fills its ${variables} from the output of an earlier
+ * step, a fixed value, or input asked for when the chain is run.
+ */
+
+import { getMessages, extractMessageVariables } from './MessageService.js';
+
+/**
+ * Where a step variable gets its value from
+ * - input: asked for when the chain is run (default)
+ * - step: output of an earlier step (`step` holds that step's id)
+ * - value: fixed text (`value`)
+ */
+const INPUT_SOURCES = ['input', 'step', 'value'];
+
+/**
+ * Factory for creating new chain objects
+ * @param {Function} generateId - ID generator function
+ * @param {string} name - Chain name
+ * @returns {object} New chain
+ */
+function createChain(generateId, name = 'New Chain') {
+    const now = new Date().toISOString();
+    return {
+        id: generateId(),
+        name: name,
+        description: '',
+        steps: [],
+        date_created: now,
+        date_updated: now
+    };
+}
+
+/**
+ * Factory for a chain step
+ * @param {Function} generateId - ID generator function
+ * @param {string} promptId - Prompt run by this step
+ * @returns {object} New step
+ */
+function createStep(generateId, promptId) {
+    return {
+        id: generateId(),
+        prompt_id: promptId,
+        inputs: {}
+    };
+}
+
+/**
+ * Get the source of a step variable
+ * @param {object} step
+ * @param {string} variable
+ * @returns {{source: string, step?: string, value?: string}}
+ */
+function getStepInput(step, variable) {
+    const input = (step.inputs || {})[variable];
+    return input && INPUT_SOURCES.includes(input.source) ? input : { source: 'input' };
+}
+
+/**
+ * Set the source of a step variable
+ * @param {object} step
+ * @param {string} variable
+ * @param {{source: string, step?: string, value?: string}} input
+ * @returns {object} New step
+ */
+function setStepInput(step, variable, input) {
+    const inputs = { ...(step.inputs || {}) };
+    if (!input || input.source === 'input') delete inputs[variable];
+    else inputs[variable] = { ...input };
+    return { ...step, inputs };
+}
+
+/**
+ * Move a step up or down
+ * @param {Array} steps
+ * @param {number} index - Step to move
+ * @param {number} delta - -1 to move up, 1 to move down
+ * @returns {Array} New array (unchanged copy if the move is out of range)
+ */
+function moveStep(steps, index, delta) {
+    const target = index + delta;
+    const result = [...steps];
+    if (index < 0 || index >= steps.length || target < 0 || target >= steps.length) return result;
+    [result[index], result[target]] = [result[target], result[index]];
+    return result;
+}
+
+/**
+ * Remove a step. Variables fed by its output fall back to run-time input.
+ * @param {Array} steps
+ * @param {number} index
+ * @returns {Array} New array
+ */
+function removeStep(steps, index) {
+    const removed = steps[index];
+    if (!removed) return [...steps];
+
+    return steps.filter((_, i) => i !== index).map(step => {
+        let result = step;
+        Object.keys(step.inputs || {}).forEach(variable => {
+            const input = step.inputs[variable];
+            if (input.source === 'step' && input.step === removed.id) {
+                result = setStepInput(result, variable, null);
+            }
+        });
+        return result;
+    });
+}
+
+/**
+ * Variables a step can fill, taken from its prompt's messages
+ * @param {object|undefined} prompt - Prompt referenced by the step
+ * @param {Array} templates - Templates available for includes
+ * @returns {string[]} Variable names
+ */
+function getStepVariables(prompt, templates = []) {
+    if (!prompt) return [];
+    return extractMessageVariables(getMessages(prompt), templates).map(v => v.name);
+}
+
+/**
+ * Find broken references in a chain:
+ * - 'prompt': the step's prompt no longer exists
+ * - 'input': a variable is fed by a step that is missing or does not run earlier
+ * @param {object} chain
+ * @param {Array} prompts - All prompts
+ * @returns {Array<{type: string, stepId: string, index: number, promptId: string, variable?: string}>}
+ */
+function findBrokenReferences(chain, prompts) {
+    const ids = new Set(prompts.map(p => p.id));
+    const problems = [];
+
+    chain.steps.forEach((step, index) => {
+        if (!ids.has(step.prompt_id)) {
+            problems.push({ type: 'prompt', stepId: step.id, index, promptId: step.prompt_id });
+        }
+        const earlier = chain.steps.slice(0, index).map(s => s.id);
+        Object.entries(step.inputs || {}).forEach(([variable, input]) => {
+            if (input.source === 'step' && !earlier.includes(input.step)) {
+                problems.push({ type: 'input', stepId: step.id, index, promptId: step.prompt_id, variable });
+            }
+        });
+    });
+    return problems;
+}
+
+/**
+ * Chains with at least one step running a prompt
+ * @param {Array} chains
+ * @param {string} promptId
+ * @returns {Array} Matching chains
+ */
+function findChainsUsingPrompt(chains, promptId) {
+    return chains.filter(c => c.steps.some(s => s.prompt_id === promptId));
+}
+
+/**
+ * Collect a chain and the prompts it references into one document
+ * @param {object} chain
+ * @param {Array} prompts - All prompts
+ * @returns {{chain: object, prompts: Array}} Prompts in step order, each once
+ */
+function buildChainExport(chain, prompts) {
+    const byId = new Map(prompts.map(p => [p.id, p]));
+    const referenced = [...new Set(chain.steps.map(s => s.prompt_id))]
+        .filter(id => byId.has(id))
+        .map(id => byId.get(id));
+    return { chain, prompts: referenced };
+}
+
+/**
+ * Point a chain's steps at new prompt ids (e.g. after importing copies)
+ * @param {object} chain
+ * @param {Map<string, string>} idMap - Old prompt id to new prompt id
+ * @returns {object} New chain
+ */
+function remapPromptIds(chain, idMap) {
+    return {
+        ...chain,
+        steps: chain.steps.map(s => ({ ...s, prompt_id: idMap.get(s.prompt_id) || s.prompt_id }))
+    };
+}
+
+export {
+    INPUT_SOURCES,
+    createChain,
+    createStep,
+    getStepInput,
+    setStepInput,
+    moveStep,
+    removeStep,
+    getStepVariables,
+    findBrokenReferences,
+    findChainsUsingPrompt,
+    buildChainExport,
+    remapPromptIds
+};
@@ -18,16 +18,41 @@ function createCollection(generateId, name, filters) {
     };
 }
 
+/**
+ * Whether a collection lists its prompts explicitly (prompts added from a
+ * selection) instead of only matching filters
+ * @param {object} collection
+ * @returns {boolean}
+ */
+function isManualCollection(collection) {
+    return Array.isArray(collection.prompt_ids);
+}
+
+/**
+ * Add prompts to a manual collection
+ * @param {object} collection
+ * @param {string[]} promptIds
+ * @returns {object} New collection (ids kept unique, in insertion order)
+ */
+function addPromptsToCollection(collection, promptIds) {
+    return {
+        ...collection,
+        prompt_ids: [...new Set([...(collection.prompt_ids || []), ...promptIds])]
+    };
+}
+
 /**
  * Validate that filters have at least one criterion set
  * @param {object} filters - Filter object
  * @returns {boolean} True if valid
  */
 function validateFilters(filters) {
-    return !!(filters.search || filters.category || filters.client || filters.status);
+    return !!(filters.search || filters.category || filters.client || filters.status || filters.label || filters.tag || filters.field || filters.usage);
 }
 
 export {
     createCollection,
+    isManualCollection,
+    addPromptsToCollection,
     validateFilters
 };
@@ -0,0 +1,114 @@
+/**
+ * Compare Service Module
+ * Business logic for the A/B compare workspace. A variant is the saved text
+ * of a prompt or one of its versions. Two variants are diffed, can be run
+ * with the same variable values, and the preferred one is noted on its
+ * version.
+ */
+
+import { getMessages, flattenMessages, extractMessageVariables } from './MessageService.js';
+import { getEvaluatedVersion } from './EvalService.js';
+
+/**
+ * Key of a variant
+ * @param {string} promptId
+ * @param {number|null} versionNo - null for the saved text
+ * @returns {string}
+ */
+function getVariantKey(promptId, versionNo = null) {
+    return versionNo === null ? `${promptId}:saved` : `${promptId}:v${versionNo}`;
+}
+
+/**
+ * List every variant that can be compared: per prompt the saved text, then
+ * its versions newest first
+ * @param {Array} prompts - Saved prompts
+ * @returns {Array<{key: string, promptId: string, title: string, versionNo: number|null, noteVersion: number|null, label: string, messages: Array, text: string}>}
+ *   noteVersion is the version a result is noted on: the version itself, or
+ *   for the saved text the latest version if the text has not changed since
+ */
+function listVariants(prompts) {
+    return prompts.flatMap(p => {
+        const title = p.title || 'Untitled';
+        const variant = (record, versionNo, noteVersion, label) => {
+            const messages = getMessages(record);
+            return { key: getVariantKey(p.id, versionNo), promptId: p.id, title, versionNo, noteVersion, label, messages, text: flattenMessages(messages) };
+        };
+        return [
+            variant(p, null, getEvaluatedVersion(p), `${title} · saved`),
+            ...[...(p.versions || [])].reverse().map(v => variant(v, v.version_no, v.version_no, `${title} · v${v.version_no}`))
+        ];
+    });
+}
+
+/**
+ * Pick the variants a comparison opens with. For one prompt its saved text
+ * is compared with the latest version that differs from it; for two prompts
+ * their saved texts are compared.
+ * @param {Array} variants - From listVariants
+ * @param {string} promptIdA
+ * @param {string} promptIdB - Defaults to promptIdA
+ * @returns {{a: string, b: string}} Variant keys
+ */
+function getDefaultPair(variants, promptIdA, promptIdB = promptIdA) {
+    const saved = getVariantKey(promptIdB);
+    if (promptIdA !== promptIdB) return { a: getVariantKey(promptIdA), b: saved };
+
+    const current = variants.find(v => v.key === saved);
+    const versions = variants.filter(v => v.promptId === promptIdA && v.versionNo !== null);
+    const previous = versions.find(v => v.text !== current?.text) || versions[0];
+    return { a: previous ? previous.key : saved, b: saved };
+}
+
+/**
+ * Variables of both variants, so both can be run with the same values
+ * @param {object} a - Variant
+ * @param {object} b - Variant
+ * @param {Array} templates - Templates available for includes
+ * @returns {object[]} Unique variable descriptors (A's declaration wins)
+ */
+function getSharedVariables(a, b, templates = []) {
+    const seen = new Set();
+    return [...extractMessageVariables(a.messages, templates), ...extractMessageVariables(b.messages, templates)]
+        .filter(v => {
+            if (seen.has(v.name)) return false;
+            seen.add(v.name);
+            return true;
+        });
+}
+
+/**
+ * Text of the note recorded on the winning version
+ * @param {object} loser - Variant that lost
+ * @param {string} date - ISO date of the comparison
+ * @param {string} comment - Optional reason
+ * @returns {string}
+ */
+function formatWinnerNote(loser, date, comment = '') {
+    const reason = comment.trim() ? `: ${comment.trim()}` : '';
+    return `A/B ${date.split('T')[0]}: preferred over ${loser.label}${reason}`;
+}
+
+/**
+ * Append a comparison result to the notes of a version
+ * @param {object} prompt - Prompt to update
+ * @param {number} versionNo
+ * @param {string} note - From formatWinnerNote
+ * @returns {object} Updated prompt (same reference, mutated)
+ * @throws {Error} If the version does not exist
+ */
+function recordWinner(prompt, versionNo, note) {
+    const version = (prompt.versions || []).find(v => v.version_no === versionNo);
+    if (!version) throw new Error(`Version ${versionNo} not found.`);
+    version.notes = version.notes ? `${version.notes}\n${note}` : note;
+    return prompt;
+}
+
+export {
+    getVariantKey,
+    listVariants,
+    getDefaultPair,
+    getSharedVariables,
+    formatWinnerNote,
+    recordWinner
+};
@@ -0,0 +1,280 @@
+/**
+ * Diff Service Module
+ * Pure text diffing (Myers' O(ND) algorithm) at word, line or character
+ * granularity, plus helpers for side-by-side layout and change statistics.
+ */
+
+/**
+ * Supported diff granularities
+ */
+const GRANULARITIES = ['word', 'line', 'char'];
+
+/**
+ * Word and character diffs of texts with more tokens than this (both sides
+ * together) fall back to a line diff
+ */
+const MAX_DIFF_TOKENS = 10000;
+
+/**
+ * Sequences further apart than this many edits are reported as replaced
+ * outright; Myers needs O(D²) memory and O((N+M)·D) time
+ */
+const MAX_EDIT_DISTANCE = 2000;
+
+const WORD_REGEX = /[\p{L}\p{N}_]+/gu;
+
+/**
+ * Split text into diff tokens. Tokens always concatenate back to the input.
+ * - word: runs of letters/digits, runs of whitespace, single punctuation marks
+ * - line: lines including their trailing newline
+ * - char: single characters (code points)
+ * @param {string} text
+ * @param {string} granularity - 'word', 'line' or 'char'
+ * @returns {string[]}
+ */
+function tokenize(text, granularity = 'word') {
+    const source = text || '';
+    switch (granularity) {
+        case 'line':
+            return source.match(/[^\n]*\n|[^\n]+/g) || [];
+        case 'char':
+            return Array.from(source);
+        default:
+            return source.match(/\s+|[\p{L}\p{N}_]+|[^\s\p{L}\p{N}_]/gu) || [];
+    }
+}
+
+/**
+ * Walk the Myers trace backwards to recover the edit script
+ * @param {Int32Array[]} trace - Diagonals -d..d of V before each round d (index k + d)
+ * @param {Array} a
+ * @param {Array} b
+ * @returns {Array<{type: string, value: *}>}
+ */
+function backtrack(trace, a, b) {
+    const ops = [];
+    let x = a.length;
+    let y = b.length;
+
+    for (let d = trace.length - 1; d >= 0; d--) {
+        const v = trace[d];
+        const k = x - y;
+        const prevK = (k === -d || (k !== d && v[k - 1 + d] < v[k + 1 + d])) ? k + 1 : k - 1;
+        const prevX = v[prevK + d];
+        const prevY = prevX - prevK;
+
+        while (x > prevX && y > prevY) {
+            ops.push({ type: 'equal', value: a[x - 1] });
+            x--;
+            y--;
+        }
+        if (d > 0) {
+            if (x === prevX) ops.push({ type: 'insert', value: b[y - 1] });
+            else ops.push({ type: 'delete', value: a[x - 1] });
+        }
+        x = prevX;
+        y = prevY;
+    }
+    return ops.reverse();
+}
+
+/**
+ * Shortest edit script between two sequences (Myers)
+ * @param {Array} a
+ * @param {Array} b
+ * @param {number} maxD - Give up beyond this many edits
+ * @returns {Array<{type: string, value: *}>|null} null if the sequences are more than maxD edits apart
+ */
+function myers(a, b, maxD = MAX_EDIT_DISTANCE) {
+    const max = a.length + b.length;
+    const offset = max + 1;
+    const v = new Int32Array(2 * max + 3);
+    const trace = [];
+
+    for (let d = 0; d <= Math.min(max, maxD); d++) {
+        // Round d only reads diagonals -d..d, so that is all backtracking needs
+        trace.push(v.slice(offset - d, offset + d + 1));
+        for (let k = -d; k <= d; k += 2) {
+            let x = (k === -d || (k !== d && v[k - 1 + offset] < v[k + 1 + offset]))
+                ? v[k + 1 + offset]
+                : v[k - 1 + offset] + 1;
+            let y = x - k;
+            while (x < a.length && y < b.length && a[x] === b[y]) {
+                x++;
+                y++;
+            }
+            v[k + offset] = x;
+            if (x >= a.length && y >= b.length) return backtrack(trace, a, b);
+        }
+    }
+    return null;
+}
+
+/**
+ * Diff two token sequences. Common prefix and suffix are trimmed
+ * before running Myers to keep typical version diffs cheap. A middle part
+ * more than maxD edits apart is reported as deleted and inserted as a whole.
+ * @param {Array} a - Old tokens
+ * @param {Array} b - New tokens
+ * @param {number} maxD - Edit distance limit (see MAX_EDIT_DISTANCE)
+ * @returns {Array<{type: 'equal'|'insert'|'delete', value: *}>} One op per token
+ */
+function diffSequences(a, b, maxD = MAX_EDIT_DISTANCE) {
+    let start = 0;
+    while (start < a.length && start < b.length && a[start] === b[start]) start++;
+
+    let endA = a.length;
+    let endB = b.length;
+    while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+        endA--;
+        endB--;
+    }
+
+    const middleA = a.slice(start, endA);
+    const middleB = b.slice(start, endB);
+    const of = (type) => (tokens) => tokens.map(value => ({ type, value }));
+    const middle = myers(middleA, middleB, maxD) || [...of('delete')(middleA), ...of('insert')(middleB)];
+    return [
+        ...of('equal')(a.slice(0, start)),
+        ...middle,
+        ...of('equal')(a.slice(endA))
+    ];
+}
+
+/**
+ * Merge consecutive ops of the same type, joining their token values
+ * @param {Array<{type: string, value: string}>} ops
+ * @returns {Array<{type: string, value: string}>}
+ */
+function mergeOps(ops) {
+    const merged = [];
+    ops.forEach(op => {
+        const last = merged[merged.length - 1];
+        if (last && last.type === op.type) last.value += op.value;
+        else merged.push({ ...op });
+    });
+    return merged;
+}
+
+/**
+ * Granularity a diff of two texts actually runs at: word and character
+ * diffs of texts over MAX_DIFF_TOKENS fall back to lines
+ * @param {string} oldText
+ * @param {string} newText
+ * @param {string} granularity - Requested granularity
+ * @returns {string}
+ */
+function resolveGranularity(oldText, newText, granularity = 'word') {
+    if (granularity === 'line') return granularity;
+    const size = tokenize(oldText, granularity).length + tokenize(newText, granularity).length;
+    return size > MAX_DIFF_TOKENS ? 'line' : granularity;
+}
+
+/**
+ * Diff two texts
+ * @param {string} oldText
+ * @param {string} newText
+ * @param {string} granularity - 'word', 'line' or 'char' (see resolveGranularity for large texts)
+ * @returns {Array<{type: 'equal'|'insert'|'delete', value: string}>} Merged chunks
+ */
+function diffText(oldText, newText, granularity = 'word') {
+    const resolved = resolveGranularity(oldText, newText, granularity);
+    return mergeOps(diffSequences(tokenize(oldText, resolved), tokenize(newText, resolved)));
+}
+
+/**
+ * Count added and removed words. Pass word-level ops for exact counts.
+ * @param {Array<{type: string, value: string}>} ops - Result of diffText
+ * @returns {{added: number, removed: number, unchanged: number}}
+ */
+function diffStats(ops) {
+    const stats = { added: 0, removed: 0, unchanged: 0 };
+    const key = { insert: 'added', delete: 'removed', equal: 'unchanged' };
+    ops.forEach(op => {
+        stats[key[op.type]] += (op.value.match(WORD_REGEX) || []).length;
+    });
+    return stats;
+}
+
+/**
+ * Count added and removed words of a side-by-side layout, so the stats
+ * need no second diff. Changed lines without an inline diff (line
+ * granularity) count as wholly removed and added.
+ * @param {Array} rows - Result of sideBySide
+ * @returns {{added: number, removed: number, unchanged: number}}
+ */
+function sideBySideStats(rows) {
+    return diffStats(rows.flatMap(row => {
+        if (row.type === 'equal') return [{ type: 'equal', value: row.left }];
+        if (row.parts) return row.parts;
+        return [
+            ...(row.left === null ? [] : [{ type: 'delete', value: row.left }]),
+            ...(row.right === null ? [] : [{ type: 'insert', value: row.right }])
+        ];
+    }));
+}
+
+/**
+ * Lay out a line diff as side-by-side rows. Runs of removed and added lines
+ * are paired up as 'change' rows, which carry an inline diff of the pair
+ * (omitted for line granularity, where the whole line is the unit).
+ * @param {string} oldText
+ * @param {string} newText
+ * @param {string} granularity - Granularity of the inline diff of changed lines
+ * @returns {Array<{type: string, left: string|null, right: string|null, leftNo: number|null, rightNo: number|null, parts?: Array}>}
+ */
+function sideBySide(oldText, newText, granularity = 'word') {
+    const rows = [];
+    let leftNo = 0;
+    let rightNo = 0;
+    let removed = [];
+    let added = [];
+
+    const lines = (text) => tokenize(text, 'line').map(line => line.replace(/\n$/, ''));
+    const flush = () => {
+        for (let i = 0; i < Math.max(removed.length, added.length); i++) {
+            const left = i < removed.length ? removed[i] : null;
+            const right = i < added.length ? added[i] : null;
+            const row = {
+                type: left === null ? 'insert' : (right === null ? 'delete' : 'change'),
+                left,
+                right,
+                leftNo: left === null ? null : ++leftNo,
+                rightNo: right === null ? null : ++rightNo
+            };
+            if (row.type === 'change' && granularity !== 'line') {
+                row.parts = diffText(left, right, granularity);
+            }
+            rows.push(row);
+        }
+        removed = [];
+        added = [];
+    };
+
+    // Compare lines without their newline so a missing final newline is not a change
+    diffSequences(lines(oldText), lines(newText)).forEach(op => {
+        if (op.type === 'delete') {
+            removed.push(op.value);
+        } else if (op.type === 'insert') {
+            added.push(op.value);
+        } else {
+            flush();
+            rows.push({ type: 'equal', left: op.value, right: op.value, leftNo: ++leftNo, rightNo: ++rightNo });
+        }
+    });
+    flush();
+    return rows;
+}
+
+export {
+    GRANULARITIES,
+    MAX_DIFF_TOKENS,
+    MAX_EDIT_DISTANCE,
+    tokenize,
+    diffSequences,
+    resolveGranularity,
+    diffText,
+    diffStats,
+    sideBySideStats,
+    sideBySide
+};
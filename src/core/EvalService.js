@@ -0,0 +1,315 @@
+/**
+ * Eval Service Module
+ * Business logic for prompt test cases and evaluation runs. A test case is
+ * a set of variable values plus assertions on the model output. An
+ * evaluation renders the prompt once per test case, sends it to an
+ * endpoint from the settings store (LlmService) and checks the replies.
+ * Runs are kept in `prompt.eval_runs` with the version they were run on.
+ */
+
+import { getMessages, renderMessages } from './MessageService.js';
+import { TemplateSyntaxError } from './TemplateService.js';
+import { LlmError, requestCompletion } from './LlmService.js';
+
+/**
+ * Supported assertion types
+ */
+const ASSERTION_TYPES = ['contains', 'not-contains', 'regex', 'json-schema', 'max-length'];
+
+/**
+ * Number of runs kept per prompt
+ */
+const MAX_EVAL_RUNS = 20;
+
+// --- TEST CASES ---
+
+/**
+ * Find an invalid "pattern" in a JSON schema, following the keywords
+ * validateJsonSchema descends into
+ * @param {object} schema
+ * @param {string} path - Schema path used in error messages
+ * @returns {string|null} Error message, or null if every pattern compiles
+ */
+function findInvalidPattern(schema, path = '$') {
+    if (!schema || typeof schema !== 'object') return null;
+    if (schema.pattern !== undefined) {
+        try {
+            new RegExp(schema.pattern);
+        } catch (err) {
+            return `invalid pattern at ${path} (${err.message})`;
+        }
+    }
+    const children = Object.entries(schema.properties || {}).map(([key, child]) => [child, `${path}.${key}`]);
+    if (schema.items) children.push([schema.items, `${path}[]`]);
+    for (const [child, childPath] of children) {
+        const error = findInvalidPattern(child, childPath);
+        if (error) return error;
+    }
+    return null;
+}
+
+/**
+ * Validate one assertion
+ * @param {object} a
+ * @param {string} where - Position used in error messages
+ * @returns {{type: string, value: *, flags?: string}}
+ * @throws {Error}
+ */
+function parseAssertion(a, where) {
+    if (!a || !ASSERTION_TYPES.includes(a.type)) {
+        throw new Error(`${where}: "type" must be one of ${ASSERTION_TYPES.join(', ')}.`);
+    }
+    switch (a.type) {
+        case 'regex':
+            try {
+                new RegExp(a.value, a.flags || '');
+            } catch (err) {
+                throw new Error(`${where}: invalid regex (${err.message}).`);
+            }
+            return { type: a.type, value: a.value, flags: a.flags || '' };
+        case 'json-schema':
+            if (!a.value || typeof a.value !== 'object') throw new Error(`${where}: "value" must be a JSON schema object.`);
+            const patternError = findInvalidPattern(a.value);
+            if (patternError) throw new Error(`${where}: ${patternError}.`);
+            return { type: a.type, value: a.value };
+        case 'max-length':
+            if (!Number.isInteger(a.value) || a.value < 0) throw new Error(`${where}: "value" must be a whole number of characters.`);
+            return { type: a.type, value: a.value };
+        default:
+            if (typeof a.value !== 'string' || !a.value) throw new Error(`${where}: "value" must be a non-empty string.`);
+            return { type: a.type, value: a.value };
+    }
+}
+
+/**
+ * Validate a list of test cases (e.g. edited as JSON)
+ * @param {Array} cases
+ * @param {Function} generateId - Used for cases without an id
+ * @returns {Array<{id: string, name: string, values: object, assertions: Array}>}
+ * @throws {Error} If a case is invalid
+ */
+function parseTestCases(cases, generateId) {
+    if (!Array.isArray(cases)) throw new Error('Test cases must be a list.');
+
+    return cases.map((c, i) => {
+        const name = c?.name || `Case ${i + 1}`;
+        if (!c || typeof c !== 'object') throw new Error(`${name}: a test case must be an object.`);
+        if (c.values !== undefined && (typeof c.values !== 'object' || Array.isArray(c.values))) {
+            throw new Error(`${name}: "values" must map variable names to values.`);
+        }
+        if (!Array.isArray(c.assertions) || !c.assertions.length) throw new Error(`${name}: add at least one assertion.`);
+
+        return {
+            id: c.id || generateId(),
+            name,
+            values: { ...(c.values || {}) },
+            assertions: c.assertions.map((a, j) => parseAssertion(a, `${name}, assertion ${j + 1}`))
+        };
+    });
+}
+
+// --- ASSERTIONS ---
+
+const JSON_TYPES = {
+    string: v => typeof v === 'string',
+    number: v => typeof v === 'number' && Number.isFinite(v),
+    integer: v => Number.isInteger(v),
+    boolean: v => typeof v === 'boolean',
+    object: v => v !== null && typeof v === 'object' && !Array.isArray(v),
+    array: v => Array.isArray(v),
+    null: v => v === null
+};
+
+/**
+ * Validate a value against a JSON schema. Supports the commonly used subset:
+ * type, enum, const, required, properties, additionalProperties, items,
+ * minLength, maxLength, pattern, minimum, maximum, minItems and maxItems.
+ * @param {*} value
+ * @param {object} schema
+ * @param {string} path - JSON path used in error messages
+ * @returns {string[]} Errors (empty if valid)
+ */
+function validateJsonSchema(value, schema, path = '$') {
+    if (!schema || typeof schema !== 'object') return [];
+    const errors = [];
+
+    if (schema.type) {
+        const types = [].concat(schema.type);
+        if (!types.some(t => JSON_TYPES[t]?.(value))) return [`${path} should be ${types.join(' or ')}`];
+    }
+    if (schema.enum && !schema.enum.some(e => JSON.stringify(e) === JSON.stringify(value))) {
+        errors.push(`${path} should be one of ${schema.enum.map(e => JSON.stringify(e)).join(', ')}`);
+    }
+    if ('const' in schema && JSON.stringify(schema.const) !== JSON.stringify(value)) {
+        errors.push(`${path} should be ${JSON.stringify(schema.const)}`);
+    }
+
+    if (typeof value === 'string') {
+        if (schema.minLength !== undefined && value.length < schema.minLength) errors.push(`${path} is shorter than ${schema.minLength}`);
+        if (schema.maxLength !== undefined && value.length > schema.maxLength) errors.push(`${path} is longer than ${schema.maxLength}`);
+        if (schema.pattern && !new RegExp(schema.pattern).test(value)) errors.push(`${path} does not match ${schema.pattern}`);
+    }
+    if (typeof value === 'number') {
+        if (schema.minimum !== undefined && value < schema.minimum) errors.push(`${path} is below ${schema.minimum}`);
+        if (schema.maximum !== undefined && value > schema.maximum) errors.push(`${path} is above ${schema.maximum}`);
+    }
+    if (Array.isArray(value)) {
+        if (schema.minItems !== undefined && value.length < schema.minItems) errors.push(`${path} has fewer than ${schema.minItems} items`);
+        if (schema.maxItems !== undefined && value.length > schema.maxItems) errors.push(`${path} has more than ${schema.maxItems} items`);
+        if (schema.items) value.forEach((item, i) => errors.push(...validateJsonSchema(item, schema.items, `${path}[${i}]`)));
+    }
+    if (JSON_TYPES.object(value)) {
+        (schema.required || []).forEach(key => {
+            if (!(key in value)) errors.push(`${path}.${key} is required`);
+        });
+        const properties = schema.properties || {};
+        Object.entries(value).forEach(([key, item]) => {
+            if (properties[key]) errors.push(...validateJsonSchema(item, properties[key], `${path}.${key}`));
+            else if (schema.additionalProperties === false) errors.push(`${path}.${key} is not allowed`);
+        });
+    }
+    return errors;
+}
+
+/**
+ * Parse model output as JSON, allowing a surrounding ``` code fence
+ * @param {string} output
+ * @returns {*}
+ * @throws {SyntaxError} If the output is not JSON
+ */
+function parseJsonOutput(output) {
+    const fenced = output.trim().match(/^```(?:json)?\s*\n([\s\S]*?)\n?```$/i);
+    return JSON.parse(fenced ? fenced[1] : output);
+}
+
+/**
+ * Check one assertion against a model output
+ * @param {object} assertion
+ * @param {string} output
+ * @returns {{type: string, passed: boolean, message: string}}
+ */
+function checkAssertion(assertion, output) {
+    const { type, value } = assertion;
+    const result = (passed, message) => ({ type, passed, message });
+
+    switch (type) {
+        case 'contains':
+            return result(output.includes(value), `contains "${value}"`);
+        case 'not-contains':
+            return result(!output.includes(value), `does not contain "${value}"`);
+        case 'regex':
+            return result(new RegExp(value, assertion.flags || '').test(output), `matches /${value}/${assertion.flags || ''}`);
+        case 'max-length':
+            return result(output.length <= value, `at most ${value} characters (got ${output.length})`);
+        case 'json-schema': {
+            let data;
+            try {
+                data = parseJsonOutput(output);
+            } catch {
+                return result(false, 'valid JSON (output is not JSON)');
+            }
+            const errors = validateJsonSchema(data, value);
+            return result(!errors.length, errors.length ? `matches the schema: ${errors.slice(0, 3).join('; ')}` : 'matches the schema');
+        }
+        default:
+            return result(false, `unknown assertion "${type}"`);
+    }
+}
+
+/**
+ * Check every assertion of a test case
+ * @param {object} testCase
+ * @param {string} output
+ * @returns {{passed: boolean, checks: Array}}
+ */
+function evaluateOutput(testCase, output) {
+    const checks = testCase.assertions.map(a => checkAssertion(a, output));
+    return { passed: checks.every(c => c.passed), checks };
+}
+
+// --- RUNS ---
+
+/**
+ * Run every test case against the endpoint. Cases run one after another so
+ * a local server is not flooded; failures are recorded per case.
+ * @param {Array} messages - Prompt messages (unrendered)
+ * @param {Array} testCases
+ * @param {object} endpoint - From LlmService.parseEndpoints
+ * @param {object} options
+ * @param {Function} options.fetchFn - fetch implementation
+ * @param {Array} [options.templates] - Templates available for includes
+ * @param {Function} [options.onProgress] - Called with (done, total)
+ * @returns {Promise<Array<{case_id: string, name: string, passed: boolean, output: string|null, error: string|null, checks: Array}>>}
+ */
+async function runTestCases(messages, testCases, endpoint, { fetchFn, templates = [], onProgress = () => {} }) {
+    const results = [];
+    for (const testCase of testCases) {
+        const base = { case_id: testCase.id, name: testCase.name };
+        try {
+            const rendered = renderMessages(messages, testCase.values, templates);
+            const output = await requestCompletion(rendered, endpoint, fetchFn);
+            results.push({ ...base, ...evaluateOutput(testCase, output), output, error: null });
+        } catch (err) {
+            if (!(err instanceof LlmError) && !(err instanceof TemplateSyntaxError)) throw err;
+            results.push({ ...base, passed: false, output: null, error: err.message, checks: [] });
+        }
+        onProgress(results.length, testCases.length);
+    }
+    return results;
+}
+
+/**
+ * Version a prompt's current text belongs to
+ * @param {object} prompt - Saved prompt
+ * @returns {number|null} Latest version number if the text has not changed since, else null
+ */
+function getEvaluatedVersion(prompt) {
+    const versions = prompt.versions || [];
+    const latest = versions[versions.length - 1];
+    if (!latest) return null;
+    return JSON.stringify(getMessages(latest)) === JSON.stringify(getMessages(prompt)) ? latest.version_no : null;
+}
+
+/**
+ * Factory for an evaluation run record
+ * @param {Function} generateId
+ * @param {number|null} versionNo - Version the run was made on (null for unversioned text)
+ * @param {string} model
+ * @param {Array} results - From runTestCases
+ * @returns {object}
+ */
+function createEvalRun(generateId, versionNo, model, results) {
+    return {
+        id: generateId(),
+        date: new Date().toISOString(),
+        version_no: versionNo,
+        model,
+        passed: results.filter(r => r.passed).length,
+        total: results.length,
+        results
+    };
+}
+
+/**
+ * Add a run to a prompt, keeping the latest MAX_EVAL_RUNS
+ * @param {object} prompt - Prompt to update
+ * @param {object} run
+ * @returns {object} Updated prompt (same reference, mutated)
+ */
+function addEvalRun(prompt, run) {
+    prompt.eval_runs = [...(prompt.eval_runs || []), run].slice(-MAX_EVAL_RUNS);
+    return prompt;
+}
+
+export {
+    ASSERTION_TYPES,
+    MAX_EVAL_RUNS,
+    parseTestCases,
+    validateJsonSchema,
+    checkAssertion,
+    evaluateOutput,
+    runTestCases,
+    getEvaluatedVersion,
+    createEvalRun,
+    addEvalRun
+};
@@ -0,0 +1,152 @@
+/**
+ * Field Service Module
+ * Business logic for user-defined prompt fields. The schema is a list of
+ * field definitions kept in settings; values live in `prompt.custom`, keyed
+ * by field id. Values of fields missing from the schema are kept untouched.
+ */
+
+/**
+ * Supported field types
+ */
+const FIELD_TYPES = ['text', 'number', 'select', 'date', 'url', 'boolean'];
+
+const FIELD_ID_REGEX = /^[a-z][a-z0-9_]*$/i;
+
+const DATE_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Validate a field schema and fill in optional parts
+ * @param {Array} fields - Field definitions (e.g. parsed from settings)
+ * @returns {Array<{id: string, label: string, type: string, options: string[]}>}
+ * @throws {Error} If the schema is invalid
+ */
+function parseFieldSchema(fields) {
+    if (!Array.isArray(fields)) throw new Error('The field schema must be a list of fields.');
+
+    const ids = new Set();
+    return fields.map(f => {
+        if (!f || typeof f.id !== 'string' || !FIELD_ID_REGEX.test(f.id)) {
+            throw new Error('Every field needs an "id" made of letters, digits and underscores, starting with a letter.');
+        }
+        if (ids.has(f.id)) throw new Error(`Duplicate field "${f.id}".`);
+        ids.add(f.id);
+
+        const type = f.type || 'text';
+        if (!FIELD_TYPES.includes(type)) {
+            throw new Error(`Field "${f.id}" has unknown type "${type}" (use ${FIELD_TYPES.join(', ')}).`);
+        }
+        const options = type === 'select' ? (f.options || []).map(o => String(o).trim()).filter(Boolean) : [];
+        if (type === 'select' && !options.length) throw new Error(`Select field "${f.id}" needs "options".`);
+
+        return { id: f.id, label: f.label || f.id, type, options };
+    });
+}
+
+/**
+ * Convert an entered value to the stored value of a field
+ * @param {object} field - Field definition
+ * @param {*} raw - Form value (string, or boolean for checkboxes)
+ * @returns {string|number|boolean|null} null when empty
+ */
+function coerceFieldValue(field, raw) {
+    if (field.type === 'boolean') return raw === true || raw === 'true';
+    const text = (raw ?? '').toString().trim();
+    if (!text) return null;
+    if (field.type === 'number') {
+        const num = Number(text);
+        return Number.isFinite(num) ? num : text; // Invalid numbers are reported by validateFieldValue
+    }
+    return text;
+}
+
+/**
+ * Check a stored value against its field
+ * @param {object} field
+ * @param {*} value - From coerceFieldValue
+ * @returns {string|null} Error message, or null if valid
+ */
+function validateFieldValue(field, value) {
+    if (value === null || value === undefined || field.type === 'boolean') return null;
+    switch (field.type) {
+        case 'number':
+            return typeof value === 'number' ? null : `${field.label} must be a number.`;
+        case 'select':
+            return field.options.includes(value) ? null : `${field.label} must be one of: ${field.options.join(', ')}.`;
+        case 'date':
+            return DATE_REGEX.test(value) && !isNaN(new Date(value)) ? null : `${field.label} must be a date (YYYY-MM-DD).`;
+        case 'url':
+            try {
+                const url = new URL(value);
+                return ['http:', 'https:'].includes(url.protocol) ? null : `${field.label} must be an http(s) URL.`;
+            } catch {
+                return `${field.label} must be a URL.`;
+            }
+        default:
+            return null;
+    }
+}
+
+/**
+ * Validate the custom values of a prompt against the schema
+ * @param {Array} schema
+ * @param {object} custom - Map of field id to value
+ * @returns {Array<{id: string, message: string}>} Errors (empty if valid)
+ */
+function validateCustomValues(schema, custom) {
+    return schema
+        .map(field => ({ id: field.id, message: validateFieldValue(field, (custom || {})[field.id]) }))
+        .filter(e => e.message);
+}
+
+/**
+ * Collect the keys of an imported record that the app does not know, so
+ * they can be kept as custom values instead of being dropped
+ * @param {object} record - Imported record
+ * @param {string[]} knownKeys - Keys mapped to regular prompt fields
+ * @returns {object} Custom values: the record's `custom` object plus unknown keys
+ */
+function collectCustomValues(record, knownKeys) {
+    const unknown = Object.fromEntries(Object.entries(record || {})
+        .filter(([key]) => key !== 'custom' && !knownKeys.includes(key)));
+    const custom = record && typeof record.custom === 'object' && record.custom !== null ? record.custom : {};
+    return { ...unknown, ...custom };
+}
+
+/**
+ * Whether a value matches a filter query. An empty query matches any set value;
+ * otherwise text matches case-insensitively by substring and booleans by "true" / "false".
+ * @param {*} value
+ * @param {string} query
+ * @returns {boolean}
+ */
+function matchesFieldValue(value, query) {
+    const q = (query ?? '').toString().trim().toLowerCase();
+    if (typeof value === 'boolean') return q ? String(value) === q : value;
+    if (value === null || value === undefined || value === '') return false;
+    return !q || String(value).toLowerCase().includes(q);
+}
+
+/**
+ * Compare two custom values for sorting: numbers numerically, everything
+ * else as text; empty values sort last
+ * @param {*} a
+ * @param {*} b
+ * @returns {number}
+ */
+function compareFieldValues(a, b) {
+    const empty = (v) => v === null || v === undefined || v === '';
+    if (empty(a) || empty(b)) return empty(a) - empty(b);
+    if (typeof a === 'number' && typeof b === 'number') return a - b;
+    return String(a).localeCompare(String(b), undefined, { numeric: true });
+}
+
+export {
+    FIELD_TYPES,
+    parseFieldSchema,
+    coerceFieldValue,
+    validateFieldValue,
+    validateCustomValues,
+    collectCustomValues,
+    matchesFieldValue,
+    compareFieldValues
+};
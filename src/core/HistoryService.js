@@ -0,0 +1,158 @@
+/**
+ * History Service Module
+ * Business logic for the editor's undo/redo history and autosaved drafts.
+ * Both work on snapshots: plain objects holding every editor field. The
+ * history keeps the snapshots before and after the current one; a draft
+ * keeps the latest unsaved snapshot of a prompt so it can be recovered
+ * after a crash or a closed tab.
+ */
+
+/**
+ * Number of undo steps kept per prompt
+ */
+const MAX_HISTORY = 100;
+
+/**
+ * Typing in the same field within this time is one undo step
+ */
+const COALESCE_MS = 1000;
+
+/**
+ * Interval between autosaves of an unsaved draft
+ */
+const AUTOSAVE_INTERVAL_MS = 5000;
+
+/**
+ * Whether two snapshots hold the same editor content
+ * @param {object|null} a
+ * @param {object|null} b
+ * @returns {boolean}
+ */
+function isSameSnapshot(a, b) {
+    return JSON.stringify(a) === JSON.stringify(b);
+}
+
+// --- UNDO / REDO ---
+
+/**
+ * Factory for a history starting at a snapshot
+ * @param {object} snapshot
+ * @returns {{past: Array, present: object, future: Array, group: string|null, time: number}}
+ */
+function createHistory(snapshot) {
+    return { past: [], present: snapshot, future: [], group: null, time: 0 };
+}
+
+/**
+ * Record the editor content after a change. Changes of the same group (e.g.
+ * typing in one field) shortly after each other replace the current step
+ * instead of adding one. Any change clears the redo steps.
+ * @param {object} history
+ * @param {object} snapshot - Content after the change
+ * @param {string|null} group - Field the change was made in, null for one-off changes
+ * @param {number} now - Timestamp in ms
+ * @returns {object} Updated copy of the history (the same object if nothing changed)
+ */
+function recordChange(history, snapshot, group = null, now = Date.now()) {
+    if (isSameSnapshot(history.present, snapshot)) return history;
+
+    if (group && group === history.group && now - history.time <= COALESCE_MS) {
+        return { ...history, present: snapshot, future: [], time: now };
+    }
+    return {
+        past: [...history.past, history.present].slice(-MAX_HISTORY),
+        present: snapshot,
+        future: [],
+        group,
+        time: now
+    };
+}
+
+/**
+ * Step back to the previous snapshot
+ * @param {object} history
+ * @returns {object} Updated copy of the history (the same object if there is nothing to undo)
+ */
+function undo(history) {
+    if (!history.past.length) return history;
+    return {
+        past: history.past.slice(0, -1),
+        present: history.past[history.past.length - 1],
+        future: [history.present, ...history.future],
+        group: null,
+        time: 0
+    };
+}
+
+/**
+ * Step forward to the snapshot last undone
+ * @param {object} history
+ * @returns {object} Updated copy of the history (the same object if there is nothing to redo)
+ */
+function redo(history) {
+    if (!history.future.length) return history;
+    return {
+        past: [...history.past, history.present],
+        present: history.future[0],
+        future: history.future.slice(1),
+        group: null,
+        time: 0
+    };
+}
+
+/**
+ * @param {object|undefined} history
+ * @returns {boolean}
+ */
+function canUndo(history) {
+    return !!history && history.past.length > 0;
+}
+
+/**
+ * @param {object|undefined} history
+ * @returns {boolean}
+ */
+function canRedo(history) {
+    return !!history && history.future.length > 0;
+}
+
+// --- DRAFTS ---
+
+/**
+ * Factory for a draft record (keyed by the prompt id, one per prompt)
+ * @param {string} promptId
+ * @param {object} snapshot - Unsaved editor content
+ * @param {Date} now
+ * @returns {{id: string, saved_at: string, snapshot: object}}
+ */
+function createDraft(promptId, snapshot, now = new Date()) {
+    return { id: promptId, saved_at: now.toISOString(), snapshot };
+}
+
+/**
+ * Drafts that can be recovered: those whose prompt is in the library
+ * @param {Array} drafts
+ * @param {Array} prompts
+ * @returns {Array} Newest first
+ */
+function getRecoverableDrafts(drafts, prompts) {
+    const ids = new Set(prompts.map(p => p.id));
+    return drafts
+        .filter(d => ids.has(d.id))
+        .sort((a, b) => b.saved_at.localeCompare(a.saved_at));
+}
+
+export {
+    MAX_HISTORY,
+    COALESCE_MS,
+    AUTOSAVE_INTERVAL_MS,
+    isSameSnapshot,
+    createHistory,
+    recordChange,
+    undo,
+    redo,
+    canUndo,
+    canRedo,
+    createDraft,
+    getRecoverableDrafts
+};
@@ -0,0 +1,95 @@
+/**
+ * Lineage Service Module
+ * Business logic for prompt lineage. A duplicated or imported prompt keeps
+ * `derived_from` ({prompt_id, version_no, title} of its parent at the time
+ * of the fork) and imports also keep `import_source` ({filename, imported_at}),
+ * so forks can be traced back to the prompt they started from.
+ */
+
+import { getMessages, flattenMessages } from './MessageService.js';
+
+/**
+ * Describe a prompt as the parent of a new fork
+ * @param {object} parent - Prompt being duplicated or imported
+ * @returns {{prompt_id: string, version_no: number|null, title: string}}
+ *   version_no is the parent's latest saved version (null if it has none)
+ */
+function createLineage(parent) {
+    const versions = parent.versions || [];
+    return {
+        prompt_id: parent.id,
+        version_no: versions.length ? versions[versions.length - 1].version_no : null,
+        title: parent.title || 'Untitled'
+    };
+}
+
+/**
+ * Describe the file a prompt was imported from
+ * @param {string} filename
+ * @param {Date} now
+ * @returns {{filename: string, imported_at: string}}
+ */
+function createImportSource(filename, now = new Date()) {
+    return { filename, imported_at: now.toISOString() };
+}
+
+/**
+ * Find the parent of a prompt
+ * @param {object} prompt
+ * @param {Array} prompts
+ * @returns {object|null} Parent prompt, or null if there is none or it is not in the library
+ */
+function getParent(prompt, prompts) {
+    const id = prompt.derived_from?.prompt_id;
+    return id ? prompts.find(p => p.id === id) || null : null;
+}
+
+/**
+ * Prompts derived directly from a prompt
+ * @param {object} prompt
+ * @param {Array} prompts
+ * @returns {Array}
+ */
+function getDerivatives(prompt, prompts) {
+    return prompts.filter(p => p.id !== prompt.id && p.derived_from?.prompt_id === prompt.id);
+}
+
+/**
+ * Ancestors of a prompt, nearest first, up to the first one missing from the library
+ * @param {object} prompt
+ * @param {Array} prompts
+ * @returns {Array}
+ */
+function getAncestors(prompt, prompts) {
+    const ancestors = [];
+    const seen = new Set([prompt.id]);
+    let parent = getParent(prompt, prompts);
+    while (parent && !seen.has(parent.id)) {
+        ancestors.push(parent);
+        seen.add(parent.id);
+        parent = getParent(parent, prompts);
+    }
+    return ancestors;
+}
+
+/**
+ * Text of the parent as it was when the prompt was derived
+ * @param {object} prompt - Derived prompt
+ * @param {object} parent - Its parent
+ * @returns {string|null} Text of the recorded version, or null if that version is not available
+ */
+function getForkPointText(prompt, parent) {
+    const versionNo = prompt.derived_from?.version_no;
+    if (versionNo === null || versionNo === undefined) return null;
+    const version = (parent.versions || []).find(v => v.version_no === versionNo);
+    return version ? flattenMessages(getMessages(version)) : null;
+}
+
+export {
+    createLineage,
+    createImportSource,
+    getParent,
+    getDerivatives,
+    getAncestors,
+    getForkPointText
+};
@@ -0,0 +1,349 @@
+/**
+ * Lint Service Module
+ * Checks prompt and template text for common mistakes: malformed
+ * placeholders, stale variables, duplicated instructions, whitespace and
+ * line length problems, and secrets or personal data pasted into a prompt.
+ * Every rule is a pure function returning issues; the config turns rules
+ * on or off individually.
+ */
+
+import { extractVariables, parseTemplate, parseVariableSpec, VARIABLE_TYPES } from './TemplateService.js';
+import { getMessages } from './MessageService.js';
+
+/**
+ * Available rules with their severity ('error', 'warning' or 'info')
+ */
+const LINT_RULES = [
+    { id: 'placeholder', label: 'Malformed placeholders and blocks', severity: 'error' },
+    { id: 'unused-variable', label: 'Saved variables not used by the template', severity: 'warning' },
+    { id: 'duplicate-line', label: 'Duplicated instruction lines', severity: 'warning' },
+    { id: 'trailing-whitespace', label: 'Trailing whitespace', severity: 'info' },
+    { id: 'long-line', label: 'Very long lines', severity: 'info' },
+    { id: 'secret', label: 'API keys and credentials', severity: 'error' },
+    { id: 'pii', label: 'Email addresses and phone numbers', severity: 'warning' }
+];
+
+const DEFAULT_LINT_CONFIG = {
+    rules: Object.fromEntries(LINT_RULES.map(r => [r.id, true])),
+    maxLineLength: 300
+};
+
+const SEVERITY_ORDER = ['error', 'warning', 'info'];
+
+const SECRET_PATTERNS = [
+    { name: 'OpenAI / Anthropic API key', regex: /\bsk-(?:ant-|proj-)?[A-Za-z0-9_-]{20,}/g },
+    { name: 'AWS access key', regex: /\b(?:AKIA|ASIA)[0-9A-Z]{16}\b/g },
+    { name: 'GitHub token', regex: /\bgh[pousr]_[A-Za-z0-9]{36,}\b/g },
+    { name: 'Google API key', regex: /\bAIza[0-9A-Za-z_-]{35}\b/g },
+    { name: 'Slack token', regex: /\bxox[abprs]-[A-Za-z0-9-]{10,}/g },
+    { name: 'private key', regex: /-----BEGIN [A-Z ]*PRIVATE KEY-----/g },
+    { name: 'credential', regex: /\b(?:api[_-]?key|secret|token|password|passwd)\s*[:=]\s*["']?[A-Za-z0-9_\-/+]{12,}/gi }
+];
+
+const EMAIL_REGEX = /\b[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}\b/g;
+
+// Digits with optional +, spaces, dots, dashes or brackets; checked further in findPhoneNumbers
+const PHONE_CANDIDATE_REGEX = /(?:\+\d|\(\d|\b\d)[\d \t().-]{6,}\d\b/g;
+
+/**
+ * Build an issue
+ * @param {string} rule - Rule id
+ * @param {string} message
+ * @param {number|null} line - 1-based line, or null for whole-record issues
+ * @param {number|null} column - 1-based column
+ * @returns {{rule: string, severity: string, message: string, line: number|null, column: number|null}}
+ */
+function createIssue(rule, message, line = null, column = null) {
+    const severity = LINT_RULES.find(r => r.id === rule).severity;
+    return { rule, severity, message, line, column };
+}
+
+/**
+ * Line and column of an offset in a text
+ * @param {string} text
+ * @param {number} offset
+ * @returns {{line: number, column: number}}
+ */
+function positionAt(text, offset) {
+    const before = text.slice(0, offset).split('\n');
+    return { line: before.length, column: before[before.length - 1].length + 1 };
+}
+
+/**
+ * Shorten a matched secret so the warning does not repeat it
+ * @param {string} value
+ * @returns {string}
+ */
+function maskSecret(value) {
+    return value.length <= 8 ? '****' : `${value.slice(0, 4)}…${value.slice(-2)}`;
+}
+
+/**
+ * Flag unbalanced, empty or malformed ${...} placeholders and broken {{#if}} / {{#each}} blocks
+ * @param {string} text
+ * @param {Array} templates - Templates available for includes
+ * @returns {object[]} Issues
+ */
+function checkPlaceholders(text, templates = []) {
+    const issues = [];
+    const opener = /(\\?)\$\{/g;
+    let match;
+
+    while ((match = opener.exec(text)) !== null) {
+        if (match[1]) continue; // Escaped \${
+        const start = match.index;
+        const { line, column } = positionAt(text, start);
+        const close = text.indexOf('}', start + 2);
+        const nextOpen = text.indexOf('${', start + 2);
+        const lineEnd = text.indexOf('\n', start);
+
+        if (close === -1) {
+            issues.push(createIssue('placeholder', 'Placeholder "${" is never closed with "}"', line, column));
+            continue;
+        }
+        if (nextOpen !== -1 && nextOpen < close) {
+            issues.push(createIssue('placeholder', 'Placeholder "${" is not closed before the next "${"', line, column));
+            continue;
+        }
+        if (lineEnd !== -1 && lineEnd < close) {
+            issues.push(createIssue('placeholder', 'Placeholder spans several lines; a "}" is probably missing', line, column));
+            continue;
+        }
+
+        const spec = text.slice(start + 2, close);
+        if (!spec.trim()) {
+            issues.push(createIssue('placeholder', 'Empty placeholder "${}"', line, column));
+        } else if (!spec.startsWith('>')) {
+            const descriptor = parseVariableSpec(spec);
+            if (descriptor.name === spec && /[\s:="?]/.test(spec.trim())) {
+                const type = (spec.match(/:([a-z]+)/i) || [])[1];
+                const hint = type && !VARIABLE_TYPES.includes(type.toLowerCase())
+                    ? `unknown type "${type}" (use ${VARIABLE_TYPES.join(', ')})`
+                    : 'expected name[?][:type][=default]["help"]';
+                issues.push(createIssue('placeholder', `Malformed placeholder "\${${spec}}": ${hint}`, line, column));
+            }
+        }
+        opener.lastIndex = close + 1;
+    }
+
+    try {
+        parseTemplate(text, templates);
+    } catch (err) {
+        if (err.name !== 'TemplateSyntaxError') throw err;
+        issues.push(createIssue('placeholder', err.message, err.line, err.column));
+    }
+    return issues;
+}
+
+/**
+ * Flag variables that have saved values on a template (presets or client
+ * defaults) but no longer appear in its text
+ * @param {object} template
+ * @param {Array} templates - Templates available for includes
+ * @returns {object[]} Issues
+ */
+function checkUnusedVariables(template, templates = []) {
+    const used = new Set(extractVariables(template.template_text || '', templates));
+    const sources = new Map();
+    const declare = (values, source) => Object.keys(values || {}).forEach(name => {
+        if (!sources.has(name)) sources.set(name, source);
+    });
+
+    (template.presets || []).forEach(p => declare(p.values, `preset "${p.name}"`));
+    Object.entries(template.client_defaults || {}).forEach(([client, values]) => declare(values, `defaults for ${client}`));
+
+    return [...sources.entries()]
+        .filter(([name]) => !used.has(name))
+        .map(([name, source]) => createIssue('unused-variable', `Variable "${name}" is set in ${source} but not used in the template`));
+}
+
+/**
+ * Flag instruction lines that repeat an earlier line (ignoring case and spacing)
+ * @param {string} text
+ * @returns {object[]} Issues
+ */
+function checkDuplicateLines(text) {
+    const seen = new Map();
+    const issues = [];
+    text.split('\n').forEach((raw, idx) => {
+        const key = raw.trim().replace(/\s+/g, ' ').toLowerCase();
+        // Short lines, markup and block tags repeat legitimately
+        if (key.length < 12 || !/\p{L}/u.test(key) || /^(\{\{.*\}\}|\[\w+\])$/.test(key)) return;
+        if (seen.has(key)) {
+            issues.push(createIssue('duplicate-line', `Line repeats line ${seen.get(key)}`, idx + 1, 1));
+        } else {
+            seen.set(key, idx + 1);
+        }
+    });
+    return issues;
+}
+
+/**
+ * Flag lines ending in spaces or tabs
+ * @param {string} text
+ * @returns {object[]} Issues
+ */
+function checkTrailingWhitespace(text) {
+    const issues = [];
+    text.split('\n').forEach((raw, idx) => {
+        const line = raw.replace(/\r$/, '');
+        const trimmed = line.replace(/[ \t]+$/, '');
+        if (trimmed !== line && trimmed) {
+            issues.push(createIssue('trailing-whitespace', 'Trailing whitespace', idx + 1, trimmed.length + 1));
+        }
+    });
+    return issues;
+}
+
+/**
+ * Flag lines longer than a limit
+ * @param {string} text
+ * @param {number} maxLength - Characters per line
+ * @returns {object[]} Issues
+ */
+function checkLongLines(text, maxLength = DEFAULT_LINT_CONFIG.maxLineLength) {
+    const issues = [];
+    text.split('\n').forEach((line, idx) => {
+        if (line.length > maxLength) {
+            issues.push(createIssue('long-line', `Line is ${line.length} characters long (limit ${maxLength})`, idx + 1, maxLength + 1));
+        }
+    });
+    return issues;
+}
+
+/**
+ * Flag text that looks like an API key, token, password or private key
+ * @param {string} text
+ * @returns {object[]} Issues
+ */
+function checkSecrets(text) {
+    const issues = [];
+    const found = new Set();
+    SECRET_PATTERNS.forEach(({ name, regex }) => {
+        for (const match of text.matchAll(regex)) {
+            if (found.has(match.index)) continue; // One warning per secret even if several patterns match
+            found.add(match.index);
+            const { line, column } = positionAt(text, match.index);
+            issues.push(createIssue('secret', `Possible ${name} (${maskSecret(match[0])})`, line, column));
+        }
+    });
+    return issues.sort((a, b) => a.line - b.line || a.column - b.column);
+}
+
+/**
+ * Find phone numbers: 9 to 15 digits, written with a leading + or separators,
+ * and not shaped like a date or an IP address
+ * @param {string} text
+ * @returns {Array<{value: string, index: number}>}
+ */
+function findPhoneNumbers(text) {
+    return [...text.matchAll(PHONE_CANDIDATE_REGEX)]
+        .map(m => ({ value: m[0].trim(), index: m.index }))
+        .filter(({ value }) => {
+            const digits = value.replace(/\D/g, '').length;
+            if (digits < 9 || digits > 15) return false;
+            if (/^\d{4}-\d{2}-\d{2}/.test(value) || /^\d{1,3}(\.\d{1,3}){3}$/.test(value)) return false;
+            return value.startsWith('+') || /[\s().-]/.test(value);
+        });
+}
+
+/**
+ * Flag email addresses and phone numbers
+ * @param {string} text
+ * @returns {object[]} Issues
+ */
+function checkPersonalData(text) {
+    const emails = [...text.matchAll(EMAIL_REGEX)].map(m => ({ kind: 'email address', value: m[0], index: m.index }));
+    const phones = findPhoneNumbers(text).map(p => ({ kind: 'phone number', ...p }));
+
+    return [...emails, ...phones]
+        .sort((a, b) => a.index - b.index)
+        .map(({ kind, value, index }) => {
+            const { line, column } = positionAt(text, index);
+            return createIssue('pii', `Possible ${kind} "${value}"`, line, column);
+        });
+}
+
+/**
+ * Fill in missing parts of a stored lint config
+ * @param {object|null} config
+ * @returns {{rules: object, maxLineLength: number}}
+ */
+function parseLintConfig(config) {
+    const maxLineLength = parseInt(config?.maxLineLength, 10);
+    return {
+        rules: { ...DEFAULT_LINT_CONFIG.rules, ...(config?.rules || {}) },
+        maxLineLength: maxLineLength > 0 ? maxLineLength : DEFAULT_LINT_CONFIG.maxLineLength
+    };
+}
+
+/**
+ * Run the enabled text rules on one text
+ * @param {string} text
+ * @param {object} config - From parseLintConfig
+ * @param {Array} templates - Templates available for includes
+ * @returns {object[]} Issues in line order
+ */
+function lintText(text, config = DEFAULT_LINT_CONFIG, templates = []) {
+    const on = (id) => config.rules[id] !== false;
+    const source = text || '';
+    const issues = [
+        ...(on('placeholder') ? checkPlaceholders(source, templates) : []),
+        ...(on('duplicate-line') ? checkDuplicateLines(source) : []),
+        ...(on('trailing-whitespace') ? checkTrailingWhitespace(source) : []),
+        ...(on('long-line') ? checkLongLines(source, config.maxLineLength) : []),
+        ...(on('secret') ? checkSecrets(source) : []),
+        ...(on('pii') ? checkPersonalData(source) : [])
+    ];
+    return issues.sort((a, b) => (a.line ?? 0) - (b.line ?? 0) || (a.column ?? 0) - (b.column ?? 0));
+}
+
+/**
+ * Lint every message of a prompt; issues carry the index of their message
+ * @param {object} prompt - Prompt (or anything with messages / prompt_text)
+ * @param {object} config
+ * @param {Array} templates
+ * @returns {object[]} Issues
+ */
+function lintPrompt(prompt, config = DEFAULT_LINT_CONFIG, templates = []) {
+    return getMessages(prompt).flatMap((m, index) =>
+        lintText(m.content, config, templates).map(issue => ({ ...issue, message_index: index })));
+}
+
+/**
+ * Lint a template's text and its saved variable values
+ * @param {object} template
+ * @param {object} config
+ * @param {Array} templates
+ * @returns {object[]} Issues
+ */
+function lintTemplate(template, config = DEFAULT_LINT_CONFIG, templates = []) {
+    const unused = config.rules['unused-variable'] !== false ? checkUnusedVariables(template, templates) : [];
+    return [...unused, ...lintText(template.template_text, config, templates)];
+}
+
+/**
+ * Most severe level among issues
+ * @param {object[]} issues
+ * @returns {string|null} 'error', 'warning', 'info' or null when there are none
+ */
+function getWorstSeverity(issues) {
+    return SEVERITY_ORDER.find(s => issues.some(i => i.severity === s)) || null;
+}
+
+export {
+    LINT_RULES,
+    DEFAULT_LINT_CONFIG,
+    checkPlaceholders,
+    checkUnusedVariables,
+    checkDuplicateLines,
+    checkTrailingWhitespace,
+    checkLongLines,
+    checkSecrets,
+    checkPersonalData,
+    parseLintConfig,
+    lintText,
+    lintPrompt,
+    lintTemplate,
+    getWorstSeverity
+};
@@ -0,0 +1,322 @@
+/**
+ * LLM Service Module
+ * Business logic for calling a language model endpoint. Endpoints are kept
+ * in the settings store (never in prompts or exports) and speak either the
+ * OpenAI chat completions API or the Ollama chat API. Used by execute mode
+ * and by evaluation runs.
+ */
+
+/**
+ * Supported request styles
+ */
+const API_STYLES = ['openai', 'ollama'];
+
+/**
+ * Default endpoint (a local OpenAI-compatible server)
+ */
+const DEFAULT_ENDPOINT = {
+    id: 'local',
+    name: 'Local',
+    style: 'openai',
+    url: 'http://localhost:8000/v1/chat/completions',
+    model: 'gpt-4o-mini',
+    apiKey: '',
+    temperature: 0,
+    maxTokens: 1024
+};
+
+const DEFAULT_ENDPOINTS = [DEFAULT_ENDPOINT];
+
+/**
+ * Raised when an endpoint cannot be reached or returns an unusable reply
+ */
+class LlmError extends Error {
+    /**
+     * @param {string} message - Description of the problem
+     * @param {number|null} status - HTTP status, if a response was received
+     */
+    constructor(message, status = null) {
+        super(message);
+        this.name = 'LlmError';
+        this.status = status;
+    }
+}
+
+// --- SETTINGS ---
+
+/**
+ * Validate one endpoint and fill in defaults
+ * @param {object} e
+ * @returns {object}
+ * @throws {Error} If the endpoint is invalid
+ */
+function parseEndpoint(e) {
+    const merged = { ...DEFAULT_ENDPOINT, name: '', ...(e || {}) };
+    const name = `Endpoint "${merged.name || merged.id}"`;
+    if (!merged.id || typeof merged.id !== 'string') throw new Error('Every endpoint needs an "id".');
+    if (!API_STYLES.includes(merged.style)) throw new Error(`${name}: "style" must be one of ${API_STYLES.join(', ')}.`);
+
+    let url;
+    try {
+        url = new URL(merged.url);
+    } catch {
+        throw new Error(`${name}: "url" must be the full URL of the chat endpoint.`);
+    }
+    if (!['http:', 'https:'].includes(url.protocol)) throw new Error(`${name}: "url" must be an http(s) URL.`);
+    if (!merged.model || typeof merged.model !== 'string') throw new Error(`${name}: "model" is required.`);
+
+    const temperature = Number(merged.temperature);
+    if (!Number.isFinite(temperature) || temperature < 0) throw new Error(`${name}: "temperature" must be a number of 0 or more.`);
+    const maxTokens = Number(merged.maxTokens);
+    if (!Number.isInteger(maxTokens) || maxTokens < 1) throw new Error(`${name}: "maxTokens" must be a whole number above 0.`);
+
+    return {
+        id: merged.id,
+        name: merged.name || merged.id,
+        style: merged.style,
+        url: merged.url,
+        model: merged.model,
+        apiKey: String(merged.apiKey || ''),
+        temperature,
+        maxTokens
+    };
+}
+
+/**
+ * Validate the endpoint list of the settings store
+ * @param {Array} endpoints
+ * @returns {Array} Endpoints with defaults filled in
+ * @throws {Error} If the list is empty or an endpoint is invalid
+ */
+function parseEndpoints(endpoints) {
+    if (!Array.isArray(endpoints) || !endpoints.length) throw new Error('Add at least one endpoint.');
+    const ids = new Set();
+    return endpoints.map(e => {
+        const endpoint = parseEndpoint(e);
+        if (ids.has(endpoint.id)) throw new Error(`Duplicate endpoint "${endpoint.id}".`);
+        ids.add(endpoint.id);
+        return endpoint;
+    });
+}
+
+/**
+ * Find an endpoint by id, falling back to the first one
+ * @param {Array} endpoints
+ * @param {string} id
+ * @returns {object}
+ */
+function findEndpoint(endpoints, id) {
+    return endpoints.find(e => e.id === id) || endpoints[0];
+}
+
+// --- REQUESTS ---
+
+/**
+ * Build the HTTP request for a chat completion
+ * @param {Array<{role: string, content: string}>} messages - Rendered messages
+ * @param {object} endpoint - From parseEndpoints
+ * @param {boolean} stream - Ask for a streamed reply
+ * @returns {{url: string, options: object}} Arguments for fetch
+ */
+function buildChatRequest(messages, endpoint, stream = false) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (endpoint.apiKey) headers.Authorization = `Bearer ${endpoint.apiKey}`;
+
+    const body = endpoint.style === 'ollama'
+        ? { model: endpoint.model, messages, stream, options: { temperature: endpoint.temperature, num_predict: endpoint.maxTokens } }
+        : { model: endpoint.model, messages, temperature: endpoint.temperature, max_tokens: endpoint.maxTokens, stream };
+
+    return { url: endpoint.url, options: { method: 'POST', headers, body: JSON.stringify(body) } };
+}
+
+/**
+ * Extract the reply text from a complete (non-streamed) response
+ * @param {object} data - Parsed response body
+ * @param {string} style - API style of the endpoint
+ * @returns {string}
+ * @throws {LlmError} If the response has no reply
+ */
+function parseChatResponse(data, style = 'openai') {
+    const content = style === 'ollama' ? data?.message?.content : data?.choices?.[0]?.message?.content;
+    if (typeof content !== 'string') {
+        const error = typeof data?.error === 'string' ? data.error : data?.error?.message;
+        throw new LlmError(error || 'The response contains no reply.');
+    }
+    return content;
+}
+
+/**
+ * Parse one line of a streamed reply: server-sent events ("data: {...}")
+ * for OpenAI-style endpoints, one JSON object per line for Ollama
+ * @param {string} line
+ * @param {string} style
+ * @returns {{text: string, done: boolean}|null} null for lines without content (blank lines, comments)
+ * @throws {LlmError} If the line reports an error
+ */
+function parseStreamLine(line, style = 'openai') {
+    const trimmed = line.trim();
+    if (!trimmed) return null;
+
+    let json = trimmed;
+    if (style !== 'ollama') {
+        if (!trimmed.startsWith('data:')) return null;
+        json = trimmed.slice(5).trim();
+        if (json === '[DONE]') return { text: '', done: true };
+    }
+
+    let data;
+    try {
+        data = JSON.parse(json);
+    } catch {
+        return null;
+    }
+    if (data.error) throw new LlmError(typeof data.error === 'string' ? data.error : data.error.message);
+
+    if (style === 'ollama') return { text: data.message?.content || '', done: !!data.done };
+    const choice = data.choices?.[0];
+    return { text: choice?.delta?.content || '', done: false };
+}
+
+/**
+ * Send the request and check the HTTP status
+ * @param {string} url
+ * @param {object} options - fetch options
+ * @param {Function} fetchFn - fetch implementation
+ * @returns {Promise<Response>}
+ * @throws {LlmError}
+ */
+async function sendRequest(url, options, fetchFn) {
+    let response;
+    try {
+        response = await fetchFn(url, options);
+    } catch (err) {
+        if (err.name === 'AbortError') throw err;
+        throw new LlmError(`Could not reach ${url}: ${err.message}`);
+    }
+    if (!response.ok) {
+        let data = null;
+        try {
+            data = await response.json();
+        } catch {
+            // No JSON error body
+        }
+        const detail = typeof data?.error === 'string' ? data.error : data?.error?.message;
+        throw new LlmError(`HTTP ${response.status}: ${detail || response.statusText || 'request failed'}`, response.status);
+    }
+    return response;
+}
+
+/**
+ * Send messages and wait for the whole reply
+ * @param {Array} messages - Rendered messages
+ * @param {object} endpoint
+ * @param {Function} fetchFn - fetch implementation
+ * @returns {Promise<string>} Reply text
+ * @throws {LlmError}
+ */
+async function requestCompletion(messages, endpoint, fetchFn) {
+    const { url, options } = buildChatRequest(messages, endpoint);
+    const response = await sendRequest(url, options, fetchFn);
+    let data;
+    try {
+        data = await response.json();
+    } catch {
+        throw new LlmError('The response is not JSON.', response.status);
+    }
+    return parseChatResponse(data, endpoint.style);
+}
+
+/**
+ * Send messages and stream the reply as it arrives. Stopping through the
+ * abort signal keeps the text received so far.
+ * @param {Array} messages - Rendered messages
+ * @param {object} endpoint
+ * @param {Function} fetchFn - fetch implementation
+ * @param {object} options
+ * @param {Function} [options.onText] - Called with each received piece of text
+ * @param {AbortSignal} [options.signal]
+ * @returns {Promise<{text: string, latency_ms: number, stopped: boolean}>}
+ *   latency_ms is the time until the reply was complete (or stopped)
+ * @throws {LlmError}
+ */
+async function streamCompletion(messages, endpoint, fetchFn, { onText = () => {}, signal } = {}) {
+    const started = Date.now();
+    const { url, options } = buildChatRequest(messages, endpoint, true);
+    let text = '';
+    const add = (piece) => {
+        if (!piece) return;
+        text += piece;
+        onText(piece);
+    };
+
+    try {
+        const response = await sendRequest(url, { ...options, signal }, fetchFn);
+
+        // Servers that ignore "stream" answer with one JSON body
+        const type = response.headers?.get?.('content-type') || '';
+        if (!response.body || type.includes('application/json')) {
+            let data;
+            try {
+                data = await response.json();
+            } catch (err) {
+                if (err.name === 'AbortError') throw err;
+                throw new LlmError('The response is not JSON.', response.status);
+            }
+            add(parseChatResponse(data, endpoint.style));
+            return { text, latency_ms: Date.now() - started, stopped: false };
+        }
+
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        let buffer = '';
+        let finished = false; // The reply said it is complete
+        let ended = false; // The response body is exhausted
+        while (!finished && !ended) {
+            let chunk;
+            try {
+                chunk = await reader.read();
+            } catch (err) {
+                if (err.name === 'AbortError') throw err;
+                throw new LlmError(`The connection was lost: ${err.message}`, response.status);
+            }
+            ended = chunk.done;
+            buffer += decoder.decode(chunk.value || new Uint8Array(), { stream: !ended });
+            const lines = buffer.split('\n');
+            buffer = ended ? '' : lines.pop();
+            for (const line of lines) {
+                const parsed = parseStreamLine(line, endpoint.style);
+                if (!parsed) continue;
+                add(parsed.text);
+                if (parsed.done) {
+                    finished = true;
+                    break;
+                }
+            }
+        }
+        if (!ended) {
+            try {
+                await reader.cancel();
+            } catch {
+                // The reply is complete; a failing cancel does not matter
+            }
+        }
+        return { text, latency_ms: Date.now() - started, stopped: false };
+    } catch (err) {
+        if (err.name !== 'AbortError') throw err;
+        return { text, latency_ms: Date.now() - started, stopped: true };
+    }
+}
+
+export {
+    API_STYLES,
+    DEFAULT_ENDPOINT,
+    DEFAULT_ENDPOINTS,
+    LlmError,
+    parseEndpoints,
+    findEndpoint,
+    buildChatRequest,
+    parseChatResponse,
+    parseStreamLine,
+    requestCompletion,
+    streamCompletion
+};
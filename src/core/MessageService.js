@@ -0,0 +1,133 @@
+/**
+ * Message Service Module
+ * Business logic for structured prompts: an ordered list of role-tagged
+ * chat messages (system / user / assistant) stored in `prompt.messages`.
+ * `prompt.prompt_text` is kept as the flattened text of the messages so
+ * search, copy and older exports keep working.
+ */
+
+import { extractVariableDescriptors, renderTemplate } from './TemplateService.js';
+
+/**
+ * Supported message roles
+ */
+const MESSAGE_ROLES = ['system', 'user', 'assistant'];
+
+/**
+ * Factory for a chat message
+ * @param {string} role - 'system', 'user' or 'assistant'
+ * @param {string} content - Message text (may contain template syntax)
+ * @returns {{role: string, content: string}}
+ */
+function createMessage(role = 'user', content = '') {
+    return { role: MESSAGE_ROLES.includes(role) ? role : 'user', content: content || '' };
+}
+
+/**
+ * Get the messages of a prompt or version, migrating single-text records.
+ * A record without messages becomes one user message holding its prompt_text.
+ * @param {object} record - Prompt or version object
+ * @returns {Array<{role: string, content: string}>} New array of messages
+ */
+function getMessages(record) {
+    if (Array.isArray(record.messages) && record.messages.length) {
+        return record.messages.map(m => createMessage(m.role, m.content));
+    }
+    return [createMessage('user', record.prompt_text || '')];
+}
+
+/**
+ * Flatten messages into one text. A lone user message is returned as-is so
+ * single-text prompts look exactly as before; otherwise every message gets
+ * a "[role]" header line.
+ * @param {Array<{role: string, content: string}>} messages
+ * @returns {string}
+ */
+function flattenMessages(messages) {
+    if (messages.length === 1 && messages[0].role === 'user') return messages[0].content;
+    return messages.map(m => `[${m.role}]\n${m.content}`).join('\n\n');
+}
+
+/**
+ * Set the messages of a prompt (or version) and keep prompt_text in sync
+ * @param {object} record - Prompt or version to update
+ * @param {Array<{role: string, content: string}>} messages
+ * @returns {object} Updated record (same reference, mutated)
+ */
+function setMessages(record, messages) {
+    record.messages = messages.map(m => createMessage(m.role, m.content));
+    record.prompt_text = flattenMessages(record.messages);
+    return record;
+}
+
+/**
+ * Move a message up or down
+ * @param {Array} messages
+ * @param {number} index - Message to move
+ * @param {number} delta - -1 to move up, 1 to move down
+ * @returns {Array} New array (unchanged copy if the move is out of range)
+ */
+function moveMessage(messages, index, delta) {
+    const target = index + delta;
+    const result = [...messages];
+    if (index < 0 || index >= messages.length || target < 0 || target >= messages.length) return result;
+    [result[index], result[target]] = [result[target], result[index]];
+    return result;
+}
+
+/**
+ * Remove a message, always keeping at least one
+ * @param {Array} messages
+ * @param {number} index
+ * @returns {Array} New array
+ */
+function removeMessage(messages, index) {
+    if (messages.length <= 1) return [...messages];
+    return messages.filter((_, i) => i !== index);
+}
+
+/**
+ * Suggest the role for a newly added message: alternate user/assistant
+ * after the last message, starting with user.
+ * @param {Array} messages
+ * @returns {string}
+ */
+function nextRole(messages) {
+    const last = messages[messages.length - 1];
+    return last && last.role === 'user' ? 'assistant' : 'user';
+}
+
+/**
+ * Extract variable descriptors across all messages (first declaration wins)
+ * @param {Array} messages
+ * @param {Array} templates - Templates available for includes
+ * @returns {object[]} Unique variable descriptors
+ */
+function extractMessageVariables(messages, templates = []) {
+    return extractVariableDescriptors(messages.map(m => m.content).join('\n'), templates);
+}
+
+/**
+ * Render every message with the same variable values
+ * @param {Array} messages
+ * @param {object} values - Map of variable name to value
+ * @param {Array} templates - Templates available for includes
+ * @returns {Array<{role: string, content: string}>} Rendered messages
+ * @throws {TemplateSyntaxError} If a message cannot be parsed
+ */
+function renderMessages(messages, values = {}, templates = []) {
+    return messages.map(m => ({ role: m.role, content: renderTemplate(m.content, values, templates) }));
+}
+
+export {
+    MESSAGE_ROLES,
+    createMessage,
+    getMessages,
+    flattenMessages,
+    setMessages,
+    moveMessage,
+    removeMessage,
+    nextRole,
+    extractMessageVariables,
+    renderMessages
+};
@@ -0,0 +1,149 @@
+/**
+ * Preset Service Module
+ * Business logic for saved template variable values:
+ * named presets, per-client defaults and "last used" memory.
+ * Presets live on the template object so they persist wherever templates do.
+ */
+
+/**
+ * Key used for values remembered when the prompt has no client
+ */
+const NO_CLIENT = '';
+
+/**
+ * Keep only the values for variables the template declares
+ * @param {object} values - Map of variable name to value
+ * @param {string[]} names - Allowed variable names
+ * @returns {object} Filtered copy
+ */
+function pickValues(values, names) {
+    return Object.fromEntries(Object.entries(values || {}).filter(([k]) => names.includes(k)));
+}
+
+/**
+ * Factory for creating a named preset
+ * @param {Function} generateId - ID generator function
+ * @param {string} name - Preset name
+ * @param {object} values - Map of variable name to value
+ * @returns {object} New preset
+ */
+function createPreset(generateId, name, values) {
+    return {
+        id: generateId(),
+        name: name.trim(),
+        values: { ...values },
+        date_created: new Date().toISOString()
+    };
+}
+
+/**
+ * Add a preset to a template, replacing any preset with the same name
+ * @param {object} template - Template to update
+ * @param {object} preset - Preset from createPreset
+ * @returns {object} Updated template (same reference, mutated)
+ */
+function savePreset(template, preset) {
+    const name = preset.name.toLowerCase();
+    template.presets = [...(template.presets || []).filter(p => p.name.toLowerCase() !== name), preset];
+    return template;
+}
+
+/**
+ * Remove a preset from a template
+ * @param {object} template - Template to update
+ * @param {string} presetId - ID of the preset to remove
+ * @returns {object} Updated template (same reference, mutated)
+ */
+function deletePreset(template, presetId) {
+    template.presets = (template.presets || []).filter(p => p.id !== presetId);
+    return template;
+}
+
+/**
+ * Find a preset by ID
+ * @param {object} template
+ * @param {string} presetId
+ * @returns {object|undefined}
+ */
+function findPreset(template, presetId) {
+    return (template.presets || []).find(p => p.id === presetId);
+}
+
+/**
+ * Store default values for a client
+ * @param {object} template - Template to update
+ * @param {string} client - Client name
+ * @param {object} values - Map of variable name to value
+ * @returns {object} Updated template (same reference, mutated)
+ */
+function setClientDefaults(template, client, values) {
+    template.client_defaults = { ...(template.client_defaults || {}), [client]: { ...values } };
+    return template;
+}
+
+/**
+ * Remove the default values stored for a client
+ * @param {object} template - Template to update
+ * @param {string} client - Client name
+ * @returns {object} Updated template (same reference, mutated)
+ */
+function clearClientDefaults(template, client) {
+    const rest = { ...(template.client_defaults || {}) };
+    delete rest[client];
+    template.client_defaults = rest;
+    return template;
+}
+
+/**
+ * Remember the values last used with a template (per client)
+ * @param {object} template - Template to update
+ * @param {string} client - Client of the current prompt (may be empty)
+ * @param {object} values - Map of variable name to value
+ * @returns {object} Updated template (same reference, mutated)
+ */
+function rememberLastValues(template, client, values) {
+    template.last_values = { ...(template.last_values || {}), [client || NO_CLIENT]: { ...values } };
+    return template;
+}
+
+/**
+ * Get the remembered values for a client
+ * @param {object} template
+ * @param {string} client
+ * @returns {object|undefined} Map of variable name to value
+ */
+function getLastValues(template, client) {
+    return (template.last_values || {})[client || NO_CLIENT];
+}
+
+/**
+ * Compute the values to prefill in the variable form.
+ * Precedence: descriptor defaults < client defaults < last used for this client.
+ * @param {object} template
+ * @param {object[]} descriptors - Variable descriptors from TemplateService
+ * @param {string} client - Client of the current prompt (may be empty)
+ * @returns {object} Map of variable name to value
+ */
+function resolvePrefill(template, descriptors, client) {
+    const names = descriptors.map(d => d.name);
+    const defaults = Object.fromEntries(descriptors.map(d => [d.name, d.defaultValue]));
+    const clientDefaults = client ? (template.client_defaults || {})[client] : null;
+
+    return {
+        ...defaults,
+        ...pickValues(clientDefaults, names),
+        ...pickValues(getLastValues(template, client), names)
+    };
+}
+
+export {
+    createPreset,
+    savePreset,
+    deletePreset,
+    findPreset,
+    setClientDefaults,
+    clearClientDefaults,
+    rememberLastValues,
+    getLastValues,
+    resolvePrefill
+};
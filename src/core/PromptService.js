@@ -3,6 +3,19 @@
  * Pure business logic for prompt operations - no UI dependencies.
  */
 
+import {
+    DEFAULT_WORKFLOW,
+    WorkflowError,
+    resolveStatus,
+    assertTransition
+} from './WorkflowService.js';
+import { createMessage, getMessages, setMessages } from './MessageService.js';
+import { normalizeTag, normalizeTags } from './TagService.js';
+import { countPromptTokens } from './TokenService.js';
+import { createLineage } from './LineageService.js';
+import { matchesFieldValue, compareFieldValues } from './FieldService.js';
+import { getUseCount, isUnused } from './UsageService.js';
+
 /**
  * Factory for creating new prompt objects
  * @param {Function} generateId - ID generator function
@@ -14,13 +27,17 @@ function createPrompt(generateId) {
         title: "New Prompt",
         description: "",
         prompt_text: "",
-        tags: "",
+        messages: [createMessage('user', '')],
+        tags: [],
         status: "draft",
+        status_history: [],
         notes: "",
         category: "",
         client: "",
         date_created: new Date().toISOString(),
         versions: [],
+        labels: {},
+        custom: {},
         embedding: null
     };
 }
@@ -38,6 +55,7 @@ function createVersion(prompt) {
     return {
         version_no: lastVer + 1,
         prompt_text: prompt.prompt_text,
+        messages: getMessages(prompt),
         notes: prompt.notes,
         date_created: new Date().toISOString()
     };
@@ -53,21 +71,186 @@ function findVersion(prompt, versionNo) {
     return prompt.versions.find(v => v.version_no === versionNo);
 }
 
+/**
+ * Built-in release channels, listed before custom labels
+ */
+const RELEASE_LABELS = ['production', 'staging'];
+
+/**
+ * Normalise a label name ("Prod Canary " -> "prod-canary")
+ * @param {string} label
+ * @returns {string}
+ */
+function normalizeLabel(label) {
+    return (label || '').trim().toLowerCase().replace(/\s+/g, '-');
+}
+
+/**
+ * Point a label at a version. A label marks at most one version,
+ * so labelling another version moves it.
+ * @param {object} prompt - Prompt to update
+ * @param {string} label - Label name, e.g. 'production'
+ * @param {number} versionNo - Version to label
+ * @returns {object} Updated prompt (same reference, mutated)
+ * @throws {Error} If the label is empty or the version does not exist
+ */
+function setVersionLabel(prompt, label, versionNo) {
+    const name = normalizeLabel(label);
+    if (!name) throw new Error('Label name is required.');
+    if (!findVersion(prompt, versionNo)) throw new Error(`Version ${versionNo} does not exist.`);
+
+    prompt.labels = { ...(prompt.labels || {}), [name]: versionNo };
+    return prompt;
+}
+
+/**
+ * Remove a label from a prompt
+ * @param {object} prompt - Prompt to update
+ * @param {string} label - Label name
+ * @returns {object} Updated prompt (same reference, mutated)
+ */
+function removeVersionLabel(prompt, label) {
+    const rest = { ...(prompt.labels || {}) };
+    delete rest[normalizeLabel(label)];
+    prompt.labels = rest;
+    return prompt;
+}
+
+/**
+ * Order label names: release channels first, then custom labels alphabetically
+ * @param {string[]} labels
+ * @returns {string[]} Sorted copy
+ */
+function sortLabels(labels) {
+    const rank = (l) => {
+        const idx = RELEASE_LABELS.indexOf(l);
+        return idx >= 0 ? idx : RELEASE_LABELS.length;
+    };
+    return [...labels].sort((a, b) => rank(a) - rank(b) || a.localeCompare(b));
+}
+
+/**
+ * Get the labels pointing at a version
+ * @param {object} prompt
+ * @param {number} versionNo
+ * @returns {string[]} Sorted label names
+ */
+function getVersionLabels(prompt, versionNo) {
+    const labels = Object.entries(prompt.labels || {}).filter(([, no]) => no === versionNo).map(([l]) => l);
+    return sortLabels(labels);
+}
+
+/**
+ * Get the version a label points at
+ * @param {object} prompt
+ * @param {string} label
+ * @returns {object|undefined} Version object or undefined
+ */
+function getLabelledVersion(prompt, label) {
+    const versionNo = (prompt.labels || {})[normalizeLabel(label)];
+    return versionNo === undefined ? undefined : findVersion(prompt, versionNo);
+}
+
+/**
+ * Extract the labels in use across prompts (release channels always included)
+ * @param {Array} prompts
+ * @returns {string[]} Sorted label names
+ */
+function extractLabels(prompts) {
+    const set = new Set(RELEASE_LABELS);
+    prompts.forEach(p => Object.keys(p.labels || {}).forEach(l => set.add(l)));
+    return sortLabels([...set]);
+}
+
+/**
+ * Change the status of a prompt, enforcing the workflow and recording history
+ * @param {object} prompt - Prompt to update
+ * @param {string} status - Requested status
+ * @param {string} note - Reason for the change (required on some transitions)
+ * @param {object} workflow - Workflow definition from WorkflowService
+ * @returns {object} Updated prompt (same reference, mutated)
+ * @throws {WorkflowError} If the transition is not allowed
+ */
+function changeStatus(prompt, status, note = '', workflow = DEFAULT_WORKFLOW) {
+    const from = resolveStatus(workflow, prompt.status);
+    if (from === status) {
+        prompt.status = status;
+        return prompt;
+    }
+
+    assertTransition(workflow, from, status, note);
+    prompt.status = status;
+    prompt.status_history = [...(prompt.status_history || []), {
+        from,
+        to: status,
+        note: (note || '').trim(),
+        date: new Date().toISOString()
+    }];
+    return prompt;
+}
+
+/**
+ * Apply the workflow to an imported prompt. Unknown statuses are mapped onto
+ * workflow states; when the prompt already exists, the imported status must be
+ * reachable from the stored one (with a note recorded in the imported history
+ * where one is required), otherwise the stored status is kept.
+ * @param {object} prompt - Imported prompt (mutated)
+ * @param {object|undefined} existing - Stored prompt with the same ID
+ * @param {object} workflow - Workflow definition from WorkflowService
+ * @returns {string} Warning when the imported status was rejected, else ''
+ */
+function applyImportedStatus(prompt, existing, workflow = DEFAULT_WORKFLOW) {
+    const history = Array.isArray(prompt.status_history) ? prompt.status_history : [];
+    const status = resolveStatus(workflow, prompt.status);
+    prompt.status = status;
+    prompt.status_history = history;
+    if (!existing) return '';
+
+    const from = resolveStatus(workflow, existing.status);
+    if (from === status) return '';
+
+    const last = history[history.length - 1];
+    const recorded = last && last.from === from && last.to === status;
+    try {
+        assertTransition(workflow, from, status, recorded ? last.note : '');
+    } catch (err) {
+        if (!(err instanceof WorkflowError)) throw err;
+        prompt.status = from;
+        prompt.status_history = existing.status_history || [];
+        return `${prompt.title || 'Untitled'}: ${err.message}`;
+    }
+
+    if (!recorded) {
+        prompt.status_history = [...history, { from, to: status, note: 'Imported', date: new Date().toISOString() }];
+    }
+    return '';
+}
+
 /**
  * Update prompt fields from form data
  * @param {object} prompt - Prompt to update
- * @param {object} formData - Object with field values {title, description, category, etc.}
+ * @param {object} formData - Object with field values {title, description, category, etc.};
+ *   a status change goes through changeStatus with formData.status_note, and
+ *   formData.custom is merged into the custom field values
+ * @param {object} workflow - Workflow definition from WorkflowService
  * @returns {object} Updated prompt (same reference, mutated)
+ * @throws {WorkflowError} If the status change is not allowed
  */
-function updatePromptFromForm(prompt, formData) {
+function updatePromptFromForm(prompt, formData, workflow = DEFAULT_WORKFLOW) {
+    if (formData.status !== undefined && formData.status !== null) {
+        changeStatus(prompt, formData.status, formData.status_note, workflow);
+    }
     prompt.title = formData.title ?? prompt.title;
     prompt.description = formData.description ?? prompt.description;
     prompt.category = formData.category ?? prompt.category;
     prompt.client = formData.client ?? prompt.client;
-    prompt.status = formData.status ?? prompt.status;
-    prompt.prompt_text = formData.prompt_text ?? prompt.prompt_text;
-    prompt.tags = formData.tags ?? prompt.tags;
+    if (formData.messages) setMessages(prompt, formData.messages);
+    else if (formData.prompt_text !== undefined && formData.prompt_text !== null) {
+        setMessages(prompt, [createMessage('user', formData.prompt_text)]);
+    }
+    if (formData.tags !== undefined && formData.tags !== null) prompt.tags = normalizeTags(formData.tags);
     prompt.notes = formData.notes ?? prompt.notes;
+    if (formData.custom) prompt.custom = { ...(prompt.custom || {}), ...formData.custom };
     return prompt;
 }
 
@@ -104,38 +287,70 @@ function extractStatuses(prompts) {
 /**
  * Filter prompts by criteria
  * @param {Array} prompts 
- * @param {object} filter - {category, client, status}
+ * @param {object} filter - {category, client, status, label, tag, field, fieldValue, usage, ids}; label keeps prompts
+ *   with a version carrying it, field / fieldValue match a custom field value (see FieldService.matchesFieldValue),
+ *   usage is 'pinned' or 'unused' (no use in UsageService.UNUSED_DAYS), ids (optional) keeps only the listed prompts
+ * @param {string[]} hiddenStatuses - Statuses left out unless filtered on explicitly (e.g. archived)
+ * @param {Map} usage - Prompt id -> usage record (UsageService)
  * @returns {Array} Filtered prompts
  */
-function filterPrompts(prompts, filter) {
+function filterPrompts(prompts, filter, hiddenStatuses = [], usage = new Map()) {
     return prompts.filter(p => {
         const matchesCat = filter.category ? p.category === filter.category : true;
         const matchesClient = filter.client ? p.client === filter.client : true;
-        const matchesStatus = filter.status ? p.status === filter.status : true;
-        return matchesCat && matchesClient && matchesStatus;
+        const matchesStatus = filter.status ? p.status === filter.status : !hiddenStatuses.includes(p.status);
+        const matchesLabel = filter.label ? !!getLabelledVersion(p, filter.label) : true;
+        const matchesTag = filter.tag ? normalizeTags(p.tags).includes(normalizeTag(filter.tag)) : true;
+        const matchesField = filter.field ? matchesFieldValue((p.custom || {})[filter.field], filter.fieldValue) : true;
+        const matchesUsage = filter.usage === 'pinned' ? !!usage.get(p.id)?.pinned
+            : filter.usage === 'unused' ? isUnused(usage.get(p.id)) : true;
+        const matchesIds = Array.isArray(filter.ids) ? filter.ids.includes(p.id) : true;
+        return matchesCat && matchesClient && matchesStatus && matchesLabel && matchesTag && matchesField && matchesUsage && matchesIds;
     });
 }
 
 /**
  * Sort prompts by specified field
  * @param {Array} prompts 
- * @param {string} sortKey - 'date-desc', 'date-asc', 'name-asc', 'cat-asc', 'client-asc'
+ * @param {string} sortKey - 'date-desc', 'date-asc', 'name-asc', 'cat-asc', 'client-asc', 'tokens-desc', 'tokens-asc',
+ *   'used-desc' (most used), 'recent-desc' (recently used), 'pinned' (pinned first, then newest),
+ *   or 'field:<id>' for a custom field (ascending, empty values last)
+ * @param {Map} usage - Prompt id -> usage record, for the usage sorts
  * @returns {Array} Sorted prompts (new array)
  */
-function sortPrompts(prompts, sortKey) {
+function sortPrompts(prompts, sortKey, usage = new Map()) {
     const sorted = [...prompts];
+    const byDate = (a, b) => new Date(b.date_created || 0) - new Date(a.date_created || 0);
+    const lastUsed = (p) => usage.get(p.id)?.last_used || '';
     switch (sortKey) {
         case 'date-desc':
-            return sorted.sort((a, b) => new Date(b.date_created) - new Date(a.date_created));
+            return sorted.sort(byDate);
         case 'date-asc':
-            return sorted.sort((a, b) => new Date(a.date_created) - new Date(b.date_created));
+            return sorted.sort((a, b) => byDate(b, a));
         case 'name-asc':
             return sorted.sort((a, b) => (a.title || '').localeCompare(b.title || ''));
         case 'cat-asc':
             return sorted.sort((a, b) => (a.category || '').localeCompare(b.category || ''));
         case 'client-asc':
             return sorted.sort((a, b) => (a.client || '').localeCompare(b.client || ''));
+        case 'tokens-desc':
+        case 'tokens-asc': {
+            const tokens = new Map(prompts.map(p => [p, countPromptTokens(p)]));
+            const dir = sortKey === 'tokens-desc' ? -1 : 1;
+            return sorted.sort((a, b) => dir * (tokens.get(a) - tokens.get(b)));
+        }
+        case 'used-desc':
+            return sorted.sort((a, b) => getUseCount(usage.get(b.id)) - getUseCount(usage.get(a.id))
+                || lastUsed(b).localeCompare(lastUsed(a)));
+        case 'recent-desc':
+            return sorted.sort((a, b) => lastUsed(b).localeCompare(lastUsed(a)));
+        case 'pinned':
+            return sorted.sort((a, b) => !!usage.get(b.id)?.pinned - !!usage.get(a.id)?.pinned || byDate(a, b));
         default:
+            if (sortKey && sortKey.startsWith('field:')) {
+                const id = sortKey.slice(6);
+                return sorted.sort((a, b) => compareFieldValues((a.custom || {})[id], (b.custom || {})[id]));
+            }
             return sorted;
     }
 }
@@ -153,13 +368,13 @@ function keywordSearch(prompts, query) {
         (p.title || '').toLowerCase().includes(q) ||
         (p.description || '').toLowerCase().includes(q) ||
         (p.prompt_text || '').toLowerCase().includes(q) ||
-        (p.tags || '').toLowerCase().includes(q) ||
+        normalizeTags(p.tags).join(' ').includes(q) ||
         (p.notes || '').toLowerCase().includes(q)
     );
 }
 
 /**
- * Duplicate a prompt
+ * Duplicate a prompt, recording the source prompt and version as its parent
  * @param {object} prompt - Source prompt
  * @param {Function} generateId - ID generator
  * @returns {object} New prompt copy
@@ -169,9 +384,16 @@ function duplicatePrompt(prompt, generateId) {
         ...prompt,
         id: generateId(),
         title: `COPY ${prompt.title || "Untitled"}`,
+        messages: getMessages(prompt),
         status: "draft",
+        status_history: [],
         date_created: new Date().toISOString(),
         versions: [],
+        labels: {},
+        custom: { ...(prompt.custom || {}) },
+        eval_runs: [],
+        derived_from: createLineage(prompt),
+        import_source: null,
         embedding: null
     };
 }
@@ -180,6 +402,15 @@ export {
     createPrompt,
     createVersion,
     findVersion,
+    RELEASE_LABELS,
+    normalizeLabel,
+    setVersionLabel,
+    removeVersionLabel,
+    getVersionLabels,
+    getLabelledVersion,
+    extractLabels,
+    changeStatus,
+    applyImportedStatus,
     updatePromptFromForm,
     extractCategories,
     extractClients,
@@ -0,0 +1,69 @@
+/**
+ * Run Service Module
+ * Business logic for the run history of execute mode. Each run keeps the
+ * rendered input messages, the output, the model, the latency and the
+ * version the prompt text belonged to. Runs are stored apart from the
+ * prompt, keyed by their own id with a `prompt_id` reference.
+ */
+
+/**
+ * Number of runs kept per prompt
+ */
+const MAX_RUNS_PER_PROMPT = 50;
+
+/**
+ * Factory for a run record
+ * @param {Function} generateId
+ * @param {object} run
+ * @param {string} run.prompt_id
+ * @param {number|null} run.version_no - Version the text belonged to (null for edited text)
+ * @param {Array<{role: string, content: string}>} run.input - Rendered messages that were sent
+ * @param {string} run.output - Reply text
+ * @param {string} run.model
+ * @param {number} run.latency_ms
+ * @param {boolean} [run.stopped] - The reply was stopped before it was complete
+ * @returns {object}
+ */
+function createRun(generateId, { prompt_id, version_no, input, output, model, latency_ms, stopped = false }) {
+    return {
+        id: generateId(),
+        prompt_id,
+        date: new Date().toISOString(),
+        version_no,
+        input,
+        output,
+        model,
+        latency_ms,
+        stopped
+    };
+}
+
+/**
+ * Runs of one prompt, newest first
+ * @param {Array} runs
+ * @param {string} promptId
+ * @returns {Array}
+ */
+function getPromptRuns(runs, promptId) {
+    return runs
+        .filter(r => r.prompt_id === promptId)
+        .sort((a, b) => b.date.localeCompare(a.date));
+}
+
+/**
+ * Runs of a prompt beyond the kept number
+ * @param {Array} runs
+ * @param {string} promptId
+ * @param {number} max
+ * @returns {string[]} Ids of the oldest runs to delete
+ */
+function getRunsToPrune(runs, promptId, max = MAX_RUNS_PER_PROMPT) {
+    return getPromptRuns(runs, promptId).slice(max).map(r => r.id);
+}
+
+export {
+    MAX_RUNS_PER_PROMPT,
+    createRun,
+    getPromptRuns,
+    getRunsToPrune
+};
@@ -5,6 +5,7 @@
  */
 
 import { pipeline, env } from 'https://cdn.jsdelivr.net/npm/@xenova/transformers@2.14.0';
+import { getMessages, flattenMessages } from './MessageService.js';
 
 // Configure for browser usage
 env.allowLocalModels = false;
@@ -117,12 +118,14 @@ class SemanticSearch {
     }
 
     /**
-     * Build embedding text from prompt fields for indexing
+     * Build embedding text from prompt fields for indexing.
+     * All messages are included, with role headers for multi-message prompts.
      * @param {object} prompt - Prompt object
      * @returns {string} Concatenated text for embedding
      */
     buildEmbeddingText(prompt) {
-        return `${prompt.title || ''} ${prompt.description || ''} ${prompt.notes || ''} ${prompt.prompt_text || ''}`;
+        const content = flattenMessages(getMessages(prompt));
+        return `${prompt.title || ''} ${prompt.description || ''} ${prompt.notes || ''} ${content}`;
     }
 }
 
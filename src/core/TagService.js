@@ -0,0 +1,173 @@
+/**
+ * Tag Service Module
+ * Business logic for prompt tags: normalisation (tags are stored as an
+ * array of lower-case, trimmed names), counting, and library-wide rename,
+ * merge and delete. Tag colours are a map of tag name to CSS colour.
+ */
+
+/**
+ * Normalise one tag name: trimmed, inner whitespace collapsed, lower case
+ * @param {string} tag
+ * @returns {string}
+ */
+function normalizeTag(tag) {
+    return String(tag ?? '').trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+/**
+ * Normalise a tag list. Accepts the legacy comma separated string as well as
+ * an array; blanks and duplicates are dropped, first occurrence order kept.
+ * @param {string|string[]|null} value
+ * @returns {string[]}
+ */
+function normalizeTags(value) {
+    const list = Array.isArray(value) ? value : String(value ?? '').split(',');
+    return [...new Set(list.map(normalizeTag).filter(Boolean))];
+}
+
+/**
+ * Format tags for a text input
+ * @param {string|string[]} tags
+ * @returns {string} Comma separated tags
+ */
+function formatTags(tags) {
+    return normalizeTags(tags).join(', ');
+}
+
+/**
+ * Check whether a prompt needs its tags migrated to the normalised array
+ * @param {object} prompt
+ * @returns {boolean}
+ */
+function needsTagMigration(prompt) {
+    if (!Array.isArray(prompt.tags)) return true;
+    const normalized = normalizeTags(prompt.tags);
+    return normalized.length !== prompt.tags.length || normalized.some((t, i) => t !== prompt.tags[i]);
+}
+
+/**
+ * Add tags, skipping ones already present
+ * @param {string|string[]} tags - Current tags
+ * @param {string|string[]} added
+ * @returns {string[]}
+ */
+function addTags(tags, added) {
+    return normalizeTags([...normalizeTags(tags), ...normalizeTags(added)]);
+}
+
+/**
+ * Remove tags
+ * @param {string|string[]} tags - Current tags
+ * @param {string|string[]} removed
+ * @returns {string[]}
+ */
+function removeTags(tags, removed) {
+    const drop = new Set(normalizeTags(removed));
+    return normalizeTags(tags).filter(t => !drop.has(t));
+}
+
+/**
+ * Count how many prompts carry each tag
+ * @param {Array} prompts
+ * @returns {Array<{tag: string, count: number}>} Sorted by tag name
+ */
+function countTags(prompts) {
+    const counts = new Map();
+    prompts.forEach(p => {
+        normalizeTags(p.tags).forEach(t => counts.set(t, (counts.get(t) || 0) + 1));
+    });
+    return [...counts.entries()]
+        .map(([tag, count]) => ({ tag, count }))
+        .sort((a, b) => a.tag.localeCompare(b.tag));
+}
+
+/**
+ * Replace tags across prompts
+ * @param {Array} prompts
+ * @param {string[]} sources - Tags to replace
+ * @param {string|null} target - Replacement tag, or null to delete the sources
+ * @returns {Array} Updated copies of the prompts that carried a source tag
+ */
+function replaceTags(prompts, sources, target) {
+    const from = new Set(normalizeTags(sources));
+    const to = target === null ? '' : normalizeTag(target);
+
+    return prompts
+        .filter(p => normalizeTags(p.tags).some(t => from.has(t)))
+        .map(p => ({
+            ...p,
+            tags: normalizeTags(normalizeTags(p.tags).map(t => (from.has(t) ? to : t)))
+        }));
+}
+
+/**
+ * Rename a tag everywhere. Renaming onto an existing tag merges the two.
+ * @param {Array} prompts
+ * @param {string} from
+ * @param {string} to
+ * @returns {Array} Updated copies of the affected prompts
+ * @throws {Error} If the new name is empty
+ */
+function renameTag(prompts, from, to) {
+    if (!normalizeTag(to)) throw new Error('Tag name cannot be empty.');
+    return replaceTags(prompts, [from], to);
+}
+
+/**
+ * Merge several tags into one
+ * @param {Array} prompts
+ * @param {string[]} sources
+ * @param {string} target - May be one of the sources or a new tag
+ * @returns {Array} Updated copies of the affected prompts
+ * @throws {Error} If the target name is empty
+ */
+function mergeTags(prompts, sources, target) {
+    if (!normalizeTag(target)) throw new Error('Tag name cannot be empty.');
+    return replaceTags(prompts, sources, target);
+}
+
+/**
+ * Remove a tag from every prompt
+ * @param {Array} prompts
+ * @param {string} tag
+ * @returns {Array} Updated copies of the affected prompts
+ */
+function deleteTag(prompts, tag) {
+    return replaceTags(prompts, [tag], null);
+}
+
+/**
+ * Carry tag colours over a rename, merge or delete. The target keeps its own
+ * colour; otherwise it takes the colour of the first source that has one.
+ * @param {object} colors - Map of tag to colour
+ * @param {string[]} sources
+ * @param {string|null} target - null when the sources are deleted
+ * @returns {object} New colour map
+ */
+function moveTagColors(colors, sources, target) {
+    const result = { ...colors };
+    const from = normalizeTags(sources);
+    const inherited = from.map(t => result[t]).find(Boolean);
+    from.forEach(t => delete result[t]);
+
+    if (target !== null) {
+        const to = normalizeTag(target);
+        const own = colors[to];
+        if (own || inherited) result[to] = own || inherited;
+    }
+    return result;
+}
+
+export {
+    normalizeTag,
+    normalizeTags,
+    formatTags,
+    needsTagMigration,
+    addTags,
+    removeTags,
+    countTags,
+    renameTag,
+    mergeTags,
+    deleteTag,
+    moveTagColors
+};
@@ -0,0 +1,143 @@
+/**
+ * Template Link Service Module
+ * Business logic for linked template inserts. A linked insert copies the
+ * rendered template into a prompt like a plain insert, and records the
+ * template id, the variable values and the inserted text in
+ * `prompt.template_links`. When the template (or a template it includes)
+ * changes, re-rendering with the same values gives a different text: the
+ * link is outdated and the inserted text can be replaced by the new one.
+ */
+
+import { renderTemplate } from './TemplateService.js';
+import { getMessages, setMessages } from './MessageService.js';
+
+/**
+ * Factory for a template link
+ * @param {object} template - Inserted template
+ * @param {string} text - Rendered text that was inserted
+ * @param {object} values - Variable values used to render it
+ * @returns {{template_id: string, text: string, values: object, linked_at: string}}
+ */
+function createTemplateLink(template, text, values = {}) {
+    return {
+        template_id: template.id,
+        text,
+        values: { ...values },
+        linked_at: new Date().toISOString()
+    };
+}
+
+/**
+ * Add a link to a prompt, replacing an identical insert of the same template
+ * @param {object} prompt - Prompt to update
+ * @param {object} link - From createTemplateLink
+ * @returns {object} Updated prompt (same reference, mutated)
+ */
+function addTemplateLink(prompt, link) {
+    const others = (prompt.template_links || [])
+        .filter(l => !(l.template_id === link.template_id && l.text === link.text));
+    prompt.template_links = [...others, link];
+    return prompt;
+}
+
+/**
+ * Keep only the links whose inserted text is still present in the messages
+ * @param {Array} links
+ * @param {Array<{content: string}>} messages
+ * @returns {Array} Remaining links
+ */
+function pruneTemplateLinks(links, messages) {
+    return (links || []).filter(l => l.text && messages.some(m => m.content.includes(l.text)));
+}
+
+/**
+ * Compare a link with the current state of its template
+ * @param {object} link
+ * @param {Array} templates - All templates
+ * @returns {{status: string, template: object|null, text: string|null, error: string|null}}
+ *   status is 'current', 'updated', 'missing' (template deleted) or 'broken' (template no longer renders)
+ */
+function checkTemplateLink(link, templates) {
+    const template = templates.find(t => t.id === link.template_id) || null;
+    if (!template) return { status: 'missing', template, text: null, error: null };
+
+    try {
+        const text = renderTemplate(template.template_text, link.values || {}, templates);
+        return { status: text === link.text ? 'current' : 'updated', template, text, error: null };
+    } catch (err) {
+        if (err.name !== 'TemplateSyntaxError') throw err;
+        return { status: 'broken', template, text: null, error: err.message };
+    }
+}
+
+/**
+ * Links of a prompt whose template has changed since the insert
+ * @param {object} prompt
+ * @param {Array} templates
+ * @returns {Array<{link: object, template: object, text: string}>} Outdated links with the new text
+ */
+function getOutdatedLinks(prompt, templates) {
+    return (prompt.template_links || [])
+        .map(link => ({ link, ...checkTemplateLink(link, templates) }))
+        .filter(r => r.status === 'updated')
+        .map(({ link, template, text }) => ({ link, template, text }));
+}
+
+/**
+ * Prompts that contain a linked insert of a template, with the link state
+ * @param {Array} prompts
+ * @param {string} templateId
+ * @param {Array} templates
+ * @returns {Array<{prompt: object, status: string}>} status 'updated' wins over 'broken' and 'current'
+ */
+function findPromptsUsingTemplate(prompts, templateId, templates) {
+    const rank = ['updated', 'broken', 'current'];
+    return prompts
+        .map(prompt => {
+            const statuses = (prompt.template_links || [])
+                .filter(l => l.template_id === templateId)
+                .map(l => checkTemplateLink(l, templates).status);
+            return { prompt, status: rank.find(s => statuses.includes(s)) || null };
+        })
+        .filter(r => r.status);
+}
+
+/**
+ * Replace outdated inserts with the current template text
+ * @param {object} prompt
+ * @param {Array} templates
+ * @returns {{prompt: object, synced: object[], conflicts: object[]}} Updated copy of the prompt,
+ *   the links that were re-synced, and the links whose text was edited in the prompt and could not be found
+ */
+function resyncTemplateLinks(prompt, templates) {
+    const outdated = getOutdatedLinks(prompt, templates);
+    let messages = getMessages(prompt);
+    const synced = [];
+    const conflicts = [];
+
+    const links = (prompt.template_links || []).map(link => {
+        const update = outdated.find(o => o.link === link);
+        if (!update) return link;
+        if (!messages.some(m => m.content.includes(link.text))) {
+            conflicts.push(link);
+            return link;
+        }
+        messages = messages.map(m => ({ ...m, content: m.content.split(link.text).join(update.text) }));
+        const next = { ...link, text: update.text, linked_at: new Date().toISOString() };
+        synced.push(next);
+        return next;
+    });
+
+    const updated = setMessages({ ...prompt, template_links: links }, messages);
+    return { prompt: updated, synced, conflicts };
+}
+
+export {
+    createTemplateLink,
+    addTemplateLink,
+    pruneTemplateLinks,
+    checkTemplateLink,
+    getOutdatedLinks,
+    findPromptsUsingTemplate,
+    resyncTemplateLinks
+};
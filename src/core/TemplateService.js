@@ -14,8 +14,13 @@ function createTemplate(generateId) {
         description: "New Template",
         template_text: "",
         notes: "",
+        folder: "",
         is_favourite: false,
-        order: 0
+        order: 0,
+        presets: [],
+        client_defaults: {},
+        last_values: {},
+        versions: []
     };
 }
 
@@ -29,25 +34,151 @@ function duplicateTemplate(template, generateId) {
     return {
         ...template,
         id: generateId(),
-        description: `${template.description} (Copy)`
+        description: `${template.description} (Copy)`,
+        versions: []
     };
 }
 
+/**
+ * Create a new version entry for a template
+ * @param {object} template - The template to version
+ * @param {string} notes - Version comment
+ * @returns {object} New version entry
+ */
+function createTemplateVersion(template, notes = '') {
+    const versions = template.versions || [];
+    const lastVer = versions.length > 0 ? versions[versions.length - 1].version_no : 0;
+
+    return {
+        version_no: lastVer + 1,
+        description: template.description,
+        template_text: template.template_text,
+        notes: notes,
+        date_created: new Date().toISOString()
+    };
+}
+
+/**
+ * Find a template version by version number
+ * @param {object} template - Template with versions array
+ * @param {number} versionNo - Version number to find
+ * @returns {object|undefined} Version object or undefined
+ */
+function findTemplateVersion(template, versionNo) {
+    return (template.versions || []).find(v => v.version_no === versionNo);
+}
+
+/**
+ * Supported variable control types
+ */
+const VARIABLE_TYPES = ['text', 'multiline', 'number', 'select'];
+
+const PLACEHOLDER_REGEX = /\$\{([^}]+)\}/g;
+
+// name, optional marker, :type, =default, "help text"
+const VARIABLE_SPEC_REGEX = /^([^\s?:="]+)(\?)?(?::([a-z]+))?(?:=([^"]*?))?\s*(?:"([^"]*)")?$/i;
+
+/**
+ * Parse the inside of a ${...} placeholder into a variable descriptor.
+ * Syntax: name[?][:type][=default]["help text"]
+ *   ${tone:select=formal|casual}  ${context:multiline}
+ *   ${count:number=3}             ${name?=Alice "Customer name"}
+ * Anything that does not match is treated as a plain text variable named
+ * after the whole spec, so legacy placeholders keep working.
+ * @param {string} spec - Placeholder content without ${ }
+ * @returns {object} Descriptor {name, type, required, defaultValue, options, help}
+ */
+function parseVariableSpec(spec) {
+    const match = spec.trim().match(VARIABLE_SPEC_REGEX);
+    const type = match && match[3] ? match[3].toLowerCase() : 'text';
+
+    if (!match || !VARIABLE_TYPES.includes(type)) {
+        return { name: spec, type: 'text', required: true, defaultValue: '', options: [], help: '' };
+    }
+
+    const rawDefault = (match[4] || '').trim();
+    const options = type === 'select' && rawDefault
+        ? rawDefault.split('|').map(o => o.trim()).filter(Boolean)
+        : [];
+
+    return {
+        name: match[1],
+        type: type,
+        required: !match[2],
+        defaultValue: type === 'select' ? (options[0] || '') : rawDefault,
+        options: options,
+        help: match[5] || ''
+    };
+}
+
+/**
+ * Tokenize template text with included templates expanded in place.
+ * Unknown or circular includes are skipped; renderTemplate reports them.
+ * @param {string} text
+ * @param {Array} templates - Templates available for includes
+ * @param {Set<string>} visited - Template ids already expanded
+ * @returns {object[]} Flat token list
+ */
+function collectTokens(text, templates, visited = new Set()) {
+    return tokenizeTemplate(text || '').flatMap(token => {
+        if (token.type !== 'include') return [token];
+        const included = resolveTemplateRef(parseIncludeRef(token.value), templates);
+        if (!included || visited.has(included.id)) return [];
+        return collectTokens(included.template_text, templates, new Set([...visited, included.id]));
+    });
+}
+
+/**
+ * Extract variable descriptors from template text.
+ * The first declaration of a name wins; later plain references reuse it.
+ * Names used as {{#if}} / {{#each}} conditions are added as optional fields.
+ * Variables of included templates are merged into the same list.
+ * @param {string} templateText
+ * @param {Array} templates - Templates available for ${>template:...} includes
+ * @returns {object[]} Array of unique variable descriptors
+ */
+function extractVariableDescriptors(templateText, templates = []) {
+    const descriptors = [];
+    const optional = new Set();
+    const implicit = new Set();
+
+    collectTokens(templateText, templates).forEach(token => {
+        if (token.type === 'var') {
+            const descriptor = parseVariableSpec(token.value);
+            const idx = descriptors.findIndex(d => d.name === descriptor.name);
+            if (idx === -1) {
+                descriptors.push(descriptor);
+            } else if (implicit.has(descriptor.name)) {
+                descriptors[idx] = descriptor; // Explicit declaration beats block usage
+                implicit.delete(descriptor.name);
+            }
+        } else if ((token.type === 'if' || token.type === 'each') && token.value) {
+            optional.add(token.value);
+            if (!descriptors.some(d => d.name === token.value)) {
+                implicit.add(token.value);
+                descriptors.push({
+                    name: token.value,
+                    type: 'text',
+                    required: false,
+                    defaultValue: '',
+                    options: [],
+                    help: token.type === 'each' ? 'Comma-separated list' : 'Leave empty to omit this section'
+                });
+            }
+        }
+    });
+
+    return descriptors.map(d => optional.has(d.name) ? { ...d, required: false } : d);
+}
+
 /**
  * Extract variables from template text (${varname} pattern)
  * @param {string} templateText 
+ * @param {Array} templates - Templates available for includes
  * @returns {string[]} Array of unique variable names
  */
-function extractVariables(templateText) {
-    const regex = /\${([^}]+)}/g;
-    const variables = [];
-    let match;
-    while ((match = regex.exec(templateText)) !== null) {
-        if (!variables.includes(match[1])) {
-            variables.push(match[1]);
-        }
-    }
-    return variables;
+function extractVariables(templateText, templates = []) {
+    return extractVariableDescriptors(templateText, templates).map(d => d.name);
 }
 
 /**
@@ -57,11 +188,354 @@ function extractVariables(templateText) {
  * @returns {string} Processed text
  */
 function substituteVariables(templateText, values) {
-    return templateText.replace(/\${([^}]+)}/g, (match, varName) => {
-        return values[varName] ?? match; // Keep placeholder if no value
+    return templateText.replace(PLACEHOLDER_REGEX, (match, spec) => {
+        return values[parseVariableSpec(spec).name] ?? match; // Keep placeholder if no value
+    });
+}
+
+/**
+ * Build a map of default values for a set of descriptors
+ * @param {object[]} descriptors
+ * @returns {object} Map of variable name to default value
+ */
+function getDefaultValues(descriptors) {
+    return Object.fromEntries(descriptors.map(d => [d.name, d.defaultValue]));
+}
+
+/**
+ * Validate entered values against their descriptors
+ * @param {object[]} descriptors
+ * @param {object} values - Map of variable name to value
+ * @returns {Array<{name: string, message: string}>} Validation errors (empty if valid)
+ */
+function validateVariableValues(descriptors, values) {
+    const errors = [];
+    descriptors.forEach(d => {
+        const value = (values[d.name] ?? '').toString();
+        if (!value.trim()) {
+            if (d.required) errors.push({ name: d.name, message: 'This field is required.' });
+            return;
+        }
+        if (d.type === 'number' && !Number.isFinite(Number(value))) {
+            errors.push({ name: d.name, message: 'Please enter a number.' });
+        }
+        if (d.type === 'select' && d.options.length && !d.options.includes(value)) {
+            errors.push({ name: d.name, message: 'Please choose one of the listed options.' });
+        }
+    });
+    return errors;
+}
+
+// --- TEMPLATE RENDERER ---
+// Blocks: {{#if name}}...{{else}}...{{/if}}, {{#each name}}...{{this}}...{{/each}}
+// Inside {{#each}}, {{this}} is the current item and {{@index}} its 1-based position.
+// Includes: ${>template:Name} or ${>template:id} expands another template in place.
+// Escapes: \{{ and \${ produce literal {{ and ${.
+
+/**
+ * Error raised when a template cannot be parsed
+ */
+class TemplateSyntaxError extends Error {
+    /**
+     * @param {string} message - Description of the problem
+     * @param {number} line - 1-based line of the offending token
+     * @param {number} column - 1-based column of the offending token
+     * @param {string} [templateName] - Included template the error occurred in
+     */
+    constructor(message, line, column, templateName = '') {
+        const where = templateName ? ` in template "${templateName}"` : '';
+        super(`${message} (line ${line}, column ${column}${where})`);
+        this.name = 'TemplateSyntaxError';
+        this.line = line;
+        this.column = column;
+        this.templateName = templateName;
+    }
+}
+
+/**
+ * Extract the template reference from an include placeholder body
+ * @param {string} value - Placeholder content, e.g. ">template:Persona Block"
+ * @returns {string} Template name or id
+ */
+function parseIncludeRef(value) {
+    return value.replace(/^>\s*/, '').replace(/^template:/i, '').trim();
+}
+
+/**
+ * Find a template by id, or by name (case-insensitive)
+ * @param {string} ref - Template id or description
+ * @param {Array} templates
+ * @returns {object|undefined}
+ */
+function resolveTemplateRef(ref, templates) {
+    const byId = templates.find(t => t.id === ref);
+    if (byId) return byId;
+    const name = ref.toLowerCase();
+    return templates.find(t => (t.description || '').trim().toLowerCase() === name);
+}
+
+/**
+ * List the templates directly included by a template
+ * @param {object} template
+ * @param {Array} templates - All templates
+ * @returns {Array<{ref: string, template: object|null}>} Includes in order; template is null when unresolved
+ */
+function getTemplateDependencies(template, templates) {
+    const deps = [];
+    tokenizeTemplate(template.template_text || '')
+        .filter(t => t.type === 'include')
+        .forEach(token => {
+            const ref = parseIncludeRef(token.value);
+            if (deps.some(d => d.ref === ref)) return;
+            deps.push({ ref, template: resolveTemplateRef(ref, templates) || null });
+        });
+    return deps;
+}
+
+const BLOCK_TOKENS = ['if', 'else', 'endif', 'each', 'endeach'];
+
+/**
+ * Classify the inside of a {{...}} tag
+ * @param {string} inner - Tag content without braces
+ * @returns {object|null} Token fields, or null if this is not a template tag
+ */
+function classifyTag(inner) {
+    const open = inner.match(/^#(\w+)\s*(.*)$/);
+    if (open) return { type: open[1] === 'if' || open[1] === 'each' ? open[1] : 'unknown', value: open[2].trim(), tag: inner };
+    if (inner === 'else') return { type: 'else', value: '', tag: inner };
+    if (inner === '/if') return { type: 'endif', value: '', tag: inner };
+    if (inner === '/each') return { type: 'endeach', value: '', tag: inner };
+    if (inner.startsWith('/')) return { type: 'unknown', value: '', tag: inner };
+    if (inner === 'this') return { type: 'this', value: '', tag: inner };
+    if (inner === '@index') return { type: 'index', value: '', tag: inner };
+    return null; // Anything else stays literal text
+}
+
+/**
+ * Remove the whitespace and line break around block tags that sit alone on a line,
+ * so that wrapping a paragraph in {{#if}} does not leave blank lines behind.
+ * @param {object[]} tokens - Token list (text tokens are mutated)
+ */
+function trimStandaloneTags(tokens) {
+    const standalone = tokens.map((token, k) => {
+        if (!BLOCK_TOKENS.includes(token.type)) return false;
+        const prev = tokens[k - 1];
+        const next = tokens[k + 1];
+        const prevOk = !prev || (prev.type === 'text' && /(^|\n)[ \t]*$/.test(prev.value) && (k === 1 || prev.value.includes('\n')));
+        const nextOk = !next || (next.type === 'text' && /^[ \t]*(\r?\n|$)/.test(next.value) && (k === tokens.length - 2 || /\n/.test(next.value)));
+        return prevOk && nextOk;
+    });
+
+    standalone.forEach((isStandalone, k) => {
+        if (!isStandalone) return;
+        const prev = tokens[k - 1];
+        const next = tokens[k + 1];
+        if (prev) prev.value = prev.value.replace(/[ \t]*$/, '');
+        if (next) next.value = next.value.replace(/^[ \t]*\r?\n?/, '');
     });
 }
 
+/**
+ * Split template text into tokens with their source position
+ * @param {string} text - Template text
+ * @returns {Array<{type: string, value: string, line: number, column: number}>}
+ */
+function tokenizeTemplate(text) {
+    const tokens = [];
+    let buffer = '';
+    let bufferPos = null;
+    let i = 0;
+    let line = 1;
+    let column = 1;
+
+    const advance = (count) => {
+        for (let n = 0; n < count; n++, i++) {
+            if (text[i] === '\n') {
+                line++;
+                column = 1;
+            } else {
+                column++;
+            }
+        }
+    };
+    const pushText = (str, pos) => {
+        if (!buffer) bufferPos = pos;
+        buffer += str;
+    };
+    const flush = () => {
+        if (buffer) tokens.push({ type: 'text', value: buffer, ...bufferPos });
+        buffer = '';
+    };
+
+    while (i < text.length) {
+        const pos = { line, column };
+
+        if (text.startsWith('\\{{', i) || text.startsWith('\\${', i)) {
+            pushText(text.substr(i + 1, 2), pos);
+            advance(3);
+            continue;
+        }
+
+        if (text.startsWith('${', i)) {
+            const end = text.indexOf('}', i + 2);
+            if (end > i + 2) {
+                flush();
+                const value = text.slice(i + 2, end);
+                tokens.push({ type: value.startsWith('>') ? 'include' : 'var', value, ...pos });
+                advance(end + 1 - i);
+                continue;
+            }
+        }
+
+        if (text.startsWith('{{', i)) {
+            const end = text.indexOf('}}', i + 2);
+            const tag = end !== -1 ? classifyTag(text.slice(i + 2, end).trim()) : null;
+            if (tag) {
+                flush();
+                tokens.push({ ...tag, ...pos });
+                advance(end + 2 - i);
+                continue;
+            }
+        }
+
+        pushText(text[i], pos);
+        advance(1);
+    }
+    flush();
+
+    trimStandaloneTags(tokens);
+    return tokens.filter(t => t.type !== 'text' || t.value);
+}
+
+/**
+ * Parse template text into a node tree, expanding includes
+ * @param {string} text - Template text
+ * @param {Array} templates - Templates available for includes
+ * @param {object[]} trail - Templates currently being expanded (cycle detection)
+ * @returns {object[]} Root node list
+ * @throws {TemplateSyntaxError} On unbalanced or malformed blocks, unknown or circular includes
+ */
+function parseTemplate(text, templates = [], trail = []) {
+    const root = { type: 'root', children: [] };
+    const stack = [root];
+    const target = () => {
+        const top = stack[stack.length - 1];
+        return top.inElse ? top.alternate : top.children;
+    };
+    const fail = (message, token) => {
+        const current = trail[trail.length - 1];
+        throw new TemplateSyntaxError(message, token.line, token.column, current ? current.description : '');
+    };
+
+    for (const token of tokenizeTemplate(text || '')) {
+        const top = stack[stack.length - 1];
+
+        switch (token.type) {
+            case 'text':
+                target().push({ type: 'text', value: token.value });
+                break;
+            case 'var':
+                target().push({ type: 'var', spec: token.value, name: parseVariableSpec(token.value).name });
+                break;
+            case 'include': {
+                const ref = parseIncludeRef(token.value);
+                const included = resolveTemplateRef(ref, templates);
+                if (!included) fail(`Unknown template "${ref}"`, token);
+                if (trail.some(t => t.id === included.id)) {
+                    const cycle = [...trail, included].map(t => t.description).join(' → ');
+                    fail(`Circular include: ${cycle}`, token);
+                }
+                target().push(...parseTemplate(included.template_text || '', templates, [...trail, included]));
+                break;
+            }
+            case 'this':
+            case 'index':
+                if (!stack.some(n => n.type === 'each')) fail(`{{${token.tag}}} can only be used inside {{#each}}`, token);
+                target().push({ type: token.type });
+                break;
+            case 'if':
+            case 'each': {
+                if (!token.value) fail(`{{#${token.type}}} needs a variable name`, token);
+                const node = { type: token.type, name: token.value, children: [], alternate: [], inElse: false, token };
+                target().push(node);
+                stack.push(node);
+                break;
+            }
+            case 'else':
+                if (top.type !== 'if' || top.inElse) fail('Unexpected {{else}}', token);
+                top.inElse = true;
+                break;
+            case 'endif':
+            case 'endeach': {
+                const expected = token.type === 'endif' ? 'if' : 'each';
+                if (top.type !== expected) {
+                    const hint = top.type === 'root' ? '' : `; expected {{/${top.type}}}`;
+                    fail(`Unexpected {{/${expected}}}${hint}`, token);
+                }
+                stack.pop();
+                break;
+            }
+            default:
+                fail(`Unknown tag {{${token.tag}}}`, token);
+        }
+    }
+
+    if (stack.length > 1) {
+        const open = stack[stack.length - 1];
+        fail(`Unclosed {{#${open.type} ${open.name}}}`, open.token);
+    }
+    return root.children;
+}
+
+/**
+ * Split a value into list items for {{#each}}
+ * @param {string|Array} value
+ * @returns {string[]}
+ */
+function splitListValue(value) {
+    if (Array.isArray(value)) return value.map(String);
+    return (value ?? '').toString().split(',').map(v => v.trim()).filter(Boolean);
+}
+
+function renderNodes(nodes, values, scope) {
+    return nodes.map(node => {
+        switch (node.type) {
+            case 'text':
+                return node.value;
+            case 'var': {
+                const value = values[node.name];
+                return value ?? `\${${node.spec}}`; // Keep placeholder if no value
+            }
+            case 'this':
+                return scope.item;
+            case 'index':
+                return String(scope.index);
+            case 'if': {
+                const isSet = (values[node.name] ?? '').toString().trim() !== '';
+                return renderNodes(isSet ? node.children : node.alternate, values, scope);
+            }
+            case 'each':
+                return splitListValue(values[node.name])
+                    .map((item, idx) => renderNodes(node.children, values, { item, index: idx + 1 }))
+                    .join('');
+            default:
+                return '';
+        }
+    }).join('');
+}
+
+/**
+ * Render a template with variables, includes, conditional and repeat blocks
+ * @param {string} templateText - Template source
+ * @param {object} values - Map of variable name to value
+ * @param {Array} templates - Templates available for includes
+ * @returns {string} Rendered text
+ * @throws {TemplateSyntaxError} If the template cannot be parsed
+ */
+function renderTemplate(templateText, values = {}, templates = []) {
+    return renderNodes(parseTemplate(templateText, templates), values, {});
+}
+
 /**
  * Filter templates by search query
  * @param {Array} templates 
@@ -91,11 +565,105 @@ function sortTemplates(templates) {
     });
 }
 
+/**
+ * Next free order value, so new templates land at the end of the list
+ * @param {Array} templates
+ * @returns {number}
+ */
+function getNextOrder(templates) {
+    return templates.reduce((max, t) => Math.max(max, (t.order || 0) + 1), 0);
+}
+
+/**
+ * List the folder names in use, alphabetically
+ * @param {Array} templates
+ * @returns {string[]}
+ */
+function listFolders(templates) {
+    const folders = new Set(templates.map(t => (t.folder || '').trim()).filter(Boolean));
+    return [...folders].sort((a, b) => a.localeCompare(b));
+}
+
+/**
+ * Group templates by folder. Named folders come alphabetically,
+ * unfiled templates ('') last; each group is sorted with sortTemplates
+ * so favourites stay pinned to the top of their group.
+ * @param {Array} templates
+ * @returns {Array<{folder: string, templates: Array}>}
+ */
+function groupTemplates(templates) {
+    const folders = [...listFolders(templates), ''];
+    return folders
+        .map(folder => ({
+            folder,
+            templates: sortTemplates(templates.filter(t => (t.folder || '').trim() === folder))
+        }))
+        .filter(g => g.templates.length > 0);
+}
+
+/**
+ * Move a template in the displayed (grouped) order and renumber `order`.
+ * Dropping onto a template in another folder moves it into that folder;
+ * with no target it is appended to the end of `folder`.
+ * @param {Array} templates
+ * @param {string} draggedId - Template being moved
+ * @param {string|null} targetId - Template it is dropped on
+ * @param {object} options
+ * @param {boolean} [options.after=false] - Place after the target instead of before
+ * @param {string} [options.folder] - Destination folder when there is no target
+ * @returns {{templates: Array, changed: Array}} New list and the templates that need saving
+ */
+function reorderTemplates(templates, draggedId, targetId, { after = false, folder } = {}) {
+    const sequence = groupTemplates(templates).flatMap(g => g.templates);
+    const dragged = sequence.find(t => t.id === draggedId);
+    if (!dragged || draggedId === targetId) return { templates, changed: [] };
+
+    const rest = sequence.filter(t => t.id !== draggedId);
+    const target = rest.find(t => t.id === targetId);
+    const destFolder = target ? (target.folder || '').trim() : (folder ?? (dragged.folder || '')).trim();
+
+    let index;
+    if (target) {
+        index = rest.indexOf(target) + (after ? 1 : 0);
+    } else {
+        const last = rest.map(t => (t.folder || '').trim()).lastIndexOf(destFolder);
+        index = last >= 0 ? last + 1 : rest.length;
+    }
+    rest.splice(index, 0, { ...dragged, folder: destFolder });
+
+    const changed = [];
+    const reordered = rest.map((t, i) => {
+        if (t.order === i && templates.includes(t)) return t;
+        const updated = { ...t, order: i };
+        changed.push(updated);
+        return updated;
+    });
+    return { templates: reordered, changed };
+}
+
 export {
     createTemplate,
     duplicateTemplate,
+    createTemplateVersion,
+    findTemplateVersion,
+    VARIABLE_TYPES,
+    parseVariableSpec,
+    extractVariableDescriptors,
     extractVariables,
     substituteVariables,
+    getDefaultValues,
+    validateVariableValues,
+    TemplateSyntaxError,
+    parseIncludeRef,
+    resolveTemplateRef,
+    getTemplateDependencies,
+    tokenizeTemplate,
+    parseTemplate,
+    renderTemplate,
     filterTemplates,
-    sortTemplates
+    sortTemplates,
+    getNextOrder,
+    listFolders,
+    groupTemplates,
+    reorderTemplates
 };
@@ -0,0 +1,176 @@
+/**
+ * Token Service Module
+ * Offline token estimation and cost calculation. The tokenizer splits text
+ * the way BPE tokenizers pre-tokenize it (words with their leading space,
+ * digit groups, punctuation runs, whitespace) and estimates the tokens of
+ * each piece, so counts land close to real tokenizers without shipping a
+ * vocabulary. Model prices are a configurable table in USD per 1M tokens.
+ */
+
+import { getMessages } from './MessageService.js';
+
+/**
+ * Pre-tokenizer pattern modelled on the cl100k split rules
+ */
+const PRETOKEN_REGEX = /'(?:s|t|re|ve|m|ll|d)|[^\r\n\p{L}\p{N}]?\p{L}+|\p{N}{1,3}| ?[^\s\p{L}\p{N}]+[\r\n]*|\s*[\r\n]+|\s+(?!\S)|\s+/giu;
+
+/**
+ * Scripts written without spaces, where each character is roughly a token
+ */
+const DENSE_SCRIPT_REGEX = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}\p{Script=Thai}]/u;
+
+/**
+ * Tokens added per chat message for the role and delimiters
+ */
+const MESSAGE_OVERHEAD = 4;
+
+/**
+ * Default model table, in USD per 1M tokens. Prices change; edit the table
+ * in the app to match what you pay.
+ */
+const DEFAULT_MODELS = [
+    { id: 'gpt-4o', name: 'GPT-4o', input: 2.5, output: 10, context: 128000 },
+    { id: 'gpt-4o-mini', name: 'GPT-4o mini', input: 0.15, output: 0.6, context: 128000 },
+    { id: 'claude-sonnet', name: 'Claude Sonnet', input: 3, output: 15, context: 200000 },
+    { id: 'claude-haiku', name: 'Claude Haiku', input: 0.8, output: 4, context: 200000 },
+    { id: 'gemini-pro', name: 'Gemini Pro', input: 1.25, output: 5, context: 1000000 }
+];
+
+/**
+ * Estimate the tokens of one pre-tokenized piece
+ * @param {string} piece
+ * @returns {number}
+ */
+function estimatePieceTokens(piece) {
+    const word = piece.trimStart();
+    if (!word) return 1; // Whitespace run
+    if (DENSE_SCRIPT_REGEX.test(word)) return [...word].length;
+    if (/^\p{L}+$/u.test(word.replace(/^[^\p{L}]/u, ''))) {
+        // Common words up to 8 letters are one token; longer ones split about every 6 characters
+        return word.length <= 8 ? 1 : Math.ceil(word.length / 6);
+    }
+    if (/^\p{N}+$/u.test(word)) return 1; // The pattern already groups digits by three
+    return Math.ceil(word.length / 2); // Punctuation and symbols
+}
+
+/**
+ * Estimate the number of tokens in a text
+ * @param {string} text
+ * @returns {number}
+ */
+function countTokens(text) {
+    if (!text) return 0;
+    const pieces = String(text).match(PRETOKEN_REGEX) || [];
+    return pieces.reduce((sum, piece) => sum + estimatePieceTokens(piece), 0);
+}
+
+/**
+ * Estimate the tokens of a chat message list, including per-message overhead
+ * @param {Array<{role: string, content: string}>} messages
+ * @returns {number}
+ */
+function countMessageTokens(messages) {
+    return messages.reduce((sum, m) => sum + MESSAGE_OVERHEAD + countTokens(m.content), 0);
+}
+
+/**
+ * Estimate the tokens of a prompt or version
+ * @param {object} record - Prompt or version (messages or legacy prompt_text)
+ * @returns {number}
+ */
+function countPromptTokens(record) {
+    return countMessageTokens(getMessages(record));
+}
+
+/**
+ * Token count of each version and its change from the previous version
+ * @param {Array} versions - Versions in saved order
+ * @returns {Map<number, {tokens: number, delta: number|null}>} Keyed by version_no (delta is null for the first)
+ */
+function getVersionTokenDeltas(versions) {
+    const result = new Map();
+    let previous = null;
+    (versions || []).forEach(v => {
+        const tokens = countPromptTokens(v);
+        result.set(v.version_no, { tokens, delta: previous === null ? null : tokens - previous });
+        previous = tokens;
+    });
+    return result;
+}
+
+/**
+ * Validate a model table and fill in optional parts
+ * @param {Array} models - Model table (e.g. parsed from settings)
+ * @returns {Array<{id: string, name: string, input: number, output: number, context: number|null}>}
+ * @throws {Error} If the table is invalid
+ */
+function parseModelTable(models) {
+    if (!Array.isArray(models) || !models.length) {
+        throw new Error('The model table needs at least one model.');
+    }
+
+    const ids = new Set();
+    return models.map(m => {
+        if (!m || !m.id || typeof m.id !== 'string') throw new Error('Every model needs an "id".');
+        if (ids.has(m.id)) throw new Error(`Duplicate model "${m.id}".`);
+        ids.add(m.id);
+
+        const price = (key) => {
+            const value = m[key] ?? 0;
+            if (typeof value !== 'number' || !(value >= 0)) {
+                throw new Error(`Model "${m.id}" needs a non-negative "${key}" price.`);
+            }
+            return value;
+        };
+        const context = m.context ?? null;
+        if (context !== null && !(Number.isInteger(context) && context > 0)) {
+            throw new Error(`Model "${m.id}" has an invalid "context" size.`);
+        }
+
+        return { id: m.id, name: m.name || m.id, input: price('input'), output: price('output'), context };
+    });
+}
+
+/**
+ * Find a model by id, falling back to the first model
+ * @param {Array} models
+ * @param {string} id
+ * @returns {object}
+ */
+function findModel(models, id) {
+    return models.find(m => m.id === id) || models[0];
+}
+
+/**
+ * Cost of sending a number of input tokens to a model
+ * @param {number} tokens
+ * @param {object} model - Entry of the model table
+ * @returns {number} Cost in USD
+ */
+function estimateCost(tokens, model) {
+    return (tokens / 1000000) * model.input;
+}
+
+/**
+ * Format a USD cost, keeping small amounts readable
+ * @param {number} usd
+ * @returns {string}
+ */
+function formatCost(usd) {
+    if (usd === 0) return '$0';
+    if (usd < 0.0001) return '<$0.0001';
+    return `$${usd < 1 ? usd.toFixed(4) : usd.toFixed(2)}`;
+}
+
+export {
+    MESSAGE_OVERHEAD,
+    DEFAULT_MODELS,
+    countTokens,
+    countMessageTokens,
+    countPromptTokens,
+    getVersionTokenDeltas,
+    parseModelTable,
+    findModel,
+    estimateCost,
+    formatCost
+};
@@ -0,0 +1,108 @@
+/**
+ * Trash Service Module
+ * Business logic for soft delete: deleted records are wrapped in a trash
+ * entry that remembers their kind and deletion date, so they can be
+ * restored or purged once the retention period has passed.
+ */
+
+/**
+ * Kinds of records that can be trashed, mapped to their store name
+ */
+const TRASH_KINDS = {
+    prompt: 'prompts',
+    template: 'templates',
+    collection: 'collections',
+    chain: 'chains'
+};
+
+const DEFAULT_RETENTION_DAYS = 30;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Wrap a deleted record in a trash entry
+ * @param {string} kind - 'prompt', 'template', 'collection' or 'chain'
+ * @param {object} item - The deleted record
+ * @param {Date} now - Deletion time
+ * @returns {{id: string, kind: string, item: object, deleted_at: string}}
+ * @throws {Error} If the kind is unknown
+ */
+function createTrashEntry(kind, item, now = new Date()) {
+    if (!TRASH_KINDS[kind]) throw new Error(`Cannot trash unknown kind "${kind}".`);
+    return {
+        id: item.id,
+        kind,
+        item,
+        deleted_at: now.toISOString()
+    };
+}
+
+/**
+ * Display name of a trashed record
+ * @param {object} entry - Trash entry
+ * @returns {string}
+ */
+function describeTrashEntry(entry) {
+    const item = entry.item || {};
+    switch (entry.kind) {
+        case 'prompt':
+            return item.title || 'Untitled';
+        case 'template':
+            return item.description || 'No Description';
+        default:
+            return item.name || 'Untitled';
+    }
+}
+
+/**
+ * Sort trash entries, most recently deleted first
+ * @param {Array} entries
+ * @returns {Array} New sorted array
+ */
+function sortTrash(entries) {
+    return [...entries].sort((a, b) => new Date(b.deleted_at) - new Date(a.deleted_at));
+}
+
+/**
+ * Read the retention setting, falling back to the default for invalid values
+ * @param {string|number|null} value - Stored or entered number of days
+ * @returns {number} Whole number of days, at least 1
+ */
+function parseRetentionDays(value) {
+    const days = parseInt(value, 10);
+    return Number.isInteger(days) && days >= 1 ? days : DEFAULT_RETENTION_DAYS;
+}
+
+/**
+ * Whole days left before an entry is purged (0 if it is due)
+ * @param {object} entry - Trash entry
+ * @param {number} retentionDays
+ * @param {Date} now
+ * @returns {number}
+ */
+function daysUntilPurge(entry, retentionDays, now = new Date()) {
+    const purgeAt = new Date(entry.deleted_at).getTime() + retentionDays * DAY_MS;
+    return Math.max(0, Math.ceil((purgeAt - now.getTime()) / DAY_MS));
+}
+
+/**
+ * Entries whose retention period has passed
+ * @param {Array} entries
+ * @param {number} retentionDays
+ * @param {Date} now
+ * @returns {Array}
+ */
+function getExpiredEntries(entries, retentionDays, now = new Date()) {
+    return entries.filter(e => daysUntilPurge(e, retentionDays, now) === 0);
+}
+
+export {
+    TRASH_KINDS,
+    DEFAULT_RETENTION_DAYS,
+    createTrashEntry,
+    describeTrashEntry,
+    sortTrash,
+    parseRetentionDays,
+    daysUntilPurge,
+    getExpiredEntries
+};
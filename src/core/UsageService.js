@@ -0,0 +1,139 @@
+/**
+ * Usage Service Module
+ * Business logic for usage tracking. Every copy, run or template insert is
+ * recorded in a usage record keyed by the prompt (or template) id, together
+ * with the pinned flag. Usage records are kept apart from the prompts, so
+ * recording an event never rewrites the prompt itself.
+ */
+
+/**
+ * Tracked events: copy and run for prompts, insert for templates
+ */
+const USAGE_TYPES = ['copy', 'run', 'insert'];
+
+/**
+ * Number of events kept per record (counts keep growing)
+ */
+const MAX_USAGE_EVENTS = 50;
+
+/**
+ * Days without use after which a prompt counts as unused
+ */
+const UNUSED_DAYS = 90;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Factory for an empty usage record
+ * @param {string} id - Prompt or template id
+ * @returns {{id: string, pinned: boolean, counts: object, last_used: string|null, events: Array}}
+ */
+function createUsage(id) {
+    return {
+        id,
+        pinned: false,
+        counts: Object.fromEntries(USAGE_TYPES.map(t => [t, 0])),
+        last_used: null,
+        events: []
+    };
+}
+
+/**
+ * Record one usage event
+ * @param {object|undefined} usage - Existing record (created when missing)
+ * @param {string} id - Record id, used when creating the record
+ * @param {string} type - One of USAGE_TYPES
+ * @param {Date} now
+ * @returns {object} Updated copy of the record
+ * @throws {Error} If the type is unknown
+ */
+function recordUsage(usage, id, type, now = new Date()) {
+    if (!USAGE_TYPES.includes(type)) throw new Error(`Unknown usage type "${type}".`);
+    const base = usage || createUsage(id);
+    const date = now.toISOString();
+    return {
+        ...base,
+        counts: { ...base.counts, [type]: (base.counts[type] || 0) + 1 },
+        last_used: date,
+        events: [...base.events, { type, date }].slice(-MAX_USAGE_EVENTS)
+    };
+}
+
+/**
+ * Pin or unpin a prompt
+ * @param {object|undefined} usage
+ * @param {string} id
+ * @param {boolean} pinned
+ * @returns {object} Updated copy of the record
+ */
+function setPinned(usage, id, pinned) {
+    return { ...(usage || createUsage(id)), pinned: !!pinned };
+}
+
+/**
+ * Build a lookup of usage records
+ * @param {Array} records
+ * @returns {Map<string, object>} id -> record
+ */
+function buildUsageMap(records) {
+    return new Map((records || []).map(r => [r.id, r]));
+}
+
+/**
+ * Total number of recorded events
+ * @param {object|undefined} usage
+ * @returns {number}
+ */
+function getUseCount(usage) {
+    return usage ? Object.values(usage.counts || {}).reduce((sum, n) => sum + n, 0) : 0;
+}
+
+/**
+ * Whether a record has no use within the last days
+ * @param {object|undefined} usage
+ * @param {number} days
+ * @param {Date} now
+ * @returns {boolean}
+ */
+function isUnused(usage, days = UNUSED_DAYS, now = new Date()) {
+    if (!usage || !usage.last_used) return true;
+    return now - new Date(usage.last_used) > days * DAY_MS;
+}
+
+/**
+ * Pinned prompts in list order
+ * @param {Array} prompts
+ * @param {Map} usageMap
+ * @returns {Array}
+ */
+function getPinned(prompts, usageMap) {
+    return prompts.filter(p => usageMap.get(p.id)?.pinned);
+}
+
+/**
+ * Most recently used prompts
+ * @param {Array} prompts
+ * @param {Map} usageMap
+ * @param {number} limit
+ * @returns {Array} Newest use first
+ */
+function getRecentlyUsed(prompts, usageMap, limit = 5) {
+    return prompts
+        .filter(p => usageMap.get(p.id)?.last_used)
+        .sort((a, b) => usageMap.get(b.id).last_used.localeCompare(usageMap.get(a.id).last_used))
+        .slice(0, limit);
+}
+
+export {
+    USAGE_TYPES,
+    MAX_USAGE_EVENTS,
+    UNUSED_DAYS,
+    createUsage,
+    recordUsage,
+    setPinned,
+    buildUsageMap,
+    getUseCount,
+    isUnused,
+    getPinned,
+    getRecentlyUsed
+};
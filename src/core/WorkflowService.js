@@ -0,0 +1,193 @@
+/**
+ * Workflow Service Module
+ * Definition and validation of the prompt status workflow:
+ * states, allowed transitions and transitions that require a note.
+ */
+
+/**
+ * Default workflow: draft → review → approved → live → archived
+ * - transitions: allowed target states per state
+ * - requireNote: "from>to" pairs needing a note ("*" matches any state)
+ * - aliases: legacy status values mapped onto workflow states
+ */
+const DEFAULT_WORKFLOW = {
+    initial: 'draft',
+    states: [
+        { id: 'draft', label: 'Draft' },
+        { id: 'review', label: 'In Review' },
+        { id: 'approved', label: 'Approved' },
+        { id: 'live', label: 'Live' },
+        { id: 'archived', label: 'Archived', hidden: true }
+    ],
+    transitions: {
+        draft: ['review', 'archived'],
+        review: ['draft', 'approved', 'archived'],
+        approved: ['review', 'live', 'archived'],
+        live: ['review', 'archived'],
+        archived: ['draft']
+    },
+    requireNote: ['review>draft', 'review>approved', 'approved>live', 'live>*'],
+    aliases: { testing: 'review' }
+};
+
+/**
+ * Raised when a status change breaks the workflow rules
+ */
+class WorkflowError extends Error {
+    /**
+     * @param {string} message - Description of the problem
+     * @param {string} from - Current status
+     * @param {string} to - Requested status
+     */
+    constructor(message, from, to) {
+        super(message);
+        this.name = 'WorkflowError';
+        this.from = from;
+        this.to = to;
+    }
+}
+
+/**
+ * Validate a workflow definition and fill in optional parts
+ * @param {object} workflow - Workflow definition (e.g. parsed from settings)
+ * @returns {object} Normalised workflow
+ * @throws {Error} If the definition is inconsistent
+ */
+function parseWorkflow(workflow) {
+    if (!workflow || !Array.isArray(workflow.states) || !workflow.states.length) {
+        throw new Error('Workflow needs a non-empty "states" list.');
+    }
+
+    const states = workflow.states.map(s => (typeof s === 'string' ? { id: s, label: s } : { ...s }));
+    const ids = states.map(s => s.id);
+    states.forEach(s => {
+        if (!s.id || typeof s.id !== 'string') throw new Error('Every state needs an "id".');
+        if (ids.indexOf(s.id) !== ids.lastIndexOf(s.id)) throw new Error(`Duplicate state "${s.id}".`);
+        s.label = s.label || s.id;
+    });
+
+    const initial = workflow.initial || ids[0];
+    if (!ids.includes(initial)) throw new Error(`Initial state "${initial}" is not a state.`);
+
+    const transitions = {};
+    Object.entries(workflow.transitions || {}).forEach(([from, targets]) => {
+        if (!ids.includes(from)) throw new Error(`Transition from unknown state "${from}".`);
+        (targets || []).forEach(to => {
+            if (!ids.includes(to)) throw new Error(`Transition to unknown state "${to}".`);
+        });
+        transitions[from] = [...(targets || [])];
+    });
+
+    const requireNote = (workflow.requireNote || []).map(rule => {
+        const [from, to] = String(rule).split('>').map(x => x.trim());
+        if (!from || !to) throw new Error(`Invalid note rule "${rule}", expected "from>to".`);
+        return `${from}>${to}`;
+    });
+
+    const aliases = { ...(workflow.aliases || {}) };
+    Object.entries(aliases).forEach(([alias, target]) => {
+        if (!ids.includes(target)) throw new Error(`Alias "${alias}" points to unknown state "${target}".`);
+    });
+
+    return { initial, states, transitions, requireNote, aliases };
+}
+
+/**
+ * Find a state definition
+ * @param {object} workflow
+ * @param {string} id
+ * @returns {object|undefined}
+ */
+function getState(workflow, id) {
+    return workflow.states.find(s => s.id === id);
+}
+
+/**
+ * Map a stored or imported status onto a workflow state.
+ * Aliases are followed; unknown or empty values fall back to the initial state.
+ * @param {object} workflow
+ * @param {string} status
+ * @returns {string} A valid state id
+ */
+function resolveStatus(workflow, status) {
+    if (getState(workflow, status)) return status;
+    return Object.hasOwn(workflow.aliases, status) ? workflow.aliases[status] : workflow.initial;
+}
+
+/**
+ * States reachable from a state in one step
+ * @param {object} workflow
+ * @param {string} from
+ * @returns {string[]}
+ */
+function getAllowedTransitions(workflow, from) {
+    return workflow.transitions[from] || [];
+}
+
+/**
+ * Check whether a transition is allowed
+ * @param {object} workflow
+ * @param {string} from
+ * @param {string} to
+ * @returns {boolean}
+ */
+function canTransition(workflow, from, to) {
+    return from === to || getAllowedTransitions(workflow, from).includes(to);
+}
+
+/**
+ * Check whether a transition requires a note
+ * @param {object} workflow
+ * @param {string} from
+ * @param {string} to
+ * @returns {boolean}
+ */
+function requiresNote(workflow, from, to) {
+    return workflow.requireNote.some(rule => {
+        const [ruleFrom, ruleTo] = rule.split('>');
+        return (ruleFrom === '*' || ruleFrom === from) && (ruleTo === '*' || ruleTo === to);
+    });
+}
+
+/**
+ * Validate a status change
+ * @param {object} workflow
+ * @param {string} from - Current status
+ * @param {string} to - Requested status
+ * @param {string} note - Note supplied with the change
+ * @throws {WorkflowError} If the change is not allowed or lacks a required note
+ */
+function assertTransition(workflow, from, to, note = '') {
+    if (!getState(workflow, to)) {
+        throw new WorkflowError(`Unknown status "${to}".`, from, to);
+    }
+    if (!canTransition(workflow, from, to)) {
+        const label = (id) => (getState(workflow, id) || { label: id }).label;
+        throw new WorkflowError(`Cannot move from ${label(from)} to ${label(to)}.`, from, to);
+    }
+    if (from !== to && requiresNote(workflow, from, to) && !(note || '').trim()) {
+        throw new WorkflowError(`A note is required to move to ${getState(workflow, to).label}.`, from, to);
+    }
+}
+
+/**
+ * Statuses hidden from the default (unfiltered) prompt list
+ * @param {object} workflow
+ * @returns {string[]}
+ */
+function getHiddenStatuses(workflow) {
+    return workflow.states.filter(s => s.hidden).map(s => s.id);
+}
+
+export {
+    DEFAULT_WORKFLOW,
+    WorkflowError,
+    parseWorkflow,
+    getState,
+    resolveStatus,
+    getAllowedTransitions,
+    canTransition,
+    requiresNote,
+    assertTransition,
+    getHiddenStatuses
+};
@@ -1,10 +1,11 @@
 /**
  * IndexedDB Repository Module
- * Handles all IndexedDB persistence operations for prompts, templates, and collections.
+ * Handles all IndexedDB persistence operations for prompts, templates, collections, chains,
+ * the trash, usage records, the run history of execute mode and autosaved editor drafts.
  */
 
 const DB_NAME = 'PromptManagerV2';
-const DB_VERSION = 2;
+const DB_VERSION = 7;
 
 class IndexedDBRepo {
     constructor() {
@@ -35,6 +36,27 @@ class IndexedDBRepo {
                 if (!db.objectStoreNames.contains('collections')) {
                     db.createObjectStore('collections', { keyPath: 'id' });
                 }
+                // V3 Stores (Chains)
+                if (!db.objectStoreNames.contains('chains')) {
+                    db.createObjectStore('chains', { keyPath: 'id' });
+                }
+                // V4 Stores (Trash: soft-deleted records of any kind)
+                if (!db.objectStoreNames.contains('trash')) {
+                    db.createObjectStore('trash', { keyPath: 'id' });
+                }
+                // V5 Stores (Usage: copy/run/insert events and pins, kept locally in every storage mode)
+                if (!db.objectStoreNames.contains('usage')) {
+                    db.createObjectStore('usage', { keyPath: 'id' });
+                }
+                // V6 Stores (Runs: execute mode history, kept locally and never exported)
+                if (!db.objectStoreNames.contains('runs')) {
+                    const runStore = db.createObjectStore('runs', { keyPath: 'id' });
+                    runStore.createIndex('prompt_id', 'prompt_id', { unique: false });
+                }
+                // V7 Stores (Drafts: unsaved editor content keyed by prompt id, for crash recovery)
+                if (!db.objectStoreNames.contains('drafts')) {
+                    db.createObjectStore('drafts', { keyPath: 'id' });
+                }
             };
 
             request.onsuccess = (e) => {
@@ -70,6 +92,25 @@ class IndexedDBRepo {
         });
     }
 
+    /**
+     * Read the records of a store whose index matches a value
+     * @param {string} storeName
+     * @param {string} indexName
+     * @param {*} value
+     */
+    async getAllByIndex(storeName, indexName, value) {
+        return new Promise((resolve, reject) => {
+            if (!this.db.objectStoreNames.contains(storeName)) {
+                resolve([]);
+                return;
+            }
+            const tx = this.db.transaction(storeName, 'readonly');
+            const req = tx.objectStore(storeName).index(indexName).getAll(value);
+            req.onsuccess = () => resolve(req.result);
+            req.onerror = (e) => reject(e);
+        });
+    }
+
     async put(storeName, item) {
         return new Promise((resolve) => {
             const tx = this.db.transaction(storeName, 'readwrite');
@@ -79,6 +120,54 @@ class IndexedDBRepo {
         });
     }
 
+    /**
+     * Write many records in one transaction
+     * @param {string} storeName
+     * @param {Array} items
+     */
+    async putMany(storeName, items) {
+        return new Promise((resolve, reject) => {
+            const tx = this.db.transaction(storeName, 'readwrite');
+            const store = tx.objectStore(storeName);
+            items.forEach(item => store.put(item));
+            tx.oncomplete = () => resolve(items);
+            tx.onerror = (e) => reject(e);
+        });
+    }
+
+    /**
+     * Soft delete many records in one transaction: add the trash entries
+     * and remove the originals from their store
+     * @param {string} storeName - Store holding the records
+     * @param {Array} entries - Trash entries (entry.id is the record id)
+     */
+    async moveToTrash(storeName, entries) {
+        return new Promise((resolve, reject) => {
+            const tx = this.db.transaction([storeName, 'trash'], 'readwrite');
+            entries.forEach(entry => {
+                tx.objectStore('trash').put(entry);
+                tx.objectStore(storeName).delete(entry.id);
+            });
+            tx.oncomplete = () => resolve();
+            tx.onerror = (e) => reject(e);
+        });
+    }
+
+    /**
+     * Delete many records in one transaction
+     * @param {string} storeName
+     * @param {string[]} ids
+     */
+    async deleteMany(storeName, ids) {
+        return new Promise((resolve, reject) => {
+            const tx = this.db.transaction(storeName, 'readwrite');
+            const store = tx.objectStore(storeName);
+            ids.forEach(id => store.delete(id));
+            tx.oncomplete = () => resolve();
+            tx.onerror = (e) => reject(e);
+        });
+    }
+
     async delete(storeName, id) {
         return new Promise((resolve) => {
             const tx = this.db.transaction(storeName, 'readwrite');
@@ -90,7 +179,9 @@ class IndexedDBRepo {
 
     async clearAll() {
         return new Promise((resolve) => {
-            const names = ['prompts', 'templates', 'collections'].filter(n => this.db.objectStoreNames.contains(n));
+            // Everything tied to the replaced library goes, including drafts that could be recovered over restored prompts
+            const names = ['prompts', 'templates', 'collections', 'chains', 'trash', 'usage', 'runs', 'drafts']
+                .filter(n => this.db.objectStoreNames.contains(n));
             const tx = this.db.transaction(names, 'readwrite');
             names.forEach(n => tx.objectStore(n).clear());
             tx.oncomplete = () => resolve();
@@ -110,6 +201,14 @@ class IndexedDBRepo {
         return this.getAll('collections');
     }
 
+    async getAllChains() {
+        return this.getAll('chains');
+    }
+
+    async getAllTrash() {
+        return this.getAll('trash');
+    }
+
     async savePrompt(prompt) {
         return this.put('prompts', prompt);
     }
@@ -122,6 +221,14 @@ class IndexedDBRepo {
         return this.put('collections', collection);
     }
 
+    async saveChain(chain) {
+        return this.put('chains', chain);
+    }
+
+    async saveTrashEntry(entry) {
+        return this.put('trash', entry);
+    }
+
     async deletePrompt(id) {
         return this.delete('prompts', id);
     }
@@ -133,6 +240,14 @@ class IndexedDBRepo {
     async deleteCollection(id) {
         return this.delete('collections', id);
     }
+
+    async deleteChain(id) {
+        return this.delete('chains', id);
+    }
+
+    async deleteTrashEntry(id) {
+        return this.delete('trash', id);
+    }
 }
 
 export { IndexedDBRepo };
@@ -1,13 +1,21 @@
 /**
  * Vault Repository Module (File System Access API)
- * Handles file-based persistence for prompts and templates.
+ * Handles file-based persistence for prompts, templates and chains.
+ * Deleted records are moved into a `.trash` subfolder until purged.
  */
 
+const TRASH_DIR = '.trash';
+const BATCH_SIZE = 50; // Files read or written in parallel
+
+// Trash entry kind -> save method used on restore
+const SAVE_METHODS = { prompt: 'savePrompt', template: 'saveTemplate', chain: 'saveChain' };
+
 class VaultRepo {
     constructor() {
         this.dirHandle = null;
         this.isConnected = false;
         this.fileMap = new Map(); // Maps ID -> Filename
+        this.trashMap = new Map(); // Maps ID -> Filename in the trash folder
     }
 
     async selectDirectory() {
@@ -22,10 +30,11 @@ class VaultRepo {
     }
 
     async loadAll() {
-        if (!this.dirHandle) return { prompts: [], templates: [] };
+        if (!this.dirHandle) return { prompts: [], templates: [], chains: [] };
 
         const prompts = [];
         const templates = [];
+        const chains = [];
         this.fileMap.clear();
 
         // 1. Collect all file handles first
@@ -37,7 +46,6 @@ class VaultRepo {
         }
 
         // 2. Read in parallel (Batched)
-        const BATCH_SIZE = 50;
         for (let i = 0; i < fileHandles.length; i += BATCH_SIZE) {
             const batch = fileHandles.slice(i, i + BATCH_SIZE);
             await Promise.all(batch.map(async (entry) => {
@@ -54,13 +62,14 @@ class VaultRepo {
 
                     if (json.prompt_text !== undefined) prompts.push(json);
                     else if (json.template_text !== undefined) templates.push(json);
+                    else if (Array.isArray(json.steps)) chains.push(json);
                 } catch (e) {
                     console.warn(`Skipping file: ${entry.name}`, e);
                 }
             }));
         }
 
-        return { prompts, templates };
+        return { prompts, templates, chains };
     }
 
     async savePrompt(prompt) {
@@ -83,6 +92,22 @@ class VaultRepo {
         return newFileName;
     }
 
+    /**
+     * Save many prompts in parallel batches
+     * @param {Array} prompts
+     * @param {Function} onProgress - Called with (done, total) after each batch
+     */
+    async savePrompts(prompts, onProgress = () => {}) {
+        await this.inBatches(prompts, p => this.savePrompt(p), onProgress);
+    }
+
+    async inBatches(items, task, onProgress) {
+        for (let i = 0; i < items.length; i += BATCH_SIZE) {
+            await Promise.all(items.slice(i, i + BATCH_SIZE).map(task));
+            onProgress(Math.min(i + BATCH_SIZE, items.length), items.length);
+        }
+    }
+
     async saveTemplate(template) {
         if (!this.dirHandle) throw new Error("Vault not connected");
 
@@ -101,6 +126,24 @@ class VaultRepo {
         this.fileMap.set(template.id, newFileName);
     }
 
+    async saveChain(chain) {
+        if (!this.dirHandle) throw new Error("Vault not connected");
+
+        const safeName = (chain.name || "Chain").replace(/[^a-z0-9]/gi, '_');
+        const newFileName = `CHAIN_${safeName}__${chain.id}.json`;
+
+        // Check for rename
+        const oldFileName = this.fileMap.get(chain.id);
+        if (oldFileName && oldFileName !== newFileName) {
+            try {
+                await this.dirHandle.removeEntry(oldFileName);
+            } catch (e) { console.warn("Could not delete old file on rename", e); }
+        }
+
+        await this.writeFile(newFileName, chain);
+        this.fileMap.set(chain.id, newFileName);
+    }
+
     /**
      * Delete a file using the cached fileMap (improved performance)
      * Falls back to scanning if ID not in map
@@ -141,8 +184,81 @@ class VaultRepo {
         }
     }
 
-    async writeFile(fileName, data) {
-        const fileHandle = await this.dirHandle.getFileHandle(fileName, { create: true });
+    // --- Trash ---
+
+    async getTrashDir() {
+        return this.dirHandle.getDirectoryHandle(TRASH_DIR, { create: true });
+    }
+
+    /**
+     * Soft delete: write the trash entry into .trash, then remove the original file
+     * @param {object} entry - Trash entry from TrashService.createTrashEntry
+     */
+    async moveToTrash(entry) {
+        if (!this.dirHandle) throw new Error("Vault not connected");
+
+        const fileName = this.fileMap.get(entry.id) || `${entry.kind.toUpperCase()}__${entry.id}.json`;
+        // Write first so a failed move never loses the record
+        await this.writeFile(fileName, entry, await this.getTrashDir());
+        this.trashMap.set(entry.id, fileName);
+        await this.deleteFile(entry.id);
+    }
+
+    /**
+     * Soft delete many records in parallel batches
+     * @param {Array} entries - Trash entries
+     * @param {Function} onProgress - Called with (done, total) after each batch
+     */
+    async moveManyToTrash(entries, onProgress = () => {}) {
+        await this.inBatches(entries, e => this.moveToTrash(e), onProgress);
+    }
+
+    async loadTrash() {
+        if (!this.dirHandle) return [];
+
+        const entries = [];
+        this.trashMap.clear();
+        const trash = await this.getTrashDir();
+        for await (const entry of trash.values()) {
+            if (entry.kind !== 'file' || !entry.name.endsWith('.json')) continue;
+            try {
+                const file = await (await trash.getFileHandle(entry.name)).getFile();
+                const json = JSON.parse(await file.text());
+                if (json.id && json.kind && json.item) {
+                    entries.push(json);
+                    this.trashMap.set(json.id, entry.name);
+                }
+            } catch (e) {
+                console.warn(`Skipping trash file: ${entry.name}`, e);
+            }
+        }
+        return entries;
+    }
+
+    /**
+     * Write a trashed record back into the vault and drop its trash file
+     * @param {object} entry - Trash entry
+     */
+    async restoreFromTrash(entry) {
+        const method = SAVE_METHODS[entry.kind];
+        if (!method) throw new Error(`Cannot restore ${entry.kind} from the vault trash`);
+
+        await this[method](entry.item);
+        await this.deleteFromTrash(entry.id);
+    }
+
+    async deleteFromTrash(id) {
+        if (!this.dirHandle) return;
+
+        const fileName = this.trashMap.get(id);
+        if (!fileName) return;
+        const trash = await this.getTrashDir();
+        await trash.removeEntry(fileName);
+        this.trashMap.delete(id);
+    }
+
+    async writeFile(fileName, data, dirHandle = this.dirHandle) {
+        const fileHandle = await dirHandle.getFileHandle(fileName, { create: true });
         const writable = await fileHandle.createWritable();
         await writable.write(JSON.stringify(data, null, 2));
         await writable.close();
@@ -159,6 +275,11 @@ class VaultRepo {
         return data.templates;
     }
 
+    async getAllChains() {
+        const data = await this.loadAll();
+        return data.chains;
+    }
+
     async deletePrompt(id) {
         return this.deleteFile(id);
     }
@@ -166,6 +287,10 @@ class VaultRepo {
     async deleteTemplate(id) {
         return this.deleteFile(id);
     }
+
+    async deleteChain(id) {
+        return this.deleteFile(id);
+    }
 }
 
 export { VaultRepo };
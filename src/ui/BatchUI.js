@@ -0,0 +1,83 @@
+/**
+ * Batch UI Module
+ * Pure functions to generate HTML for the batch rendering dialog.
+ */
+
+import { escapeHtml } from './SidebarRenderer.js';
+
+/**
+ * Render the variable-to-column mapping form
+ * @param {object[]} descriptors - Variable descriptors for the template
+ * @param {string[]} columns - Data set column names
+ * @param {object} mapping - Map of variable name to selected column
+ * @returns {string} HTML string
+ */
+function renderMappingRows(descriptors, columns, mapping) {
+    return descriptors.map(d => {
+        const options = columns.map(c =>
+            `<option value="${escapeHtml(c)}"${mapping[d.name] === c ? ' selected' : ''}>${escapeHtml(c)}</option>`
+        ).join('');
+        const marker = d.required ? ' <span class="var-required" title="Required">*</span>' : '';
+        return `
+            <div class="batch-map-row">
+                <label>${escapeHtml(d.name)}${marker}</label>
+                <select class="batch-map-select" data-var="${escapeHtml(d.name)}">
+                    <option value="">(not mapped)</option>
+                    ${options}
+                </select>
+            </div>
+        `;
+    }).join('');
+}
+
+/**
+ * Render a one-line summary of a batch run
+ * @param {object[]} results - Rows from BatchService.renderBatch
+ * @returns {string} HTML string
+ */
+function renderBatchSummary(results) {
+    const failing = results.filter(r => !r.ok).length;
+    const warned = results.filter(r => r.ok && r.extra.length).length;
+    const parts = [`<strong>${results.length}</strong> rows rendered`];
+    if (failing) parts.push(`<span class="batch-bad">${failing} with missing values</span>`);
+    if (warned) parts.push(`<span class="batch-warn">${warned} with unused columns</span>`);
+    return parts.join(' · ');
+}
+
+/**
+ * Render previews of the rendered rows
+ * @param {object[]} results - Rows from BatchService.renderBatch
+ * @param {Function} describeIssues - Formats the issues of a row
+ * @param {number} limit - Maximum rows to show
+ * @returns {string} HTML string
+ */
+function renderBatchPreview(results, describeIssues, limit = 50) {
+    if (!results.length) {
+        return '<p class="batch-empty">Load a data set to preview the rendered rows.</p>';
+    }
+
+    const items = results.slice(0, limit).map(r => {
+        const issues = describeIssues(r);
+        const status = !r.ok ? 'bad' : (issues ? 'warn' : 'ok');
+        return `
+            <div class="batch-row batch-${status}">
+                <div class="batch-row-header">
+                    <strong>Row ${r.row}</strong>
+                    <span>${issues ? escapeHtml(issues) : 'OK'}</span>
+                </div>
+                <pre>${escapeHtml(r.output)}</pre>
+            </div>
+        `;
+    }).join('');
+
+    const more = results.length > limit
+        ? `<p class="batch-empty">…and ${results.length - limit} more rows (included in exports).</p>`
+        : '';
+    return items + more;
+}
+
+export {
+    renderMappingRows,
+    renderBatchSummary,
+    renderBatchPreview
+};
@@ -0,0 +1,53 @@
+/**
+ * Bulk UI Module
+ * Pure functions to generate HTML for the prompt list bulk action bar.
+ */
+
+import { escapeHtml } from './SidebarRenderer.js';
+
+/**
+ * Render the bulk action bar
+ * @param {number} count - Number of selected prompts
+ * @param {number} visibleCount - Number of prompts in the filtered list
+ * @param {Array<{id: string, label: string}>} statuses - Workflow states
+ * @param {Array<{id: string, name: string}>} collections - Manual collections prompts can be added to
+ * @returns {string} HTML string
+ */
+function renderBulkBar(count, visibleCount, statuses, collections) {
+    const statusOptions = statuses
+        .map(s => `<option value="${escapeHtml(s.id)}">${escapeHtml(s.label)}</option>`)
+        .join('');
+    const collectionOptions = collections
+        .map(c => `<option value="${escapeHtml(c.id)}">${escapeHtml(c.name)}</option>`)
+        .join('');
+
+    return `
+        <div class="bulk-summary">
+            <strong>${count} selected</strong>
+            ${count < visibleCount ? `<button class="link-btn" data-action="select-all">Select all ${visibleCount}</button>` : ''}
+            <button class="link-btn" data-action="clear">Clear</button>
+        </div>
+        <div class="bulk-actions">
+            <select data-action="status" title="Set status">
+                <option value="">Set status...</option>${statusOptions}
+            </select>
+            <button class="tiny secondary" data-action="category">Category</button>
+            <button class="tiny secondary" data-action="client">Client</button>
+            <button class="tiny secondary" data-action="add-tags">+ Tags</button>
+            <button class="tiny secondary" data-action="remove-tags">− Tags</button>
+            <select data-action="collection" title="Add to a collection">
+                <option value="">Add to collection...</option>${collectionOptions}
+                <option value="new">New collection...</option>
+            </select>
+            <button class="tiny secondary" data-action="duplicate">Duplicate</button>
+            ${count === 2 ? '<button class="tiny secondary" data-action="compare" title="Compare the two selected prompts side by side">Compare</button>' : ''}
+            <button class="tiny btn-black" data-action="export">Export</button>
+            <button class="tiny danger-text" data-action="delete">Delete</button>
+        </div>
+        <div class="bulk-progress hidden"></div>
+    `;
+}
+
+export {
+    renderBulkBar
+};
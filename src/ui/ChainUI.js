@@ -0,0 +1,116 @@
+/**
+ * Chain UI Module
+ * Pure functions to generate HTML for the prompt chain manager.
+ */
+
+import { escapeHtml } from './SidebarRenderer.js';
+
+/**
+ * Render a chain item for the manager list
+ * @param {object} chain
+ * @param {number} brokenCount - Number of broken references
+ * @param {boolean} isSelected
+ * @returns {string} HTML string
+ */
+function renderChainListItem(chain, brokenCount, isSelected) {
+    const steps = chain.steps.length;
+    const broken = brokenCount
+        ? `<span class="chain-broken-badge" title="Broken references">⚠ ${brokenCount}</span>`
+        : '';
+    return `
+        <div class="list-item chain-item ${isSelected ? 'active' : ''}" data-id="${chain.id}">
+            <span class="tmpl-name">${escapeHtml(chain.name)}${broken}</span>
+            <span class="tmpl-note">${steps} step${steps === 1 ? '' : 's'}</span>
+        </div>
+    `;
+}
+
+/**
+ * Render the source selector (and fixed value input) for one step variable
+ * @param {string} variable
+ * @param {{source: string, step?: string, value?: string}} input - Current source
+ * @param {Array<{id: string, label: string}>} earlierSteps - Steps whose output can be used
+ * @param {boolean} broken - Whether the current source is a broken reference
+ * @returns {string} HTML string
+ */
+function renderStepInput(variable, input, earlierSteps, broken) {
+    const option = (value, label, selected) =>
+        `<option value="${escapeHtml(value)}"${selected ? ' selected' : ''}>${escapeHtml(label)}</option>`;
+
+    const options = [
+        option('input', 'Ask when running', input.source === 'input'),
+        ...earlierSteps.map(s => option(`step:${s.id}`, `Output of ${s.label}`, input.source === 'step' && input.step === s.id)),
+        option('value', 'Fixed value', input.source === 'value')
+    ];
+    if (broken) options.push(option(`step:${input.step}`, 'Missing step', true));
+
+    const valueInput = input.source === 'value'
+        ? `<input type="text" class="chain-input-value" data-var="${escapeHtml(variable)}" value="${escapeHtml(input.value || '')}" placeholder="Value">`
+        : '';
+
+    return `
+        <div class="chain-input ${broken ? 'broken' : ''}">
+            <code class="chain-var">\${${escapeHtml(variable)}}</code>
+            <select class="chain-input-source" data-var="${escapeHtml(variable)}">${options.join('')}</select>
+            ${valueInput}
+        </div>
+    `;
+}
+
+/**
+ * Render one chain step
+ * @param {object} step
+ * @param {number} index - Position in the chain
+ * @param {number} total - Number of steps
+ * @param {object} context
+ * @param {object|undefined} context.prompt - Referenced prompt (undefined if deleted)
+ * @param {string[]} context.variables - Variables of the prompt
+ * @param {Function} context.getInput - (variable) => current source
+ * @param {Array<{id: string, label: string}>} context.earlierSteps - Steps running before this one
+ * @param {Array} context.problems - Broken references of this step
+ * @returns {string} HTML string
+ */
+function renderChainStep(step, index, total, { prompt, variables, getInput, earlierSteps, problems }) {
+    const missing = problems.some(p => p.type === 'prompt');
+    const brokenVars = problems.filter(p => p.type === 'input').map(p => p.variable);
+
+    const title = missing
+        ? `<span class="chain-missing" title="Prompt ${escapeHtml(step.prompt_id)} was deleted">Missing prompt</span>`
+        : escapeHtml(prompt.title);
+
+    // Inputs that still point somewhere are kept even if the prompt no longer declares them
+    const names = [...new Set([...variables, ...brokenVars])];
+    const inputs = names.length
+        ? names.map(v => renderStepInput(v, getInput(v), earlierSteps, brokenVars.includes(v))).join('')
+        : `<p class="chain-no-vars">${missing ? 'Pick another prompt or remove this step.' : 'No variables.'}</p>`;
+
+    return `
+        <div class="chain-step ${missing || brokenVars.length ? 'broken' : ''}" data-index="${index}">
+            <div class="chain-step-header">
+                <span class="chain-step-no">Step ${index + 1}</span>
+                <span class="chain-step-title">${title}</span>
+                <button type="button" class="tiny secondary btn-step-up" title="Move up"${index === 0 ? ' disabled' : ''}>&uarr;</button>
+                <button type="button" class="tiny secondary btn-step-down" title="Move down"${index === total - 1 ? ' disabled' : ''}>&darr;</button>
+                <button type="button" class="tiny secondary btn-step-remove" title="Remove step">&times;</button>
+            </div>
+            <div class="chain-inputs">${inputs}</div>
+        </div>
+    `;
+}
+
+/**
+ * Render prompt options for the "add step" selector
+ * @param {Array} prompts
+ * @returns {string} HTML option list
+ */
+function renderPromptOptions(prompts) {
+    return '<option value="">+ Add step...</option>' + prompts
+        .map(p => `<option value="${escapeHtml(p.id)}">${escapeHtml(p.title || 'Untitled')}</option>`)
+        .join('');
+}
+
+export {
+    renderChainListItem,
+    renderChainStep,
+    renderPromptOptions
+};
@@ -0,0 +1,51 @@
+/**
+ * Compare UI Module
+ * Pure functions to generate HTML for the A/B compare workspace.
+ */
+
+import { escapeHtml } from './SidebarRenderer.js';
+import { formatLatency } from './RunUI.js';
+
+/**
+ * Render the variant options, grouped by prompt
+ * @param {Array} variants - From CompareService.listVariants
+ * @param {string} selectedKey
+ * @returns {string} HTML string
+ */
+function renderVariantOptions(variants, selectedKey) {
+    const groups = new Map();
+    variants.forEach(v => {
+        if (!groups.has(v.promptId)) groups.set(v.promptId, { title: v.title, variants: [] });
+        groups.get(v.promptId).variants.push(v);
+    });
+
+    return [...groups.values()].map(g => `
+        <optgroup label="${escapeHtml(g.title)}">
+            ${g.variants.map(v => `<option value="${escapeHtml(v.key)}"${v.key === selectedKey ? ' selected' : ''}>${escapeHtml(v.label)}</option>`).join('')}
+        </optgroup>
+    `).join('');
+}
+
+/**
+ * Render the token counts and latency of one side
+ * @param {object} stats
+ * @param {number} stats.inputTokens - Tokens of the rendered messages
+ * @param {number|null} [stats.outputTokens] - Tokens of the reply, once run
+ * @param {number|null} [stats.latency_ms]
+ * @param {string} [stats.model]
+ * @param {boolean} [stats.stopped]
+ * @returns {string} HTML string
+ */
+function renderCompareStats({ inputTokens, outputTokens = null, latency_ms = null, model = '', stopped = false }) {
+    const parts = [`${inputTokens.toLocaleString()} input tokens`];
+    if (outputTokens !== null) parts.push(`${outputTokens.toLocaleString()} output tokens`);
+    if (latency_ms !== null) parts.push(formatLatency(latency_ms));
+    if (model) parts.push(escapeHtml(model));
+    if (stopped) parts.push('stopped');
+    return parts.map(p => `<span>${p}</span>`).join(' · ');
+}
+
+export {
+    renderVariantOptions,
+    renderCompareStats
+};
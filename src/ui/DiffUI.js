@@ -0,0 +1,103 @@
+/**
+ * Diff UI Module
+ * Pure functions to generate HTML for the version comparison dialog.
+ */
+
+import { escapeHtml } from './SidebarRenderer.js';
+
+const TAGS = { insert: 'ins', delete: 'del' };
+
+/**
+ * Render diff chunks inline, skipping one side if requested
+ * @param {Array<{type: string, value: string}>} ops - Chunks from DiffService.diffText
+ * @param {string|null} hide - 'insert' or 'delete' to leave that side out
+ * @returns {string} HTML string
+ */
+function renderChunks(ops, hide = null) {
+    return ops
+        .filter(op => op.type !== hide)
+        .map(op => {
+            const text = escapeHtml(op.value);
+            const tag = TAGS[op.type];
+            return tag ? `<${tag}>${text}</${tag}>` : text;
+        })
+        .join('');
+}
+
+/**
+ * Render an inline (unified) diff
+ * @param {Array<{type: string, value: string}>} ops - Chunks from DiffService.diffText
+ * @returns {string} HTML string
+ */
+function renderInlineDiff(ops) {
+    if (!ops.some(op => op.type !== 'equal')) {
+        return `<p class="diff-same">No differences.</p>${renderChunks(ops)}`;
+    }
+    return `<div class="diff-inline">${renderChunks(ops)}</div>`;
+}
+
+/**
+ * Render one side of a side-by-side row
+ * @param {object} row - Row from DiffService.sideBySide
+ * @param {'left'|'right'} side
+ * @returns {string} HTML table cells
+ */
+function renderSideCells(row, side) {
+    const text = row[side];
+    const no = row[`${side}No`];
+    if (text === null) {
+        return '<td class="diff-no"></td><td class="diff-cell diff-empty"></td>';
+    }
+
+    let content;
+    if (row.parts) {
+        content = renderChunks(row.parts, side === 'left' ? 'insert' : 'delete');
+    } else {
+        content = escapeHtml(text);
+    }
+    const state = row.type === 'equal' ? '' : (side === 'left' ? 'diff-removed' : 'diff-added');
+    return `<td class="diff-no">${no}</td><td class="diff-cell ${state}">${content}</td>`;
+}
+
+/**
+ * Render a side-by-side diff table
+ * @param {object[]} rows - Rows from DiffService.sideBySide
+ * @returns {string} HTML string
+ */
+function renderSideBySideDiff(rows) {
+    const body = rows.map(row =>
+        `<tr class="diff-row-${row.type}">${renderSideCells(row, 'left')}${renderSideCells(row, 'right')}</tr>`
+    ).join('');
+    return `<table class="diff-side"><colgroup><col class="diff-no-col"><col><col class="diff-no-col"><col></colgroup><tbody>${body}</tbody></table>`;
+}
+
+/**
+ * Render the change statistics line
+ * @param {{added: number, removed: number, unchanged: number}} stats
+ * @returns {string} HTML string
+ */
+function renderDiffStats(stats) {
+    const plural = (n) => `${n} word${n === 1 ? '' : 's'}`;
+    return `<span class="diff-stat-added">+${plural(stats.added)}</span>` +
+        `<span class="diff-stat-removed">−${plural(stats.removed)}</span>` +
+        `<span class="diff-stat-same">${plural(stats.unchanged)} unchanged</span>`;
+}
+
+/**
+ * Render the options for the "from"/"to" version selectors
+ * @param {Array<{key: string, label: string}>} sources - Comparable texts
+ * @param {string} selected - Key of the selected source
+ * @returns {string} HTML option list
+ */
+function renderSourceOptions(sources, selected) {
+    return sources.map(s =>
+        `<option value="${escapeHtml(s.key)}"${s.key === selected ? ' selected' : ''}>${escapeHtml(s.label)}</option>`
+    ).join('');
+}
+
+export {
+    renderInlineDiff,
+    renderSideBySideDiff,
+    renderDiffStats,
+    renderSourceOptions
+};
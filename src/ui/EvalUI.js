@@ -0,0 +1,66 @@
+/**
+ * Eval UI Module
+ * Pure functions to generate HTML for evaluation runs.
+ */
+
+import { escapeHtml } from './SidebarRenderer.js';
+
+/**
+ * Render the pass count of a run
+ * @param {{passed: number, total: number}} run
+ * @returns {string} HTML string
+ */
+function renderEvalScore(run) {
+    const cls = run.passed === run.total ? 'pass' : 'fail';
+    return `<span class="eval-score ${cls}">${run.passed}/${run.total} passed</span>`;
+}
+
+/**
+ * Render the rows of the eval history table, newest first
+ * @param {Array} runs - prompt.eval_runs
+ * @param {Function} formatDate - Date formatting function
+ * @returns {string} HTML string
+ */
+function renderEvalHistory(runs, formatDate) {
+    if (!runs.length) return '<tr><td colspan="5" class="eval-empty">No evaluation runs yet.</td></tr>';
+
+    return [...runs].reverse().map(run => `
+        <tr>
+            <td>${run.version_no === null ? '<span class="eval-unversioned" title="Saved text that is not a version">—</span>' : run.version_no}</td>
+            <td>${formatDate(run.date)}</td>
+            <td>${escapeHtml(run.model)}</td>
+            <td>${renderEvalScore(run)}</td>
+            <td align="right"><button class="tiny secondary btn-eval-details" data-id="${escapeHtml(run.id)}">Details</button></td>
+        </tr>
+    `).join('');
+}
+
+/**
+ * Render the per-case results of a run
+ * @param {object} run
+ * @returns {string} HTML string
+ */
+function renderEvalResults(run) {
+    return run.results.map(r => {
+        const checks = r.checks.map(c => `
+            <li class="${c.passed ? 'pass' : 'fail'}">${c.passed ? '✓' : '✗'} ${escapeHtml(c.message)}</li>
+        `).join('');
+        return `
+            <div class="eval-case ${r.passed ? 'pass' : 'fail'}">
+                <div class="eval-case-header">
+                    <strong>${escapeHtml(r.name)}</strong>
+                    <span class="eval-score ${r.passed ? 'pass' : 'fail'}">${r.passed ? 'Pass' : 'Fail'}</span>
+                </div>
+                ${r.error ? `<div class="var-error">${escapeHtml(r.error)}</div>` : ''}
+                ${checks ? `<ul class="eval-checks">${checks}</ul>` : ''}
+                ${r.output !== null ? `<details><summary>Output</summary><pre class="eval-output">${escapeHtml(r.output)}</pre></details>` : ''}
+            </div>
+        `;
+    }).join('');
+}
+
+export {
+    renderEvalScore,
+    renderEvalHistory,
+    renderEvalResults
+};
@@ -0,0 +1,61 @@
+/**
+ * Field UI Module
+ * Pure functions to generate HTML for user-defined prompt fields.
+ */
+
+import { escapeHtml } from './SidebarRenderer.js';
+
+/**
+ * Render the input of one custom field
+ * @param {object} field - Field definition from FieldService
+ * @param {*} value - Stored value
+ * @returns {string} HTML string
+ */
+function renderFieldInput(field, value) {
+    const id = `custom-field-${field.id}`;
+    const attrs = `id="${id}" class="custom-field-input" data-field="${escapeHtml(field.id)}"`;
+    const text = value === null || value === undefined ? '' : escapeHtml(String(value));
+
+    switch (field.type) {
+        case 'boolean':
+            return `<input type="checkbox" ${attrs}${value === true ? ' checked' : ''}>`;
+        case 'select': {
+            const options = field.options.map(o =>
+                `<option value="${escapeHtml(o)}"${o === value ? ' selected' : ''}>${escapeHtml(o)}</option>`).join('');
+            return `<select ${attrs}><option value="">—</option>${options}</select>`;
+        }
+        case 'number':
+            return `<input type="number" step="any" ${attrs} value="${text}">`;
+        case 'date':
+            return `<input type="date" ${attrs} value="${text}">`;
+        case 'url':
+            return `
+                <div class="custom-url">
+                    <input type="url" ${attrs} value="${text}" placeholder="https://...">
+                    ${value ? `<a href="${text}" target="_blank" rel="noopener" title="Open link">&#8599;</a>` : ''}
+                </div>
+            `;
+        default:
+            return `<input type="text" ${attrs} value="${text}">`;
+    }
+}
+
+/**
+ * Render all custom fields of the editor
+ * @param {Array} schema - Field definitions
+ * @param {object} values - Map of field id to value
+ * @returns {string} HTML string
+ */
+function renderCustomFields(schema, values) {
+    return schema.map(field => `
+        <div class="meta-field custom-field${field.type === 'boolean' ? ' boolean' : ''}">
+            <label for="custom-field-${escapeHtml(field.id)}">${escapeHtml(field.label)}</label>
+            ${renderFieldInput(field, (values || {})[field.id])}
+        </div>
+    `).join('');
+}
+
+export {
+    renderFieldInput,
+    renderCustomFields
+};
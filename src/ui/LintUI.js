@@ -0,0 +1,91 @@
+/**
+ * Lint UI Module
+ * Pure functions to generate HTML for lint results and lint settings.
+ */
+
+import { escapeHtml } from './SidebarRenderer.js';
+
+const SEVERITY_ICONS = { error: '⛔', warning: '⚠', info: 'ℹ' };
+
+/**
+ * Render the lint results list
+ * @param {object[]} issues - From LintService
+ * @param {boolean} showMessage - Prefix issues with their message number (multi-message prompts)
+ * @returns {string} HTML string
+ */
+function renderLintList(issues, showMessage = false) {
+    if (!issues.length) return '<li class="lint-ok">No problems found.</li>';
+
+    return issues.map((issue, idx) => {
+        const where = [
+            showMessage && issue.message_index !== undefined ? `Msg ${issue.message_index + 1}` : '',
+            issue.line ? `L${issue.line}` : ''
+        ].filter(Boolean).join(' ');
+        return `
+            <li class="lint-issue lint-${issue.severity}" data-index="${idx}" title="${escapeHtml(issue.rule)}">
+                <span class="lint-icon">${SEVERITY_ICONS[issue.severity]}</span>
+                ${where ? `<span class="lint-where">${where}</span>` : ''}
+                <span class="lint-message">${escapeHtml(issue.message)}</span>
+            </li>
+        `;
+    }).join('');
+}
+
+/**
+ * One-line summary of lint results
+ * @param {object[]} issues
+ * @returns {string} Plain text
+ */
+function summarizeIssues(issues) {
+    if (!issues.length) return 'Lint: clean';
+    const count = (s) => issues.filter(i => i.severity === s).length;
+    const parts = [['error', 'error'], ['warning', 'warning'], ['info', 'note']]
+        .map(([s, word]) => [count(s), word])
+        .filter(([n]) => n > 0)
+        .map(([n, word]) => `${n} ${word}${n === 1 ? '' : 's'}`);
+    return `Lint: ${parts.join(', ')}`;
+}
+
+/**
+ * Render the sidebar lint icon for a prompt
+ * @param {object[]} issues
+ * @param {string|null} severity - Worst severity among the issues
+ * @returns {string} HTML string ('' when there is nothing worth flagging)
+ */
+function renderLintBadge(issues, severity) {
+    if (severity !== 'error' && severity !== 'warning') return '';
+    const flagged = issues.filter(i => i.severity !== 'info');
+    const title = flagged.slice(0, 5).map(i => i.message).join('\n') + (flagged.length > 5 ? `\n…and ${flagged.length - 5} more` : '');
+    return `<span class="lint-badge lint-${severity}" title="${escapeHtml(title)}">${SEVERITY_ICONS[severity]}</span>`;
+}
+
+/**
+ * Render the lint settings form
+ * @param {Array<{id: string, label: string, severity: string}>} rules
+ * @param {{rules: object, maxLineLength: number}} config
+ * @returns {string} HTML string
+ */
+function renderLintSettings(rules, config) {
+    const rows = rules.map(r => `
+        <label class="lint-rule-row">
+            <input type="checkbox" class="lint-rule-toggle" data-rule="${escapeHtml(r.id)}"${config.rules[r.id] !== false ? ' checked' : ''}>
+            <span class="lint-icon">${SEVERITY_ICONS[r.severity]}</span>
+            ${escapeHtml(r.label)}
+        </label>
+    `).join('');
+
+    return `
+        ${rows}
+        <label class="lint-rule-row">
+            Maximum line length
+            <input type="number" id="lint-max-line" min="20" value="${config.maxLineLength}">
+        </label>
+    `;
+}
+
+export {
+    renderLintList,
+    summarizeIssues,
+    renderLintBadge,
+    renderLintSettings
+};
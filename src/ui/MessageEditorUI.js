@@ -0,0 +1,54 @@
+/**
+ * Message Editor UI Module
+ * Pure functions to generate HTML for the multi-message prompt editor.
+ */
+
+import { escapeHtml } from './SidebarRenderer.js';
+
+const PLACEHOLDERS = {
+    system: 'Instructions and persona for the model...',
+    user: 'Write your prompt here...',
+    assistant: 'Example answer (few-shot)...'
+};
+
+/**
+ * Render one message card
+ * @param {{role: string, content: string}} message
+ * @param {number} index - Position in the list
+ * @param {number} total - Number of messages
+ * @param {string[]} roles - Selectable roles
+ * @returns {string} HTML string
+ */
+function renderMessageCard(message, index, total, roles) {
+    const options = roles.map(r =>
+        `<option value="${r}"${r === message.role ? ' selected' : ''}>${r.charAt(0).toUpperCase() + r.slice(1)}</option>`
+    ).join('');
+
+    return `
+        <div class="message-card role-${escapeHtml(message.role)}" data-index="${index}">
+            <div class="message-header">
+                <select class="message-role" title="Message role">${options}</select>
+                <span class="message-no">#${index + 1}</span>
+                <button type="button" class="tiny secondary btn-msg-up" title="Move up"${index === 0 ? ' disabled' : ''}>&uarr;</button>
+                <button type="button" class="tiny secondary btn-msg-down" title="Move down"${index === total - 1 ? ' disabled' : ''}>&darr;</button>
+                <button type="button" class="tiny secondary btn-msg-remove" title="Remove message"${total === 1 ? ' disabled' : ''}>&times;</button>
+            </div>
+            <textarea class="message-content code-font" placeholder="${PLACEHOLDERS[message.role] || ''}">${escapeHtml(message.content)}</textarea>
+        </div>
+    `;
+}
+
+/**
+ * Render the full message list
+ * @param {Array<{role: string, content: string}>} messages
+ * @param {string[]} roles - Selectable roles
+ * @returns {string} HTML string
+ */
+function renderMessageList(messages, roles) {
+    return messages.map((m, i) => renderMessageCard(m, i, messages.length, roles)).join('');
+}
+
+export {
+    renderMessageCard,
+    renderMessageList
+};
@@ -0,0 +1,62 @@
+/**
+ * Run UI Module
+ * Pure functions to generate HTML for execute mode.
+ */
+
+import { escapeHtml } from './SidebarRenderer.js';
+
+/**
+ * Human-readable latency
+ * @param {number} ms
+ * @returns {string} e.g. "850 ms" or "2.4 s"
+ */
+function formatLatency(ms) {
+    return ms < 1000 ? `${Math.round(ms)} ms` : `${(ms / 1000).toFixed(1)} s`;
+}
+
+/**
+ * Render the endpoint options of the execute bar
+ * @param {Array} endpoints - From LlmService.parseEndpoints
+ * @param {string} selectedId
+ * @returns {string} HTML string
+ */
+function renderEndpointOptions(endpoints, selectedId) {
+    return endpoints.map(e => `
+        <option value="${escapeHtml(e.id)}"${e.id === selectedId ? ' selected' : ''}>${escapeHtml(e.name)} · ${escapeHtml(e.model)}</option>
+    `).join('');
+}
+
+/**
+ * One-line description of a run
+ * @param {object} run
+ * @returns {string} Plain text
+ */
+function describeRun(run) {
+    const version = run.version_no === null ? 'edited text' : `v${run.version_no}`;
+    return `${run.model} · ${formatLatency(run.latency_ms)} · ${version}${run.stopped ? ' · stopped' : ''}`;
+}
+
+/**
+ * Render the run history list
+ * @param {Array} runs - Newest first
+ * @param {Function} formatDate - Date formatting function
+ * @returns {string} HTML string
+ */
+function renderRunHistory(runs, formatDate) {
+    if (!runs.length) return '<li class="run-empty">No runs yet.</li>';
+
+    return runs.map(run => `
+        <li class="run-item" data-id="${escapeHtml(run.id)}" title="Show this output">
+            <span class="run-date">${formatDate(run.date)}</span>
+            <span class="run-meta">${escapeHtml(describeRun(run))}</span>
+            <span class="run-preview">${escapeHtml(run.output.slice(0, 80))}</span>
+        </li>
+    `).join('');
+}
+
+export {
+    formatLatency,
+    renderEndpointOptions,
+    describeRun,
+    renderRunHistory
+};
@@ -15,16 +15,26 @@ function escapeHtml(unsafe) {
         .replaceAll("'", '&#039;');
 }
 
+/**
+ * Render a tag pill, with a colour dot if the tag has a colour
+ * @param {string} tag
+ * @param {string} color - CSS colour ('' for none)
+ * @returns {string} HTML string
+ */
+function renderTagPill(tag, color = '') {
+    const dot = color ? `<span class="tag-dot" style="background:${escapeHtml(color)}"></span>` : '';
+    return `<span class="tag-pill">${dot}${escapeHtml(tag)}</span>`;
+}
+
 /**
  * Render a single prompt item for the sidebar list
- * @param {object} prompt - Prompt object
+ * @param {object} prompt - Prompt object (tags as a normalised array)
  * @param {boolean} isActive - Whether this prompt is currently selected
+ * @param {object} tagColors - Map of tag to colour
  * @returns {string} HTML string
  */
-function renderPromptItem(prompt, isActive) {
-    const tags = prompt.tags
-        ? prompt.tags.split(',').map(t => `<span class="tag-pill">${escapeHtml(t.trim())}</span>`).join('')
-        : '';
+function renderPromptItem(prompt, isActive, tagColors = {}) {
+    const tags = (prompt.tags || []).map(t => renderTagPill(t, tagColors[t])).join('');
 
     const liveTag = prompt.status === 'live'
         ? '<span class="tag-pill" style="background:#dcfce7; color:#166534; border-color:#86efac;">LIVE</span>'
@@ -67,6 +77,51 @@ function renderCollectionItem(collection, isActive) {
     `;
 }
 
+/**
+ * Render the trash view header with retention setting and actions
+ * @param {number} count - Number of trashed items
+ * @param {number} retentionDays - Days before trashed items are purged
+ * @returns {string} HTML string
+ */
+function renderTrashHeader(count, retentionDays) {
+    return `
+        <div class="trash-header">
+            <div class="trash-title">
+                <h4>Trash (${count})</h4>
+                <button class="tiny secondary trash-back">Back to Prompts</button>
+            </div>
+            <label class="trash-retention">Purge after
+                <input type="number" class="trash-days" min="1" value="${retentionDays}"> days</label>
+            <button class="tiny btn-danger-solid trash-empty"${count ? '' : ' disabled'}>Empty Trash</button>
+        </div>
+    `;
+}
+
+/**
+ * Render a trashed record
+ * @param {object} entry - Trash entry {id, kind, deleted_at}
+ * @param {string} label - Display name of the record
+ * @param {number} daysLeft - Days until it is purged
+ * @param {Function} formatDate - Date formatting function
+ * @returns {string} HTML string
+ */
+function renderTrashItem(entry, label, daysLeft, formatDate) {
+    return `
+        <div class="prompt-item trash-item" data-id="${entry.id}">
+            <h4>${escapeHtml(label)}</h4>
+            <div class="tags-row">
+                <span class="meta-label">${escapeHtml(entry.kind)}</span>
+                <span class="meta-label">Deleted ${formatDate(entry.deleted_at)}</span>
+                <span class="meta-label">purged in ${daysLeft} day${daysLeft === 1 ? '' : 's'}</span>
+            </div>
+            <div class="trash-actions">
+                <button class="tiny secondary trash-restore" data-id="${entry.id}">Restore</button>
+                <button class="tiny danger-text trash-purge" data-id="${entry.id}">Delete Forever</button>
+            </div>
+        </div>
+    `;
+}
+
 /**
  * Render a version history row
  * @param {object} version - Version object {version_no, date_created, notes}
@@ -111,8 +166,11 @@ function populateDatalist(datalistEl, values) {
 
 export {
     escapeHtml,
+    renderTagPill,
     renderPromptItem,
     renderCollectionItem,
+    renderTrashHeader,
+    renderTrashItem,
     renderVersionRow,
     populateSelect,
     populateDatalist
@@ -0,0 +1,45 @@
+/**
+ * Tag UI Module
+ * Pure functions to generate HTML for the tag manager dialog.
+ */
+
+import { escapeHtml, renderTagPill } from './SidebarRenderer.js';
+
+/**
+ * Render one row of the tag manager
+ * @param {{tag: string, count: number}} entry - Tag and number of prompts using it
+ * @param {string} color - CSS colour ('' for none)
+ * @param {boolean} checked - Whether the tag is ticked for merging
+ * @returns {string} HTML string
+ */
+function renderTagRow({ tag, count }, color, checked) {
+    const safe = escapeHtml(tag);
+    return `
+        <div class="tag-row" data-tag="${safe}">
+            <input type="checkbox" class="tag-merge-check" title="Select for merging"${checked ? ' checked' : ''}>
+            ${renderTagPill(tag, color)}
+            <span class="tag-count">${count} prompt${count === 1 ? '' : 's'}</span>
+            <input type="color" class="tag-color" value="${escapeHtml(color || '#999999')}" title="Tag colour">
+            <button type="button" class="tiny secondary tag-color-clear" title="Remove colour"${color ? '' : ' disabled'}>No colour</button>
+            <button type="button" class="tiny secondary tag-rename">Rename</button>
+            <button type="button" class="tiny danger-text tag-delete">Delete</button>
+        </div>
+    `;
+}
+
+/**
+ * Render the tag manager list
+ * @param {Array<{tag: string, count: number}>} counts - From TagService.countTags
+ * @param {object} colors - Map of tag to colour
+ * @param {Set<string>} checked - Tags ticked for merging
+ * @returns {string} HTML string
+ */
+function renderTagList(counts, colors, checked) {
+    if (!counts.length) return '<p class="tag-empty">No tags yet. Add tags to prompts in the editor.</p>';
+    return counts.map(c => renderTagRow(c, colors[c.tag] || '', checked.has(c.tag))).join('');
+}
+
+export {
+    renderTagRow,
+    renderTagList
+};
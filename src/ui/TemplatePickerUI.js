@@ -15,17 +15,55 @@ function escapeHtml(unsafe) {
         .replaceAll("'", '&#039;');
 }
 
+/**
+ * Render the list of templates a template includes
+ * @param {Array<{ref: string, template: object|null}>} dependencies
+ * @returns {string} HTML string (empty if there are none)
+ */
+function renderTemplateDependencies(dependencies) {
+    if (!dependencies.length) return '';
+    const names = dependencies.map(d => d.template
+        ? escapeHtml(d.template.description)
+        : `<span class="tmpl-dep-missing" title="Template not found">${escapeHtml(d.ref)}?</span>`
+    ).join(', ');
+    return `<span class="tmpl-deps">Includes: ${names}</span>`;
+}
+
 /**
  * Render a template item for the picker list
  * @param {object} template 
+ * @param {Array} dependencies - Included templates from TemplateService.getTemplateDependencies
  * @returns {string} HTML string
  */
-function renderTemplatePickerItem(template) {
+function renderTemplatePickerItem(template, dependencies = []) {
     const favStar = template.is_favourite ? '★ ' : '';
     return `
-        <div class="template-picker-item" data-id="${template.id}">
-            <strong>${favStar}${escapeHtml(template.description)}</strong>
-            <p class="template-notes">${escapeHtml(template.notes) || ''}</p>
+        <div class="list-item template-picker-item" data-id="${template.id}" draggable="true">
+            <button class="tiny secondary tmpl-batch-btn" title="Render once per row of a data set">Batch</button>
+            <span class="tmpl-name">${favStar}${escapeHtml(template.description)}</span>
+            <span class="tmpl-note">${escapeHtml(template.notes || 'No additional notes')}</span>
+            ${renderTemplateDependencies(dependencies)}
+        </div>
+    `;
+}
+
+/**
+ * Render a collapsible folder group around already-rendered items
+ * @param {string} folder - Folder name ('' for unfiled templates)
+ * @param {number} count - Number of templates in the group
+ * @param {string} itemsHtml - Rendered template items
+ * @param {boolean} collapsed - Whether the group starts collapsed
+ * @returns {string} HTML string
+ */
+function renderTemplateGroup(folder, count, itemsHtml, collapsed) {
+    return `
+        <div class="tmpl-group ${collapsed ? 'collapsed' : ''}" data-folder="${escapeHtml(folder)}">
+            <div class="tmpl-group-header" title="Click to collapse; drop a template here to move it">
+                <span class="tmpl-group-toggle">${collapsed ? '▸' : '▾'}</span>
+                <span class="tmpl-group-name">${escapeHtml(folder) || 'Unfiled'}</span>
+                <span class="tmpl-group-count">${count}</span>
+            </div>
+            <div class="tmpl-group-items">${itemsHtml}</div>
         </div>
     `;
 }
@@ -39,33 +77,145 @@ function renderTemplatePickerItem(template) {
 function renderTemplateManagerItem(template, isSelected) {
     const favStar = template.is_favourite ? '★ ' : '';
     return `
-        <div class="template-manager-item ${isSelected ? 'active' : ''}" data-id="${template.id}">
-            ${favStar}${escapeHtml(template.description)}
+        <div class="list-item template-manager-item ${isSelected ? 'active' : ''}" data-id="${template.id}" draggable="true">
+            <span class="tmpl-name">${favStar}${escapeHtml(template.description)}</span>
         </div>
     `;
 }
 
+/**
+ * Render the input control matching a variable descriptor
+ * @param {object} descriptor - Variable descriptor from TemplateService
+ * @param {string} inputId - DOM id for the control
+ * @param {string} value - Prefilled value
+ * @returns {string} HTML string
+ */
+function renderVariableControl(descriptor, inputId, value) {
+    const attrs = `id="${inputId}" data-var="${escapeHtml(descriptor.name)}"${descriptor.required ? ' required' : ''}`;
+
+    switch (descriptor.type) {
+        case 'multiline':
+            return `<textarea ${attrs} class="var-input short" placeholder="Enter value...">${escapeHtml(value)}</textarea>`;
+        case 'number':
+            return `<input type="number" ${attrs} class="var-input" value="${escapeHtml(value)}" placeholder="Enter a number...">`;
+        case 'select': {
+            const blank = descriptor.required ? '' : '<option value="">(none)</option>';
+            const options = descriptor.options.map(o =>
+                `<option value="${escapeHtml(o)}"${o === value ? ' selected' : ''}>${escapeHtml(o)}</option>`
+            ).join('');
+            return `<select ${attrs} class="var-input">${blank}${options}</select>`;
+        }
+        default:
+            return `<input type="text" ${attrs} class="var-input" value="${escapeHtml(value)}" placeholder="Enter value...">`;
+    }
+}
+
+/**
+ * Render a template version history row
+ * @param {object} version - Version object {version_no, date_created, notes}
+ * @param {Function} formatDate - Date formatting function
+ * @returns {string} HTML table row
+ */
+function renderTemplateVersionRow(version, formatDate) {
+    return `
+        <tr>
+            <td>${version.version_no}</td>
+            <td>${formatDate(version.date_created)}</td>
+            <td>${escapeHtml(version.notes) || '-'}</td>
+            <td align="right">
+                <button class="tiny secondary btn-tmpl-diff" data-ver="${version.version_no}">Diff</button>
+                <button class="tiny secondary btn-tmpl-restore" data-ver="${version.version_no}">Restore</button>
+            </td>
+        </tr>
+    `;
+}
+
+const USAGE_LABELS = {
+    updated: 'Template updated',
+    broken: 'Template has errors',
+    current: 'Up to date'
+};
+
+/**
+ * Render how often a template was inserted and the prompts that contain linked inserts of it
+ * @param {Array<{prompt: object, status: string}>} usages - From TemplateLinkService.findPromptsUsingTemplate
+ * @param {object|null} usage - Usage record of the template (UsageService)
+ * @param {Function} formatDate - Date formatting function
+ * @returns {string} HTML string
+ */
+function renderTemplateUsage(usages, usage = null, formatDate = (d) => d) {
+    const inserts = usage?.counts?.insert || 0;
+    const insertLine = `<div class="usage-status">${inserts
+        ? `Inserted ${inserts} time${inserts === 1 ? '' : 's'}, last on ${escapeHtml(formatDate(usage.last_used))}.`
+        : 'Never inserted.'}</div>`;
+    if (!usages.length) return `${insertLine}<span class="usage-status">Not linked in any prompt.</span>`;
+
+    const rows = usages.map(({ prompt, status }) => `
+        <li data-id="${escapeHtml(prompt.id)}">
+            <span class="usage-title">${escapeHtml(prompt.title) || 'Untitled'}</span>
+            <span class="usage-status ${status}">${USAGE_LABELS[status]}</span>
+            ${status === 'updated' ? '<button type="button" class="tiny secondary btn-usage-resync">Re-sync…</button>' : ''}
+        </li>
+    `).join('');
+    return `${insertLine}<strong>Linked in ${usages.length} prompt${usages.length === 1 ? '' : 's'}</strong><ul>${rows}</ul>`;
+}
+
 /**
  * Generate input fields for template variables
- * @param {string[]} variables - Array of variable names
+ * @param {object[]} variables - Array of variable descriptors
+ * @param {object} values - Map of variable name to prefilled value
  * @returns {string} HTML for variable input form
  */
-function renderVariableInputs(variables) {
+function renderVariableInputs(variables, values = {}) {
     if (!variables.length) {
         return '<p>No variables found in this template.</p>';
     }
 
-    return variables.map(v => `
-        <div class="var-field">
-            <label for="var-${v}">${escapeHtml(v)}</label>
-            <input type="text" id="var-${v}" data-var="${v}" placeholder="Enter value...">
+    return variables.map((v, i) => {
+        const inputId = `var-input-${i}`;
+        const value = values[v.name] ?? v.defaultValue ?? '';
+        const marker = v.required ? ' <span class="var-required" title="Required">*</span>' : '';
+        const help = v.help ? `<small class="var-help">${escapeHtml(v.help)}</small>` : '';
+        return `
+        <div class="field-group var-field" data-var="${escapeHtml(v.name)}">
+            <label for="${inputId}">${escapeHtml(v.name)}${marker}</label>
+            ${renderVariableControl(v, inputId, value)}
+            ${help}
+            <small class="var-error hidden"></small>
         </div>
-    `).join('');
+    `;
+    }).join('');
+}
+
+/**
+ * Render the options of the preset dropdown in the variable form
+ * @param {object} template - Template owning the presets
+ * @param {string} client - Client of the current prompt (may be empty)
+ * @param {object|undefined} lastValues - Remembered values for this client
+ * @returns {string} HTML option list
+ */
+function renderPresetOptions(template, client, lastValues) {
+    const options = ['<option value="">Presets...</option>'];
+    if (lastValues) {
+        options.push('<option value="last">Last used values</option>');
+    }
+    if (client && (template.client_defaults || {})[client]) {
+        options.push(`<option value="client">Defaults for ${escapeHtml(client)}</option>`);
+    }
+    (template.presets || []).forEach(p => {
+        options.push(`<option value="preset:${escapeHtml(p.id)}">${escapeHtml(p.name)}</option>`);
+    });
+    return options.join('');
 }
 
 export {
     escapeHtml,
+    renderTemplateDependencies,
     renderTemplatePickerItem,
+    renderTemplateGroup,
     renderTemplateManagerItem,
-    renderVariableInputs
+    renderTemplateVersionRow,
+    renderTemplateUsage,
+    renderVariableInputs,
+    renderPresetOptions
 };
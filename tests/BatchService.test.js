@@ -0,0 +1,113 @@
+/**
+ * Unit Tests for BatchService
+ */
+
+import {
+    parseCsv,
+    parseJsonRows,
+    parseDataSet,
+    suggestMapping,
+    renderBatch,
+    describeIssues,
+    toJsonl,
+    toCsv,
+    toTextFiles
+} from '../src/core/BatchService.js';
+import { extractVariableDescriptors } from '../src/core/TemplateService.js';
+
+describe('BatchService', () => {
+
+    describe('parseCsv', () => {
+        test('parses quoted fields, escaped quotes and embedded newlines', () => {
+            const { columns, rows } = parseCsv('name,notes\r\n"Smith, J","said ""hi""\nthen left"\r\nBob,\r\n');
+
+            expect(columns).toEqual(['name', 'notes']);
+            expect(rows).toEqual([
+                { name: 'Smith, J', notes: 'said "hi"\nthen left' },
+                { name: 'Bob', notes: '' }
+            ]);
+        });
+
+        test('detects semicolon delimiters and keeps surplus values', () => {
+            const { rows } = parseCsv('a;b\n1;2;3');
+            expect(rows[0]).toEqual({ a: '1', b: '2', column_3: '3' });
+        });
+    });
+
+    describe('parseJsonRows', () => {
+        test('collects the union of keys and flattens arrays', () => {
+            const { columns, rows } = parseJsonRows('[{"a": 1, "list": ["x", "y"]}, {"b": null}]');
+
+            expect(columns).toEqual(['a', 'list', 'b']);
+            expect(rows[0]).toEqual({ a: '1', list: 'x, y' });
+            expect(rows[1]).toEqual({ b: '' });
+        });
+
+        test('rejects non-array data', () => {
+            expect(() => parseJsonRows('{"a": 1}')).toThrow(/array of objects/);
+            expect(() => parseJsonRows('[1]')).toThrow(/Row 1/);
+        });
+    });
+
+    describe('parseDataSet', () => {
+        test('chooses the format from the file name or content', () => {
+            expect(parseDataSet('[{"a":"1"}]', '').rows).toEqual([{ a: '1' }]);
+            expect(parseDataSet('a\n1', 'data.csv').rows).toEqual([{ a: '1' }]);
+        });
+    });
+
+    describe('suggestMapping', () => {
+        test('matches exact and loosely equal column names', () => {
+            const vars = extractVariableDescriptors('${product_name} ${price} ${sku}');
+            const mapping = suggestMapping(vars, ['Product Name', 'price', 'other']);
+
+            expect(mapping).toEqual({ product_name: 'Product Name', price: 'price', sku: '' });
+        });
+    });
+
+    describe('renderBatch', () => {
+        const text = 'Write about ${product} for ${audience?=everyone}.';
+        const vars = extractVariableDescriptors(text);
+
+        test('renders each row and applies defaults', () => {
+            const rows = [{ product: 'Lamp', audience: 'kids' }, { product: 'Desk', audience: '' }];
+            const results = renderBatch(text, vars, rows, { product: 'product', audience: 'audience' });
+
+            expect(results.map(r => r.output)).toEqual([
+                'Write about Lamp for kids.',
+                'Write about Desk for everyone.'
+            ]);
+            expect(results.every(r => r.ok)).toBe(true);
+        });
+
+        test('reports missing values and unused columns per row', () => {
+            const rows = [{ product: '', colour: 'red' }];
+            const [result] = renderBatch(text, vars, rows, { product: 'product', audience: '' });
+
+            expect(result.ok).toBe(false);
+            expect(result.missing).toEqual(['product']);
+            expect(result.extra).toEqual(['colour']);
+            expect(describeIssues(result)).toBe('Missing: product; Unused columns: colour');
+        });
+    });
+
+    describe('exports', () => {
+        const results = [
+            { row: 1, ok: true, values: { a: 'x, "y"' }, output: 'line1\nline2', missing: [], extra: [] }
+        ];
+
+        test('serialises JSONL', () => {
+            expect(JSON.parse(toJsonl(results).trim())).toMatchObject({ row: 1, ok: true, output: 'line1\nline2' });
+        });
+
+        test('serialises CSV with quoting', () => {
+            const csv = toCsv(results, [{ name: 'a' }]);
+            expect(csv).toBe('row,ok,issues,a,output\r\n1,true,,"x, ""y""","line1\nline2"\r\n');
+        });
+
+        test('names text files with padded row numbers', () => {
+            const many = Array.from({ length: 10 }, (_, i) => ({ ...results[0], row: i + 1 }));
+            expect(toTextFiles(many, 'My Prompt')[0].name).toBe('my_prompt-01.txt');
+        });
+    });
+});
@@ -0,0 +1,106 @@
+/**
+ * Tests for BulkService
+ */
+
+import { DEFAULT_WORKFLOW } from '../src/core/WorkflowService.js';
+import {
+    selectRange,
+    updateSelection,
+    bulkStatusNeedsNote,
+    applyBulkChange,
+    applyToSelection
+} from '../src/core/BulkService.js';
+
+const ids = ['a', 'b', 'c', 'd', 'e'];
+
+describe('BulkService', () => {
+
+    describe('selectRange', () => {
+        test('selects between anchor and target in either direction', () => {
+            expect(selectRange(ids, 'b', 'd')).toEqual(['b', 'c', 'd']);
+            expect(selectRange(ids, 'd', 'b')).toEqual(['b', 'c', 'd']);
+        });
+
+        test('falls back to the target when the anchor is not listed', () => {
+            expect(selectRange(ids, 'gone', 'c')).toEqual(['c']);
+            expect(selectRange(ids, 'a', 'gone')).toEqual([]);
+        });
+    });
+
+    describe('updateSelection', () => {
+        test('plain click selects only the item', () => {
+            const result = updateSelection(new Set(['a', 'b']), ids, 'c');
+
+            expect([...result.selection]).toEqual(['c']);
+            expect(result.anchor).toBe('c');
+        });
+
+        test('ctrl-click toggles and moves the anchor', () => {
+            const added = updateSelection(new Set(['a']), ids, 'c', { toggle: true }, 'a');
+            expect([...added.selection]).toEqual(['a', 'c']);
+            expect(added.anchor).toBe('c');
+
+            const removed = updateSelection(added.selection, ids, 'a', { toggle: true }, 'c');
+            expect([...removed.selection]).toEqual(['c']);
+        });
+
+        test('shift-click replaces the selection with the range and keeps the anchor', () => {
+            const result = updateSelection(new Set(['e']), ids, 'd', { shift: true }, 'b');
+
+            expect([...result.selection]).toEqual(['b', 'c', 'd']);
+            expect(result.anchor).toBe('b');
+        });
+
+        test('ctrl-shift-click adds the range', () => {
+            const result = updateSelection(new Set(['e']), ids, 'b', { shift: true, toggle: true }, 'a');
+
+            expect([...result.selection].sort()).toEqual(['a', 'b', 'e']);
+        });
+    });
+
+    describe('status changes', () => {
+        test('detects when any transition needs a note', () => {
+            const prompts = [{ status: 'draft' }, { status: 'approved' }];
+
+            expect(bulkStatusNeedsNote(prompts, 'review')).toBe(false);
+            expect(bulkStatusNeedsNote(prompts, 'live')).toBe(true);
+        });
+
+        test('skips prompts the workflow does not allow to move', () => {
+            const prompts = [
+                { id: '1', title: 'Draft', status: 'draft' },
+                { id: '2', title: 'Live', status: 'live' },
+                { id: '3', title: 'Already', status: 'review' }
+            ];
+            const { updated, skipped } = applyToSelection(prompts, { type: 'status', status: 'review' }, DEFAULT_WORKFLOW);
+
+            expect(updated.map(p => p.id)).toEqual(['1']);
+            expect(updated[0].status_history).toHaveLength(1);
+            expect(skipped.map(s => s.prompt.id)).toEqual(['2']);
+            expect(skipped[0].reason).toMatch(/note is required/);
+            expect(prompts[0].status).toBe('draft');
+        });
+    });
+
+    describe('applyBulkChange', () => {
+        test('sets fields on a copy', () => {
+            const prompt = { id: '1', category: 'old', client: 'acme', tags: ['a'] };
+
+            expect(applyBulkChange(prompt, { type: 'category', value: ' New ' }).category).toBe('New');
+            expect(applyBulkChange(prompt, { type: 'client', value: '' }).client).toBe('');
+            expect(applyBulkChange(prompt, { type: 'addTags', tags: ['b', 'A'] }).tags).toEqual(['a', 'b']);
+            expect(prompt).toEqual({ id: '1', category: 'old', client: 'acme', tags: ['a'] });
+        });
+
+        test('rejects unknown changes', () => {
+            expect(() => applyBulkChange({}, { type: 'title' })).toThrow('Unknown bulk change');
+        });
+
+        test('only reports prompts that changed', () => {
+            const prompts = [{ id: '1', tags: ['x'] }, { id: '2', tags: ['y'] }];
+            const { updated } = applyToSelection(prompts, { type: 'removeTags', tags: ['X'] });
+
+            expect(updated).toEqual([{ id: '1', tags: [] }]);
+        });
+    });
+});
@@ -0,0 +1,137 @@
+/**
+ * Tests for ChainService
+ */
+
+import {
+    createChain,
+    createStep,
+    getStepInput,
+    setStepInput,
+    moveStep,
+    removeStep,
+    getStepVariables,
+    findBrokenReferences,
+    findChainsUsingPrompt,
+    buildChainExport,
+    remapPromptIds
+} from '../src/core/ChainService.js';
+
+const prompts = [
+    { id: 'p1', title: 'Outline', messages: [{ role: 'user', content: 'Outline ${topic}' }] },
+    { id: 'p2', title: 'Draft', messages: [{ role: 'system', content: 'Tone: ${tone}' }, { role: 'user', content: 'Expand ${outline}' }] }
+];
+
+const makeChain = () => ({
+    ...createChain(() => 'c1', 'Article'),
+    steps: [
+        { id: 's1', prompt_id: 'p1', inputs: {} },
+        { id: 's2', prompt_id: 'p2', inputs: { outline: { source: 'step', step: 's1' }, tone: { source: 'value', value: 'warm' } } }
+    ]
+});
+
+describe('ChainService', () => {
+
+    describe('createChain / createStep', () => {
+        test('creates an empty chain', () => {
+            const chain = createChain(() => 'c1', 'Pipeline');
+
+            expect(chain).toMatchObject({ id: 'c1', name: 'Pipeline', description: '', steps: [] });
+            expect(chain.date_created).toBeDefined();
+        });
+
+        test('creates a step referencing a prompt', () => {
+            expect(createStep(() => 's1', 'p1')).toEqual({ id: 's1', prompt_id: 'p1', inputs: {} });
+        });
+    });
+
+    describe('step inputs', () => {
+        test('defaults to run-time input', () => {
+            expect(getStepInput({ inputs: {} }, 'x')).toEqual({ source: 'input' });
+            expect(getStepInput({ inputs: { x: { source: 'bogus' } } }, 'x')).toEqual({ source: 'input' });
+        });
+
+        test('sets and clears a source without mutating the step', () => {
+            const step = createStep(() => 's2', 'p2');
+            const mapped = setStepInput(step, 'outline', { source: 'step', step: 's1' });
+
+            expect(mapped.inputs).toEqual({ outline: { source: 'step', step: 's1' } });
+            expect(step.inputs).toEqual({});
+            expect(setStepInput(mapped, 'outline', { source: 'input' }).inputs).toEqual({});
+        });
+    });
+
+    describe('moveStep / removeStep', () => {
+        test('moves steps within range only', () => {
+            const steps = makeChain().steps;
+
+            expect(moveStep(steps, 1, -1).map(s => s.id)).toEqual(['s2', 's1']);
+            expect(moveStep(steps, 1, 1).map(s => s.id)).toEqual(['s1', 's2']);
+        });
+
+        test('unmaps inputs fed by a removed step', () => {
+            const steps = removeStep(makeChain().steps, 0);
+
+            expect(steps.map(s => s.id)).toEqual(['s2']);
+            expect(steps[0].inputs).toEqual({ tone: { source: 'value', value: 'warm' } });
+        });
+    });
+
+    describe('getStepVariables', () => {
+        test('collects variables across all messages', () => {
+            expect(getStepVariables(prompts[1])).toEqual(['tone', 'outline']);
+        });
+
+        test('returns nothing for a missing prompt', () => {
+            expect(getStepVariables(undefined)).toEqual([]);
+        });
+    });
+
+    describe('findBrokenReferences', () => {
+        test('reports nothing for a valid chain', () => {
+            expect(findBrokenReferences(makeChain(), prompts)).toEqual([]);
+        });
+
+        test('reports steps whose prompt was deleted', () => {
+            const problems = findBrokenReferences(makeChain(), [prompts[1]]);
+
+            expect(problems).toEqual([{ type: 'prompt', stepId: 's1', index: 0, promptId: 'p1' }]);
+        });
+
+        test('reports inputs fed by a later or missing step', () => {
+            const chain = makeChain();
+            chain.steps = moveStep(chain.steps, 1, -1);
+            chain.steps[1] = setStepInput(chain.steps[1], 'topic', { source: 'step', step: 'gone' });
+
+            expect(findBrokenReferences(chain, prompts).map(p => [p.type, p.stepId, p.variable])).toEqual([
+                ['input', 's2', 'outline'],
+                ['input', 's1', 'topic']
+            ]);
+        });
+    });
+
+    describe('findChainsUsingPrompt', () => {
+        test('finds chains with a step running the prompt', () => {
+            const other = { ...createChain(() => 'c2'), steps: [] };
+
+            expect(findChainsUsingPrompt([makeChain(), other], 'p2').map(c => c.id)).toEqual(['c1']);
+        });
+    });
+
+    describe('export / import', () => {
+        test('bundles the referenced prompts once, in step order', () => {
+            const chain = makeChain();
+            chain.steps.push({ id: 's3', prompt_id: 'p1', inputs: {} }, { id: 's4', prompt_id: 'gone', inputs: {} });
+            const doc = buildChainExport(chain, [prompts[1], prompts[0], { id: 'unused' }]);
+
+            expect(doc.chain).toBe(chain);
+            expect(doc.prompts.map(p => p.id)).toEqual(['p1', 'p2']);
+        });
+
+        test('remaps prompt ids and keeps unknown ones', () => {
+            const chain = remapPromptIds(makeChain(), new Map([['p1', 'n1']]));
+
+            expect(chain.steps.map(s => s.prompt_id)).toEqual(['n1', 'p2']);
+            expect(makeChain().steps[0].prompt_id).toBe('p1');
+        });
+    });
+});
@@ -0,0 +1,86 @@
+/**
+ * Tests for CompareService
+ */
+
+import {
+    getVariantKey,
+    listVariants,
+    getDefaultPair,
+    getSharedVariables,
+    formatWinnerNote,
+    recordWinner
+} from '../src/core/CompareService.js';
+
+const prompt = (id, title, text, versions = []) => ({
+    id,
+    title,
+    prompt_text: text,
+    messages: [{ role: 'user', content: text }],
+    versions: versions.map((t, i) => ({ version_no: i + 1, prompt_text: t, messages: [{ role: 'user', content: t }], notes: '' }))
+});
+
+describe('CompareService', () => {
+
+    describe('listVariants', () => {
+        test('lists the saved text, then versions newest first', () => {
+            const variants = listVariants([prompt('p1', 'Summary', 'B', ['A', 'B'])]);
+
+            expect(variants.map(v => v.key)).toEqual(['p1:saved', 'p1:v2', 'p1:v1']);
+            expect(variants[0]).toMatchObject({ label: 'Summary · saved', versionNo: null, text: 'B' });
+            expect(variants[2]).toMatchObject({ label: 'Summary · v1', versionNo: 1, noteVersion: 1, text: 'A' });
+        });
+
+        test('notes results on the saved text only while it matches the latest version', () => {
+            const [unchanged] = listVariants([prompt('p1', 'P', 'B', ['A', 'B'])]);
+            const [edited] = listVariants([prompt('p1', 'P', 'C', ['A', 'B'])]);
+            const [unversioned] = listVariants([prompt('p1', 'P', 'C')]);
+
+            expect(unchanged.noteVersion).toBe(2);
+            expect(edited.noteVersion).toBeNull();
+            expect(unversioned.noteVersion).toBeNull();
+        });
+    });
+
+    describe('getDefaultPair', () => {
+        test('compares the saved text with the latest differing version', () => {
+            const variants = listVariants([prompt('p1', 'P', 'B', ['A', 'B'])]);
+            expect(getDefaultPair(variants, 'p1')).toEqual({ a: 'p1:v1', b: 'p1:saved' });
+        });
+
+        test('falls back to the saved text for unversioned prompts', () => {
+            const variants = listVariants([prompt('p1', 'P', 'A')]);
+            expect(getDefaultPair(variants, 'p1')).toEqual({ a: 'p1:saved', b: 'p1:saved' });
+        });
+
+        test('compares the saved texts of two prompts', () => {
+            const variants = listVariants([prompt('p1', 'P', 'A'), prompt('p2', 'Q', 'B')]);
+            expect(getDefaultPair(variants, 'p1', 'p2')).toEqual({ a: getVariantKey('p1'), b: getVariantKey('p2') });
+        });
+    });
+
+    describe('getSharedVariables', () => {
+        test('merges the variables of both variants', () => {
+            const [a, b] = listVariants([prompt('p1', 'P', 'Hi ${name} ${tone}'), prompt('p2', 'Q', '${tone} ${topic}')])
+                .filter(v => v.versionNo === null);
+            expect(getSharedVariables(a, b).map(v => v.name)).toEqual(['name', 'tone', 'topic']);
+        });
+    });
+
+    describe('recordWinner', () => {
+        test('appends the result to the version notes', () => {
+            const p = prompt('p1', 'P', 'B', ['A', 'B']);
+            const [, , v1] = listVariants([p]);
+            p.versions[1].notes = 'Shorter';
+
+            recordWinner(p, 2, formatWinnerNote(v1, '2026-03-01T10:00:00Z', ' fewer tokens '));
+            recordWinner(p, 1, formatWinnerNote(v1, '2026-03-02T10:00:00Z'));
+
+            expect(p.versions[1].notes).toBe('Shorter\nA/B 2026-03-01: preferred over P · v1: fewer tokens');
+            expect(p.versions[0].notes).toBe('A/B 2026-03-02: preferred over P · v1');
+        });
+
+        test('throws for an unknown version', () => {
+            expect(() => recordWinner(prompt('p1', 'P', 'A'), 3, 'note')).toThrow('Version 3');
+        });
+    });
+});
@@ -0,0 +1,188 @@
+/**
+ * Tests for DiffService
+ */
+
+import {
+    MAX_DIFF_TOKENS,
+    tokenize,
+    diffSequences,
+    resolveGranularity,
+    diffText,
+    diffStats,
+    sideBySideStats,
+    sideBySide
+} from '../src/core/DiffService.js';
+
+/**
+ * Rebuild old and new text from an edit script
+ */
+const apply = (ops) => ({
+    old: ops.filter(o => o.type !== 'insert').map(o => o.value).join(''),
+    new: ops.filter(o => o.type !== 'delete').map(o => o.value).join('')
+});
+
+describe('DiffService', () => {
+
+    describe('tokenize', () => {
+        test('splits words, whitespace and punctuation', () => {
+            expect(tokenize('Hello,  world!')).toEqual(['Hello', ',', '  ', 'world', '!']);
+        });
+
+        test('keeps unicode words together', () => {
+            expect(tokenize('Grüße aus Köln')).toEqual(['Grüße', ' ', 'aus', ' ', 'Köln']);
+        });
+
+        test('splits lines keeping newlines', () => {
+            expect(tokenize('a\nb\n\nc', 'line')).toEqual(['a\n', 'b\n', '\n', 'c']);
+        });
+
+        test('splits characters', () => {
+            expect(tokenize('ab', 'char')).toEqual(['a', 'b']);
+        });
+
+        test('handles empty input', () => {
+            expect(tokenize('')).toEqual([]);
+            expect(tokenize(null, 'line')).toEqual([]);
+        });
+    });
+
+    describe('diffSequences', () => {
+        test('finds the shortest edit script', () => {
+            const ops = diffSequences('ABCABBA'.split(''), 'CBABAC'.split(''));
+            const edits = ops.filter(o => o.type !== 'equal').length;
+
+            expect(edits).toBe(5); // Classic Myers example: D = 5
+            expect(apply(ops)).toEqual({ old: 'ABCABBA', new: 'CBABAC' });
+        });
+
+        test('handles empty sides', () => {
+            expect(diffSequences([], ['a'])).toEqual([{ type: 'insert', value: 'a' }]);
+            expect(diffSequences(['a'], [])).toEqual([{ type: 'delete', value: 'a' }]);
+            expect(diffSequences([], [])).toEqual([]);
+        });
+
+        test('replaces the middle outright beyond the edit distance limit', () => {
+            const ops = diffSequences('xABCy'.split(''), 'xDEFy'.split(''), 2);
+
+            expect(ops.map(o => o.type)).toEqual(['equal', 'delete', 'delete', 'delete', 'insert', 'insert', 'insert', 'equal']);
+            expect(apply(ops)).toEqual({ old: 'xABCy', new: 'xDEFy' });
+        });
+    });
+
+    describe('resolveGranularity', () => {
+        test('falls back to lines for texts that are too large', () => {
+            const large = 'ab\n'.repeat(MAX_DIFF_TOKENS / 4);
+
+            expect(resolveGranularity('a b', 'a c', 'char')).toBe('char');
+            expect(resolveGranularity(large, large.toUpperCase(), 'char')).toBe('line');
+            expect(resolveGranularity(large, large, 'line')).toBe('line');
+        });
+
+        test('diffs large dissimilar texts without blowing up', () => {
+            const oldText = Array.from({ length: 3000 }, (_, i) => `old line ${i}`).join('\n');
+            const newText = Array.from({ length: 3000 }, (_, i) => `new row ${i * 7}`).join('\n');
+            const ops = diffText(oldText, newText, 'char');
+
+            expect(apply(ops)).toEqual({ old: oldText, new: newText });
+        });
+    });
+
+    describe('diffText', () => {
+        test('returns a single equal chunk for identical text', () => {
+            expect(diffText('same text', 'same text')).toEqual([{ type: 'equal', value: 'same text' }]);
+        });
+
+        test('marks changed words only', () => {
+            const ops = diffText('The quick brown fox', 'The slow brown fox');
+
+            expect(ops).toEqual([
+                { type: 'equal', value: 'The ' },
+                { type: 'delete', value: 'quick' },
+                { type: 'insert', value: 'slow' },
+                { type: 'equal', value: ' brown fox' }
+            ]);
+        });
+
+        test('diffs by line', () => {
+            const ops = diffText('one\ntwo\nthree\n', 'one\n2\nthree\n', 'line');
+
+            expect(ops).toEqual([
+                { type: 'equal', value: 'one\n' },
+                { type: 'delete', value: 'two\n' },
+                { type: 'insert', value: '2\n' },
+                { type: 'equal', value: 'three\n' }
+            ]);
+        });
+
+        test('diffs by character', () => {
+            const ops = diffText('colour', 'color', 'char');
+
+            expect(ops).toEqual([
+                { type: 'equal', value: 'colo' },
+                { type: 'delete', value: 'u' },
+                { type: 'equal', value: 'r' }
+            ]);
+        });
+
+        test('round-trips both texts', () => {
+            const oldText = 'You are a helpful assistant.\nAnswer briefly.';
+            const newText = 'You are an expert assistant.\nAnswer briefly and cite sources.';
+
+            ['word', 'line', 'char'].forEach(g => {
+                expect(apply(diffText(oldText, newText, g))).toEqual({ old: oldText, new: newText });
+            });
+        });
+    });
+
+    describe('diffStats', () => {
+        test('counts added, removed and unchanged words', () => {
+            const stats = diffStats(diffText('Write a short poem', 'Write a long funny poem'));
+
+            expect(stats).toEqual({ added: 2, removed: 1, unchanged: 3 });
+        });
+
+        test('ignores whitespace and punctuation changes', () => {
+            expect(diffStats(diffText('Hi there', 'Hi,  there!'))).toEqual({ added: 0, removed: 0, unchanged: 2 });
+        });
+
+        test('counts a side-by-side layout without a second diff', () => {
+            expect(sideBySideStats(sideBySide('Write a short poem\nok', 'Write a long funny poem\nok\nend')))
+                .toEqual({ added: 3, removed: 1, unchanged: 4 });
+            expect(sideBySideStats(sideBySide('one two', 'one three', 'line')))
+                .toEqual({ added: 2, removed: 2, unchanged: 0 });
+        });
+    });
+
+    describe('sideBySide', () => {
+        test('pairs removed and added lines as changes', () => {
+            const rows = sideBySide('a\nb\nc', 'a\nB\nc\nd');
+
+            expect(rows.map(r => r.type)).toEqual(['equal', 'change', 'equal', 'insert']);
+            expect(rows[1]).toMatchObject({ left: 'b', right: 'B', leftNo: 2, rightNo: 2 });
+            expect(rows[3]).toMatchObject({ left: null, right: 'd', leftNo: null, rightNo: 4 });
+        });
+
+        test('includes an inline diff of changed lines', () => {
+            const [row] = sideBySide('red car', 'blue car');
+
+            expect(row.parts).toEqual([
+                { type: 'delete', value: 'red' },
+                { type: 'insert', value: 'blue' },
+                { type: 'equal', value: ' car' }
+            ]);
+            expect(sideBySide('red car', 'blue car', 'line')[0].parts).toBeUndefined();
+        });
+
+        test('treats a missing final newline as unchanged', () => {
+            const rows = sideBySide('a\nb', 'a\nb\nc');
+
+            expect(rows.map(r => r.type)).toEqual(['equal', 'equal', 'insert']);
+        });
+
+        test('reports surplus removed lines as deletions', () => {
+            const rows = sideBySide('a\nb\nc', 'x');
+
+            expect(rows.map(r => r.type)).toEqual(['change', 'delete', 'delete']);
+        });
+    });
+});
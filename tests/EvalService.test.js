@@ -0,0 +1,171 @@
+/**
+ * Tests for EvalService
+ */
+
+import {
+    MAX_EVAL_RUNS,
+    parseTestCases,
+    validateJsonSchema,
+    checkAssertion,
+    evaluateOutput,
+    runTestCases,
+    getEvaluatedVersion,
+    createEvalRun,
+    addEvalRun
+} from '../src/core/EvalService.js';
+
+const mockGenerateId = () => '_test123';
+const endpoint = { style: 'openai', url: 'http://localhost:8000/v1/chat/completions', model: 'local', apiKey: '', temperature: 0, maxTokens: 100 };
+
+/**
+ * Fake fetch that answers with the given replies in order, echoing the last user message for null
+ */
+function mockFetch(replies) {
+    const calls = [];
+    const fetchFn = async (url, options) => {
+        const body = JSON.parse(options.body);
+        calls.push({ url, body, headers: options.headers });
+        const reply = replies[calls.length - 1];
+        if (reply instanceof Error) throw reply;
+        const content = reply ?? body.messages[body.messages.length - 1].content;
+        return { ok: true, status: 200, json: async () => ({ choices: [{ message: { content } }] }) };
+    };
+    return { fetchFn, calls };
+}
+
+describe('EvalService', () => {
+
+    describe('parseTestCases', () => {
+        test('names cases and assigns ids', () => {
+            const cases = parseTestCases([{ values: { topic: 'cats' }, assertions: [{ type: 'contains', value: 'cat' }] }], mockGenerateId);
+            expect(cases).toEqual([{
+                id: '_test123',
+                name: 'Case 1',
+                values: { topic: 'cats' },
+                assertions: [{ type: 'contains', value: 'cat' }]
+            }]);
+        });
+
+        test('rejects invalid cases and assertions', () => {
+            expect(() => parseTestCases({}, mockGenerateId)).toThrow('list');
+            expect(() => parseTestCases([{ name: 'A', assertions: [] }], mockGenerateId)).toThrow('A: add at least one assertion');
+            expect(() => parseTestCases([{ assertions: [{ type: 'equals', value: 'x' }] }], mockGenerateId)).toThrow('type');
+            expect(() => parseTestCases([{ assertions: [{ type: 'regex', value: '(' }] }], mockGenerateId)).toThrow('invalid regex');
+            expect(() => parseTestCases([{ assertions: [{ type: 'max-length', value: '10' }] }], mockGenerateId)).toThrow('whole number');
+            expect(() => parseTestCases([{ assertions: [{ type: 'json-schema', value: 'object' }] }], mockGenerateId)).toThrow('schema');
+        });
+
+        test('rejects schemas with an invalid pattern', () => {
+            const schema = { type: 'object', properties: { tags: { type: 'array', items: { type: 'string', pattern: '(' } } } };
+            expect(() => parseTestCases([{ assertions: [{ type: 'json-schema', value: schema }] }], mockGenerateId))
+                .toThrow('Case 1, assertion 1: invalid pattern at $.tags[]');
+            expect(() => parseTestCases([{ assertions: [{ type: 'json-schema', value: { pattern: '^a+$' } }] }], mockGenerateId)).not.toThrow();
+        });
+    });
+
+    describe('validateJsonSchema', () => {
+        const schema = {
+            type: 'object',
+            required: ['title', 'tags'],
+            additionalProperties: false,
+            properties: {
+                title: { type: 'string', maxLength: 10 },
+                tags: { type: 'array', items: { type: 'string' }, minItems: 1 },
+                score: { type: 'integer', minimum: 0, maximum: 5 },
+                tone: { enum: ['formal', 'casual'] }
+            }
+        };
+
+        test('accepts a valid value', () => {
+            expect(validateJsonSchema({ title: 'Hi', tags: ['a'], score: 3, tone: 'formal' }, schema)).toEqual([]);
+        });
+
+        test('reports each problem with its path', () => {
+            const errors = validateJsonSchema({ title: 'A very long title', tags: [1], score: 9, tone: 'rude', extra: true }, schema);
+            expect(errors).toEqual([
+                '$.title is longer than 10',
+                '$.tags[0] should be string',
+                '$.score is above 5',
+                '$.tone should be one of "formal", "casual"',
+                '$.extra is not allowed'
+            ]);
+            expect(validateJsonSchema({ tags: [] }, schema)).toEqual(['$.title is required', '$.tags has fewer than 1 items']);
+            expect(validateJsonSchema([], schema)).toEqual(['$ should be object']);
+        });
+    });
+
+    describe('checkAssertion', () => {
+        test('checks text assertions', () => {
+            expect(checkAssertion({ type: 'contains', value: 'cat' }, 'A cat').passed).toBe(true);
+            expect(checkAssertion({ type: 'not-contains', value: 'cat' }, 'A cat').passed).toBe(false);
+            expect(checkAssertion({ type: 'regex', value: '^a', flags: 'i' }, 'A cat').passed).toBe(true);
+            expect(checkAssertion({ type: 'max-length', value: 3 }, 'A cat')).toEqual({
+                type: 'max-length', passed: false, message: 'at most 3 characters (got 5)'
+            });
+        });
+
+        test('checks JSON output against a schema, allowing a code fence', () => {
+            const assertion = { type: 'json-schema', value: { type: 'object', required: ['ok'] } };
+            expect(checkAssertion(assertion, '```json\n{"ok": true}\n```').passed).toBe(true);
+            expect(checkAssertion(assertion, '{}').message).toContain('$.ok is required');
+            expect(checkAssertion(assertion, 'Sure! Here it is').message).toContain('not JSON');
+        });
+    });
+
+    describe('evaluateOutput', () => {
+        test('passes only when every assertion passes', () => {
+            const testCase = { assertions: [{ type: 'contains', value: 'cat' }, { type: 'max-length', value: 3 }] };
+            const result = evaluateOutput(testCase, 'A cat');
+            expect(result.passed).toBe(false);
+            expect(result.checks.map(c => c.passed)).toEqual([true, false]);
+        });
+    });
+
+    describe('runTestCases', () => {
+        const messages = [{ role: 'system', content: 'Be brief.' }, { role: 'user', content: 'Write about ${topic}' }];
+        const cases = [
+            { id: 'c1', name: 'Cats', values: { topic: 'cats' }, assertions: [{ type: 'contains', value: 'cats' }] },
+            { id: 'c2', name: 'Dogs', values: { topic: 'dogs' }, assertions: [{ type: 'contains', value: 'cats' }] },
+            { id: 'c3', name: 'Down', values: { topic: 'x' }, assertions: [{ type: 'contains', value: 'x' }] }
+        ];
+
+        test('renders each case, sends it and records the outcome', async () => {
+            const { fetchFn, calls } = mockFetch([null, null, new Error('offline')]);
+            const progress = [];
+            const results = await runTestCases(messages, cases, endpoint, { fetchFn, onProgress: (done) => progress.push(done) });
+
+            expect(calls[0].body.messages).toEqual([{ role: 'system', content: 'Be brief.' }, { role: 'user', content: 'Write about cats' }]);
+            expect(results.map(r => [r.case_id, r.passed])).toEqual([['c1', true], ['c2', false], ['c3', false]]);
+            expect(results[1].output).toBe('Write about dogs');
+            expect(results[2].error).toContain('offline');
+            expect(progress).toEqual([1, 2, 3]);
+        });
+
+        test('records template errors per case', async () => {
+            const { fetchFn, calls } = mockFetch([]);
+            const results = await runTestCases([{ role: 'user', content: '{{#if x}}' }], [cases[0]], endpoint, { fetchFn });
+            expect(results[0].error).toBeTruthy();
+            expect(calls).toHaveLength(0);
+        });
+    });
+
+    describe('runs', () => {
+        test('links a run to the version the text belongs to', () => {
+            const prompt = { messages: [{ role: 'user', content: 'v2' }], versions: [{ version_no: 1, prompt_text: 'v1' }, { version_no: 2, prompt_text: 'v2' }] };
+            expect(getEvaluatedVersion(prompt)).toBe(2);
+            expect(getEvaluatedVersion({ ...prompt, messages: [{ role: 'user', content: 'edited' }] })).toBeNull();
+            expect(getEvaluatedVersion({ prompt_text: 'x', versions: [] })).toBeNull();
+        });
+
+        test('summarises results and keeps the latest runs', () => {
+            const run = createEvalRun(mockGenerateId, 2, 'local', [{ passed: true }, { passed: false }]);
+            expect(run).toMatchObject({ version_no: 2, model: 'local', passed: 1, total: 2 });
+
+            const prompt = {};
+            for (let i = 0; i < MAX_EVAL_RUNS + 2; i++) addEvalRun(prompt, { ...run, id: `r${i}` });
+            expect(prompt.eval_runs).toHaveLength(MAX_EVAL_RUNS);
+            expect(prompt.eval_runs[0].id).toBe('r2');
+            expect(prompt.eval_runs[MAX_EVAL_RUNS - 1].id).toBe(`r${MAX_EVAL_RUNS + 1}`);
+        });
+    });
+});
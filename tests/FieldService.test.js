@@ -0,0 +1,106 @@
+/**
+ * Tests for FieldService
+ */
+
+import {
+    parseFieldSchema,
+    coerceFieldValue,
+    validateFieldValue,
+    validateCustomValues,
+    collectCustomValues,
+    matchesFieldValue,
+    compareFieldValues
+} from '../src/core/FieldService.js';
+
+const schema = parseFieldSchema([
+    { id: 'owner', label: 'Owner' },
+    { id: 'cost', label: 'Cost', type: 'number' },
+    { id: 'tier', label: 'Tier', type: 'select', options: ['free', 'pro'] },
+    { id: 'due', label: 'Due', type: 'date' },
+    { id: 'docs', label: 'Docs', type: 'url' },
+    { id: 'reviewed', label: 'Reviewed', type: 'boolean' }
+]);
+const field = (id) => schema.find(f => f.id === id);
+
+describe('FieldService', () => {
+
+    describe('parseFieldSchema', () => {
+        test('fills in the default type, label and options', () => {
+            expect(parseFieldSchema([{ id: 'owner' }])).toEqual([{ id: 'owner', label: 'owner', type: 'text', options: [] }]);
+        });
+
+        test('rejects invalid schemas', () => {
+            expect(() => parseFieldSchema({})).toThrow('list');
+            expect(() => parseFieldSchema([{ id: '1st' }])).toThrow('id');
+            expect(() => parseFieldSchema([{ id: 'a' }, { id: 'a' }])).toThrow('Duplicate');
+            expect(() => parseFieldSchema([{ id: 'a', type: 'color' }])).toThrow('unknown type');
+            expect(() => parseFieldSchema([{ id: 'a', type: 'select' }])).toThrow('options');
+        });
+    });
+
+    describe('coerceFieldValue', () => {
+        test('converts form values by type', () => {
+            expect(coerceFieldValue(field('cost'), ' 1.5 ')).toBe(1.5);
+            expect(coerceFieldValue(field('cost'), 'abc')).toBe('abc');
+            expect(coerceFieldValue(field('owner'), '  ')).toBeNull();
+            expect(coerceFieldValue(field('reviewed'), true)).toBe(true);
+            expect(coerceFieldValue(field('reviewed'), '')).toBe(false);
+        });
+    });
+
+    describe('validateFieldValue', () => {
+        test('accepts empty and valid values', () => {
+            expect(validateFieldValue(field('cost'), null)).toBeNull();
+            expect(validateFieldValue(field('tier'), 'pro')).toBeNull();
+            expect(validateFieldValue(field('due'), '2026-02-28')).toBeNull();
+            expect(validateFieldValue(field('docs'), 'https://example.com/a')).toBeNull();
+        });
+
+        test('reports invalid values', () => {
+            expect(validateFieldValue(field('cost'), 'abc')).toContain('number');
+            expect(validateFieldValue(field('tier'), 'team')).toContain('free, pro');
+            expect(validateFieldValue(field('due'), '28/02/2026')).toContain('date');
+            expect(validateFieldValue(field('docs'), 'javascript:alert(1)')).toContain('http');
+            expect(validateFieldValue(field('docs'), 'not a url')).toContain('URL');
+        });
+    });
+
+    describe('validateCustomValues', () => {
+        test('lists the invalid fields only', () => {
+            const errors = validateCustomValues(schema, { owner: 'Ann', cost: 'x', tier: 'team' });
+            expect(errors.map(e => e.id)).toEqual(['cost', 'tier']);
+        });
+    });
+
+    describe('collectCustomValues', () => {
+        test('keeps unknown keys and the custom object', () => {
+            const record = { title: 'A', owner: 'Ann', custom: { cost: 3 } };
+            expect(collectCustomValues(record, ['title'])).toEqual({ owner: 'Ann', cost: 3 });
+        });
+
+        test('returns an empty object when nothing is unknown', () => {
+            expect(collectCustomValues({ title: 'A' }, ['title'])).toEqual({});
+        });
+    });
+
+    describe('matchesFieldValue', () => {
+        test('matches text case-insensitively and any set value for an empty query', () => {
+            expect(matchesFieldValue('Alice', 'LIC')).toBe(true);
+            expect(matchesFieldValue('Alice', 'bob')).toBe(false);
+            expect(matchesFieldValue(42, '')).toBe(true);
+            expect(matchesFieldValue(null, '')).toBe(false);
+        });
+
+        test('matches booleans by true / false', () => {
+            expect(matchesFieldValue(true, '')).toBe(true);
+            expect(matchesFieldValue(false, '')).toBe(false);
+            expect(matchesFieldValue(false, 'false')).toBe(true);
+        });
+    });
+
+    describe('compareFieldValues', () => {
+        test('sorts numbers numerically and empty values last', () => {
+            expect([10, null, 2, 'b', 'a'].sort(compareFieldValues)).toEqual([2, 10, 'a', 'b', null]);
+        });
+    });
+});
@@ -0,0 +1,98 @@
+/**
+ * Tests for HistoryService
+ */
+
+import {
+    MAX_HISTORY,
+    COALESCE_MS,
+    isSameSnapshot,
+    createHistory,
+    recordChange,
+    undo,
+    redo,
+    canUndo,
+    canRedo,
+    createDraft,
+    getRecoverableDrafts
+} from '../src/core/HistoryService.js';
+
+const snap = (title, messages = [{ role: 'user', content: '' }]) => ({ title, messages });
+
+describe('HistoryService', () => {
+
+    describe('undo / redo', () => {
+        test('steps back and forward through changes', () => {
+            let h = createHistory(snap('A'));
+            h = recordChange(h, snap('B'), null, 1000);
+            h = recordChange(h, snap('C'), null, 2000);
+
+            h = undo(h);
+            expect(h.present.title).toBe('B');
+            h = undo(h);
+            expect(h.present.title).toBe('A');
+            expect(canUndo(h)).toBe(false);
+
+            h = redo(h);
+            expect(h.present.title).toBe('B');
+            expect(canRedo(h)).toBe(true);
+        });
+
+        test('returns the same history when there is nothing to do', () => {
+            const h = createHistory(snap('A'));
+            expect(undo(h)).toBe(h);
+            expect(redo(h)).toBe(h);
+            expect(recordChange(h, snap('A'))).toBe(h);
+            expect(canUndo(undefined)).toBe(false);
+        });
+
+        test('a new change clears the redo steps', () => {
+            let h = recordChange(createHistory(snap('A')), snap('B'), null, 1000);
+            h = recordChange(undo(h), snap('C'), null, 2000);
+
+            expect(h.future).toEqual([]);
+            expect(undo(h).present.title).toBe('A');
+        });
+
+        test('typing in one field forms a single step', () => {
+            let h = createHistory(snap('A'));
+            h = recordChange(h, snap('Ab'), 'edit-title', 1000);
+            h = recordChange(h, snap('Abc'), 'edit-title', 1000 + COALESCE_MS);
+            h = recordChange(h, snap('Abc', [{ role: 'user', content: 'x' }]), 'message-content-0', 1000 + COALESCE_MS);
+            h = recordChange(h, snap('Abcd', [{ role: 'user', content: 'x' }]), 'edit-title', 5000);
+
+            expect(h.past.map(s => s.title)).toEqual(['A', 'Abc', 'Abc']);
+            expect(undo(undo(h)).present).toEqual(snap('Abc'));
+        });
+
+        test('keeps at most MAX_HISTORY steps', () => {
+            let h = createHistory(snap('0'));
+            for (let i = 1; i <= MAX_HISTORY + 5; i++) h = recordChange(h, snap(String(i)), null, i);
+
+            expect(h.past).toHaveLength(MAX_HISTORY);
+            expect(h.past[0].title).toBe('5');
+        });
+    });
+
+    describe('drafts', () => {
+        test('compares snapshots by content', () => {
+            expect(isSameSnapshot(snap('A'), snap('A'))).toBe(true);
+            expect(isSameSnapshot(snap('A'), snap('B'))).toBe(false);
+        });
+
+        test('creates a draft keyed by the prompt id', () => {
+            const draft = createDraft('p1', snap('A'), new Date('2026-05-01T10:00:00Z'));
+            expect(draft).toEqual({ id: 'p1', saved_at: '2026-05-01T10:00:00.000Z', snapshot: snap('A') });
+        });
+
+        test('offers drafts of existing prompts, newest first', () => {
+            const drafts = [
+                createDraft('p1', snap('A'), new Date('2026-05-01T10:00:00Z')),
+                createDraft('gone', snap('B'), new Date('2026-05-03T10:00:00Z')),
+                createDraft('p2', snap('C'), new Date('2026-05-02T10:00:00Z'))
+            ];
+            const prompts = [{ id: 'p1' }, { id: 'p2' }];
+
+            expect(getRecoverableDrafts(drafts, prompts).map(d => d.id)).toEqual(['p2', 'p1']);
+        });
+    });
+});
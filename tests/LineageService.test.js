@@ -0,0 +1,73 @@
+/**
+ * Tests for LineageService
+ */
+
+import {
+    createLineage,
+    createImportSource,
+    getParent,
+    getDerivatives,
+    getAncestors,
+    getForkPointText
+} from '../src/core/LineageService.js';
+
+const master = {
+    id: 'm',
+    title: 'Master',
+    versions: [
+        { version_no: 1, prompt_text: 'First draft' },
+        { version_no: 2, messages: [{ role: 'user', content: 'Second draft' }] }
+    ]
+};
+const fork = { id: 'f', title: 'Acme fork', derived_from: { prompt_id: 'm', version_no: 2, title: 'Master' } };
+const subFork = { id: 's', title: 'Acme EU', derived_from: { prompt_id: 'f', version_no: null, title: 'Acme fork' } };
+const prompts = [master, fork, subFork];
+
+describe('LineageService', () => {
+
+    describe('createLineage', () => {
+        test('records the parent id, latest version and title', () => {
+            expect(createLineage(master)).toEqual({ prompt_id: 'm', version_no: 2, title: 'Master' });
+        });
+
+        test('records no version for unversioned parents', () => {
+            expect(createLineage({ id: 'x' })).toEqual({ prompt_id: 'x', version_no: null, title: 'Untitled' });
+        });
+
+        test('records the import file', () => {
+            const now = new Date('2026-05-01T10:00:00Z');
+            expect(createImportSource('acme.json', now)).toEqual({ filename: 'acme.json', imported_at: now.toISOString() });
+        });
+    });
+
+    describe('navigation', () => {
+        test('finds parents and derivatives', () => {
+            expect(getParent(fork, prompts)).toBe(master);
+            expect(getParent(master, prompts)).toBeNull();
+            expect(getParent({ derived_from: { prompt_id: 'gone' } }, prompts)).toBeNull();
+            expect(getDerivatives(master, prompts)).toEqual([fork]);
+        });
+
+        test('walks ancestors up to the root', () => {
+            expect(getAncestors(subFork, prompts).map(p => p.id)).toEqual(['f', 'm']);
+        });
+
+        test('stops on cycles', () => {
+            const a = { id: 'a', derived_from: { prompt_id: 'b' } };
+            const b = { id: 'b', derived_from: { prompt_id: 'a' } };
+
+            expect(getAncestors(a, [a, b]).map(p => p.id)).toEqual(['b']);
+        });
+    });
+
+    describe('getForkPointText', () => {
+        test('returns the parent text at the recorded version', () => {
+            expect(getForkPointText(fork, master)).toBe('Second draft');
+        });
+
+        test('returns null when no version was recorded or it is gone', () => {
+            expect(getForkPointText(subFork, fork)).toBeNull();
+            expect(getForkPointText({ derived_from: { prompt_id: 'm', version_no: 9 } }, master)).toBeNull();
+        });
+    });
+});
@@ -0,0 +1,209 @@
+/**
+ * Tests for LlmService
+ * @jest-environment node
+ */
+
+import {
+    DEFAULT_ENDPOINT,
+    LlmError,
+    parseEndpoints,
+    findEndpoint,
+    buildChatRequest,
+    parseChatResponse,
+    parseStreamLine,
+    requestCompletion,
+    streamCompletion
+} from '../src/core/LlmService.js';
+
+const openai = { ...DEFAULT_ENDPOINT, model: 'local', maxTokens: 100 };
+const ollama = { ...openai, id: 'ollama', style: 'ollama', url: 'http://localhost:11434/api/chat', model: 'llama3' };
+const messages = [{ role: 'user', content: 'Hi' }];
+
+/**
+ * Fake streamed response body delivering the given chunks
+ */
+function streamResponse(chunks, contentType = 'text/event-stream') {
+    const encoder = new TextEncoder();
+    let i = 0;
+    let cancelled = false;
+    const response = {
+        ok: true,
+        status: 200,
+        headers: { get: () => contentType },
+        body: {
+            getReader: () => ({
+                read: async () => (i < chunks.length ? { done: false, value: encoder.encode(chunks[i++]) } : { done: true }),
+                cancel: () => { cancelled = true; }
+            })
+        }
+    };
+    return { response, wasCancelled: () => cancelled };
+}
+
+describe('LlmService', () => {
+
+    describe('parseEndpoints', () => {
+        test('fills in defaults', () => {
+            const [endpoint] = parseEndpoints([{ id: 'a', model: 'm' }]);
+            expect(endpoint).toMatchObject({ id: 'a', name: 'a', style: 'openai', model: 'm', temperature: 0, maxTokens: 1024, apiKey: '' });
+        });
+
+        test('rejects invalid endpoints', () => {
+            expect(() => parseEndpoints([])).toThrow('at least one');
+            expect(() => parseEndpoints([{ id: 'a' }, { id: 'a' }])).toThrow('Duplicate');
+            expect(() => parseEndpoints([{ id: 'a', style: 'grpc' }])).toThrow('style');
+            expect(() => parseEndpoints([{ id: 'a', url: 'localhost' }])).toThrow('url');
+            expect(() => parseEndpoints([{ id: 'a', url: 'ftp://host/x' }])).toThrow('http');
+            expect(() => parseEndpoints([{ id: 'a', model: '' }])).toThrow('model');
+            expect(() => parseEndpoints([{ id: 'a', temperature: -1 }])).toThrow('temperature');
+            expect(() => parseEndpoints([{ id: 'a', maxTokens: 0 }])).toThrow('maxTokens');
+        });
+
+        test('finds an endpoint, falling back to the first', () => {
+            expect(findEndpoint([openai, ollama], 'ollama')).toBe(ollama);
+            expect(findEndpoint([openai, ollama], 'gone')).toBe(openai);
+        });
+    });
+
+    describe('buildChatRequest', () => {
+        test('builds an OpenAI-style request', () => {
+            const { url, options } = buildChatRequest(messages, { ...openai, apiKey: 'sk-1' }, true);
+            expect(url).toBe(openai.url);
+            expect(options.headers.Authorization).toBe('Bearer sk-1');
+            expect(JSON.parse(options.body)).toEqual({ model: 'local', messages, temperature: 0, max_tokens: 100, stream: true });
+        });
+
+        test('builds an Ollama-style request', () => {
+            const { options } = buildChatRequest(messages, ollama);
+            expect(options.headers.Authorization).toBeUndefined();
+            expect(JSON.parse(options.body)).toEqual({ model: 'llama3', messages, stream: false, options: { temperature: 0, num_predict: 100 } });
+        });
+    });
+
+    describe('parseChatResponse', () => {
+        test('reads the reply of either style or reports the error', () => {
+            expect(parseChatResponse({ choices: [{ message: { content: 'Hello' } }] })).toBe('Hello');
+            expect(parseChatResponse({ message: { content: 'Hey' } }, 'ollama')).toBe('Hey');
+            expect(() => parseChatResponse({ error: { message: 'model not found' } })).toThrow('model not found');
+            expect(() => parseChatResponse({ error: 'no such model' }, 'ollama')).toThrow(LlmError);
+        });
+    });
+
+    describe('parseStreamLine', () => {
+        test('parses server-sent events', () => {
+            expect(parseStreamLine('data: {"choices":[{"delta":{"content":"Hi"}}]}')).toEqual({ text: 'Hi', done: false });
+            expect(parseStreamLine('data: [DONE]')).toEqual({ text: '', done: true });
+            expect(parseStreamLine(': keep-alive')).toBeNull();
+            expect(parseStreamLine('')).toBeNull();
+        });
+
+        test('parses Ollama JSON lines', () => {
+            expect(parseStreamLine('{"message":{"content":"Hi"},"done":false}', 'ollama')).toEqual({ text: 'Hi', done: false });
+            expect(parseStreamLine('{"done":true}', 'ollama')).toEqual({ text: '', done: true });
+        });
+
+        test('throws on streamed errors', () => {
+            expect(() => parseStreamLine('data: {"error":{"message":"overloaded"}}')).toThrow('overloaded');
+        });
+    });
+
+    describe('requestCompletion', () => {
+        test('returns the reply', async () => {
+            const fetchFn = async () => ({ ok: true, status: 200, json: async () => ({ message: { content: 'Yo' } }) });
+            await expect(requestCompletion(messages, ollama, fetchFn)).resolves.toBe('Yo');
+        });
+
+        test('turns network and HTTP failures into LlmErrors', async () => {
+            const offline = async () => { throw new Error('connection refused'); };
+            const failing = async () => ({ ok: false, status: 401, statusText: 'Unauthorized', json: async () => ({ error: { message: 'bad key' } }) });
+
+            await expect(requestCompletion(messages, openai, offline)).rejects.toThrow(LlmError);
+            await expect(requestCompletion(messages, openai, failing)).rejects.toThrow('HTTP 401: bad key');
+        });
+    });
+
+    describe('streamCompletion', () => {
+        test('streams server-sent events split across chunks', async () => {
+            const { response } = streamResponse([
+                'data: {"choices":[{"delta":{"content":"Hel"}}]}\n\ndata: {"choices":[{"delta":',
+                '{"content":"lo"}}]}\n\n',
+                'data: [DONE]\n\n'
+            ]);
+            const pieces = [];
+            const result = await streamCompletion(messages, openai, async () => response, { onText: p => pieces.push(p) });
+
+            expect(pieces).toEqual(['Hel', 'lo']);
+            expect(result).toMatchObject({ text: 'Hello', stopped: false });
+            expect(result.latency_ms).toBeGreaterThanOrEqual(0);
+        });
+
+        test('stops reading once Ollama reports done', async () => {
+            const { response, wasCancelled } = streamResponse([
+                '{"message":{"content":"A"},"done":false}\n{"message":{"content":"B"},"done":true}\n',
+                '{"message":{"content":"ignored"},"done":false}\n'
+            ], 'application/x-ndjson');
+            const result = await streamCompletion(messages, ollama, async () => response);
+
+            expect(result.text).toBe('AB');
+            expect(wasCancelled()).toBe(true);
+        });
+
+        test('accepts a non-streamed JSON reply', async () => {
+            const response = { ok: true, status: 200, headers: { get: () => 'application/json' }, body: {}, json: async () => ({ choices: [{ message: { content: 'Whole' } }] }) };
+            const result = await streamCompletion(messages, openai, async () => response);
+            expect(result.text).toBe('Whole');
+        });
+
+        test('keeps the partial text when stopped', async () => {
+            const abort = new Error('aborted');
+            abort.name = 'AbortError';
+            let reads = 0;
+            const response = {
+                ok: true,
+                status: 200,
+                headers: { get: () => 'text/event-stream' },
+                body: {
+                    getReader: () => ({
+                        read: async () => {
+                            if (reads++ === 0) return { done: false, value: new TextEncoder().encode('data: {"choices":[{"delta":{"content":"Part"}}]}\n') };
+                            throw abort;
+                        },
+                        cancel: () => {}
+                    })
+                }
+            };
+            const result = await streamCompletion(messages, openai, async () => response);
+            expect(result).toMatchObject({ text: 'Part', stopped: true });
+        });
+
+        test('turns a broken JSON reply into an LlmError', async () => {
+            const response = { ok: true, status: 200, headers: { get: () => 'application/json' }, body: {}, json: async () => { throw new SyntaxError('Unexpected token'); } };
+            await expect(streamCompletion(messages, openai, async () => response)).rejects.toThrow('The response is not JSON.');
+        });
+
+        test('turns a lost connection into an LlmError', async () => {
+            const response = {
+                ok: true,
+                status: 200,
+                headers: { get: () => 'text/event-stream' },
+                body: {
+                    getReader: () => ({
+                        read: async () => { throw new TypeError('network error'); },
+                        cancel: () => {}
+                    })
+                }
+            };
+            const run = streamCompletion(messages, openai, async () => response);
+            await expect(run).rejects.toThrow(LlmError);
+            await expect(run).rejects.toThrow('The connection was lost: network error');
+        });
+
+        test('ignores a failing cancel once the reply is done', async () => {
+            const { response } = streamResponse(['data: {"choices":[{"delta":{"content":"Done"}}]}\ndata: [DONE]\n', 'data: more\n']);
+            const reader = response.body.getReader();
+            response.body.getReader = () => ({ ...reader, cancel: async () => { throw new TypeError('already closed'); } });
+            const result = await streamCompletion(messages, openai, async () => response);
+            expect(result.text).toBe('Done');
+        });
+    });
+});
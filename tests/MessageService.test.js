@@ -0,0 +1,117 @@
+/**
+ * Tests for MessageService
+ */
+
+import {
+    createMessage,
+    getMessages,
+    flattenMessages,
+    setMessages,
+    moveMessage,
+    removeMessage,
+    nextRole,
+    extractMessageVariables,
+    renderMessages
+} from '../src/core/MessageService.js';
+
+const chat = [
+    { role: 'system', content: 'You are ${persona}.' },
+    { role: 'user', content: 'Summarise ${topic} for ${persona}.' }
+];
+
+describe('MessageService', () => {
+
+    describe('createMessage', () => {
+        test('defaults to an empty user message', () => {
+            expect(createMessage()).toEqual({ role: 'user', content: '' });
+        });
+
+        test('falls back to user for unknown roles', () => {
+            expect(createMessage('tool', 'x')).toEqual({ role: 'user', content: 'x' });
+        });
+    });
+
+    describe('getMessages', () => {
+        test('migrates a single-text prompt to one user message', () => {
+            expect(getMessages({ prompt_text: 'Hello' })).toEqual([{ role: 'user', content: 'Hello' }]);
+            expect(getMessages({})).toEqual([{ role: 'user', content: '' }]);
+        });
+
+        test('returns a copy of existing messages', () => {
+            const record = { messages: chat, prompt_text: 'ignored' };
+            const messages = getMessages(record);
+
+            expect(messages).toEqual(chat);
+            expect(messages[0]).not.toBe(chat[0]);
+        });
+    });
+
+    describe('flattenMessages', () => {
+        test('keeps a lone user message unchanged', () => {
+            expect(flattenMessages([{ role: 'user', content: 'Just text' }])).toBe('Just text');
+        });
+
+        test('adds role headers for structured prompts', () => {
+            expect(flattenMessages(chat)).toBe(
+                '[system]\nYou are ${persona}.\n\n[user]\nSummarise ${topic} for ${persona}.'
+            );
+        });
+    });
+
+    describe('setMessages', () => {
+        test('stores messages and syncs prompt_text', () => {
+            const prompt = setMessages({ prompt_text: 'old' }, chat);
+
+            expect(prompt.messages).toEqual(chat);
+            expect(prompt.prompt_text).toBe(flattenMessages(chat));
+        });
+    });
+
+    describe('moveMessage', () => {
+        test('swaps a message with its neighbour', () => {
+            expect(moveMessage(['a', 'b', 'c'], 2, -1)).toEqual(['a', 'c', 'b']);
+            expect(moveMessage(['a', 'b', 'c'], 0, 1)).toEqual(['b', 'a', 'c']);
+        });
+
+        test('ignores moves past either end', () => {
+            expect(moveMessage(['a', 'b'], 0, -1)).toEqual(['a', 'b']);
+            expect(moveMessage(['a', 'b'], 1, 1)).toEqual(['a', 'b']);
+        });
+    });
+
+    describe('removeMessage', () => {
+        test('removes the message at an index', () => {
+            expect(removeMessage(['a', 'b', 'c'], 1)).toEqual(['a', 'c']);
+        });
+
+        test('keeps the last remaining message', () => {
+            expect(removeMessage(['a'], 0)).toEqual(['a']);
+        });
+    });
+
+    describe('nextRole', () => {
+        test('alternates user and assistant', () => {
+            expect(nextRole([])).toBe('user');
+            expect(nextRole([{ role: 'system' }])).toBe('user');
+            expect(nextRole([{ role: 'user' }])).toBe('assistant');
+            expect(nextRole([{ role: 'assistant' }])).toBe('user');
+        });
+    });
+
+    describe('variables', () => {
+        test('extracts variables across messages once', () => {
+            const names = extractMessageVariables(chat).map(v => v.name);
+
+            expect(names).toEqual(['persona', 'topic']);
+        });
+
+        test('renders every message with the same values', () => {
+            const rendered = renderMessages(chat, { persona: 'a tutor', topic: 'tides' });
+
+            expect(rendered).toEqual([
+                { role: 'system', content: 'You are a tutor.' },
+                { role: 'user', content: 'Summarise tides for a tutor.' }
+            ]);
+        });
+    });
+});
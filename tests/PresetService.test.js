@@ -0,0 +1,90 @@
+/**
+ * Unit Tests for PresetService
+ */
+
+import {
+    createPreset,
+    savePreset,
+    deletePreset,
+    setClientDefaults,
+    clearClientDefaults,
+    rememberLastValues,
+    getLastValues,
+    resolvePrefill
+} from '../src/core/PresetService.js';
+
+let idCounter = 0;
+const mockGenerateId = () => `_preset${++idCounter}`;
+
+const descriptors = [
+    { name: 'tone', defaultValue: 'formal' },
+    { name: 'count', defaultValue: '3' },
+    { name: 'name', defaultValue: '' }
+];
+
+describe('PresetService', () => {
+
+    describe('savePreset / deletePreset', () => {
+        test('adds presets and replaces same-named ones', () => {
+            const template = { presets: [] };
+            savePreset(template, createPreset(mockGenerateId, 'Acme', { tone: 'casual' }));
+            savePreset(template, createPreset(mockGenerateId, ' acme ', { tone: 'formal' }));
+
+            expect(template.presets.length).toBe(1);
+            expect(template.presets[0].values.tone).toBe('formal');
+        });
+
+        test('does not share the presets array with copies', () => {
+            const original = { presets: [] };
+            const copy = { ...original };
+            savePreset(copy, createPreset(mockGenerateId, 'Only on copy', {}));
+
+            expect(original.presets).toEqual([]);
+        });
+
+        test('deletes by ID', () => {
+            const template = {};
+            const preset = createPreset(mockGenerateId, 'A', {});
+            savePreset(template, preset);
+            deletePreset(template, preset.id);
+
+            expect(template.presets).toEqual([]);
+        });
+    });
+
+    describe('client defaults and last values', () => {
+        test('sets and clears client defaults', () => {
+            const template = {};
+            setClientDefaults(template, 'Acme', { tone: 'casual' });
+            expect(template.client_defaults.Acme).toEqual({ tone: 'casual' });
+
+            clearClientDefaults(template, 'Acme');
+            expect(template.client_defaults).toEqual({});
+        });
+
+        test('remembers last values per client', () => {
+            const template = {};
+            rememberLastValues(template, 'Acme', { name: 'Alice' });
+            rememberLastValues(template, '', { name: 'Bob' });
+
+            expect(getLastValues(template, 'Acme')).toEqual({ name: 'Alice' });
+            expect(getLastValues(template, '')).toEqual({ name: 'Bob' });
+            expect(getLastValues(template, 'Other')).toBeUndefined();
+        });
+    });
+
+    describe('resolvePrefill', () => {
+        test('falls back to descriptor defaults', () => {
+            expect(resolvePrefill({}, descriptors, '')).toEqual({ tone: 'formal', count: '3', name: '' });
+        });
+
+        test('layers client defaults and last used values for the same client', () => {
+            const template = {
+                client_defaults: { Acme: { tone: 'casual', count: '5' } },
+                last_values: { Acme: { count: '7', stale: 'x' }, Beta: { name: 'Zed' } }
+            };
+
+            expect(resolvePrefill(template, descriptors, 'Acme')).toEqual({ tone: 'casual', count: '7', name: '' });
+        });
+    });
+});
@@ -2,10 +2,19 @@
  * Unit Tests for PromptService
  */
 
+import { WorkflowError } from '../src/core/WorkflowService.js';
 import {
     createPrompt,
     createVersion,
     findVersion,
+    normalizeLabel,
+    setVersionLabel,
+    removeVersionLabel,
+    getVersionLabels,
+    getLabelledVersion,
+    extractLabels,
+    changeStatus,
+    applyImportedStatus,
     filterPrompts,
     sortPrompts,
     keywordSearch,
@@ -27,6 +36,10 @@ describe('PromptService', () => {
             expect(prompt.title).toBe('New Prompt');
             expect(prompt.status).toBe('draft');
             expect(prompt.versions).toEqual([]);
+            expect(prompt.status_history).toEqual([]);
+            expect(prompt.messages).toEqual([{ role: 'user', content: '' }]);
+            expect(prompt.tags).toEqual([]);
+            expect(prompt.custom).toEqual({});
             expect(prompt.embedding).toBeNull();
         });
 
@@ -60,6 +73,16 @@ describe('PromptService', () => {
 
             expect(version.version_no).toBe(3);
         });
+
+        test('snapshots the messages, migrating single-text prompts', () => {
+            const legacy = createVersion({ versions: [], prompt_text: 'old', notes: '' });
+            expect(legacy.messages).toEqual([{ role: 'user', content: 'old' }]);
+
+            const messages = [{ role: 'system', content: 'Be brief.' }, { role: 'user', content: 'Hi' }];
+            const version = createVersion({ versions: [], messages, prompt_text: '', notes: '' });
+            expect(version.messages).toEqual(messages);
+            expect(version.messages[0]).not.toBe(messages[0]);
+        });
     });
 
     describe('findVersion', () => {
@@ -77,6 +100,126 @@ describe('PromptService', () => {
         });
     });
 
+    describe('version labels', () => {
+        const makePrompt = () => ({
+            versions: [
+                { version_no: 1, prompt_text: 'one' },
+                { version_no: 2, prompt_text: 'two' }
+            ]
+        });
+
+        test('normalises label names', () => {
+            expect(normalizeLabel('  Prod Canary ')).toBe('prod-canary');
+        });
+
+        test('labels a version and finds it again', () => {
+            const prompt = setVersionLabel(makePrompt(), 'Production', 1);
+
+            expect(prompt.labels).toEqual({ production: 1 });
+            expect(getLabelledVersion(prompt, 'production').prompt_text).toBe('one');
+            expect(getLabelledVersion(prompt, 'staging')).toBeUndefined();
+        });
+
+        test('moving a label points it at the new version only', () => {
+            const prompt = setVersionLabel(makePrompt(), 'production', 1);
+            setVersionLabel(prompt, 'production', 2);
+
+            expect(getVersionLabels(prompt, 1)).toEqual([]);
+            expect(getVersionLabels(prompt, 2)).toEqual(['production']);
+        });
+
+        test('lists release channels before custom labels', () => {
+            const prompt = makePrompt();
+            setVersionLabel(prompt, 'canary', 2);
+            setVersionLabel(prompt, 'staging', 2);
+            setVersionLabel(prompt, 'production', 2);
+
+            expect(getVersionLabels(prompt, 2)).toEqual(['production', 'staging', 'canary']);
+        });
+
+        test('rejects empty labels and unknown versions', () => {
+            expect(() => setVersionLabel(makePrompt(), '  ', 1)).toThrow('Label name is required.');
+            expect(() => setVersionLabel(makePrompt(), 'production', 9)).toThrow('Version 9 does not exist.');
+        });
+
+        test('removes a label', () => {
+            const prompt = setVersionLabel(makePrompt(), 'staging', 1);
+            removeVersionLabel(prompt, 'staging');
+
+            expect(prompt.labels).toEqual({});
+        });
+
+        test('extracts labels in use, always including release channels', () => {
+            const prompts = [{ labels: { qa: 1 } }, { labels: { production: 2 } }, {}];
+            expect(extractLabels(prompts)).toEqual(['production', 'staging', 'qa']);
+        });
+    });
+
+    describe('changeStatus', () => {
+        test('applies an allowed transition and records history', () => {
+            const prompt = { status: 'draft' };
+            changeStatus(prompt, 'review', ' ready ');
+
+            expect(prompt.status).toBe('review');
+            expect(prompt.status_history).toHaveLength(1);
+            expect(prompt.status_history[0]).toMatchObject({ from: 'draft', to: 'review', note: 'ready' });
+        });
+
+        test('rejects disallowed transitions and missing notes', () => {
+            const prompt = { status: 'draft', status_history: [] };
+
+            expect(() => changeStatus(prompt, 'live')).toThrow(WorkflowError);
+            expect(() => changeStatus({ status: 'approved' }, 'live')).toThrow('A note is required');
+            expect(prompt.status).toBe('draft');
+            expect(prompt.status_history).toEqual([]);
+        });
+
+        test('does not record unchanged status', () => {
+            const prompt = { status: 'live' };
+            changeStatus(prompt, 'live');
+            expect(prompt.status_history).toBeUndefined();
+        });
+
+        test('treats legacy statuses via aliases', () => {
+            const prompt = { status: 'testing' };
+            changeStatus(prompt, 'approved', 'LGTM');
+            expect(prompt.status_history[0].from).toBe('review');
+        });
+    });
+
+    describe('applyImportedStatus', () => {
+        test('maps unknown statuses for new prompts', () => {
+            const prompt = { status: 'testing' };
+            expect(applyImportedStatus(prompt, undefined)).toBe('');
+            expect(prompt.status).toBe('review');
+            expect(prompt.status_history).toEqual([]);
+        });
+
+        test('accepts allowed changes and records them', () => {
+            const prompt = { status: 'review' };
+            expect(applyImportedStatus(prompt, { status: 'draft' })).toBe('');
+            expect(prompt.status_history[0]).toMatchObject({ from: 'draft', to: 'review', note: 'Imported' });
+        });
+
+        test('accepts note-required changes recorded in the imported history', () => {
+            const prompt = {
+                status: 'live',
+                status_history: [{ from: 'approved', to: 'live', note: 'Go', date: '2024-01-01' }]
+            };
+            expect(applyImportedStatus(prompt, { status: 'approved' })).toBe('');
+            expect(prompt.status_history).toHaveLength(1);
+        });
+
+        test('keeps the stored status when the change breaks the rules', () => {
+            const existing = { status: 'draft', status_history: [{ from: 'x', to: 'draft' }] };
+            const prompt = { title: 'P', status: 'live' };
+
+            expect(applyImportedStatus(prompt, existing)).toBe('P: Cannot move from Draft to Live.');
+            expect(prompt.status).toBe('draft');
+            expect(prompt.status_history).toBe(existing.status_history);
+        });
+    });
+
     describe('filterPrompts', () => {
         const prompts = [
             { id: '1', category: 'coding', client: 'acme', status: 'live' },
@@ -104,6 +247,60 @@ describe('PromptService', () => {
             const result = filterPrompts(prompts, {});
             expect(result.length).toBe(3);
         });
+
+        test('keeps only listed ids when given', () => {
+            const result = filterPrompts(prompts, { client: 'acme', ids: ['2', '3'] });
+            expect(result.map(p => p.id)).toEqual(['3']);
+        });
+
+        test('hides statuses unless filtered on explicitly', () => {
+            const withArchived = [...prompts, { id: '4', status: 'archived' }];
+
+            expect(filterPrompts(withArchived, {}, ['archived']).map(p => p.id)).toEqual(['1', '2', '3']);
+            expect(filterPrompts(withArchived, { status: 'archived' }, ['archived']).map(p => p.id)).toEqual(['4']);
+        });
+
+        test('filters by label', () => {
+            const labelled = [
+                { id: 'a', versions: [{ version_no: 1 }], labels: { production: 1 } },
+                { id: 'b', versions: [{ version_no: 1 }], labels: { staging: 1 } },
+                { id: 'c', versions: [] }
+            ];
+            const result = filterPrompts(labelled, { label: 'production' });
+            expect(result.map(p => p.id)).toEqual(['a']);
+        });
+
+        test('filters by tag, including legacy tag strings', () => {
+            const tagged = [
+                { id: 'a', tags: ['seo', 'email'] },
+                { id: 'b', tags: 'Email, social' },
+                { id: 'c', tags: [] }
+            ];
+            const result = filterPrompts(tagged, { tag: 'email' });
+            expect(result.map(p => p.id)).toEqual(['a', 'b']);
+        });
+
+        test('filters by custom field value', () => {
+            const custom = [
+                { id: 'a', custom: { owner: 'Alice', reviewed: true } },
+                { id: 'b', custom: { owner: 'Bob', reviewed: false } },
+                { id: 'c' }
+            ];
+
+            expect(filterPrompts(custom, { field: 'owner', fieldValue: 'ali' }).map(p => p.id)).toEqual(['a']);
+            expect(filterPrompts(custom, { field: 'owner', fieldValue: '' }).map(p => p.id)).toEqual(['a', 'b']);
+            expect(filterPrompts(custom, { field: 'reviewed', fieldValue: 'false' }).map(p => p.id)).toEqual(['b']);
+        });
+
+        test('filters by usage', () => {
+            const usage = new Map([
+                ['1', { id: '1', pinned: true, last_used: new Date().toISOString() }],
+                ['2', { id: '2', pinned: false, last_used: '2020-01-01T00:00:00.000Z' }]
+            ]);
+
+            expect(filterPrompts(prompts, { usage: 'pinned' }, [], usage).map(p => p.id)).toEqual(['1']);
+            expect(filterPrompts(prompts, { usage: 'unused' }, [], usage).map(p => p.id)).toEqual(['2', '3']);
+        });
     });
 
     describe('sortPrompts', () => {
@@ -123,6 +320,43 @@ describe('PromptService', () => {
             const result = sortPrompts(prompts, 'date-desc');
             expect(result[0].title).toBe('Apple'); // March = newest
         });
+
+        test('sorts by token count', () => {
+            const sized = [
+                { title: 'Short', prompt_text: 'Hi' },
+                { title: 'Long', prompt_text: 'Summarize the following article in three bullet points.' },
+                { title: 'Medium', prompt_text: 'Write a haiku.' }
+            ];
+
+            expect(sortPrompts(sized, 'tokens-desc').map(p => p.title)).toEqual(['Long', 'Medium', 'Short']);
+            expect(sortPrompts(sized, 'tokens-asc').map(p => p.title)).toEqual(['Short', 'Medium', 'Long']);
+        });
+
+        test('sorts by custom field with empty values last', () => {
+            const custom = [
+                { title: 'None' },
+                { title: 'Ten', custom: { cost: 10 } },
+                { title: 'Two', custom: { cost: 2 } }
+            ];
+
+            expect(sortPrompts(custom, 'field:cost').map(p => p.title)).toEqual(['Two', 'Ten', 'None']);
+        });
+
+        test('sorts by usage', () => {
+            const used = [
+                { id: 'z', title: 'Zebra', date_created: '2024-01-01' },
+                { id: 'a', title: 'Apple', date_created: '2024-03-01' },
+                { id: 'm', title: 'Mango', date_created: '2024-02-01' }
+            ];
+            const usage = new Map([
+                ['z', { id: 'z', pinned: true, counts: { copy: 1 }, last_used: '2024-05-03' }],
+                ['m', { id: 'm', pinned: false, counts: { copy: 3, run: 2 }, last_used: '2024-05-01' }]
+            ]);
+
+            expect(sortPrompts(used, 'used-desc', usage).map(p => p.title)).toEqual(['Mango', 'Zebra', 'Apple']);
+            expect(sortPrompts(used, 'recent-desc', usage).map(p => p.title)).toEqual(['Zebra', 'Mango', 'Apple']);
+            expect(sortPrompts(used, 'pinned', usage).map(p => p.title)).toEqual(['Zebra', 'Apple', 'Mango']);
+        });
     });
 
     describe('keywordSearch', () => {
@@ -194,6 +428,10 @@ describe('PromptService', () => {
             expect(duplicate.client).toBe('Client');
             expect(duplicate.versions).toEqual([]); // Should start fresh
             expect(duplicate.versions).toEqual([]); // Should start fresh
+            expect(duplicate.derived_from).toEqual({ prompt_id: 'original_id', version_no: 1, title: 'My Prompt' });
+            expect(duplicate.import_source).toBeNull();
+            expect(duplicate.custom).toEqual({});
+            expect(duplicate.eval_runs).toEqual([]);
 
             // CRITICAL: New prompt text needs re-vectoring. 
             // The service MUST reset embedding to null to signal the controller to generate a new one.
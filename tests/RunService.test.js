@@ -0,0 +1,44 @@
+/**
+ * Tests for RunService
+ */
+
+import { createRun, getPromptRuns, getRunsToPrune } from '../src/core/RunService.js';
+
+const mockGenerateId = () => '_test123';
+
+describe('RunService', () => {
+
+    describe('createRun', () => {
+        test('records the run with a date', () => {
+            const run = createRun(mockGenerateId, {
+                prompt_id: 'p1',
+                version_no: 2,
+                input: [{ role: 'user', content: 'Hi' }],
+                output: 'Hello',
+                model: 'local',
+                latency_ms: 120
+            });
+
+            expect(run).toMatchObject({ id: '_test123', prompt_id: 'p1', version_no: 2, output: 'Hello', model: 'local', latency_ms: 120, stopped: false });
+            expect(typeof run.date).toBe('string');
+        });
+    });
+
+    describe('getPromptRuns / getRunsToPrune', () => {
+        const runs = [
+            { id: 'a', prompt_id: 'p1', date: '2026-01-01T00:00:00Z' },
+            { id: 'b', prompt_id: 'p1', date: '2026-01-03T00:00:00Z' },
+            { id: 'c', prompt_id: 'p2', date: '2026-01-04T00:00:00Z' },
+            { id: 'd', prompt_id: 'p1', date: '2026-01-02T00:00:00Z' }
+        ];
+
+        test('lists the runs of a prompt, newest first', () => {
+            expect(getPromptRuns(runs, 'p1').map(r => r.id)).toEqual(['b', 'd', 'a']);
+        });
+
+        test('returns the oldest runs beyond the limit', () => {
+            expect(getRunsToPrune(runs, 'p1', 2)).toEqual(['a']);
+            expect(getRunsToPrune(runs, 'p2', 2)).toEqual([]);
+        });
+    });
+});
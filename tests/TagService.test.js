@@ -0,0 +1,123 @@
+/**
+ * Tests for TagService
+ */
+
+import {
+    normalizeTag,
+    normalizeTags,
+    formatTags,
+    needsTagMigration,
+    addTags,
+    removeTags,
+    countTags,
+    renameTag,
+    mergeTags,
+    deleteTag,
+    moveTagColors
+} from '../src/core/TagService.js';
+
+describe('TagService', () => {
+
+    describe('normalizeTags', () => {
+        test('trims, lower-cases and collapses whitespace', () => {
+            expect(normalizeTag('  Cold   Email ')).toBe('cold email');
+        });
+
+        test('splits legacy comma separated strings', () => {
+            expect(normalizeTags('SEO, email,, Email ,blog')).toEqual(['seo', 'email', 'blog']);
+        });
+
+        test('cleans arrays and handles empty values', () => {
+            expect(normalizeTags(['B', 'a', 'b', ' '])).toEqual(['b', 'a']);
+            expect(normalizeTags(undefined)).toEqual([]);
+            expect(normalizeTags('')).toEqual([]);
+        });
+
+        test('formats tags for the editor', () => {
+            expect(formatTags(['seo', 'email'])).toBe('seo, email');
+            expect(formatTags(null)).toBe('');
+        });
+    });
+
+    describe('needsTagMigration', () => {
+        test('flags strings and un-normalised arrays', () => {
+            expect(needsTagMigration({ tags: 'a, b' })).toBe(true);
+            expect(needsTagMigration({})).toBe(true);
+            expect(needsTagMigration({ tags: ['A'] })).toBe(true);
+            expect(needsTagMigration({ tags: ['a', 'a'] })).toBe(true);
+        });
+
+        test('leaves normalised arrays alone', () => {
+            expect(needsTagMigration({ tags: ['a', 'b'] })).toBe(false);
+            expect(needsTagMigration({ tags: [] })).toBe(false);
+        });
+    });
+
+    describe('addTags / removeTags', () => {
+        test('adds without duplicates', () => {
+            expect(addTags(['a'], 'B, a')).toEqual(['a', 'b']);
+        });
+
+        test('removes case-insensitively', () => {
+            expect(removeTags(['a', 'b'], ['A'])).toEqual(['b']);
+        });
+    });
+
+    describe('countTags', () => {
+        test('counts prompts per tag, sorted by name', () => {
+            const prompts = [{ tags: ['seo', 'blog'] }, { tags: 'SEO' }, { tags: [] }];
+
+            expect(countTags(prompts)).toEqual([{ tag: 'blog', count: 1 }, { tag: 'seo', count: 2 }]);
+        });
+    });
+
+    describe('rename, merge and delete', () => {
+        const prompts = [
+            { id: '1', tags: ['seo', 'blog'] },
+            { id: '2', tags: ['blogging'] },
+            { id: '3', tags: ['email'] }
+        ];
+
+        test('renames a tag and returns only the changed prompts', () => {
+            const updated = renameTag(prompts, 'seo', 'Search');
+
+            expect(updated).toEqual([{ id: '1', tags: ['search', 'blog'] }]);
+            expect(prompts[0].tags).toEqual(['seo', 'blog']);
+        });
+
+        test('renaming onto an existing tag merges them', () => {
+            const updated = renameTag(prompts, 'blogging', 'blog');
+
+            expect(updated).toEqual([{ id: '2', tags: ['blog'] }]);
+        });
+
+        test('merges several tags without leaving duplicates', () => {
+            const updated = mergeTags(prompts, ['blog', 'blogging'], 'blog');
+
+            expect(updated.map(p => p.tags)).toEqual([['seo', 'blog'], ['blog']]);
+        });
+
+        test('rejects empty names', () => {
+            expect(() => renameTag(prompts, 'seo', '  ')).toThrow('empty');
+            expect(() => mergeTags(prompts, ['seo'], '')).toThrow('empty');
+        });
+
+        test('deletes a tag everywhere', () => {
+            expect(deleteTag(prompts, 'email')).toEqual([{ id: '3', tags: [] }]);
+        });
+    });
+
+    describe('moveTagColors', () => {
+        test('carries a source colour to a new target', () => {
+            expect(moveTagColors({ seo: 'red' }, ['seo'], 'search')).toEqual({ search: 'red' });
+        });
+
+        test('keeps the target colour on merge', () => {
+            expect(moveTagColors({ a: 'red', b: 'blue' }, ['a', 'b'], 'b')).toEqual({ b: 'blue' });
+        });
+
+        test('drops colours of deleted tags', () => {
+            expect(moveTagColors({ a: 'red', b: 'blue' }, ['a'], null)).toEqual({ b: 'blue' });
+        });
+    });
+});
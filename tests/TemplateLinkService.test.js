@@ -0,0 +1,119 @@
+/**
+ * Tests for TemplateLinkService
+ */
+
+import {
+    createTemplateLink,
+    addTemplateLink,
+    pruneTemplateLinks,
+    checkTemplateLink,
+    getOutdatedLinks,
+    findPromptsUsingTemplate,
+    resyncTemplateLinks
+} from '../src/core/TemplateLinkService.js';
+
+const persona = { id: 't1', description: 'Persona', template_text: 'You are ${role}.' };
+
+const linkedPrompt = (templateText) => {
+    const link = createTemplateLink(persona, 'You are a tutor.', { role: 'a tutor' });
+    return {
+        prompt: {
+            id: 'p1',
+            title: 'Tutor',
+            messages: [{ role: 'system', content: 'You are a tutor.\nBe patient.' }],
+            prompt_text: '[system]\nYou are a tutor.\nBe patient.',
+            template_links: [link]
+        },
+        templates: [{ ...persona, template_text: templateText }]
+    };
+};
+
+describe('TemplateLinkService', () => {
+
+    describe('links', () => {
+        test('records the template, text and values', () => {
+            const link = createTemplateLink(persona, 'You are a tutor.', { role: 'a tutor' });
+
+            expect(link).toMatchObject({ template_id: 't1', text: 'You are a tutor.', values: { role: 'a tutor' } });
+            expect(link.linked_at).toBeDefined();
+        });
+
+        test('does not record the same insert twice', () => {
+            const prompt = {};
+            addTemplateLink(prompt, createTemplateLink(persona, 'A'));
+            addTemplateLink(prompt, createTemplateLink(persona, 'A'));
+            addTemplateLink(prompt, createTemplateLink(persona, 'B'));
+
+            expect(prompt.template_links.map(l => l.text)).toEqual(['A', 'B']);
+        });
+
+        test('drops links whose text was removed from the prompt', () => {
+            const links = [{ text: 'kept' }, { text: 'gone' }, { text: '' }];
+
+            expect(pruneTemplateLinks(links, [{ content: 'This is kept.' }])).toEqual([{ text: 'kept' }]);
+        });
+    });
+
+    describe('checkTemplateLink', () => {
+        test('detects current, updated, missing and broken templates', () => {
+            const link = createTemplateLink(persona, 'You are a tutor.', { role: 'a tutor' });
+
+            expect(checkTemplateLink(link, [persona]).status).toBe('current');
+            expect(checkTemplateLink(link, [{ ...persona, template_text: 'Act as ${role}.' }]))
+                .toMatchObject({ status: 'updated', text: 'Act as a tutor.' });
+            expect(checkTemplateLink(link, []).status).toBe('missing');
+            expect(checkTemplateLink(link, [{ ...persona, template_text: '{{#if x}}' }]).status).toBe('broken');
+        });
+
+        test('notices changes in included templates', () => {
+            const inner = { id: 't2', description: 'Inner', template_text: 'old' };
+            const outer = { id: 't3', description: 'Outer', template_text: 'Start ${>Inner}' };
+            const link = createTemplateLink(outer, 'Start old');
+
+            expect(checkTemplateLink(link, [inner, outer]).status).toBe('current');
+            expect(checkTemplateLink(link, [{ ...inner, template_text: 'new' }, outer]).status).toBe('updated');
+        });
+    });
+
+    describe('usage', () => {
+        test('lists outdated links with their new text', () => {
+            const { prompt, templates } = linkedPrompt('Act as ${role}.');
+
+            expect(getOutdatedLinks(prompt, templates)).toMatchObject([{ template: { id: 't1' }, text: 'Act as a tutor.' }]);
+            expect(getOutdatedLinks(prompt, [persona])).toEqual([]);
+        });
+
+        test('finds prompts using a template with their link state', () => {
+            const { prompt, templates } = linkedPrompt('Act as ${role}.');
+            const unrelated = { id: 'p2', messages: [] };
+
+            expect(findPromptsUsingTemplate([prompt, unrelated], 't1', templates))
+                .toEqual([{ prompt, status: 'updated' }]);
+            expect(findPromptsUsingTemplate([prompt], 't1', [persona])[0].status).toBe('current');
+        });
+    });
+
+    describe('resyncTemplateLinks', () => {
+        test('replaces the inserted text and updates the link', () => {
+            const { prompt, templates } = linkedPrompt('Act as ${role}.');
+            const result = resyncTemplateLinks(prompt, templates);
+
+            expect(result.prompt.messages[0].content).toBe('Act as a tutor.\nBe patient.');
+            expect(result.prompt.prompt_text).toBe('[system]\nAct as a tutor.\nBe patient.');
+            expect(result.prompt.template_links[0].text).toBe('Act as a tutor.');
+            expect(result.synced).toHaveLength(1);
+            expect(result.conflicts).toEqual([]);
+            expect(prompt.messages[0].content).toBe('You are a tutor.\nBe patient.');
+        });
+
+        test('leaves inserts that were edited in the prompt alone', () => {
+            const { prompt, templates } = linkedPrompt('Act as ${role}.');
+            prompt.messages[0].content = 'You are a great tutor.';
+            const result = resyncTemplateLinks(prompt, templates);
+
+            expect(result.synced).toEqual([]);
+            expect(result.conflicts).toHaveLength(1);
+            expect(result.prompt.messages[0].content).toBe('You are a great tutor.');
+        });
+    });
+});
@@ -5,10 +5,26 @@
 import {
     createTemplate,
     duplicateTemplate,
+    createTemplateVersion,
+    findTemplateVersion,
+    parseVariableSpec,
+    extractVariableDescriptors,
     extractVariables,
     substituteVariables,
+    getDefaultValues,
+    validateVariableValues,
+    TemplateSyntaxError,
+    resolveTemplateRef,
+    getTemplateDependencies,
+    tokenizeTemplate,
+    parseTemplate,
+    renderTemplate,
     filterTemplates,
-    sortTemplates
+    sortTemplates,
+    getNextOrder,
+    listFolders,
+    groupTemplates,
+    reorderTemplates
 } from '../src/core/TemplateService.js';
 
 const mockGenerateId = () => '_tmpl123';
@@ -57,6 +73,104 @@ describe('TemplateService', () => {
         });
     });
 
+    describe('createTemplateVersion', () => {
+        test('snapshots text and description with incrementing numbers', () => {
+            const template = { description: 'Email', template_text: 'Hi ${name}', versions: [] };
+            const v1 = createTemplateVersion(template, 'first');
+            template.versions.push(v1);
+            template.template_text = 'Hello ${name}';
+            const v2 = createTemplateVersion(template);
+
+            expect(v1).toMatchObject({ version_no: 1, template_text: 'Hi ${name}', description: 'Email', notes: 'first' });
+            expect(v2).toMatchObject({ version_no: 2, template_text: 'Hello ${name}', notes: '' });
+        });
+
+        test('handles legacy templates without versions', () => {
+            expect(createTemplateVersion({ template_text: 'x' }).version_no).toBe(1);
+        });
+
+        test('duplicates start without history', () => {
+            const copy = duplicateTemplate({ description: 'A', versions: [{ version_no: 1 }] }, mockGenerateId);
+            expect(copy.versions).toEqual([]);
+        });
+    });
+
+    describe('findTemplateVersion', () => {
+        test('finds version by number', () => {
+            const template = { versions: [{ version_no: 1, notes: 'a' }, { version_no: 2, notes: 'b' }] };
+
+            expect(findTemplateVersion(template, 2).notes).toBe('b');
+            expect(findTemplateVersion({}, 1)).toBeUndefined();
+        });
+    });
+
+    describe('parseVariableSpec', () => {
+        test('treats a bare name as a required text variable', () => {
+            expect(parseVariableSpec('name')).toEqual({
+                name: 'name', type: 'text', required: true, defaultValue: '', options: [], help: ''
+            });
+        });
+
+        test('parses select options and uses the first as default', () => {
+            const d = parseVariableSpec('tone:select=formal|casual');
+
+            expect(d.name).toBe('tone');
+            expect(d.type).toBe('select');
+            expect(d.options).toEqual(['formal', 'casual']);
+            expect(d.defaultValue).toBe('formal');
+        });
+
+        test('parses number defaults and multiline types', () => {
+            expect(parseVariableSpec('count:number=3')).toMatchObject({ type: 'number', defaultValue: '3' });
+            expect(parseVariableSpec('context:multiline')).toMatchObject({ name: 'context', type: 'multiline' });
+        });
+
+        test('parses optional marker, default and help text', () => {
+            const d = parseVariableSpec('name?=Alice "Customer name"');
+
+            expect(d).toMatchObject({ name: 'name', required: false, defaultValue: 'Alice', help: 'Customer name' });
+        });
+
+        test('falls back to the raw spec for unknown syntax', () => {
+            expect(parseVariableSpec('first name').name).toBe('first name');
+            expect(parseVariableSpec('a:unknown').name).toBe('a:unknown');
+        });
+    });
+
+    describe('extractVariableDescriptors', () => {
+        test('keeps the first declaration of a repeated name', () => {
+            const vars = extractVariableDescriptors('${tone:select=a|b} then ${tone} and ${count:number=3}');
+
+            expect(vars.map(v => v.name)).toEqual(['tone', 'count']);
+            expect(vars[0].type).toBe('select');
+        });
+
+        test('extractVariables returns plain names for typed placeholders', () => {
+            expect(extractVariables('${name?=Alice "Customer"} ${x}')).toEqual(['name', 'x']);
+        });
+    });
+
+    describe('getDefaultValues', () => {
+        test('maps names to defaults', () => {
+            const vars = extractVariableDescriptors('${count:number=3} ${x}');
+            expect(getDefaultValues(vars)).toEqual({ count: '3', x: '' });
+        });
+    });
+
+    describe('validateVariableValues', () => {
+        const vars = extractVariableDescriptors('${x} ${opt?} ${count:number} ${tone:select=a|b}');
+
+        test('flags missing required values only', () => {
+            const errors = validateVariableValues(vars, { x: '', opt: '', count: '1', tone: 'a' });
+            expect(errors.map(e => e.name)).toEqual(['x']);
+        });
+
+        test('flags invalid numbers and unknown options', () => {
+            const errors = validateVariableValues(vars, { x: 'ok', count: 'abc', tone: 'c' });
+            expect(errors.map(e => e.name)).toEqual(['count', 'tone']);
+        });
+    });
+
     describe('substituteVariables', () => {
         test('replaces variables with values', () => {
             const text = 'Hello ${name}, you are ${age} years old';
@@ -71,6 +185,133 @@ describe('TemplateService', () => {
 
             expect(result).toBe('Hello ${name}');
         });
+
+        test('replaces typed placeholders by name', () => {
+            const text = 'Tone: ${tone:select=formal|casual}. Again: ${tone}';
+            const result = substituteVariables(text, { tone: 'casual' });
+
+            expect(result).toBe('Tone: casual. Again: casual');
+        });
+    });
+
+    describe('tokenizeTemplate', () => {
+        test('reports line and column for each token', () => {
+            const tokens = tokenizeTemplate('Hi ${name}\n{{#if x}}y{{/if}}');
+
+            expect(tokens.map(t => t.type)).toEqual(['text', 'var', 'text', 'if', 'text', 'endif']);
+            expect(tokens[3]).toMatchObject({ value: 'x', line: 2, column: 1 });
+        });
+
+        test('leaves unknown double-brace text literal', () => {
+            const tokens = tokenizeTemplate('Use {{ jinja }} here');
+            expect(tokens).toEqual([{ type: 'text', value: 'Use {{ jinja }} here', line: 1, column: 1 }]);
+        });
+    });
+
+    describe('renderTemplate', () => {
+        test('renders if/else branches', () => {
+            const text = '{{#if audience}}For ${audience}{{else}}For everyone{{/if}}';
+
+            expect(renderTemplate(text, { audience: 'devs' })).toBe('For devs');
+            expect(renderTemplate(text, { audience: '  ' })).toBe('For everyone');
+        });
+
+        test('expands each blocks over comma-separated values', () => {
+            const text = '{{#each items}}[{{@index}}:{{this}}]{{/each}}';
+            expect(renderTemplate(text, { items: 'a, b,,c' })).toBe('[1:a][2:b][3:c]');
+        });
+
+        test('drops lines that only hold block tags', () => {
+            const text = 'Start\n{{#if x}}\nMiddle\n{{/if}}\nEnd';
+
+            expect(renderTemplate(text, { x: 'yes' })).toBe('Start\nMiddle\nEnd');
+            expect(renderTemplate(text, {})).toBe('Start\nEnd');
+        });
+
+        test('supports escaped literal braces', () => {
+            expect(renderTemplate('\\${name} \\{{#if x}}', { name: 'A' })).toBe('${name} {{#if x}}');
+        });
+
+        test('keeps placeholders without values', () => {
+            expect(renderTemplate('Hi ${name}', {})).toBe('Hi ${name}');
+        });
+    });
+
+    describe('parseTemplate errors', () => {
+        test('reports unclosed blocks at their opening tag', () => {
+            expect(() => parseTemplate('ok\n  {{#if a}}x')).toThrow(TemplateSyntaxError);
+            try {
+                parseTemplate('ok\n  {{#if a}}x');
+            } catch (err) {
+                expect(err.line).toBe(2);
+                expect(err.column).toBe(3);
+            }
+        });
+
+        test('rejects mismatched, stray and unknown tags', () => {
+            expect(() => parseTemplate('{{#if a}}{{/each}}')).toThrow(/expected \{\{\/if\}\}/);
+            expect(() => parseTemplate('{{else}}')).toThrow(/Unexpected \{\{else\}\}/);
+            expect(() => parseTemplate('{{this}}')).toThrow(/inside \{\{#each\}\}/);
+            expect(() => parseTemplate('{{#unless a}}{{/unless}}')).toThrow(/Unknown tag/);
+        });
+    });
+
+    describe('extractVariableDescriptors with blocks', () => {
+        test('adds block conditions as optional variables', () => {
+            const vars = extractVariableDescriptors('{{#if audience}}${audience}{{/if}} {{#each examples}}{{this}}{{/each}} ${name}');
+
+            expect(vars.map(v => [v.name, v.required])).toEqual([
+                ['audience', false], ['examples', false], ['name', true]
+            ]);
+        });
+
+        test('ignores escaped placeholders', () => {
+            expect(extractVariables('\\${literal} ${real}')).toEqual(['real']);
+        });
+    });
+
+    describe('includes', () => {
+        const templates = [
+            { id: 't1', description: 'Persona Block', template_text: 'You are ${persona:select=expert|friend}.' },
+            { id: 't2', description: 'Output Format', template_text: '${>template:Persona Block} Answer in ${format}.' },
+            { id: 't3', description: 'Loop A', template_text: 'A ${>template:Loop B}' },
+            { id: 't4', description: 'Loop B', template_text: 'B ${>template:t3}' }
+        ];
+
+        test('resolves templates by id or case-insensitive name', () => {
+            expect(resolveTemplateRef('t2', templates).id).toBe('t2');
+            expect(resolveTemplateRef('persona block', templates).id).toBe('t1');
+            expect(resolveTemplateRef('nope', templates)).toBeUndefined();
+        });
+
+        test('expands nested includes at render time', () => {
+            const result = renderTemplate('${>template:Output Format}', { persona: 'expert', format: 'JSON' }, templates);
+            expect(result).toBe('You are expert. Answer in JSON.');
+        });
+
+        test('merges variables from included templates', () => {
+            const vars = extractVariableDescriptors('${topic} ${>template:t2}', templates);
+
+            expect(vars.map(v => v.name)).toEqual(['topic', 'persona', 'format']);
+            expect(vars[1].type).toBe('select');
+        });
+
+        test('detects circular includes', () => {
+            expect(() => renderTemplate('${>template:Loop A}', {}, templates)).toThrow(/Circular include: Loop A → Loop B → Loop A/);
+            expect(extractVariables('${>template:Loop A}', templates)).toEqual([]);
+        });
+
+        test('reports unknown templates', () => {
+            expect(() => renderTemplate('${>template:Missing}', {}, templates)).toThrow(/Unknown template "Missing"/);
+        });
+
+        test('lists direct dependencies, including unresolved ones', () => {
+            const deps = getTemplateDependencies({ template_text: '${>template:t1} ${>Missing} ${>template:t1}' }, templates);
+
+            expect(deps.map(d => d.ref)).toEqual(['t1', 'Missing']);
+            expect(deps[0].template.description).toBe('Persona Block');
+            expect(deps[1].template).toBeNull();
+        });
     });
 
     describe('filterTemplates', () => {
@@ -101,4 +342,77 @@ describe('TemplateService', () => {
             expect(result[0].description).toBe('A');
         });
     });
+
+    describe('getNextOrder', () => {
+        test('returns one past the highest order', () => {
+            expect(getNextOrder([{ order: 2 }, { order: 5 }, {}])).toBe(6);
+            expect(getNextOrder([])).toBe(0);
+        });
+    });
+
+    describe('groupTemplates', () => {
+        const templates = [
+            { id: 'a', folder: 'Emails', is_favourite: false, order: 0 },
+            { id: 'b', folder: '', is_favourite: false, order: 1 },
+            { id: 'c', folder: 'Code', is_favourite: false, order: 2 },
+            { id: 'd', folder: 'Emails', is_favourite: true, order: 3 },
+            { id: 'e', is_favourite: false, order: 4 }
+        ];
+
+        test('lists folders alphabetically', () => {
+            expect(listFolders(templates)).toEqual(['Code', 'Emails']);
+        });
+
+        test('groups by folder with unfiled last and favourites pinned per group', () => {
+            const groups = groupTemplates(templates);
+
+            expect(groups.map(g => g.folder)).toEqual(['Code', 'Emails', '']);
+            expect(groups[1].templates.map(t => t.id)).toEqual(['d', 'a']);
+            expect(groups[2].templates.map(t => t.id)).toEqual(['b', 'e']);
+        });
+    });
+
+    describe('reorderTemplates', () => {
+        const templates = [
+            { id: 'a', folder: '', order: 0 },
+            { id: 'b', folder: '', order: 1 },
+            { id: 'c', folder: '', order: 2 },
+            { id: 'x', folder: 'Work', order: 3 }
+        ];
+        const ids = (list) => groupTemplates(list).flatMap(g => g.templates.map(t => t.id));
+
+        test('moves a template before or after the target and renumbers', () => {
+            const before = reorderTemplates(templates, 'c', 'a');
+            expect(ids(before.templates)).toEqual(['x', 'c', 'a', 'b']);
+
+            const after = reorderTemplates(templates, 'a', 'b', { after: true });
+            expect(ids(after.templates)).toEqual(['x', 'b', 'a', 'c']);
+        });
+
+        test('returns only the templates that need saving', () => {
+            const { changed } = reorderTemplates(templates, 'a', 'b', { after: true });
+
+            expect(changed.map(t => t.id).sort()).toEqual(['a', 'c', 'x']);
+            expect(templates[0].order).toBe(0); // Input not mutated
+        });
+
+        test('dropping on a template in another folder moves it there', () => {
+            const { templates: result } = reorderTemplates(templates, 'b', 'x');
+
+            expect(result.find(t => t.id === 'b').folder).toBe('Work');
+            expect(ids(result)).toEqual(['b', 'x', 'a', 'c']);
+        });
+
+        test('appends to a folder when dropped on its header', () => {
+            const { templates: result } = reorderTemplates(templates, 'a', null, { folder: 'Work' });
+
+            expect(result.find(t => t.id === 'a').folder).toBe('Work');
+            expect(ids(result)).toEqual(['x', 'a', 'b', 'c']);
+        });
+
+        test('ignores unknown ids and drops onto itself', () => {
+            expect(reorderTemplates(templates, 'zz', 'a').changed).toEqual([]);
+            expect(reorderTemplates(templates, 'a', 'a').changed).toEqual([]);
+        });
+    });
 });
@@ -0,0 +1,109 @@
+/**
+ * Tests for TokenService
+ */
+
+import {
+    MESSAGE_OVERHEAD,
+    DEFAULT_MODELS,
+    countTokens,
+    countMessageTokens,
+    countPromptTokens,
+    getVersionTokenDeltas,
+    parseModelTable,
+    findModel,
+    estimateCost,
+    formatCost
+} from '../src/core/TokenService.js';
+
+describe('TokenService', () => {
+
+    describe('countTokens', () => {
+        test('counts nothing for empty text', () => {
+            expect(countTokens('')).toBe(0);
+            expect(countTokens(null)).toBe(0);
+        });
+
+        test('counts common words and punctuation like a BPE tokenizer', () => {
+            expect(countTokens('Hello world')).toBe(2);
+            expect(countTokens('Hello, world!')).toBe(4);
+        });
+
+        test('splits long words and digit groups', () => {
+            expect(countTokens('internationalization')).toBeGreaterThan(1);
+            expect(countTokens('1234567')).toBe(3);
+        });
+
+        test('counts each character of scripts written without spaces', () => {
+            expect(countTokens('こんにちは')).toBe(5);
+        });
+
+        test('grows with the text', () => {
+            const short = countTokens('Write a short poem.');
+            expect(countTokens('Write a short poem. Then explain its meter in detail.')).toBeGreaterThan(short);
+        });
+    });
+
+    describe('message tokens', () => {
+        test('adds per-message overhead', () => {
+            const messages = [{ role: 'system', content: 'Be brief' }, { role: 'user', content: 'Hi' }];
+            expect(countMessageTokens(messages)).toBe(2 * MESSAGE_OVERHEAD + 3);
+        });
+
+        test('counts legacy single-text prompts as one user message', () => {
+            expect(countPromptTokens({ prompt_text: 'Hello world' })).toBe(MESSAGE_OVERHEAD + 2);
+        });
+
+        test('reports the change of each version from the one before', () => {
+            const versions = [
+                { version_no: 1, prompt_text: 'Hello world' },
+                { version_no: 2, prompt_text: 'Hello there, world' },
+                { version_no: 3, prompt_text: 'Hello' }
+            ];
+            const deltas = getVersionTokenDeltas(versions);
+
+            expect(deltas.get(1)).toEqual({ tokens: MESSAGE_OVERHEAD + 2, delta: null });
+            expect(deltas.get(2).delta).toBe(2);
+            expect(deltas.get(3).delta).toBe(-3);
+        });
+    });
+
+    describe('parseModelTable', () => {
+        test('accepts the default table', () => {
+            expect(parseModelTable(DEFAULT_MODELS)).toEqual(DEFAULT_MODELS);
+        });
+
+        test('fills in names, missing prices and context', () => {
+            expect(parseModelTable([{ id: 'local', input: 0 }]))
+                .toEqual([{ id: 'local', name: 'local', input: 0, output: 0, context: null }]);
+        });
+
+        test('rejects invalid tables', () => {
+            expect(() => parseModelTable([])).toThrow('at least one model');
+            expect(() => parseModelTable([{ name: 'x' }])).toThrow('"id"');
+            expect(() => parseModelTable([{ id: 'a' }, { id: 'a' }])).toThrow('Duplicate');
+            expect(() => parseModelTable([{ id: 'a', input: -1 }])).toThrow('non-negative');
+            expect(() => parseModelTable([{ id: 'a', input: '2' }])).toThrow('non-negative');
+            expect(() => parseModelTable([{ id: 'a', context: 1.5 }])).toThrow('context');
+        });
+    });
+
+    describe('cost', () => {
+        const models = parseModelTable([{ id: 'a', input: 2 }, { id: 'b', input: 10 }]);
+
+        test('finds a model, falling back to the first', () => {
+            expect(findModel(models, 'b').id).toBe('b');
+            expect(findModel(models, 'missing').id).toBe('a');
+        });
+
+        test('prices input tokens per million', () => {
+            expect(estimateCost(500000, models[1])).toBe(5);
+        });
+
+        test('formats small and large amounts', () => {
+            expect(formatCost(0)).toBe('$0');
+            expect(formatCost(0.00001)).toBe('<$0.0001');
+            expect(formatCost(0.0123)).toBe('$0.0123');
+            expect(formatCost(5)).toBe('$5.00');
+        });
+    });
+});
@@ -0,0 +1,80 @@
+/**
+ * Tests for TrashService
+ */
+
+import {
+    DEFAULT_RETENTION_DAYS,
+    createTrashEntry,
+    describeTrashEntry,
+    sortTrash,
+    parseRetentionDays,
+    daysUntilPurge,
+    getExpiredEntries
+} from '../src/core/TrashService.js';
+
+const now = new Date('2026-03-31T12:00:00Z');
+const daysAgo = (n) => new Date(now.getTime() - n * 24 * 60 * 60 * 1000).toISOString();
+
+describe('TrashService', () => {
+
+    describe('createTrashEntry', () => {
+        test('wraps a record with its kind and deletion date', () => {
+            const prompt = { id: 'p1', title: 'Old prompt' };
+            const entry = createTrashEntry('prompt', prompt, now);
+
+            expect(entry).toEqual({ id: 'p1', kind: 'prompt', item: prompt, deleted_at: now.toISOString() });
+        });
+
+        test('rejects unknown kinds', () => {
+            expect(() => createTrashEntry('preset', { id: 'x' })).toThrow('unknown kind');
+        });
+    });
+
+    describe('describeTrashEntry', () => {
+        test('uses the display field of each kind', () => {
+            expect(describeTrashEntry({ kind: 'prompt', item: { title: 'P' } })).toBe('P');
+            expect(describeTrashEntry({ kind: 'template', item: { description: 'T' } })).toBe('T');
+            expect(describeTrashEntry({ kind: 'collection', item: { name: 'C' } })).toBe('C');
+            expect(describeTrashEntry({ kind: 'chain', item: {} })).toBe('Untitled');
+        });
+    });
+
+    describe('sortTrash', () => {
+        test('lists the most recently deleted first', () => {
+            const entries = [{ id: 'a', deleted_at: daysAgo(3) }, { id: 'b', deleted_at: daysAgo(1) }];
+
+            expect(sortTrash(entries).map(e => e.id)).toEqual(['b', 'a']);
+        });
+    });
+
+    describe('parseRetentionDays', () => {
+        test('accepts whole positive numbers', () => {
+            expect(parseRetentionDays('7')).toBe(7);
+            expect(parseRetentionDays(90)).toBe(90);
+        });
+
+        test('falls back to the default', () => {
+            expect(parseRetentionDays(null)).toBe(DEFAULT_RETENTION_DAYS);
+            expect(parseRetentionDays('0')).toBe(DEFAULT_RETENTION_DAYS);
+            expect(parseRetentionDays('abc')).toBe(DEFAULT_RETENTION_DAYS);
+        });
+    });
+
+    describe('retention', () => {
+        test('counts the days left before purge', () => {
+            expect(daysUntilPurge({ deleted_at: daysAgo(0) }, 30, now)).toBe(30);
+            expect(daysUntilPurge({ deleted_at: daysAgo(29.5) }, 30, now)).toBe(1);
+            expect(daysUntilPurge({ deleted_at: daysAgo(45) }, 30, now)).toBe(0);
+        });
+
+        test('finds entries past the retention period', () => {
+            const entries = [
+                { id: 'fresh', deleted_at: daysAgo(2) },
+                { id: 'due', deleted_at: daysAgo(7) },
+                { id: 'old', deleted_at: daysAgo(40) }
+            ];
+
+            expect(getExpiredEntries(entries, 7, now).map(e => e.id)).toEqual(['due', 'old']);
+        });
+    });
+});
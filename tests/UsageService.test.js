@@ -0,0 +1,87 @@
+/**
+ * Tests for UsageService
+ */
+
+import {
+    MAX_USAGE_EVENTS,
+    createUsage,
+    recordUsage,
+    setPinned,
+    buildUsageMap,
+    getUseCount,
+    isUnused,
+    getPinned,
+    getRecentlyUsed
+} from '../src/core/UsageService.js';
+
+const now = new Date('2026-06-01T12:00:00Z');
+const daysAgo = (n) => new Date(now.getTime() - n * 24 * 60 * 60 * 1000).toISOString();
+
+describe('UsageService', () => {
+
+    describe('recordUsage', () => {
+        test('creates the record on first use and counts per type', () => {
+            let usage = recordUsage(undefined, 'p1', 'copy', now);
+            usage = recordUsage(usage, 'p1', 'run', now);
+            usage = recordUsage(usage, 'p1', 'copy', now);
+
+            expect(usage.id).toBe('p1');
+            expect(usage.counts).toEqual({ copy: 2, run: 1, insert: 0 });
+            expect(usage.last_used).toBe(now.toISOString());
+            expect(usage.events).toHaveLength(3);
+        });
+
+        test('does not change the given record', () => {
+            const usage = createUsage('p1');
+            recordUsage(usage, 'p1', 'copy', now);
+            expect(usage.counts.copy).toBe(0);
+        });
+
+        test('keeps a bounded event log but a full count', () => {
+            let usage;
+            for (let i = 0; i < MAX_USAGE_EVENTS + 5; i++) usage = recordUsage(usage, 'p1', 'copy', now);
+
+            expect(usage.events).toHaveLength(MAX_USAGE_EVENTS);
+            expect(getUseCount(usage)).toBe(MAX_USAGE_EVENTS + 5);
+        });
+
+        test('rejects unknown types', () => {
+            expect(() => recordUsage(undefined, 'p1', 'print', now)).toThrow('Unknown usage type');
+        });
+    });
+
+    describe('setPinned', () => {
+        test('pins without touching the counts', () => {
+            const usage = setPinned(recordUsage(undefined, 'p1', 'run', now), 'p1', true);
+            expect(usage.pinned).toBe(true);
+            expect(getUseCount(usage)).toBe(1);
+            expect(setPinned(undefined, 'p2', true)).toMatchObject({ id: 'p2', pinned: true });
+        });
+    });
+
+    describe('isUnused', () => {
+        test('is true for never or long-ago use', () => {
+            expect(isUnused(undefined, 90, now)).toBe(true);
+            expect(isUnused({ last_used: daysAgo(91) }, 90, now)).toBe(true);
+            expect(isUnused({ last_used: daysAgo(10) }, 90, now)).toBe(false);
+        });
+    });
+
+    describe('getPinned / getRecentlyUsed', () => {
+        const prompts = [{ id: 'a' }, { id: 'b' }, { id: 'c' }, { id: 'd' }];
+        const usageMap = buildUsageMap([
+            { id: 'a', pinned: true, last_used: daysAgo(5) },
+            { id: 'b', pinned: false, last_used: daysAgo(1) },
+            { id: 'c', pinned: true, last_used: null }
+        ]);
+
+        test('keeps pinned prompts in list order', () => {
+            expect(getPinned(prompts, usageMap).map(p => p.id)).toEqual(['a', 'c']);
+        });
+
+        test('lists used prompts, newest first', () => {
+            expect(getRecentlyUsed(prompts, usageMap).map(p => p.id)).toEqual(['b', 'a']);
+            expect(getRecentlyUsed(prompts, usageMap, 1).map(p => p.id)).toEqual(['b']);
+        });
+    });
+});
@@ -0,0 +1,83 @@
+/**
+ * Tests for WorkflowService
+ */
+
+import {
+    DEFAULT_WORKFLOW,
+    WorkflowError,
+    parseWorkflow,
+    resolveStatus,
+    getAllowedTransitions,
+    canTransition,
+    requiresNote,
+    assertTransition,
+    getHiddenStatuses
+} from '../src/core/WorkflowService.js';
+
+describe('WorkflowService', () => {
+
+    describe('parseWorkflow', () => {
+        test('accepts the default workflow unchanged', () => {
+            expect(parseWorkflow(DEFAULT_WORKFLOW)).toEqual(DEFAULT_WORKFLOW);
+        });
+
+        test('fills in labels, initial state and empty rules', () => {
+            const wf = parseWorkflow({ states: ['todo', { id: 'done' }] });
+
+            expect(wf.initial).toBe('todo');
+            expect(wf.states).toEqual([{ id: 'todo', label: 'todo' }, { id: 'done', label: 'done' }]);
+            expect(wf.transitions).toEqual({});
+            expect(wf.requireNote).toEqual([]);
+        });
+
+        test('rejects inconsistent definitions', () => {
+            expect(() => parseWorkflow({})).toThrow('non-empty "states"');
+            expect(() => parseWorkflow({ states: ['a', 'a'] })).toThrow('Duplicate state "a"');
+            expect(() => parseWorkflow({ states: ['a'], transitions: { a: ['b'] } })).toThrow('unknown state "b"');
+            expect(() => parseWorkflow({ states: ['a'], requireNote: ['a'] })).toThrow('Invalid note rule');
+            expect(() => parseWorkflow({ states: ['a'], aliases: { old: 'b' } })).toThrow('Alias "old"');
+        });
+    });
+
+    describe('resolveStatus', () => {
+        test('keeps known statuses, maps aliases, falls back to initial', () => {
+            expect(resolveStatus(DEFAULT_WORKFLOW, 'live')).toBe('live');
+            expect(resolveStatus(DEFAULT_WORKFLOW, 'testing')).toBe('review');
+            expect(resolveStatus(DEFAULT_WORKFLOW, 'bogus')).toBe('draft');
+            expect(resolveStatus(DEFAULT_WORKFLOW, undefined)).toBe('draft');
+        });
+
+        test('ignores inherited object properties', () => {
+            expect(resolveStatus(DEFAULT_WORKFLOW, 'constructor')).toBe('draft');
+            expect(resolveStatus(DEFAULT_WORKFLOW, 'toString')).toBe('draft');
+        });
+    });
+
+    describe('transitions', () => {
+        test('follows the configured transitions', () => {
+            expect(getAllowedTransitions(DEFAULT_WORKFLOW, 'draft')).toEqual(['review', 'archived']);
+            expect(canTransition(DEFAULT_WORKFLOW, 'draft', 'review')).toBe(true);
+            expect(canTransition(DEFAULT_WORKFLOW, 'draft', 'live')).toBe(false);
+            expect(canTransition(DEFAULT_WORKFLOW, 'live', 'live')).toBe(true);
+        });
+
+        test('matches note rules including wildcards', () => {
+            expect(requiresNote(DEFAULT_WORKFLOW, 'approved', 'live')).toBe(true);
+            expect(requiresNote(DEFAULT_WORKFLOW, 'live', 'archived')).toBe(true);
+            expect(requiresNote(DEFAULT_WORKFLOW, 'draft', 'review')).toBe(false);
+        });
+
+        test('assertTransition explains why a change is rejected', () => {
+            expect(() => assertTransition(DEFAULT_WORKFLOW, 'draft', 'live')).toThrow('Cannot move from Draft to Live.');
+            expect(() => assertTransition(DEFAULT_WORKFLOW, 'approved', 'live', '  ')).toThrow('A note is required');
+            expect(() => assertTransition(DEFAULT_WORKFLOW, 'draft', 'nope')).toThrow(WorkflowError);
+            expect(() => assertTransition(DEFAULT_WORKFLOW, 'approved', 'live', 'Signed off')).not.toThrow();
+        });
+    });
+
+    describe('getHiddenStatuses', () => {
+        test('lists hidden states', () => {
+            expect(getHiddenStatuses(DEFAULT_WORKFLOW)).toEqual(['archived']);
+        });
+    });
+});
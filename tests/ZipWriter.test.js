@@ -0,0 +1,22 @@
+/**
+ * Unit Tests for ZipWriter
+ * @jest-environment node
+ */
+
+import { crc32, createZip } from '../src/core/ZipWriter.js';
+
+describe('ZipWriter', () => {
+
+    test('computes standard CRC-32 checksums', () => {
+        expect(crc32(new TextEncoder().encode('123456789'))).toBe(0xCBF43926);
+    });
+
+    test('writes local headers and an end-of-directory record', () => {
+        const zip = createZip([{ name: 'a.txt', content: 'hi' }]);
+        const view = new DataView(zip.buffer);
+
+        expect(view.getUint32(0, true)).toBe(0x04034b50);
+        expect(view.getUint32(zip.length - 22, true)).toBe(0x06054b50);
+        expect(view.getUint16(zip.length - 22 + 10, true)).toBe(1);
+    });
+});